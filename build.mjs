@@ -0,0 +1,42 @@
+/**
+ * Build the browser bundle `ttwebclient.js` from the ES module sources (`npm run build`)
+ * The bundle is a UMD script: AMD module or the global `TickTraderWebClient` with jQuery-style promises (see ttbrowser.mjs).
+ */
+
+import { build } from 'esbuild';
+
+const banner = [
+    "/**",
+    " * JavaScript TickTrader Web API client for browsers (UMD)",
+    " * Generated from ttbrowser.mjs and the ES module client by `npm run build`, do not edit it manually.",
+    " * Methods return jQuery-style promises resolved with the response data:",
+    " * `.done(data)`, `.fail(xhr, textStatus, errorThrown)` (also available as `.error()`), `.always()` and `.then()`.",
+    " * If jQuery is loaded the returned promises are jQuery Deferred promises and can be passed to `$.when()`.",
+    " */",
+    "(function (root, factory) {",
+    "    if (typeof define === 'function' && define.amd)",
+    "        define([], factory);",
+    "    else",
+    "        root.TickTraderWebClient = factory();",
+    "}(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function () {",
+    "var module = { exports: {} };"
+].join("\n");
+
+const footer = [
+    "return module.exports.TickTraderWebClient;",
+    "}));"
+].join("\n");
+
+await build({
+    entryPoints: ['ttbrowser.mjs'],
+    outfile: 'ttwebclient.js',
+    bundle: true,
+    format: 'cjs',
+    platform: 'browser',
+    target: 'es2018',
+    // Node.js only file storages are loaded on demand and are not bundled
+    external: ['fs/promises'],
+    banner: { js: banner },
+    footer: { js: footer },
+    logLevel: 'info'
+});
@@ -0,0 +1,55 @@
+/**
+ * Account history tests: equity series built from daily snapshots and trade history balance movements
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, buildEquitySeries } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("equity series joins snapshots with balance movements in time order", function() {
+    const snapshots = [
+        { Id: "1", Timestamp: DAY, Balance: 1000, Equity: 1050 },
+        { Id: "2", Timestamp: 3 * DAY, Balance: 1300, Equity: 1290 }
+    ];
+    const records = [
+        { Id: "11", TransactionTimestamp: 2 * DAY, TransactionType: "DepositWithdrawal", BalanceMovement: 200, Balance: 1200 },
+        { Id: "12", TransactionTimestamp: 2 * DAY + 1, TransactionType: "PositionClosed", BalanceMovement: 100.1 },
+        { Id: "13", TransactionTimestamp: 2 * DAY + 2, TransactionType: "OrderOpened" },
+        { Id: "14", TransactionTimestamp: 3 * DAY, TransactionType: "PositionClosed", BalanceMovement: -0.1, Balance: 1300 }
+    ];
+    const series = buildEquitySeries(snapshots, records);
+    assert.deepEqual(series.map(function(point) { return point.Source + ":" + point.Id; }),
+        ["Snapshot:1", "TradeHistory:11", "TradeHistory:12", "TradeHistory:14", "Snapshot:2"]);
+    // Equity between snapshots keeps the floating profit (50) of the previous snapshot
+    assert.deepEqual(series.map(function(point) { return [point.Balance, point.Equity]; }),
+        [[1000, 1050], [1200, 1250], [1300.1, 1350.1], [1300, 1350], [1300, 1290]]);
+});
+
+test("balance movements before the first snapshot have no estimated balance", function() {
+    const series = buildEquitySeries([], [{ Id: "1", Timestamp: DAY, BalanceMovement: 10 }]);
+    assert.equal(series.length, 1);
+    assert.equal(series[0].Balance, undefined);
+    assert.equal(series[0].Equity, undefined);
+    assert.deepEqual(buildEquitySeries(), []);
+});
+
+test("getEquitySeries loads snapshots and trade history of the mock account", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', balance: 1000 });
+    const address = await server.listen();
+    try {
+        server.takeDailySnapshot(Date.now() - DAY);
+        server.deposit(500);
+        const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+        const series = await client.getEquitySeries();
+        assert.deepEqual(series.map(function(point) { return point.Source; }), ["Snapshot", "TradeHistory"]);
+        assert.ok(series[0].Timestamp instanceof Date);
+        assert.equal(series[1].Balance, 1500);
+        assert.equal(series[1].BalanceMovement, 500);
+    }
+    finally {
+        await server.close();
+    }
+});
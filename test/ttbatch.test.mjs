@@ -0,0 +1,57 @@
+/**
+ * Batch trade operation tests against the mock Web API server: close all, cancel all and flatten
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, TickTraderRiskRejectedError } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+/**
+ * Run the test body with a client of a new mock server account
+ */
+const withAccount = async function(accountingType, clientOptions, body) {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', accountingType: accountingType });
+    const address = await server.listen();
+    try {
+        await body(server, new TickTraderWebClient(address, 'id', 'key', 'secret', Object.assign({ unwrap: true }, clientOptions)));
+    }
+    finally {
+        await server.close();
+    }
+};
+
+test("cancelAllPending cancels pending trades of the symbol only", function() {
+    return withAccount("Gross", {}, async function(server, client) {
+        await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+        await client.createTrade({ Type: "Limit", Side: "Sell", Symbol: "EURUSD", Amount: 1000, Price: 1.2 });
+        await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "USDJPY", Amount: 1000, Price: 100 });
+        const report = await client.cancelAllPending({ symbol: "EURUSD" });
+        assert.equal(report.Succeeded, 2);
+        assert.equal(report.Failed, 0);
+        assert.deepEqual((await client.getAllTrades()).map(function(trade) { return trade.Symbol; }), ["USDJPY"]);
+    });
+});
+
+test("closeAllTrades nets opposite gross positions with close by", function() {
+    return withAccount("Gross", {}, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 3000 });
+        await client.createTrade({ Type: "Market", Side: "Sell", Symbol: "EURUSD", Amount: 1000 });
+        const report = await client.closeAllTrades();
+        assert.deepEqual(report.Results.map(function(result) { return result.Action + ":" + result.Amount; }), ["CloseBy:1000", "Close:2000"]);
+        assert.equal(report.Failed, 0);
+        assert.equal((await client.getAllTrades()).length, 0);
+    });
+});
+
+test("flattenAccount offsets net positions and is not blocked by the risk guard", function() {
+    return withAccount("Net", { risk: { requireStopLoss: true, maxOpenTrades: 2 } }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 2000, StopLoss: 1.0 });
+        await client.createTrade({ Type: "Market", Side: "Sell", Symbol: "USDJPY", Amount: 1000, StopLoss: 200 });
+        await assert.rejects(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), TickTraderRiskRejectedError);
+        const report = await client.flattenAccount();
+        assert.equal(report.Failed, 0);
+        assert.deepEqual(report.Results.filter(function(result) { return result.Action === "Offset"; }).map(function(result) { return result.Symbol + ":" + result.Side; }), ["EURUSD:Buy", "USDJPY:Sell"]);
+        assert.equal((await client.getAllPositions()).filter(function(position) { return position.LongAmount > 0 || position.ShortAmount > 0; }).length, 0);
+    });
+});
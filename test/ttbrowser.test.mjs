@@ -0,0 +1,50 @@
+/**
+ * Browser bundle tests against the mock Web API server: the generated ttwebclient.js global and its jQuery-style promises
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+let server;
+let address;
+let TickTraderWebClient;
+
+before(async function() {
+    vm.runInThisContext(fs.readFileSync(new URL('../ttwebclient.js', import.meta.url), 'utf8'), { filename: 'ttwebclient.js' });
+    TickTraderWebClient = globalThis.TickTraderWebClient;
+    server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    address = await server.listen();
+});
+
+after(function() {
+    return server.close();
+});
+
+test("bundle methods resolve with the response data", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret');
+    const account = await new Promise(function(resolve) { client.getAccount().done(resolve); });
+    assert.equal(account.AccountingType, "Gross");
+});
+
+test("bundle methods report failures with the xhr-like object", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret');
+    server.failNext('GET', '/api/v2/account', 404, { Message: "Account not found!" });
+    const failure = await new Promise(function(resolve) {
+        client.getAccount().error(function(xhr, textStatus, errorThrown) { resolve({ xhr: xhr, textStatus: textStatus, errorThrown: errorThrown }); });
+    });
+    assert.equal(failure.xhr.status, 404);
+    assert.equal(failure.textStatus, "error");
+    assert.deepEqual(failure.xhr.responseJSON, { Message: "Account not found!" });
+});
+
+test("bundle client without credentials is anonymous", async function() {
+    const client = new TickTraderWebClient(address);
+    const session = await new Promise(function(resolve) { client.getPublicTradeSession().done(resolve); });
+    assert.ok(session.PlatformName);
+    await assert.rejects(new Promise(function(resolve, reject) {
+        client.getAccount().done(resolve).fail(function(xhr, textStatus, errorThrown) { reject(new Error(errorThrown)); });
+    }), /not authenticated/);
+});
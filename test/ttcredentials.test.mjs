@@ -0,0 +1,108 @@
+/**
+ * Credential provider tests: static, environment, file and callback sources, rotation and secret hiding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { TickTraderWebClient, StaticCredentials, EnvCredentials, FileCredentials, CallbackCredentials } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+/**
+ * Run the test body with a new mock server address
+ */
+const withServer = async function(body) {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        await body(server, address);
+    }
+    finally {
+        await server.close();
+    }
+};
+
+test("static credentials are rotated with update()", async function() {
+    const credentials = new StaticCredentials('id', 'key', 'old');
+    assert.equal((await credentials.getCredentials()).web_api_secret, 'old');
+    credentials.update('id', 'key', 'new');
+    const rotated = await credentials.getCredentials();
+    assert.deepEqual([rotated.web_api_id, rotated.web_api_key, rotated.web_api_secret], ['id', 'key', 'new']);
+    assert.equal(credentials.invalidate(), false);
+});
+
+test("environment credentials are read on each request", async function() {
+    const env = { TT_WEB_API_ID: 'id', TT_WEB_API_KEY: 'key', TT_WEB_API_SECRET: 'secret', MY_SECRET: 'other' };
+    assert.equal((await new EnvCredentials({ env: env }).getCredentials()).web_api_secret, 'secret');
+    const custom = new EnvCredentials({ env: env, secret: 'MY_SECRET' });
+    assert.equal((await custom.getCredentials()).web_api_secret, 'other');
+    env.MY_SECRET = 'rotated';
+    assert.equal((await custom.getCredentials()).web_api_secret, 'rotated');
+});
+
+test("file credentials are read from JSON and INI sections", async function() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ttcredentials-'));
+    try {
+        const json = path.join(directory, 'credentials.json');
+        await fs.writeFile(json, JSON.stringify({ live: { WebApiId: 'id', WebApiKey: 'key', WebApiSecret: 'secret' } }));
+        const fromJson = await new FileCredentials(json, { section: 'live' }).getCredentials();
+        assert.deepEqual([fromJson.web_api_id, fromJson.web_api_key, fromJson.web_api_secret], ['id', 'key', 'secret']);
+
+        const ini = path.join(directory, 'credentials.ini');
+        await fs.writeFile(ini, "; TickTrader\n[demo]\nweb_api_id = demo-id\nweb-api-key = demo-key\nWEB_API_SECRET = \"demo-secret\"\n");
+        const provider = new FileCredentials(ini, { section: 'demo' });
+        assert.equal((await provider.getCredentials()).web_api_secret, 'demo-secret');
+
+        await fs.writeFile(ini, "[demo]\nweb_api_id = demo-id\nweb_api_key = demo-key\nweb_api_secret = rotated\n");
+        assert.equal((await provider.getCredentials()).web_api_secret, 'demo-secret');
+        assert.equal(provider.invalidate(), true);
+        assert.equal((await provider.getCredentials()).web_api_secret, 'rotated');
+
+        await assert.rejects(new FileCredentials(ini, { section: 'missing' }).getCredentials(), /not found/);
+    }
+    finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test("callback credentials are shared by concurrent requests and cached", async function() {
+    let calls = 0;
+    const provider = new CallbackCredentials(function() {
+        calls++;
+        return Promise.resolve({ WebApiId: 'id', webApiKey: 'key', 'Web-Api-Secret': 'secret' });
+    });
+    const results = await Promise.all([provider.getCredentials(), provider.getCredentials()]);
+    assert.equal(results[0].web_api_secret, 'secret');
+    await provider.getCredentials();
+    assert.equal(calls, 1);
+    provider.invalidate();
+    await provider.getCredentials();
+    assert.equal(calls, 2);
+});
+
+test("cached credentials are refreshed once when the server rejects them", function() {
+    return withServer(async function(server, address) {
+        const secrets = ['outdated', 'secret'];
+        let calls = 0;
+        const provider = new CallbackCredentials(function() {
+            return { web_api_id: 'id', web_api_key: 'key', web_api_secret: secrets[Math.min(calls++, secrets.length - 1)] };
+        });
+        const client = new TickTraderWebClient(address, provider, undefined, undefined, { unwrap: true });
+        assert.equal((await client.getAccount()).AccountingType, "Gross");
+        assert.equal(calls, 2);
+        await client.getAccount();
+        assert.equal(calls, 2);
+    });
+});
+
+test("Web API Secret is not serialized with the client or the provider", async function() {
+    const client = new TickTraderWebClient("https://localhost:8443", 'id', 'key', 'top-secret');
+    assert.equal(client.isAuthenticated, true);
+    assert.doesNotMatch(JSON.stringify(client), /top-secret/);
+    const credentials = await client.credentials.getCredentials();
+    assert.doesNotMatch(JSON.stringify(credentials), /top-secret/);
+    assert.equal(credentials.web_api_secret, 'top-secret');
+    assert.doesNotMatch(JSON.stringify(new CallbackCredentials(function() { return { secret: 'top-secret' }; })), /top-secret/);
+});
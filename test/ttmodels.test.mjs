@@ -0,0 +1,70 @@
+/**
+ * Data model tests: unwrap mode parsing of timestamps and decimals and request formatting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, toDecimal, parseModel, formatRequest } from '../ttwebclient.mjs';
+
+/**
+ * Transport answering every request with the given data and keeping the sent requests
+ */
+const StubTransport = function(data) {
+    this.data = data;
+    this.requests = [];
+};
+
+StubTransport.prototype.request = function(config) {
+    this.requests.push(config);
+    return Promise.resolve({ status: 200, statusText: "OK", headers: {}, data: this.data, config: config });
+};
+
+test("toDecimal drops binary floating point noise and converts string decimals", function() {
+    assert.equal(toDecimal(99990.00000000001), 99990);
+    assert.equal(toDecimal(0.1 + 0.2), 0.3);
+    assert.equal(toDecimal("1.08520"), 1.0852);
+    assert.equal(toDecimal(1000), 1000);
+    assert.equal(toDecimal("EURUSD"), "EURUSD");
+    assert.equal(toDecimal(""), "");
+});
+
+test("parseModel converts timestamp fields into dates and normalizes nested decimals", function() {
+    const model = parseModel({
+        Registered: 1700000000000,
+        Balance: 99990.00000000001,
+        Comment: "",
+        Trades: [{ Id: 1, Created: 1700000001000, Price: 1.0852000000000002, Expired: null }]
+    });
+    assert.ok(model.Registered instanceof Date);
+    assert.equal(model.Registered.getTime(), 1700000000000);
+    assert.equal(model.Balance, 99990);
+    assert.equal(model.Trades[0].Created.getTime(), 1700000001000);
+    assert.equal(model.Trades[0].Price, 1.0852);
+    assert.equal(model.Trades[0].Expired, null);
+});
+
+test("formatRequest converts dates into timestamps and drops undefined fields", function() {
+    const expired = new Date(1700000000000);
+    assert.deepEqual(formatRequest({ Price: 1.1, ExpiredTimestamp: expired, Comment: undefined, Items: [expired] }),
+        { Price: 1.1, ExpiredTimestamp: 1700000000000, Items: [1700000000000] });
+});
+
+test("unwrap mode resolves with parsed models and raw view keeps responses", async function() {
+    const transport = new StubTransport({ Id: 5, Registered: 1700000000000, Balance: 100.10000000000001 });
+    const client = new TickTraderWebClient('https://localhost:8443', 'id', 'key', 'secret', { unwrap: true, transport: transport });
+    const account = await client.getAccount();
+    assert.ok(account.Registered instanceof Date);
+    assert.equal(account.Balance, 100.1);
+
+    const response = await client.raw.getAccount();
+    assert.equal(response.status, 200);
+    assert.equal(response.data.Registered, 1700000000000);
+});
+
+test("unwrap mode sends dates of requests as timestamps", async function() {
+    const transport = new StubTransport({ Id: 1, Type: "Limit", Created: 1700000000000 });
+    const client = new TickTraderWebClient('https://localhost:8443', 'id', 'key', 'secret', { unwrap: true, transport: transport });
+    const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0, ExpiredTimestamp: new Date(1800000000000) });
+    assert.ok(trade.Created instanceof Date);
+    assert.equal(transport.requests[0].data.ExpiredTimestamp, 1800000000000);
+});
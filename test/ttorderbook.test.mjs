@@ -0,0 +1,72 @@
+/**
+ * Local order book tests: level2 normalization, incremental updates, VWAP and price impact
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderBook } from '../ttwebclient.mjs';
+
+const level2 = {
+    Symbol: "EURUSD",
+    Timestamp: 1700000000000,
+    Bids: [{ Price: 1.0848, Volume: 3000 }, { Price: 1.0850, Volume: 1000 }, { Price: 1.0849, Volume: 1500 }, { Price: 1.0849, Volume: 500 }, { Price: 1.0847, Volume: 0 }],
+    Asks: [{ Price: 1.0855, Volume: 5000 }, { Price: 1.0852, Volume: 1000 }, { Price: 1.0853, Volume: 2000 }]
+};
+
+const book = function() {
+    const result = new OrderBook("EURUSD");
+    assert.equal(result.update(level2), true);
+    return result;
+};
+
+test("level2 snapshot is sorted from the best price with equal prices merged and empty levels dropped", function() {
+    const orderBook = book();
+    assert.deepEqual(orderBook.bids, [{ Price: 1.085, Volume: 1000 }, { Price: 1.0849, Volume: 2000 }, { Price: 1.0848, Volume: 3000 }]);
+    assert.deepEqual(orderBook.bestAsk(), { Price: 1.0852, Volume: 1000 });
+    assert.equal(orderBook.spread(), 0.0002);
+    assert.equal(orderBook.mid(), 1.0851);
+    assert.deepEqual(orderBook.cumulativeDepth("Ask", 2).map(function(level) { return level.CumulativeVolume; }), [1000, 3000]);
+    assert.equal(orderBook.update({ Symbol: "USDJPY", Bids: [], Asks: [] }), false);
+    assert.equal(orderBook.update([{ Symbol: "USDJPY" }, level2]), true);
+});
+
+test("single levels are changed and removed", function() {
+    const orderBook = book();
+    orderBook.setLevel("Ask", 1.0851, 500);
+    orderBook.setLevel("Ask", 1.0855, 0);
+    assert.deepEqual(orderBook.asks.map(function(level) { return level.Price; }), [1.0851, 1.0852, 1.0853]);
+    assert.throws(function() { orderBook.setLevel("Long", 1.0, 1); }, /side/);
+});
+
+test("vwap walks the book until the amount is filled", function() {
+    const orderBook = book();
+    assert.equal(orderBook.vwap("Buy", 500), 1.0852);
+    assert.equal(orderBook.vwap("Buy", 2000), 1.08525);
+    assert.equal(orderBook.vwap("Sell", 4000), 1.0849);
+    assert.equal(orderBook.vwap("Buy", 10000), undefined);
+});
+
+test("price impact reports slippage, worst price and distance from the mid price", function() {
+    const orderBook = book();
+    const impact = orderBook.priceImpact("Sell", 4000);
+    assert.equal(impact.Complete, true);
+    assert.equal(impact.Filled, 4000);
+    assert.equal(impact.WorstPrice, 1.0848);
+    assert.equal(impact.Levels, 3);
+    assert.equal(impact.Slippage, 0.0001);
+    assert.ok(Math.abs(impact.Impact - 0.0002 / 1.0851) < 1e-12);
+
+    const partial = orderBook.priceImpact("Buy", 10000);
+    assert.equal(partial.Complete, false);
+    assert.equal(partial.Filled, 8000);
+    assert.equal(partial.Levels, 3);
+    assert.equal(new OrderBook("EURUSD").priceImpact("Buy", 1000).Vwap, undefined);
+    assert.throws(function() { orderBook.priceImpact("Buy", 0); }, /positive/);
+});
+
+test("book depth limits the number of kept levels", function() {
+    const orderBook = new OrderBook("EURUSD", { depth: 2 });
+    orderBook.update(level2);
+    assert.equal(orderBook.bids.length, 2);
+    assert.equal(orderBook.asks.length, 2);
+});
@@ -0,0 +1,80 @@
+/**
+ * Order builder tests: fluent requests, durations, validation and sending with a single ClientId
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, OrderBuilder, TickTraderValidationError } from '../ttwebclient.mjs';
+import { parseDuration } from '../ttorderbuilder.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+test("durations are parsed from milliseconds and unit strings", function() {
+    assert.equal(parseDuration(1500), 1500);
+    assert.equal(parseDuration("30s"), 30000);
+    assert.equal(parseDuration("1h30m"), 5400000);
+    assert.equal(parseDuration("1d 12h"), 129600000);
+    assert.equal(parseDuration("0.5m"), 30000);
+    assert.equal(parseDuration("250ms"), 250);
+    assert.equal(parseDuration("2w"), 1209600000);
+    ["", "1x", "h1", "10", "1h-", 0, -5, "0s"].forEach(function(duration) {
+        assert.throws(function() { parseDuration(duration); }, /duration/, String(duration));
+    });
+});
+
+test("builder makes a limit request with exits, expiration and options", function() {
+    const client = { clock: { now: function() { return 1700000000000; } } };
+    const request = new OrderBuilder(client, "EURUSD").buy(10000).limit(1.085).stopLoss(1.08).takeProfit(1.09)
+        .expiresIn("1h").ioc().comment("breakout").clientId("order-1").build();
+    assert.deepEqual(request, {
+        Type: "Limit",
+        Symbol: "EURUSD",
+        Side: "Buy",
+        Amount: 10000,
+        Price: 1.085,
+        StopLoss: 1.08,
+        TakeProfit: 1.09,
+        ImmediateOrCancel: true,
+        Comment: "breakout",
+        ClientId: "order-1",
+        ExpiredTimestamp: 1700003600000
+    });
+    const expiration = new Date(1800000000000);
+    assert.equal(new OrderBuilder(client, "EURUSD").sell(1000).stop(1.07).expiresIn("1h").expiresAt(expiration).build().ExpiredTimestamp, expiration);
+});
+
+test("builder generates ClientId once and switches back to market trades", function() {
+    const builder = new OrderBuilder({}, "EURUSD").sell().amount(1000).limit(1.1).market();
+    const first = builder.build();
+    assert.equal(first.Type, "Market");
+    assert.equal(first.Price, undefined);
+    assert.ok(first.ClientId);
+    assert.equal(builder.build().ClientId, first.ClientId);
+    assert.notEqual(new OrderBuilder({}, "EURUSD").sell(1000).build().ClientId, first.ClientId);
+});
+
+test("invalid builder requests are rejected with the validation errors", async function() {
+    assert.throws(function() { new OrderBuilder({}, "EURUSD").buy(1000).ioc().build(); }, function(err) {
+        assert.ok(err instanceof TickTraderValidationError);
+        assert.deepEqual(err.errors.map(function(error) { return error.field; }), ["ImmediateOrCancel"]);
+        return true;
+    });
+    await assert.rejects(new OrderBuilder({}, "EURUSD").limit(1.1).send(), /Side is required/);
+    assert.throws(function() { return new OrderBuilder(undefined, "EURUSD"); }, /client/);
+});
+
+test("client order builder trade is created once when the response is lost", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, retry: { retries: 2, minDelay: 1, jitter: false } });
+        const builder = client.order("EURUSD").buy(1000).limit(1.0).expiresIn("1d");
+        server.dropNext('POST', '/api/v2/trade', true);
+        const trade = await builder.send();
+        assert.equal(trade.Type, "Limit");
+        assert.ok(trade.Expired instanceof Date);
+        assert.equal((await client.getAllTrades()).filter(function(item) { return item.ClientId === trade.ClientId; }).length, 1);
+    }
+    finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * OrderManager tests against the mock Web API server: OCO pairs, brackets and recovery after a restart
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, OrderManager, MemoryStorage } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+/**
+ * Run the test body with an order manager over a new mock server
+ * Options: `accountingType` of the mock account, manager `storage` and client `risk` guard options.
+ */
+const withManager = async function(options, body) {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', accountingType: options.accountingType });
+    const address = await server.listen();
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, risk: options.risk });
+    const manager = new OrderManager(client, { storage: options.storage, pollInterval: 0 });
+    try {
+        await body(server, client, manager);
+    }
+    finally {
+        await manager.stop();
+        await server.close();
+    }
+};
+
+test("filled OCO order cancels the other one", function() {
+    return withManager({ accountingType: "Gross" }, async function(server, client, manager) {
+        await manager.start();
+        const group = await manager.placeOco(
+            { Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.07 },
+            { Type: "Stop", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.10 });
+        assert.equal(group.status, "active");
+        server.fillTrade(group.orders[0].id);
+        await manager.check();
+        assert.equal(group.status, "completed");
+        assert.deepEqual(group.orders.map(function(order) { return order.status; }), ["filled", "canceled"]);
+        assert.equal((await client.getAllTrades()).filter(function(trade) { return trade.Type !== "Position"; }).length, 0);
+    });
+});
+
+test("bracket exits are placed after the entry fill and the exit fill completes the bracket", function() {
+    return withManager({ accountingType: "Gross" }, async function(server, client, manager) {
+        const events = [];
+        manager.on('activated', function() { events.push('activated'); }).on('completed', function() { events.push('completed'); });
+        await manager.start();
+        const group = await manager.placeBracket({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 2000 }, { stopLoss: 1.07, takeProfit: 1.10 });
+        assert.equal(group.status, "active");
+        assert.deepEqual(group.orders.map(function(order) { return order.role + ":" + order.status; }), ["entry:filled", "stopLoss:pending", "takeProfit:pending"]);
+
+        server.setTick("EURUSD", 1.1010, 1.1012);
+        await manager.check();
+        assert.equal(group.status, "completed");
+        assert.deepEqual(events, ["activated", "completed"]);
+        assert.equal((await client.getAllTrades()).length, 0);
+    });
+});
+
+test("bracket exits are not blocked by the risk guard", function() {
+    return withManager({ accountingType: "Net", risk: { requireStopLoss: true, maxOpenTrades: 1, maxExposure: 1000 } }, async function(server, client, manager) {
+        await manager.start();
+        const group = await manager.placeBracket({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, StopLoss: 1.0 }, { stopLoss: 1.07, takeProfit: 1.10 });
+        assert.equal(group.status, "active");
+        assert.deepEqual(group.orders.map(function(order) { return order.status; }), ["filled", "pending", "pending"]);
+    });
+});
+
+test("filled net account entry placed before a restart is found in trade history", async function() {
+    const created = Date.now();
+    const storage = new MemoryStorage({ groups: [{
+        id: "bracket",
+        type: "bracket",
+        status: "pending",
+        created: created,
+        exits: { stopLoss: 1.07, takeProfit: 1.10 },
+        orders: [{ role: "entry", request: { Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }, clientId: "entry-client-id", status: "placing" }]
+    }, {
+        id: "oco",
+        type: "oco",
+        status: "pending",
+        created: created,
+        orders: [{ role: "first", request: { Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 }, clientId: "lost-client-id", status: "placing" }]
+    }] });
+    await withManager({ accountingType: "Net", storage: storage }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, ClientId: "entry-client-id" });
+        await manager.start();
+
+        const bracket = manager.get("bracket");
+        assert.equal(bracket.status, "active");
+        assert.deepEqual(bracket.orders.map(function(order) { return order.role + ":" + order.status; }), ["entry:filled", "stopLoss:pending", "takeProfit:pending"]);
+        const oco = manager.get("oco");
+        assert.equal(oco.status, "failed");
+        assert.equal(oco.orders[0].status, "rejected");
+    });
+});
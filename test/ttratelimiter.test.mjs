@@ -0,0 +1,76 @@
+/**
+ * Rate limiter tests: endpoint classes, priority queue, statistics and the queue limit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, TickTraderRateLimitError } from '../ttwebclient.mjs';
+import { endpointClass } from '../ttratelimiter.mjs';
+
+test("requests are classified by endpoint", function() {
+    assert.equal(endpointClass('POST', "https://localhost/api/v2/trade"), "trade");
+    assert.equal(endpointClass('DELETE', "https://localhost/api/v2/trade?trade.type=Cancel&trade.id=1"), "trade");
+    assert.equal(endpointClass('GET', "https://localhost/api/v2/trade"), "account");
+    assert.equal(endpointClass('GET', "https://localhost/api/v2/public/tick/EURUSD"), "feed");
+    assert.equal(endpointClass('GET', "https://localhost/api/v2/quotehistory/EURUSD/M1/bars/bid"), "feed");
+    assert.equal(endpointClass('POST', "https://localhost/api/v2/tradehistory"), "account");
+});
+
+test("queued requests are dispatched by class priority and FIFO within the class", async function() {
+    const limiter = new RateLimiter({ rate: 200, burst: 1 });
+    const order = [];
+    const schedule = function(name, label) {
+        return limiter.schedule(name, function() { order.push(label); return label; });
+    };
+    const results = await Promise.all([
+        schedule("feed", "feed 1"),
+        schedule("feed", "feed 2"),
+        schedule("account", "account"),
+        schedule("trade", "trade 1"),
+        schedule("trade", "trade 2")
+    ]);
+    assert.deepEqual(results, ["feed 1", "feed 2", "account", "trade 1", "trade 2"]);
+    // First request takes the only token, the rest wait in the queue
+    assert.deepEqual(order, ["feed 1", "trade 1", "trade 2", "account", "feed 2"]);
+});
+
+test("stats report dispatched requests and wait times by class", async function() {
+    const limiter = new RateLimiter({ rate: 100, burst: 1 });
+    const task = function() { return Promise.resolve(); };
+    const queued = [limiter.schedule("trade", task), limiter.schedule("trade", task), limiter.schedule("feed", task)];
+    assert.equal(limiter.stats().queued, 2);
+    await Promise.all(queued);
+
+    const stats = limiter.stats();
+    assert.equal(stats.queued, 0);
+    assert.equal(stats.dispatched, 3);
+    assert.equal(stats.classes.trade.dispatched, 2);
+    assert.equal(stats.classes.feed.dispatched, 1);
+    assert.equal(stats.classes.account.dispatched, 0);
+    assert.ok(stats.maxWait > 0);
+    assert.ok(stats.averageWait > 0 && stats.averageWait <= stats.maxWait);
+});
+
+test("class budget delays only the requests of its class", async function() {
+    const limiter = new RateLimiter({ rate: 1000, burst: 10, classes: { feed: { rate: 10, burst: 1 } } });
+    const order = [];
+    const schedule = function(name, label) {
+        return limiter.schedule(name, function() { order.push(label); });
+    };
+    await Promise.all([schedule("feed", "feed 1"), schedule("feed", "feed 2"), schedule("account", "account")]);
+    assert.deepEqual(order, ["feed 1", "account", "feed 2"]);
+});
+
+test("full queue rejects requests without retrying them", async function() {
+    const limiter = new RateLimiter({ rate: 100, burst: 1, maxQueue: 1 });
+    const task = function() { return Promise.resolve(); };
+    const first = limiter.schedule("account", task);
+    const second = limiter.schedule("account", task);
+    await assert.rejects(limiter.schedule("account", task), function(err) {
+        assert.ok(err instanceof TickTraderRateLimitError);
+        assert.equal(err.retryable, false);
+        return true;
+    });
+    await Promise.all([first, second]);
+    await assert.rejects(limiter.schedule("unknown", task), /unknown/);
+});
@@ -0,0 +1,120 @@
+/**
+ * Risk guard tests against the mock Web API server: every limit and the list of violations
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, TickTraderRiskRejectedError, RiskGuard } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+/**
+ * Run the test body with a client of a new mock server account guarded by the given risk limits
+ */
+const withGuard = async function(risk, body) {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        await body(server, new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, risk: risk }));
+    }
+    finally {
+        await server.close();
+    }
+};
+
+/**
+ * Assert the request is rejected by the risk guard with the given rules broken (checks run concurrently, so in any order)
+ */
+const assertRejected = async function(promise, rules) {
+    await assert.rejects(promise, function(err) {
+        assert.ok(err instanceof TickTraderRiskRejectedError);
+        assert.deepEqual(err.violations.map(function(violation) { return violation.rule; }).sort(), rules.slice().sort());
+        return true;
+    });
+};
+
+test("maxOrderAmount limits trade amount by symbol name and for the other symbols", function() {
+    return withGuard({ maxOrderAmount: { EURUSD: 2000, "*": 1000 } }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 2000 });
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 3000 }), ["maxOrderAmount"]);
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "USDJPY", Amount: 1000 });
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "USDJPY", Amount: 2000 }), ["maxOrderAmount"]);
+    });
+});
+
+test("maxOrderAmount number limits all symbols and applies to closing trades", function() {
+    return withGuard({ maxOrderAmount: 1000 }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Sell", Symbol: "EURUSD", Amount: 2000 }), ["maxOrderAmount"]);
+    });
+});
+
+test("maxExposure sums positions and pending trades of all symbols", function() {
+    return withGuard({ maxExposure: 3000 }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+        await client.createTrade({ Type: "Limit", Side: "Sell", Symbol: "USDJPY", Amount: 1000, Price: 200 });
+        await assertRejected(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "USDJPY", Amount: 1000, Price: 100 }), ["maxExposure"]);
+        // Trade reducing the position does not add exposure
+        await client.createTrade({ Type: "Market", Side: "Sell", Symbol: "EURUSD", Amount: 1000 });
+    });
+});
+
+test("maxSymbolExposure counts pending trades of the same side", function() {
+    return withGuard({ maxSymbolExposure: { EURUSD: 2000, "*": 5000 } }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+        await assertRejected(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 }), ["maxSymbolExposure"]);
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "USDJPY", Amount: 3000 });
+    });
+});
+
+test("maxOpenTrades counts positions and pending trades but does not block closing trades", function() {
+    return withGuard({ maxOpenTrades: 2 }, async function(server, client) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "USDJPY", Amount: 1000, Price: 100 });
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), ["maxOpenTrades"]);
+        await client.createTrade({ Type: "Market", Side: "Sell", Symbol: "EURUSD", Amount: 1000 });
+    });
+});
+
+test("maxDailyLoss uses realized loss from trade history without balance operations", function() {
+    return withGuard({ maxDailyLoss: 10 }, async function(server, client) {
+        server.deposit(-1000);
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        const trade = (await client.getAllTrades())[0];
+        server.setTick("EURUSD", 1.07, 1.0702);
+        await client.closeTrade(trade.Id);
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "USDJPY", Amount: 1000 }), ["maxDailyLoss"]);
+    });
+});
+
+test("requireStopLoss rejects trades without stop loss and modifications removing it", function() {
+    return withGuard({ requireStopLoss: true }, async function(server, client) {
+        await assertRejected(client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), ["requireStopLoss"]);
+        const trade = await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, StopLoss: 1.0 });
+        await client.modifyTrade({ Id: trade.Id, StopLoss: 1.01 });
+        await client.modifyTrade({ Id: trade.Id, StopLoss: undefined, TakeProfit: 1.2 });
+
+        const guard = new RiskGuard(client, { requireStopLoss: true });
+        await assertRejected(guard.checkModifyTrade({ Id: trade.Id, StopLoss: 0 }), ["requireStopLoss"]);
+    });
+});
+
+test("maxPriceDeviation compares pending trade prices with the latest tick", function() {
+    return withGuard({ maxPriceDeviation: 0.01 }, async function(server, client) {
+        await assertRejected(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 }), ["maxPriceDeviation"]);
+        const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.08 });
+        await assertRejected(client.modifyTrade({ Id: trade.Id, Price: 1.2 }), ["maxPriceDeviation"]);
+        await client.modifyTrade({ Id: trade.Id, Price: 1.079 });
+    });
+});
+
+test("violations list every broken rule", function() {
+    return withGuard({ maxOrderAmount: 1000, maxExposure: 1000, maxOpenTrades: 0, requireStopLoss: true, maxPriceDeviation: 0.01 }, async function(server, client) {
+        await assertRejected(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 2000, Price: 1.0 }),
+            ["maxOrderAmount", "requireStopLoss", "maxOpenTrades", "maxExposure", "maxPriceDeviation"]);
+        assert.equal((await client.getAllTrades()).length, 0);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Feed and trade stream tests against the mock Web API server: subscriptions, reconnection and resubscription
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, TickTraderFeedStream, TickTraderTradeStream } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+let server;
+let address;
+
+before(async function() {
+    server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    address = await server.listen();
+});
+
+after(function() {
+    return server.close();
+});
+
+/**
+ * Wait for the next stream event
+ */
+const nextEvent = function(stream, event, filter) {
+    return new Promise(function(resolve) {
+        const listener = function(data) {
+            if (filter && !filter(data))
+                return;
+            stream.off(event, listener);
+            resolve(data);
+        };
+        stream.on(event, listener);
+    });
+};
+
+test("subscribed ticks are delivered to events and the subscription iterator", async function() {
+    const stream = new TickTraderFeedStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnect: false });
+    try {
+        const subscription = await stream.subscribeTicks(["EURUSD"]);
+        const iterator = subscription[Symbol.asyncIterator]();
+        const snapshot = await iterator.next();
+        assert.equal(snapshot.value.Symbol, "EURUSD");
+
+        const tick = nextEvent(stream, 'tick', function(tick) { return tick.BestBid.Price === 1.2; });
+        server.setTick("EURUSD", 1.2, 1.2002);
+        assert.equal((await tick).BestAsk.Price, 1.2002);
+        assert.equal((await iterator.next()).value.BestBid.Price, 1.2);
+    }
+    finally {
+        await stream.close();
+    }
+});
+
+test("lost connection is restored and subscriptions are renewed", async function() {
+    const stream = new TickTraderFeedStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnectDelay: 10 });
+    try {
+        await stream.subscribeTicks(["EURUSD", "USDJPY"]);
+        const events = [];
+        stream.on('disconnected', function() { events.push('disconnected'); });
+        stream.on('reconnecting', function() { events.push('reconnecting'); });
+        const connected = nextEvent(stream, 'connected');
+        const renewed = nextEvent(stream, 'tick', function(tick) { return tick.Symbol === "USDJPY"; });
+
+        server.dropStreams();
+        await connected;
+        assert.deepEqual(events, ["disconnected", "reconnecting"]);
+        assert.equal(stream.connected, true);
+        // Snapshot of the renewed subscription
+        await renewed;
+
+        const tick = nextEvent(stream, 'tick', function(tick) { return tick.Symbol === "USDJPY" && tick.BestBid.Price === 150; });
+        server.setTick("USDJPY", 150, 150.02);
+        assert.equal((await tick).BestAsk.Price, 150.02);
+    }
+    finally {
+        await stream.close();
+    }
+});
+
+test("closed stream does not reconnect", async function() {
+    const stream = new TickTraderFeedStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnectDelay: 10 });
+    await stream.subscribeTicks("EURUSD");
+    let reconnecting = false;
+    stream.on('reconnecting', function() { reconnecting = true; });
+    await stream.close();
+    server.dropStreams();
+    await new Promise(function(resolve) { setTimeout(resolve, 30); });
+    assert.equal(reconnecting, false);
+    assert.equal(stream.connected, false);
+});
+
+test("trade stream reports execution of trades", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+    const stream = new TickTraderTradeStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnect: false });
+    try {
+        const snapshot = nextEvent(stream, 'snapshot');
+        await stream.connect();
+        assert.equal((await snapshot).Account.AccountingType, "Gross");
+
+        const created = nextEvent(stream, 'tradeCreated');
+        const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+        assert.equal((await created).Trade.Id, trade.Id);
+
+        const filled = nextEvent(stream, 'tradeFilled');
+        server.fillTrade(trade.Id);
+        const report = await filled;
+        assert.equal(report.Trade.Id, trade.Id);
+        assert.equal(report.FillPrice, 1.0);
+        await client.closeTrade(report.Trade.Id);
+    }
+    finally {
+        await stream.close();
+    }
+});
+
+test("malformed trade notification is reported as an error", async function() {
+    const stream = new TickTraderTradeStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnect: false });
+    const error = nextEvent(stream, 'error');
+    stream._onMessage(JSON.stringify({ Response: "ExecutionReport" }));
+    assert.match((await error).message, /ExecutionReport notification is malformed/);
+});
+
+test("trade stream snapshot is received again after reconnection", async function() {
+    const stream = new TickTraderTradeStream('ws://mock', 'id', 'key', 'secret', { WebSocket: server.WebSocket, reconnectDelay: 10 });
+    try {
+        await stream.connect();
+        const snapshot = nextEvent(stream, 'snapshot');
+        server.dropStreams();
+        assert.ok(Array.isArray((await snapshot).Trades));
+        assert.equal(stream.connected, true);
+    }
+    finally {
+        await stream.close();
+    }
+});
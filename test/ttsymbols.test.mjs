@@ -0,0 +1,87 @@
+/**
+ * Symbol registry tests: cached symbol metadata and price and amount rounding or validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, SymbolRegistry, TickTraderValidationError } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+const SYMBOLS = [
+    { Symbol: "EURUSD", Precision: 5, MinTradeAmount: 1000, MaxTradeAmount: 100000, TradeAmountStep: 1000 },
+    { Symbol: "XAUUSD", Precision: 2, MinTradeAmount: 0.1, MaxTradeAmount: 100, TradeAmountStep: 0.1 },
+    { Symbol: "CLOSED", Precision: 2, IsTradeAllowed: false }
+];
+
+/**
+ * Client stub counting symbol requests
+ */
+const symbolsClient = function() {
+    const client = {
+        isAuthenticated: true,
+        requests: 0,
+        getAllSymbols: function() {
+            client.requests++;
+            return Promise.resolve({ status: 200, data: SYMBOLS });
+        }
+    };
+    return client;
+};
+
+test("symbols are loaded once and cached until they expire or are invalidated", async function() {
+    const client = symbolsClient();
+    const registry = new SymbolRegistry(client);
+    const symbols = await Promise.all([registry.get("EURUSD"), registry.get("XAUUSD")]);
+    assert.equal(symbols[1].Precision, 2);
+    await registry.get("EURUSD");
+    assert.equal(client.requests, 1);
+    registry.invalidate();
+    await registry.get("EURUSD");
+    assert.equal(client.requests, 2);
+
+    const expiring = new SymbolRegistry(client, { ttl: 0 });
+    await expiring.get("EURUSD");
+    await expiring.get("EURUSD");
+    assert.equal(client.requests, 4);
+    await assert.rejects(registry.get("GBPUSD"), TickTraderValidationError);
+});
+
+test("prices are rounded to the symbol precision and amounts down to the trade amount step", async function() {
+    const registry = new SymbolRegistry(symbolsClient());
+    assert.equal(await registry.roundPrice("EURUSD", 1.085004), 1.085);
+    assert.equal(await registry.roundPrice("EURUSD", 1.085006), 1.08501);
+    assert.equal(await registry.roundAmount("EURUSD", 2500), 2000);
+    assert.equal(await registry.roundAmount("XAUUSD", 0.3), 0.3);
+    assert.equal(await registry.roundAmount("XAUUSD", 0.37), 0.3);
+
+    const prepared = await registry.prepareTrade({ Type: "Limit", Side: "Buy", Symbol: "XAUUSD", Amount: 1.25, Price: 1950.123, StopLoss: 1900.009, TakeProfit: 2000 });
+    assert.deepEqual(prepared, { Type: "Limit", Side: "Buy", Symbol: "XAUUSD", Amount: 1.2, Price: 1950.12, StopLoss: 1900.01, TakeProfit: 2000 });
+});
+
+test("validate mode and amount range reject the request with every invalid field", async function() {
+    const registry = new SymbolRegistry(symbolsClient(), { mode: "validate" });
+    await assert.rejects(registry.prepareTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1500, Price: 1.085004 }), function(err) {
+        assert.ok(err instanceof TickTraderValidationError);
+        assert.deepEqual(err.errors.map(function(error) { return error.field; }), ["Price", "Amount"]);
+        return true;
+    });
+    const rounding = new SymbolRegistry(symbolsClient());
+    await assert.rejects(rounding.prepareTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 500 }), /less than minimal trade amount/);
+    await assert.rejects(rounding.prepareTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 200000 }), /greater than maximal trade amount/);
+    await assert.rejects(rounding.prepareTrade({ Type: "Market", Side: "Buy", Symbol: "CLOSED", Amount: 1 }), /Trading is not allowed/);
+    assert.throws(function() { return new SymbolRegistry(symbolsClient(), { mode: "truncate" }); }, /mode/);
+});
+
+test("client symbol registry rounds created trades before they are sent", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, symbols: true });
+        const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 2500, Price: 1.0800049 });
+        assert.equal(trade.Amount, 2000);
+        assert.equal(trade.Price, 1.08);
+    }
+    finally {
+        await server.close();
+    }
+});
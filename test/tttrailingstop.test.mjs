@@ -0,0 +1,96 @@
+/**
+ * Trailing stop manager tests against the mock Web API server: ratchet direction, minimal step, throttle and dry run
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, TrailingStopManager } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+/**
+ * Run the test body with a trailing stop manager over a new mock server
+ */
+const withTrailing = async function(options, body) {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+    const manager = new TrailingStopManager(client, Object.assign({ pollInterval: 0, throttle: 0 }, options));
+    try {
+        await body(server, client, manager);
+    }
+    finally {
+        await manager.stop();
+        await server.close();
+    }
+};
+
+const tick = function(symbol, bid, ask) {
+    return { Symbol: symbol, BestBid: { Price: bid }, BestAsk: { Price: ask } };
+};
+
+const stopLosses = async function(client) {
+    const trades = await client.getAllTrades();
+    return trades.map(function(trade) { return trade.Side + ":" + trade.StopLoss; });
+};
+
+test("stop loss follows the price only in the profitable direction", function() {
+    return withTrailing({ distance: 0.001 }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await client.createTrade({ Type: "Market", Side: "Sell", Symbol: "EURUSD", Amount: 1000 });
+        await manager.start();
+        assert.deepEqual(await stopLosses(client), ["Buy:1.084", "Sell:1.0862"]);
+
+        await manager.handleTick(tick("EURUSD", 1.086, 1.0862));
+        assert.deepEqual(await stopLosses(client), ["Buy:1.085", "Sell:1.0862"]);
+        await manager.handleTick(tick("EURUSD", 1.084, 1.0842));
+        assert.deepEqual(await stopLosses(client), ["Buy:1.085", "Sell:1.0852"]);
+    });
+});
+
+test("percent distance is rounded to the symbol precision", function() {
+    return withTrailing({ percent: 1 }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "USDJPY", Amount: 1000 });
+        await manager.update();
+        // 150.1 - 1.501 rounded to 3 digits
+        assert.deepEqual(await stopLosses(client), ["Buy:148.599"]);
+    });
+});
+
+test("moves smaller than the minimal step are skipped", function() {
+    return withTrailing({ distance: 0.001, minStep: 0.0005 }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, StopLoss: 1.084 });
+        const modifications = [];
+        manager.on('modify', function(modification) { modifications.push(modification.StopLoss); });
+        await manager.update();
+        await manager.handleTick(tick("EURUSD", 1.0853, 1.0855));
+        assert.deepEqual(modifications, []);
+        await manager.handleTick(tick("EURUSD", 1.0856, 1.0858));
+        assert.deepEqual(modifications, [1.0846]);
+    });
+});
+
+test("modifications of the same trade are throttled", function() {
+    return withTrailing({ distance: 0.001, throttle: 60000 }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await manager.update();
+        await manager.handleTick(tick("EURUSD", 1.09, 1.0902));
+        assert.deepEqual(await stopLosses(client), ["Buy:1.084"]);
+    });
+});
+
+test("dry run logs modifications without sending them and ratchets locally", function() {
+    const lines = [];
+    const logger = { log: function(line) { lines.push(line); } };
+    return withTrailing({ distance: 0.001, dryRun: true, logger: logger }, async function(server, client, manager) {
+        await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        const modifications = [];
+        manager.on('modify', function(modification) { modifications.push([modification.Previous, modification.StopLoss, modification.DryRun]); });
+        await manager.update();
+        await manager.handleTick(tick("EURUSD", 1.0849, 1.0851));
+        await manager.handleTick(tick("EURUSD", 1.086, 1.0862));
+        assert.deepEqual(modifications, [[undefined, 1.084, true], [1.084, 1.085, true]]);
+        assert.equal(lines.length, 2);
+        assert.match(lines[1], /dry run.*StopLoss 1\.084 -> 1\.085/);
+        assert.deepEqual(await stopLosses(client), ["Buy:undefined"]);
+    });
+});
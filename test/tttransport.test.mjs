@@ -0,0 +1,75 @@
+/**
+ * HTTP transport tests: fetch and axios adapters and the recording transport
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, FetchTransport, AxiosTransport, RecordingTransport } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+test("fetch transport parses JSON responses and resolves error statuses", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        const transport = new FetchTransport();
+        const response = await transport.request({ method: 'get', url: address + "/api/v2/public/tradesession", headers: { 'Accept': 'application/json' } });
+        assert.equal(response.status, 200);
+        assert.match(response.headers['content-type'], /json/);
+        assert.equal(typeof response.data, 'object');
+
+        const missing = await transport.request({ method: 'get', url: address + "/api/v2/account" });
+        assert.equal(missing.status, 401);
+    }
+    finally {
+        await server.close();
+    }
+});
+
+test("fetch transport sends JSON body and rejects timed out requests", async function() {
+    const calls = [];
+    const fetch = function(url, init) {
+        calls.push({ url: url, init: init });
+        return new Promise(function(resolve, reject) {
+            init.signal.addEventListener('abort', function() { reject(new Error("aborted")); });
+        });
+    };
+    const transport = new FetchTransport({ fetch: fetch, timeout: 10 });
+    await assert.rejects(transport.request({ method: 'post', url: "https://localhost/api/v2/trade", data: { Amount: 1000 } }), { name: 'TimeoutError' });
+    assert.equal(calls[0].init.method, 'POST');
+    assert.equal(calls[0].init.body, '{"Amount":1000}');
+});
+
+test("axios transport maps axios responses and keeps error statuses", async function() {
+    const calls = [];
+    const axios = function(config) {
+        calls.push(config);
+        return Promise.resolve({ status: 404, statusText: "Not Found", headers: { 'Content-Type': 'application/json' }, data: { Message: "Not found" } });
+    };
+    const transport = new AxiosTransport(axios, { timeout: 5000 });
+    const config = { method: 'get', url: "https://localhost/api/v2/trade/1", headers: {} };
+    const response = await transport.request(config);
+    assert.deepEqual(response, { status: 404, statusText: "Not Found", headers: { 'content-type': 'application/json' }, data: { Message: "Not found" }, config: config });
+    assert.equal(calls[0].timeout, 5000);
+    assert.equal(calls[0].validateStatus(500), true);
+    assert.throws(function() { return new AxiosTransport(); }, /axios instance/);
+});
+
+test("recording transport keeps signed client requests and their responses", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        const transport = new RecordingTransport(new FetchTransport());
+        const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { transport: transport });
+        await client.getAccount();
+        assert.equal(transport.records.length, 1);
+        const record = transport.records[0];
+        assert.equal(record.request.url, address + "/api/v2/account");
+        assert.match(record.request.headers['Authorization'], /^HMAC id:key:\d+:/);
+        assert.equal(record.response.status, 200);
+        transport.clear();
+        assert.equal(transport.records.length, 0);
+    }
+    finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,72 @@
+/**
+ * Trade request validation tests: field rules, trade type rules, strict mode and client integration
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderWebClient, TickTraderValidationError, validateCreateTrade, validateModifyTrade } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+const fields = function(errors) {
+    return errors.map(function(error) { return error.field; });
+};
+
+test("valid create trade requests have no errors", function() {
+    assert.deepEqual(validateCreateTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), []);
+    assert.deepEqual(validateCreateTrade({ Type: "Limit", Side: "Sell", Symbol: "EURUSD", Amount: 1000, Price: 1.1, ExpiredTimestamp: new Date(), ImmediateOrCancel: true, StopLoss: 1.2, Comment: "" }), []);
+});
+
+test("create trade fields are checked for presence, allowed values and types", function() {
+    assert.deepEqual(fields(validateCreateTrade({})), ["Type", "Side", "Symbol", "Amount"]);
+    assert.deepEqual(fields(validateCreateTrade({ Type: "<unknown>", Side: "Long", Symbol: 1, Amount: -1, StopLoss: "1.0", ImmediateOrCancel: "yes" })),
+        ["Type", "Side", "Symbol", "Amount", "StopLoss", "ImmediateOrCancel", "ImmediateOrCancel"]);
+    assert.deepEqual(fields(validateCreateTrade(null)), [""]);
+    assert.deepEqual(fields(validateCreateTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, ExpiredTimestamp: new Date(NaN) })), ["ExpiredTimestamp", "Price"]);
+});
+
+test("create trade type rules are checked", function() {
+    const market = { Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 };
+    assert.deepEqual(validateCreateTrade(Object.assign({}, market, { Type: "Stop" })).map(function(error) { return error.message; }), ["Price is required for Stop trades"]);
+    assert.deepEqual(fields(validateCreateTrade(Object.assign({}, market, { ImmediateOrCancel: true }))), ["ImmediateOrCancel"]);
+    assert.deepEqual(fields(validateCreateTrade(Object.assign({}, market, { Type: "Stop", Price: 1.1, ImmediateOrCancel: true }))), ["ImmediateOrCancel"]);
+    assert.deepEqual(fields(validateCreateTrade(Object.assign({}, market, { ExpiredTimestamp: Date.now() }))), ["ExpiredTimestamp"]);
+});
+
+test("unknown fields are rejected only in the strict mode", function() {
+    const request = { Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Stoploss: 1.0, Slippage: undefined };
+    assert.deepEqual(validateCreateTrade(request), []);
+    assert.deepEqual(validateCreateTrade(request, { strict: true }).map(function(error) { return error.message; }), ["Unknown field Stoploss"]);
+    assert.deepEqual(fields(validateModifyTrade({ Id: 1, Comments: "" }, undefined, { strict: true })), ["Comments"]);
+});
+
+test("modify trade rules depend on the modified trade type", function() {
+    assert.deepEqual(validateModifyTrade({ Id: "12", StopLoss: 1.0 }), []);
+    assert.deepEqual(fields(validateModifyTrade({ Id: "abc", Price: 0 })), ["Id", "Price"]);
+    assert.deepEqual(validateModifyTrade({ Id: 1, Price: 1.1, ExpiredTimestamp: Date.now() }, { Type: "Limit" }), []);
+    assert.deepEqual(fields(validateModifyTrade({ Id: 1, Price: 1.1, ExpiredTimestamp: Date.now() }, { Type: "Position" })), ["Price", "ExpiredTimestamp"]);
+});
+
+test("client rejects invalid requests before they are sent", async function() {
+    const server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const address = await server.listen();
+    try {
+        const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+        await assert.rejects(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), function(err) {
+            assert.ok(err instanceof TickTraderValidationError);
+            assert.deepEqual(fields(err.errors), ["Price"]);
+            return true;
+        });
+        const position = await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        await assert.rejects(client.modifyTrade({ Id: position.Id, Price: 1.1 }), /Price of Position trades cannot be changed/);
+        assert.equal((await client.getAllTrades()).length, 1);
+
+        const strict = new TickTraderWebClient(address, 'id', 'key', 'secret', { validate: "strict" });
+        await assert.rejects(strict.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Stoploss: 1.0 }), /Unknown field Stoploss/);
+        // Without the local validation the request is rejected by the server
+        const unchecked = new TickTraderWebClient(address, 'id', 'key', 'secret', { validate: false });
+        await assert.rejects(unchecked.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000 }), { status: 400, errors: undefined });
+    }
+    finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,183 @@
+/**
+ * TickTraderWebClient tests against the mock Web API server: request signing, retries and ClientId reconciliation
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { TickTraderPublicClient, TickTraderWebClient, TickTraderAuthError, TickTraderServerError, TickTraderNetworkError } from '../ttwebclient.mjs';
+import { TickTraderMockServer } from '../ttmockserver.mjs';
+
+const retry = { retries: 2, minDelay: 1, jitter: false };
+
+let server;
+let address;
+
+before(async function() {
+    server = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', maxTimestampSkew: 60000 });
+    address = await server.listen();
+});
+
+after(function() {
+    return server.close();
+});
+
+test("signed requests are accepted with valid credentials", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+    const account = await client.getAccount();
+    assert.equal(account.AccountingType, "Gross");
+});
+
+test("signed requests are rejected with invalid secret", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'wrong');
+    await assert.rejects(client.getAccount(), TickTraderAuthError);
+});
+
+test("public requests are not signed", async function() {
+    const client = new TickTraderWebClient(address);
+    assert.equal(client.isAuthenticated, false);
+    assert.equal((await client.getPublicTradeSession()).status, 200);
+    await assert.rejects(client.getAccount(), /not authenticated/);
+});
+
+test("request rejected for the clock skew is repeated after the clock sync", async function() {
+    const skewed = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', maxTimestampSkew: 1000, clockOffset: 120000 });
+    const skewedAddress = await skewed.listen();
+    try {
+        const client = new TickTraderWebClient(skewedAddress, 'id', 'key', 'secret', { unwrap: true });
+        assert.equal((await client.getAccount()).AccountingType, "Gross");
+        assert.ok(client.clock.offset > 100000);
+    }
+    finally {
+        await skewed.close();
+    }
+});
+
+test("idempotent request is retried after a server failure", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, retry: retry });
+    server.failNext('GET', '/api/v2/account', 503);
+    assert.equal((await client.getAccount()).AccountingType, "Gross");
+});
+
+test("failure is reported when retries are disabled", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret');
+    server.failNext('GET', '/api/v2/account', 503);
+    await assert.rejects(client.getAccount(), TickTraderServerError);
+});
+
+test("created trade with lost response is reconciled by ClientId", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, retry: retry });
+    const count = (await client.getAllTrades()).length;
+    server.dropNext('POST', '/api/v2/trade', true);
+    const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+    assert.ok(trade.ClientId);
+    const trades = await client.getAllTrades();
+    assert.equal(trades.length, count + 1);
+    assert.equal(trades.filter(function(item) { return item.ClientId === trade.ClientId; }).length, 1);
+    await client.cancelTrade(trade.Id);
+});
+
+test("trade not created by the dropped request is submitted again", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true, retry: retry });
+    server.dropNext('POST', '/api/v2/trade', false);
+    const trade = await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 });
+    const trades = await client.getAllTrades();
+    assert.equal(trades.filter(function(item) { return item.ClientId === trade.ClientId; }).length, 1);
+    await client.cancelTrade(trade.Id);
+});
+
+test("unknown outcome is rejected with the original error when the trade was not created", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret');
+    server.dropNext('POST', '/api/v2/trade', false);
+    await assert.rejects(client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 }), TickTraderNetworkError);
+});
+
+test("market trade of net account is reconciled from trade history", async function() {
+    const net = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret', accountingType: 'Net' });
+    const netAddress = await net.listen();
+    try {
+        const client = new TickTraderWebClient(netAddress, 'id', 'key', 'secret', { unwrap: true });
+        net.dropNext('POST', '/api/v2/trade', true);
+        const trade = await client.createTrade({ Type: "Market", Side: "Buy", Symbol: "EURUSD", Amount: 1000 });
+        assert.ok(trade.Id);
+        const positions = await client.getAllPositions();
+        assert.equal(positions.find(function(position) { return position.Symbol === "EURUSD"; }).LongAmount, 1000);
+    }
+    finally {
+        await net.close();
+    }
+});
+
+test("trade history iterators request all report pages", async function() {
+    const history = new TickTraderMockServer({ web_api_id: 'id', web_api_key: 'key', web_api_secret: 'secret' });
+    const historyAddress = await history.listen();
+    try {
+        const client = new TickTraderWebClient(historyAddress, 'id', 'key', 'secret');
+        const trade = (await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "EURUSD", Amount: 1000, Price: 1.0 })).data;
+        await client.modifyTrade({ Id: trade.Id, Price: 1.01 });
+        await client.cancelTrade(trade.Id);
+        for (let i = 0; i < 4; i++)
+            await client.createTrade({ Type: "Limit", Side: "Buy", Symbol: "USDJPY", Amount: 1000, Price: 100 });
+
+        const pages = [];
+        const getTradeHistory = client.getTradeHistory;
+        client.getTradeHistory = function(request) {
+            pages.push(request.RequestLastId);
+            return getTradeHistory.call(this, request);
+        };
+        const records = [];
+        for await (const record of client.iterateTradeHistory({ RequestPageSize: 3 }))
+            records.push(record);
+        assert.equal(records.length, 7);
+        assert.equal(new Set(records.map(function(record) { return record.Id; })).size, 7);
+        assert.deepEqual(pages, [undefined, records[2].Id, records[5].Id]);
+
+        const types = [];
+        for await (const record of client.iterateTradeHistoryByTradeId(trade.Id, { RequestPageSize: 1, RequestDirection: "Backward" }))
+            types.push(record.TransactionType);
+        assert.deepEqual(types, ["OrderCanceled", "OrderModified", "OrderOpened"]);
+    }
+    finally {
+        await history.close();
+    }
+});
+
+test("quote history bars are iterated page by page within the time range", async function() {
+    const client = new TickTraderWebClient(address, 'id', 'key', 'secret', { unwrap: true });
+    const to = Math.floor(Date.now() / 60000) * 60000 - 60000;
+    const from = to - 24 * 60000;
+    const bars = [];
+    for await (const bar of client.iterateQuoteHistoryBars("EURUSD", "M1", "bid", { TimestampFrom: from, TimestampTo: to, RequestPageSize: 10 }))
+        bars.push(bar);
+    assert.equal(bars.length, 25);
+    assert.equal(bars[0].Timestamp.getTime(), from);
+    assert.equal(bars[bars.length - 1].Timestamp.getTime(), to);
+    bars.reduce(function(previous, bar) {
+        assert.equal(bar.Timestamp - previous.Timestamp, 60000);
+        return bar;
+    });
+});
+
+test("quote history ticks with the same timestamp on the page boundary are not repeated", async function() {
+    const history = [1, 2, 2, 2, 3, 4].map(function(timestamp, index) {
+        return { Timestamp: timestamp, BestBid: { Type: "Bid", Price: index, Volume: 1 } };
+    });
+    const client = new TickTraderPublicClient("https://localhost:8443");
+    const pages = [];
+    client.getPublicQuoteHistoryTicksInfo = function() {
+        return Promise.resolve({ data: { AvailableFrom: 1, AvailableTo: 4 } });
+    };
+    client.getPublicQuoteHistoryTicks = function(symbol, timestamp, count) {
+        pages.push(timestamp);
+        return Promise.resolve({ data: { Ticks: history.filter(function(tick) { return tick.Timestamp >= timestamp; }).slice(0, count) } });
+    };
+    const prices = [];
+    for await (const tick of client.iteratePublicQuoteHistoryTicks("EURUSD", { RequestPageSize: 3 }))
+        prices.push(tick.BestBid.Price);
+    assert.deepEqual(prices, [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(pages, [1, 2, 2, 3]);
+
+    prices.length = 0;
+    for await (const tick of client.iteratePublicQuoteHistoryTicks("EURUSD", { TimestampFrom: 2, TimestampTo: 2, RequestPageSize: 3 }))
+        prices.push(tick.BestBid.Price);
+    assert.deepEqual(prices, [1, 2, 3]);
+});
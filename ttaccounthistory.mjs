@@ -0,0 +1,62 @@
+/**
+ * TickTrader account equity and balance time series (ESM)
+ * Joins daily account snapshots with balance movements of the trade history
+ */
+
+import { toDecimal } from './ttmodels.mjs';
+
+/**
+ * Build account equity and balance time series
+ * Each daily snapshot gives a point with the reported balance and equity. Each trade history record with a balance
+ * movement (deposit, withdrawal, closed position...) gives a point with the new balance; equity between snapshots
+ * is estimated by keeping the floating profit of the previous snapshot. Points with the same timestamp keep
+ * balance movements before the snapshot, as the snapshot already includes them.
+ * @param snapshots Daily account snapshots
+ * @param records Trade history records (records without `BalanceMovement` are skipped)
+ * @returns List of points `{ Timestamp, Balance, Equity, BalanceMovement, Source, Id }` ordered by time,
+ *   `Source` is "Snapshot" or "TradeHistory" and timestamps are in milliseconds
+ */
+const buildEquitySeries = function(snapshots, records) {
+    const points = [];
+    (records || []).forEach(function(record) {
+        if (record.BalanceMovement === undefined || record.BalanceMovement === null)
+            return;
+        points.push({
+            Timestamp: Number(record.TransactionTimestamp !== undefined ? record.TransactionTimestamp : record.Timestamp),
+            Balance: record.Balance,
+            Equity: undefined,
+            BalanceMovement: record.BalanceMovement,
+            Source: "TradeHistory",
+            Id: record.Id
+        });
+    });
+    (snapshots || []).forEach(function(snapshot) {
+        points.push({
+            Timestamp: Number(snapshot.Timestamp),
+            Balance: snapshot.Balance,
+            Equity: snapshot.Equity,
+            BalanceMovement: 0,
+            Source: "Snapshot",
+            Id: snapshot.Id
+        });
+    });
+    // Array sort is stable, so balance movements stay before snapshots with the same timestamp
+    points.sort(function(a, b) { return a.Timestamp - b.Timestamp; });
+
+    let balance;
+    let floating = 0;
+    points.forEach(function(point) {
+        if (point.Source === "Snapshot") {
+            balance = point.Balance;
+            floating = point.Equity - point.Balance;
+            return;
+        }
+        if (point.Balance === undefined || point.Balance === null)
+            point.Balance = balance !== undefined ? toDecimal(balance + point.BalanceMovement) : undefined;
+        balance = point.Balance;
+        point.Equity = balance !== undefined ? toDecimal(balance + floating) : undefined;
+    });
+    return points;
+};
+
+export { buildEquitySeries };
@@ -0,0 +1,179 @@
+/**
+ * TickTrader batch trade operations (ESM)
+ * Closes positions and cancels pending trades in bulk with limited concurrency and reports the result of every trade
+ */
+
+import { toDecimal } from './ttmodels.mjs';
+
+const PENDING_TYPES = ["Limit", "Stop"];
+
+/**
+ * Run the task for every item with at most `concurrency` tasks at once
+ * @returns Promise with the task results in the items order
+ */
+const _runLimited = function(items, concurrency, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = function() {
+        if (next >= items.length)
+            return Promise.resolve();
+        const index = next++;
+        return Promise.resolve().then(function() {
+            return task(items[index], index);
+        }).then(function(result) {
+            results[index] = result;
+            return worker();
+        });
+    };
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(concurrency || 1, items.length)); i++)
+        workers.push(worker());
+    return Promise.all(workers).then(function() { return results; });
+};
+
+/**
+ * Run the trade operation and convert its outcome into the report result
+ */
+const _attempt = function(result, operation) {
+    return operation().then(function() {
+        result.Success = true;
+        return result;
+    }, function(err) {
+        result.Success = false;
+        result.Error = err;
+        return result;
+    });
+};
+
+const _matches = function(item, request) {
+    return (!request.symbol || item.Symbol === request.symbol) && (!request.side || item.Side === request.side);
+};
+
+const _report = function(results) {
+    const succeeded = results.filter(function(result) { return result.Success; }).length;
+    return { Results: results, Succeeded: succeeded, Failed: results.length - succeeded };
+};
+
+/**
+ * Net opposite positions of the symbol with `closeByTrade()` and return positions left to close
+ * Pairs are closed one by one, because every close by changes the remaining amounts.
+ */
+const _closeBySymbol = async function(client, positions, results) {
+    const remaining = positions.map(function(trade) { return { trade: trade, amount: trade.Amount }; });
+    const byAmount = function(a, b) { return b.amount - a.amount; };
+    const buys = remaining.filter(function(item) { return item.trade.Side === "Buy"; }).sort(byAmount);
+    const sells = remaining.filter(function(item) { return item.trade.Side === "Sell"; }).sort(byAmount);
+    while (buys.length > 0 && sells.length > 0) {
+        const buy = buys[0];
+        const sell = sells[0];
+        const amount = Math.min(buy.amount, sell.amount);
+        const result = await _attempt({ Action: "CloseBy", TradeId: buy.trade.Id, ByTradeId: sell.trade.Id, Symbol: buy.trade.Symbol, Side: buy.trade.Side, Amount: amount }, function() {
+            return client.closeByTrade(buy.trade.Id, sell.trade.Id);
+        });
+        results.push(result);
+        if (!result.Success)
+            break;
+        buy.amount = toDecimal(buy.amount - amount);
+        sell.amount = toDecimal(sell.amount - amount);
+        if (buy.amount <= 0)
+            buys.shift();
+        if (sell.amount <= 0)
+            sells.shift();
+    }
+    // Failed close by leaves the rest to be closed one by one
+    return buys.concat(sells);
+};
+
+/**
+ * Close all positions matching the request
+ * Request fields:
+ * - **symbol** (optional) - Close positions of the symbol only
+ * - **side** (optional) - Close positions of the side only ("Buy" or "Sell")
+ * - **concurrency** (optional) - Maximal number of concurrent requests. Default is 5.
+ * - **closeBy** (optional) - Net opposite positions of the same symbol with `closeByTrade()`, so only one side
+ *   pays the spread. Default is true.
+ * Gross account positions are closed with `closeTrade()`. Net account positions are offset with opposite market
+ * trades, which reduce the positions, so the risk guard checks only their order amount. Cash accounts have no positions to close.
+ * @param client Raw TickTrader Web API client
+ * @param request Close request (optional)
+ * @returns Report `{ Results, Succeeded, Failed }`
+ */
+const closeAllTrades = async function(client, request) {
+    request = request || {};
+    const concurrency = request.concurrency || 5;
+    const account = (await client.getAccount()).data;
+    const results = [];
+
+    if (account.AccountingType === "Net") {
+        const positions = (await client.getAllPositions()).data.map(function(position) {
+            const net = toDecimal(position.LongAmount - position.ShortAmount);
+            return { Symbol: position.Symbol, Side: net > 0 ? "Buy" : "Sell", Amount: Math.abs(net) };
+        }).filter(function(position) { return position.Amount > 0 && _matches(position, request); });
+        return _report(await _runLimited(positions, concurrency, function(position) {
+            const side = position.Side === "Buy" ? "Sell" : "Buy";
+            return _attempt({ Action: "Offset", Symbol: position.Symbol, Side: position.Side, Amount: position.Amount }, function() {
+                return client.createTrade({ Type: "Market", Side: side, Symbol: position.Symbol, Amount: position.Amount, Comment: "Close all" });
+            });
+        }));
+    }
+
+    const positions = (await client.getAllTrades()).data.filter(function(trade) {
+        return trade.Type === "Position" && _matches(trade, request);
+    });
+    let closing = positions.map(function(trade) { return { trade: trade, amount: trade.Amount }; });
+    if (request.closeBy !== false) {
+        const bySymbol = {};
+        positions.forEach(function(trade) { (bySymbol[trade.Symbol] || (bySymbol[trade.Symbol] = [])).push(trade); });
+        const symbols = Object.keys(bySymbol);
+        closing = [].concat.apply([], await _runLimited(symbols, concurrency, function(symbol) {
+            return _closeBySymbol(client, bySymbol[symbol], results);
+        }));
+    }
+
+    const closed = await _runLimited(closing, concurrency, function(item) {
+        // Partially netted positions are closed by the remaining amount only
+        const partial = item.amount < item.trade.Amount;
+        return _attempt({ Action: "Close", TradeId: item.trade.Id, Symbol: item.trade.Symbol, Side: item.trade.Side, Amount: item.amount }, function() {
+            return client.closeTrade(item.trade.Id, partial ? item.amount : undefined);
+        });
+    });
+    return _report(results.concat(closed));
+};
+
+/**
+ * Cancel all pending trades matching the request
+ * Request fields:
+ * - **symbol** (optional) - Cancel trades of the symbol only
+ * - **side** (optional) - Cancel trades of the side only ("Buy" or "Sell")
+ * - **concurrency** (optional) - Maximal number of concurrent requests. Default is 5.
+ * @param client Raw TickTrader Web API client
+ * @param request Cancel request (optional)
+ * @returns Report `{ Results, Succeeded, Failed }`
+ */
+const cancelAllPending = async function(client, request) {
+    request = request || {};
+    const pending = (await client.getAllTrades()).data.filter(function(trade) {
+        return PENDING_TYPES.indexOf(trade.Type) >= 0 && _matches(trade, request);
+    });
+    return _report(await _runLimited(pending, request.concurrency || 5, function(trade) {
+        return _attempt({ Action: "Cancel", TradeId: trade.Id, Symbol: trade.Symbol, Side: trade.Side, Amount: trade.Amount }, function() {
+            return client.cancelTrade(trade.Id);
+        });
+    }));
+};
+
+/**
+ * Cancel pending trades and close positions
+ * Pending trades are canceled first, so they cannot open new positions while the account is flattened.
+ * @param client Raw TickTrader Web API client
+ * @param request Request with `symbol`, `concurrency` and `closeBy` fields (optional)
+ * @returns Report `{ Results, Succeeded, Failed }` of both steps
+ */
+const flattenAccount = async function(client, request) {
+    request = Object.assign({}, request, { side: undefined });
+    const canceled = await cancelAllPending(client, request);
+    const closed = await closeAllTrades(client, request);
+    return _report(canceled.Results.concat(closed.Results));
+};
+
+export { closeAllTrades, cancelAllPending, flattenAccount };
@@ -0,0 +1,123 @@
+/**
+ * TickTrader Web API client with jQuery-style promises (ESM)
+ * Source of the browser `ttwebclient.js` bundle (`npm run build`). Wraps TickTraderWebClient, so the bundle signs
+ * requests, retries, reconciles and validates them exactly like the ES module client.
+ * Methods return jQuery-style promises resolved with the response data:
+ * `.done(data)`, `.fail(xhr, textStatus, errorThrown)` (also available as `.error()`), `.always()` and `.then()`.
+ * If jQuery is loaded the returned promises are jQuery Deferred promises and can be passed to `$.when()`.
+ */
+
+import { TickTraderPublicClient, TickTraderWebClient as TickTraderModuleClient } from './ttwebclient.mjs';
+
+const _noop = function() {};
+
+/**
+ * Create jQuery-style promise
+ * Executor receives `resolve(data)` and `reject(xhr, textStatus, errorThrown)` callbacks.
+ * jQuery Deferred is used if jQuery is loaded, otherwise native Promise is extended with jQuery-style methods.
+ */
+const _deferred = function(executor) {
+    const jQuery = globalThis.jQuery;
+    if (jQuery && jQuery.Deferred) {
+        const deferred = jQuery.Deferred();
+        executor(deferred.resolve, deferred.reject);
+        const result = deferred.promise();
+        result.error = result.fail;
+        result.success = result.done;
+        return result;
+    }
+
+    const promise = new Promise(function(resolve, reject) {
+        executor(resolve, function(xhr, textStatus, errorThrown) {
+            const error = xhr.error || new Error("TickTrader Web API request failed: " + (errorThrown || textStatus));
+            error.xhr = xhr;
+            error.textStatus = textStatus;
+            error.errorThrown = errorThrown;
+            reject(error);
+        });
+    });
+    // Failures are reported through fail() callbacks, so the promise itself is never left unhandled
+    promise.catch(_noop);
+    promise.done = promise.success = function(callback) {
+        promise.then(callback, _noop);
+        return promise;
+    };
+    promise.fail = promise.error = function(callback) {
+        promise.then(null, function(error) { callback(error.xhr, error.textStatus, error.errorThrown); });
+        return promise;
+    };
+    promise.always = function(callback) {
+        return promise.done(callback).fail(callback);
+    };
+    promise.promise = function() {
+        return promise;
+    };
+    return promise;
+};
+
+/**
+ * Convert client error into jqXHR-like object (`status` is 0 for network failures)
+ * The original TickTrader error is kept in `error`.
+ */
+const _xhr = function(err) {
+    const payload = err && err.payload;
+    return {
+        status: err && err.status || 0,
+        statusText: err && err.status ? "error" : "network error",
+        responseText: payload === undefined ? "" : typeof payload === 'string' ? payload : JSON.stringify(payload),
+        responseJSON: typeof payload === 'object' ? payload : undefined,
+        error: err
+    };
+};
+
+/**
+ * Check if the value is a raw transport response
+ */
+const _isResponse = function(value) {
+    return !!value && typeof value === 'object' && typeof value.status === 'number' && 'data' in value && 'headers' in value;
+};
+
+/**
+ * TickTrader Web API client with jQuery-style promises
+ * Accepts the same arguments and options as TickTraderWebClient, which is available in `client.client`.
+ * Credentials are kept by the wrapped client's credential provider, not in the fields of this object.
+ * @param web_api_address Web API address (e.g. "https://ttdemowebapi.soft-fx.com:8443")
+ * @param web_api_id Web API Id or credential provider
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ * @param options Client options (optional)
+ */
+const TickTraderWebClient = function(web_api_address, web_api_id, web_api_key, web_api_secret, options) {
+    this.client = new TickTraderModuleClient(web_api_address, web_api_id, web_api_key, web_api_secret, options);
+    this.web_api_address = web_api_address;
+};
+
+/**
+ * Wrap client method, so promises it returns become jQuery-style ones resolved with the response data
+ */
+const _wrap = function(name) {
+    return function() {
+        const client = this.client;
+        const result = client[name].apply(client, arguments);
+        if (!result || typeof result.then !== 'function')
+            return result;
+        return _deferred(function(resolve, reject) {
+            result.then(function(value) {
+                resolve(_isResponse(value) ? value.data : value);
+            }, function(err) {
+                reject(_xhr(err), "error", err && err.message || String(err));
+            });
+        });
+    };
+};
+
+[TickTraderPublicClient.prototype, TickTraderModuleClient.prototype].forEach(function(prototype) {
+    Object.getOwnPropertyNames(prototype).forEach(function(name) {
+        if (name !== 'constructor' && name[0] !== '_' && typeof prototype[name] === 'function')
+            TickTraderWebClient.prototype[name] = _wrap(name);
+    });
+});
+
+TickTraderWebClient.TickTraderWebClient = TickTraderWebClient;
+
+export { TickTraderWebClient };
@@ -0,0 +1,63 @@
+/**
+ * TickTrader Web API server clock (ESM)
+ * Server time offset estimated from HTTP `Date` response headers, used for HMAC signature timestamps
+ */
+
+/**
+ * Server clock
+ * Clock options:
+ * - **offset** (optional) - Initial server time offset from the local clock (ms). Default is 0.
+ * - **tolerance** (optional) - Minimal difference between the estimated and the current offset which updates
+ *   the offset from regular responses (ms). Default is 1000 as `Date` headers have one second resolution.
+ * @param options Clock options
+ */
+const ServerClock = function(options) {
+    options = options || {};
+    this.offset = options.offset || 0;
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : 1000;
+    this.synchronized = undefined;
+};
+
+/**
+ * Get current server time estimation
+ * @returns Server timestamp (ms)
+ */
+ServerClock.prototype.now = function() {
+    return Date.now() + this.offset;
+};
+
+/**
+ * Estimate server time offset from the response `Date` header
+ * @param date Response `Date` header value
+ * @param sent Local time when the request was sent (ms)
+ * @param received Local time when the response was received (ms)
+ * @returns Estimated offset (ms) or undefined if the header is missing or invalid
+ */
+ServerClock.prototype.estimate = function(date, sent, received) {
+    const server = date ? Date.parse(date) : NaN;
+    if (isNaN(server))
+        return undefined;
+    // Date header is truncated to seconds, so the middle of the second is taken as the server time
+    return Math.round(server + 500 - (sent + received) / 2);
+};
+
+/**
+ * Update server time offset from the response `Date` header
+ * @param date Response `Date` header value
+ * @param sent Local time when the request was sent (ms)
+ * @param received Local time when the response was received (ms)
+ * @param force Apply the estimated offset even if it is within the tolerance
+ * @returns true if the offset has been changed
+ */
+ServerClock.prototype.update = function(date, sent, received, force) {
+    const estimate = this.estimate(date, sent, received);
+    if (estimate === undefined)
+        return false;
+    if (!force && Math.abs(estimate - this.offset) < this.tolerance)
+        return false;
+    this.offset = estimate;
+    this.synchronized = received;
+    return true;
+};
+
+export { ServerClock };
@@ -0,0 +1,237 @@
+/**
+ * TickTrader Web API credential providers (ESM)
+ * Provider is an object with `getCredentials()` method resolving with `{ web_api_id, web_api_key, web_api_secret }`
+ * and optional `invalidate()` method dropping cached credentials (returns true if fresh credentials may differ).
+ * Web API Secret is kept in non-enumerable properties, so it is never serialized with `JSON.stringify()`.
+ */
+
+/**
+ * Create credentials value with non-enumerable Web API Secret
+ */
+const _credentials = function(web_api_id, web_api_key, web_api_secret) {
+    const credentials = { web_api_id: web_api_id, web_api_key: web_api_key };
+    Object.defineProperty(credentials, 'web_api_secret', { value: web_api_secret, enumerable: false });
+    return Object.freeze(credentials);
+};
+
+/**
+ * Define non-enumerable writable property holding cached credentials
+ */
+const _hidden = function(target, name, value) {
+    Object.defineProperty(target, name, { value: value, writable: true, enumerable: false, configurable: true });
+};
+
+/**
+ * Read Web API credential field ("id", "key" or "secret") from the object by name
+ * Usual spellings are read directly, so non-enumerable and inherited fields are found as well. Other spellings are
+ * matched among own fields ignoring case, '_' and '-'.
+ */
+const _field = function(fields, name) {
+    const title = name.charAt(0).toUpperCase() + name.substr(1);
+    const names = ["web_api_" + name, "WebApi" + title, "webApi" + title, "WEB_API_" + name.toUpperCase(), "web-api-" + name, name, title, name.toUpperCase()];
+    for (const field of names)
+        if (fields[field] !== undefined && fields[field] !== null)
+            return String(fields[field]);
+    for (const field of Object.getOwnPropertyNames(fields)) {
+        const normalized = field.toLowerCase().replace(/[_-]/g, "").replace(/^webapi/, "");
+        if (normalized === name && fields[field] !== undefined && fields[field] !== null)
+            return String(fields[field]);
+    }
+    return undefined;
+};
+
+/**
+ * Get credentials from the object with Web API Id, Key and Secret fields
+ * Field names are matched ignoring case, '_' and '-': `web_api_id` / `WebApiId` / `id`, etc.
+ */
+const _fromFields = function(fields, source) {
+    const values = { id: _field(fields, "id"), key: _field(fields, "key"), secret: _field(fields, "secret") };
+    if (!values.id && !values.key && !values.secret)
+        throw new Error("TickTrader Web API credentials are not found in " + source + "!");
+    return _credentials(values.id, values.key, values.secret);
+};
+
+/**
+ * Parse INI file content into sections of key-value pairs (keys outside of sections are in "" section)
+ */
+const _parseIni = function(text) {
+    const sections = { "": {} };
+    let section = sections[""];
+    text.split(/\r?\n/).forEach(function(line) {
+        line = line.trim();
+        if (!line || line[0] === ';' || line[0] === '#')
+            return;
+        const header = line.match(/^\[(.+)\]$/);
+        if (header) {
+            section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+            return;
+        }
+        const index = line.indexOf('=');
+        if (index < 0)
+            return;
+        const value = line.substr(index + 1).trim().replace(/^(["'])(.*)\1$/, "$2");
+        section[line.substr(0, index).trim()] = value;
+    });
+    return sections;
+};
+
+/**
+ * Static credentials
+ * Credentials can be rotated with `update()`.
+ * @param web_api_id Web API Id
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ */
+const StaticCredentials = function(web_api_id, web_api_key, web_api_secret) {
+    _hidden(this, '_credentials', _credentials(web_api_id, web_api_key, web_api_secret));
+};
+
+StaticCredentials.prototype.getCredentials = function() {
+    return Promise.resolve(this._credentials);
+};
+
+/**
+ * Replace credentials
+ * @param web_api_id Web API Id
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ */
+StaticCredentials.prototype.update = function(web_api_id, web_api_key, web_api_secret) {
+    this._credentials = _credentials(web_api_id, web_api_key, web_api_secret);
+};
+
+StaticCredentials.prototype.invalidate = function() {
+    return false;
+};
+
+/**
+ * Credentials from environment variables (read on each request)
+ * Provider options:
+ * - **id**, **key**, **secret** (optional) - Variable names. Default are `TT_WEB_API_ID`, `TT_WEB_API_KEY` and `TT_WEB_API_SECRET`.
+ * - **env** (optional) - Environment variables. Default is `process.env`.
+ * @param options Provider options
+ */
+const EnvCredentials = function(options) {
+    options = options || {};
+    this.names = {
+        id: options.id || "TT_WEB_API_ID",
+        key: options.key || "TT_WEB_API_KEY",
+        secret: options.secret || "TT_WEB_API_SECRET"
+    };
+    _hidden(this, '_env', options.env);
+};
+
+EnvCredentials.prototype.getCredentials = function() {
+    const env = this._env || (globalThis.process && globalThis.process.env);
+    if (!env)
+        return Promise.reject(new Error("Environment variables are not available!"));
+    return Promise.resolve(_credentials(env[this.names.id], env[this.names.key], env[this.names.secret]));
+};
+
+EnvCredentials.prototype.invalidate = function() {
+    return false;
+};
+
+/**
+ * Credentials from JSON or INI file (Node.js)
+ * JSON file holds an object with `WebApiId`, `WebApiKey` and `WebApiSecret` fields (or `web_api_id`, `id`...),
+ * INI file holds `web_api_id = ...` lines. File is re-read when the cached credentials expire or are invalidated.
+ * Provider options:
+ * - **format** (optional) - `"json"` or `"ini"`. Default is detected by the file extension (`.json` or INI otherwise).
+ * - **section** (optional) - JSON property or INI section holding the credentials (e.g. profile name)
+ * - **ttl** (optional) - Cached credentials lifetime (ms). Default is 60000.
+ * @param path File path
+ * @param options Provider options
+ */
+const FileCredentials = function(path, options) {
+    if (!path)
+        throw new Error("TickTrader credentials file path should be valid!");
+    options = options || {};
+    this.path = path;
+    this.format = options.format || (/\.json$/i.test(path) ? "json" : "ini");
+    this.section = options.section;
+    this.ttl = options.ttl !== undefined ? options.ttl : 60000;
+    _hidden(this, '_cache', null);
+};
+
+FileCredentials.prototype.getCredentials = function() {
+    const self = this;
+    if (this._cache && Date.now() < this._cache.expires)
+        return this._cache.credentials;
+
+    const credentials = import('fs/promises').then(function(fs) {
+        return fs.readFile(self.path, 'utf8');
+    }).then(function(text) {
+        const source = "file " + self.path + (self.section ? " section " + self.section : "");
+        if (self.format === "json") {
+            const data = JSON.parse(text);
+            return _fromFields(self.section ? data[self.section] || {} : data, source);
+        }
+        const sections = _parseIni(text);
+        return _fromFields(sections[self.section || ""] || {}, source);
+    });
+    this._cache = { credentials: credentials, expires: Date.now() + this.ttl };
+    credentials.catch(function() {
+        self._cache = null;
+    });
+    return credentials;
+};
+
+FileCredentials.prototype.invalidate = function() {
+    this._cache = null;
+    return true;
+};
+
+/**
+ * Credentials from async callback (e.g. fetching a secret from a vault)
+ * Concurrent requests share a single callback call. Callback result is cached until it expires or is invalidated.
+ * Provider options:
+ * - **ttl** (optional) - Cached credentials lifetime (ms). Default is no expiration.
+ * @param callback Function resolving with `{ web_api_id, web_api_key, web_api_secret }` (or `WebApiId`... fields)
+ * @param options Provider options
+ */
+const CallbackCredentials = function(callback, options) {
+    if (typeof callback !== 'function')
+        throw new Error("TickTrader credentials callback should be a function!");
+    options = options || {};
+    this.ttl = options.ttl !== undefined ? options.ttl : Infinity;
+    _hidden(this, '_callback', callback);
+    _hidden(this, '_cache', null);
+};
+
+CallbackCredentials.prototype.getCredentials = function() {
+    const self = this;
+    if (this._cache && Date.now() < this._cache.expires)
+        return this._cache.credentials;
+
+    const credentials = Promise.resolve().then(function() {
+        return self._callback();
+    }).then(function(fields) {
+        return _fromFields(fields || {}, "credentials callback result");
+    });
+    this._cache = { credentials: credentials, expires: Date.now() + this.ttl };
+    credentials.catch(function() {
+        self._cache = null;
+    });
+    return credentials;
+};
+
+CallbackCredentials.prototype.invalidate = function() {
+    this._cache = null;
+    return true;
+};
+
+/**
+ * Get credential provider for the client constructor arguments
+ * @param web_api_id Web API Id or credential provider
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ * @returns Credential provider
+ */
+const credentialsProvider = function(web_api_id, web_api_key, web_api_secret) {
+    if (web_api_id && typeof web_api_id.getCredentials === 'function')
+        return web_api_id;
+    return new StaticCredentials(web_api_id, web_api_key, web_api_secret);
+};
+
+export { StaticCredentials, EnvCredentials, FileCredentials, CallbackCredentials, credentialsProvider };
@@ -0,0 +1,37 @@
+/**
+ * TickTrader Web API request signing (ESM)
+ * HMAC-SHA256 based on WebCrypto, available in browsers, Deno, Bun and Node.js 18+
+ */
+
+const _subtle = function() {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle)
+        throw new Error("WebCrypto is not available! TickTrader Web API requests cannot be signed.");
+    return subtle;
+};
+
+const _base64 = function(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    for (let index = 0; index < bytes.length; index++)
+        binary += String.fromCharCode(bytes[index]);
+    return btoa(binary);
+};
+
+/**
+ * Calculate HMAC-SHA256 of the message
+ * @param secret HMAC secret
+ * @param message Message to sign
+ * @returns Promise with the base64 encoded signature
+ */
+const hmacSha256 = function(secret, message) {
+    return Promise.resolve().then(function() {
+        const subtle = _subtle();
+        const encoder = new TextEncoder();
+        return subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']).then(function(key) {
+            return subtle.sign('HMAC', key, encoder.encode(message));
+        });
+    }).then(_base64);
+};
+
+export { hmacSha256 };
@@ -0,0 +1,177 @@
+/**
+ * TickTrader Web API error hierarchy (ESM)
+ * Every client method rejects with one of the errors below instead of a generic transport error
+ */
+
+/**
+ * Define error type inherited from the given parent error type
+ * @param name Error type name
+ * @param parent Parent error type
+ * @param init Initializer of the error type specific fields (optional)
+ * @returns Error type constructor
+ */
+const _defineError = function(name, parent, init) {
+    const ErrorType = function(message, details) {
+        parent.call(this, message, details);
+        if (init)
+            init.call(this, details || {});
+    };
+    ErrorType.prototype = Object.create(parent.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name = name;
+    return ErrorType;
+};
+
+/**
+ * Base TickTrader Web API error
+ * Error details:
+ * - **status** - HTTP status code (undefined for network failures)
+ * - **payload** - Server error payload
+ * - **method** - Request HTTP method
+ * - **url** - Request URL
+ * - **cause** - Original transport error
+ * @param message Error message
+ * @param details Error details
+ */
+const TickTraderError = function(message, details) {
+    details = details || {};
+    this.message = message;
+    this.status = details.status;
+    this.payload = details.payload;
+    this.method = details.method;
+    this.url = details.url;
+    Object.defineProperty(this, 'cause', { value: details.cause, writable: true, configurable: true });
+    Object.defineProperty(this, 'stack', { value: (new Error(message)).stack.replace(/^Error/, this.name), writable: true, configurable: true });
+};
+
+TickTraderError.prototype = Object.create(Error.prototype);
+TickTraderError.prototype.constructor = TickTraderError;
+TickTraderError.prototype.name = "TickTraderError";
+
+/** Rejected credentials or signature (HTTP 401 / 403) */
+const TickTraderAuthError = _defineError("TickTraderAuthError", TickTraderError);
+
+/** Request timestamp rejected by the server because the local clock differs from the server one (HTTP 401 / 403) */
+const TickTraderClockSkewError = _defineError("TickTraderClockSkewError", TickTraderAuthError);
+
+/**
+ * Invalid request (HTTP 400 / 422) or request rejected by the client-side validation.
+ * `errors` lists invalid fields (`{ field, message }`) of requests rejected locally.
+ */
+const TickTraderValidationError = _defineError("TickTraderValidationError", TickTraderError, function(details) {
+    this.errors = details.errors;
+});
+
+/** Requested symbol, currency, trade or route not found (HTTP 404) */
+const TickTraderNotFoundError = _defineError("TickTraderNotFoundError", TickTraderError);
+
+/**
+ * Request throttled by the server (HTTP 429) or rejected by the full client request queue.
+ * `retryAfter` holds the server delay hint (ms) if any. `retryable` is false for the full client queue, as repeating
+ * the request would only add to the overload.
+ */
+const TickTraderRateLimitError = _defineError("TickTraderRateLimitError", TickTraderError, function(details) {
+    this.retryAfter = details.retryAfter;
+    this.retryable = details.retryable !== false;
+});
+
+/** Trade session is closed */
+const TickTraderSessionClosedError = _defineError("TickTraderSessionClosedError", TickTraderError);
+
+/** Server failure (HTTP 5xx) */
+const TickTraderServerError = _defineError("TickTraderServerError", TickTraderError);
+
+/** Network failure or timeout (no response received). `timeout` is set for timed out requests. */
+const TickTraderNetworkError = _defineError("TickTraderNetworkError", TickTraderError, function(details) {
+    this.timeout = !!details.timeout;
+});
+
+/**
+ * Trade request rejected by the client-side risk guard before it is sent.
+ * `violations` lists broken risk rules (`{ rule, message }`).
+ */
+const TickTraderRiskRejectedError = _defineError("TickTraderRiskRejectedError", TickTraderError, function(details) {
+    this.violations = details.violations || [];
+});
+
+const SESSION_CLOSED_PATTERN = /session (is )?closed|closed (trade )?session/i;
+// Signature timestamp rejections only: whole words, so fields like `ExpiredTimestamp` in validation messages do not match
+const CLOCK_SKEW_PATTERN = /\b(?:request|signature|hmac) timestamp\b|\btimestamp (?:is )?(?:out of range|expired|too (?:old|new|far))|\binvalid timestamp\b|\bclock (?:skew|offset|drift)\b/i;
+
+/**
+ * Get error message from the server error payload
+ */
+const _payloadMessage = function(payload) {
+    if (!payload)
+        return undefined;
+    if (typeof payload === 'string')
+        return payload;
+    return payload.Message || payload.message || payload.Error || payload.error;
+};
+
+/**
+ * Parse Retry-After header value (seconds or HTTP date) into milliseconds
+ */
+const _retryAfter = function(value) {
+    if (value === undefined || value === null || value === "")
+        return undefined;
+    const seconds = Number(value);
+    if (!isNaN(seconds))
+        return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+/**
+ * Create TickTrader error from the failed Web API request
+ * @param method Request HTTP method
+ * @param url Request URL
+ * @param status HTTP status code (undefined if no response was received)
+ * @param payload Server error payload
+ * @param headers Response headers (lower-cased names)
+ * @param cause Original transport error
+ * @returns TickTrader error
+ */
+const createTickTraderError = function(method, url, status, payload, headers, cause) {
+    method = method ? method.toUpperCase() : method;
+    const details = { status: status, payload: payload, method: method, url: url, cause: cause };
+
+    if (status === undefined) {
+        const timeout = !!cause && (cause.code === 'ECONNABORTED' || cause.code === 'ETIMEDOUT' || cause.name === 'TimeoutError' || cause.name === 'AbortError');
+        details.timeout = timeout;
+        const reason = timeout ? "timed out" : "failed: " + (cause && cause.message || "network error");
+        return new TickTraderNetworkError("TickTrader Web API request " + method + " " + url + " " + reason, details);
+    }
+
+    const serverMessage = _payloadMessage(payload);
+    const message = "TickTrader Web API request " + method + " " + url + " failed with status " + status + (serverMessage ? ": " + serverMessage : "");
+    if (serverMessage && SESSION_CLOSED_PATTERN.test(serverMessage))
+        return new TickTraderSessionClosedError(message, details);
+    if (status === 401 || status === 403)
+        return serverMessage && CLOCK_SKEW_PATTERN.test(serverMessage) ? new TickTraderClockSkewError(message, details) : new TickTraderAuthError(message, details);
+    if (status === 404)
+        return new TickTraderNotFoundError(message, details);
+    if (status === 429) {
+        details.retryAfter = _retryAfter(headers && headers['retry-after']);
+        return new TickTraderRateLimitError(message, details);
+    }
+    if (status === 400 || status === 422)
+        return new TickTraderValidationError(message, details);
+    if (status >= 500)
+        return new TickTraderServerError(message, details);
+    return new TickTraderError(message, details);
+};
+
+export {
+    TickTraderError,
+    TickTraderAuthError,
+    TickTraderClockSkewError,
+    TickTraderValidationError,
+    TickTraderNotFoundError,
+    TickTraderRateLimitError,
+    TickTraderSessionClosedError,
+    TickTraderServerError,
+    TickTraderNetworkError,
+    TickTraderRiskRejectedError,
+    createTickTraderError
+};
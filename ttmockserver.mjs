@@ -0,0 +1,1248 @@
+/**
+ * Local mock TickTrader Web API server for offline testing (ESM)
+ * Implements every /api/v2 route used by TickTraderWebClient over an in-memory account
+ */
+
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const DEFAULT_CURRENCIES = [
+    { Name: "USD", Precision: 2, Description: "US Dollar" },
+    { Name: "EUR", Precision: 2, Description: "Euro" },
+    { Name: "JPY", Precision: 0, Description: "Japanese Yen" }
+];
+
+const DEFAULT_SYMBOLS = [
+    { Symbol: "EURUSD", Precision: 5, MarginCurrency: "EUR", ProfitCurrency: "USD", ContractSize: 1, MinTradeAmount: 1000, MaxTradeAmount: 10000000, TradeAmountStep: 1000, Description: "Euro vs US Dollar" },
+    { Symbol: "USDJPY", Precision: 3, MarginCurrency: "USD", ProfitCurrency: "JPY", ContractSize: 1, MinTradeAmount: 1000, MaxTradeAmount: 10000000, TradeAmountStep: 1000, Description: "US Dollar vs Japanese Yen" }
+];
+
+const DEFAULT_TICKS = {
+    "EURUSD": { bid: 1.08500, ask: 1.08520 },
+    "USDJPY": { bid: 150.100, ask: 150.120 }
+};
+
+/**
+ * Send JSON response
+ * @param res HTTP server response
+ * @param status HTTP status code
+ * @param payload Response payload
+ * @param headers Additional response headers (optional)
+ */
+const _send = function(res, status, payload, headers) {
+    const body = payload === undefined ? "" : JSON.stringify(payload);
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    }, headers));
+    res.end(body);
+};
+
+/**
+ * Error raised by route handlers and converted into a JSON error response
+ * @param status HTTP status code
+ * @param message Error message
+ */
+const MockError = function(status, message) {
+    this.status = status;
+    this.message = message;
+};
+
+/**
+ * Split TickTrader filter (space or comma separated list of names)
+ * @param filter Filter string
+ * @returns List of names
+ */
+const _splitFilter = function(filter) {
+    return decodeURIComponent(filter).split(/[\s,]+/).filter(function(name) { return name.length > 0; });
+};
+
+/**
+ * In-process WebSocket stand-in connected to the mock server streams
+ * Implements the subset of the browser WebSocket interface used by the streaming clients
+ * @param server Mock server
+ * @param url WebSocket address (ignored)
+ */
+const MockWebSocket = function(server, url) {
+    const self = this;
+    this.url = url;
+    this.readyState = 0;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this._server = server;
+    this._session = { loggedIn: false, feed: {}, trade: false };
+    setTimeout(function() {
+        if (self.readyState !== 0)
+            return;
+        if (!server.streamsAvailable)
+            return self._disconnect(1006, "Mock streams are not available");
+        self.readyState = 1;
+        server._sockets.push(self);
+        if (self.onopen)
+            self.onopen({ type: 'open' });
+    }, 0);
+};
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+
+MockWebSocket.prototype.send = function(data) {
+    if (this.readyState !== 1)
+        throw new Error("Mock WebSocket is not open!");
+    const self = this;
+    setTimeout(function() {
+        if (self.readyState === 1)
+            self._server._onStreamMessage(self, data);
+    }, 0);
+};
+
+MockWebSocket.prototype.close = function(code, reason) {
+    this._disconnect(code || 1000, reason || "");
+};
+
+MockWebSocket.prototype._deliver = function(message) {
+    const self = this;
+    const data = JSON.stringify(message);
+    setTimeout(function() {
+        if (self.readyState === 1 && self.onmessage)
+            self.onmessage({ type: 'message', data: data });
+    }, 0);
+};
+
+MockWebSocket.prototype._disconnect = function(code, reason) {
+    if (this.readyState >= 2)
+        return;
+    const self = this;
+    this.readyState = 2;
+    setTimeout(function() {
+        self.readyState = 3;
+        const index = self._server._sockets.indexOf(self);
+        if (index >= 0)
+            self._server._sockets.splice(index, 1);
+        if (self.onclose)
+            self.onclose({ type: 'close', code: code, reason: reason, wasClean: code === 1000 });
+    }, 0);
+};
+
+/**
+ * Execution report types pushed to trade streams for trade history transactions
+ */
+const EXECUTION_TYPES = {
+    "OrderOpened": "Opened",
+    "OrderModified": "Modified",
+    "OrderCanceled": "Canceled",
+    "OrderExpired": "Expired",
+    "OrderFilled": "Filled",
+    "PositionOpened": "Filled",
+    "PositionClosed": "Closed"
+};
+
+const _clone = function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Mock TickTrader Web API server
+ * Options:
+ * - **web_api_id**, **web_api_key**, **web_api_secret** - Credentials accepted by the signed routes
+ * - **accountingType** (optional) - `"Gross"` (default), `"Net"` or `"Cash"`
+ * - **balance** (optional) - Initial account balance. Default is 100000.
+ * - **balanceCurrency** (optional) - Account balance currency. Default is `"USD"`.
+ * - **currencies**, **symbols** (optional) - Currency and symbol lists served by the server
+ * - **maxTimestampSkew** (optional) - Maximal accepted difference between the signature timestamp and the server time (ms)
+ * - **clockOffset** (optional) - Server clock offset from the local one (ms) applied to timestamp checks and
+ *   `Date` response headers, to simulate drifting client clocks. Default is 0.
+ * - **historyFrom** (optional) - Timestamp of the first quote history record (ms). Default is 24 hours ago.
+ *   Quote history is generated deterministically around the current ticks up to the current server time.
+ *
+ * `server.WebSocket` is a WebSocket constructor connected to the mock streams which can be passed
+ * to the streaming clients as `options.WebSocket`.
+ * @param options Mock server options
+ */
+const TickTraderMockServer = function(options) {
+    options = options || {};
+
+    this.web_api_id = options.web_api_id;
+    this.web_api_key = options.web_api_key;
+    this.web_api_secret = options.web_api_secret;
+    this.maxTimestampSkew = options.maxTimestampSkew;
+    this.clockOffset = options.clockOffset || 0;
+    this.historyFrom = options.historyFrom !== undefined ? options.historyFrom : Date.now() - 24 * 60 * 60 * 1000;
+
+    this.tradeSession = {
+        PlatformName: "TickTrader Mock Server",
+        PlatformCompany: "TickTrader",
+        PlatformAddress: "localhost",
+        PlatformTimezoneOffset: 0,
+        SessionId: "mock-session",
+        SessionStatus: "Opened",
+        SessionStartTime: Date.now(),
+        SessionEndTime: Date.now() + 24 * 60 * 60 * 1000,
+        SessionOpenTime: Date.now(),
+        SessionCloseTime: Date.now() + 24 * 60 * 60 * 1000
+    };
+    this.currencies = _clone(options.currencies || DEFAULT_CURRENCIES);
+    this.symbols = _clone(options.symbols || DEFAULT_SYMBOLS);
+    this.account = {
+        Id: 1,
+        AccountingType: options.accountingType || "Gross",
+        Name: "Mock account",
+        Email: "mock@localhost",
+        Comment: "",
+        Registered: Date.now(),
+        IsBlocked: false,
+        IsReadonly: false,
+        IsValid: true,
+        IsWebApiEnabled: true,
+        Leverage: 100,
+        Balance: options.balance !== undefined ? options.balance : 100000,
+        BalanceCurrency: options.balanceCurrency || "USD",
+        Equity: 0,
+        Margin: 0,
+        MarginLevel: 0,
+        MarginCallLevel: 50,
+        StopOutLevel: 30,
+        Group: "mock"
+    };
+    this.ticks = {};
+    this.level2 = {};
+    this.assets = {};
+    this.positions = {};
+    this.trades = {};
+    this.history = [];
+    this.dailySnapshots = [];
+    this.requests = [];
+
+    this.streamsAvailable = true;
+
+    const self = this;
+    this.WebSocket = function(url) { return new MockWebSocket(self, url); };
+    Object.assign(this.WebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+
+    this._sockets = [];
+    this._failures = [];
+    this._lastTradeId = 0;
+    this._lastPositionId = 0;
+    this._lastHistoryId = 0;
+    this._lastSnapshotId = 0;
+    this._server = null;
+    this.address = null;
+
+    if (this.account.AccountingType === "Cash")
+        this.assets[this.account.BalanceCurrency] = { Currency: this.account.BalanceCurrency, Amount: this.account.Balance, FreeAmount: this.account.Balance, LockedAmount: 0 };
+
+    for (const symbol in DEFAULT_TICKS)
+        if (this._findSymbol(symbol))
+            this.setTick(symbol, DEFAULT_TICKS[symbol].bid, DEFAULT_TICKS[symbol].ask);
+};
+
+/**
+ * Start listening for HTTP requests
+ * @param port Port to listen (0 or omitted to choose a free port)
+ * @param host Host to bind. Default is "127.0.0.1".
+ * @returns Server address (e.g. "http://127.0.0.1:54321") to pass to TickTraderWebClient
+ */
+TickTraderMockServer.prototype.listen = function(port, host) {
+    const self = this;
+    host = host || "127.0.0.1";
+    this._server = createServer(function(req, res) { self._handle(req, res); });
+    return new Promise(function(resolve, reject) {
+        self._server.once('error', reject);
+        self._server.listen(port || 0, host, function() {
+            self._server.removeListener('error', reject);
+            self.address = "http://" + host + ":" + self._server.address().port;
+            resolve(self.address);
+        });
+    });
+};
+
+/**
+ * Stop listening and drop open connections
+ * @returns Promise resolved when the server is closed
+ */
+TickTraderMockServer.prototype.close = function() {
+    const server = this._server;
+    this._server = null;
+    if (!server)
+        return Promise.resolve();
+    return new Promise(function(resolve) {
+        server.close(function() { resolve(); });
+        if (server.closeAllConnections)
+            server.closeAllConnections();
+    });
+};
+
+/**
+ * Set feed tick for the given symbol (also updates level2 top of the book)
+ * @param symbol Symbol name
+ * @param bid Best bid price
+ * @param ask Best ask price
+ * @param volume Bid/ask volume (optional)
+ * @returns Feed tick
+ */
+TickTraderMockServer.prototype.setTick = function(symbol, bid, ask, volume) {
+    volume = volume || 1000000;
+    const timestamp = Date.now();
+    this.ticks[symbol] = {
+        Symbol: symbol,
+        Timestamp: timestamp,
+        BestBid: { Type: "Bid", Price: bid, Volume: volume },
+        BestAsk: { Type: "Ask", Price: ask, Volume: volume }
+    };
+    this.setLevel2(symbol, [{ Price: bid, Volume: volume }], [{ Price: ask, Volume: volume }]);
+    this._checkPendingTrades(symbol);
+    return this.ticks[symbol];
+};
+
+/**
+ * Set feed level2 snapshot for the given symbol
+ * @param symbol Symbol name
+ * @param bids List of bids ({ Price, Volume })
+ * @param asks List of asks ({ Price, Volume })
+ * @returns Feed level2 tick
+ */
+TickTraderMockServer.prototype.setLevel2 = function(symbol, bids, asks) {
+    const toEntries = function(type, list) {
+        return list.map(function(entry) { return { Type: type, Price: entry.Price, Volume: entry.Volume }; });
+    };
+    bids = toEntries("Bid", bids).sort(function(a, b) { return b.Price - a.Price; });
+    asks = toEntries("Ask", asks).sort(function(a, b) { return a.Price - b.Price; });
+    this.level2[symbol] = {
+        Symbol: symbol,
+        Timestamp: Date.now(),
+        Bids: bids,
+        Asks: asks,
+        BestBid: bids[0],
+        BestAsk: asks[0]
+    };
+    this._pushFeed(symbol);
+    return this.level2[symbol];
+};
+
+/**
+ * Set trade session status
+ * @param status Session status (e.g. "Opened", "Closed")
+ */
+TickTraderMockServer.prototype.setSessionStatus = function(status) {
+    this.tradeSession.SessionStatus = status;
+};
+
+/**
+ * Deposit or withdraw money
+ * @param amount Balance movement (negative for withdrawal)
+ * @param comment Balance comment (optional)
+ * @returns Balance trade history record
+ */
+TickTraderMockServer.prototype.deposit = function(amount, comment) {
+    this.account.Balance += amount;
+    if (this.account.AccountingType === "Cash")
+        this._moveAsset(this.account.BalanceCurrency, amount);
+    return this._addHistory({
+        TransactionType: "DepositWithdrawal",
+        TransactionReason: "DealerDecision",
+        Balance: this.account.Balance,
+        BalanceMovement: amount,
+        BalanceCurrency: this.account.BalanceCurrency,
+        Comment: comment || ""
+    });
+};
+
+/**
+ * Store daily account snapshot with the current account state
+ * @param timestamp Snapshot timestamp (optional). Default is the start of the current UTC day.
+ * @returns Daily account snapshot
+ */
+TickTraderMockServer.prototype.takeDailySnapshot = function(timestamp) {
+    const account = this._accountInfo();
+    const snapshot = {
+        Id: String(++this._lastSnapshotId),
+        Timestamp: timestamp !== undefined ? timestamp : Math.floor(Date.now() / 86400000) * 86400000,
+        AccountId: account.Id,
+        AccountingType: account.AccountingType,
+        Leverage: account.Leverage,
+        Balance: account.Balance,
+        BalanceCurrency: account.BalanceCurrency,
+        Equity: account.Equity,
+        Margin: account.Margin,
+        MarginLevel: account.MarginLevel,
+        Profit: account.Profit,
+        Assets: _values(this.assets)
+    };
+    this.dailySnapshots.push(snapshot);
+    this.dailySnapshots.sort(function(a, b) { return a.Timestamp - b.Timestamp; });
+    return snapshot;
+};
+
+/**
+ * Add trade directly into the account bypassing validation
+ * @param trade Trade fields (Type, Side, Symbol, Amount, Price...)
+ * @returns Stored trade
+ */
+TickTraderMockServer.prototype.addTrade = function(trade) {
+    const now = Date.now();
+    const stored = Object.assign({
+        Id: ++this._lastTradeId,
+        AccountId: this.account.Id,
+        Status: "Calculated",
+        Amount: trade.Amount,
+        InitialAmount: trade.Amount,
+        Margin: 0,
+        Profit: 0,
+        Commission: 0,
+        AgentCommission: 0,
+        Swap: 0,
+        ImmediateOrCancel: false,
+        Created: now,
+        Modified: now,
+        Comment: ""
+    }, trade);
+    stored.InitialType = stored.InitialType || stored.Type;
+    this.trades[stored.Id] = stored;
+    return stored;
+};
+
+/**
+ * Fill pending trade at the given price
+ * @param tradeId Trade Id
+ * @param price Fill price (optional, trade price is used by default)
+ * @returns Filled trade (or undefined for net and cash accounts)
+ */
+TickTraderMockServer.prototype.fillTrade = function(tradeId, price) {
+    const trade = this.trades[tradeId];
+    if (!trade)
+        throw new Error("Mock trade " + tradeId + " not found!");
+    if (trade.Type === "Position")
+        throw new Error("Mock trade " + tradeId + " is already filled!");
+    return this._fill(trade, price !== undefined ? price : trade.Price, "OrderFilled");
+};
+
+/**
+ * Fail the next request matching the given method and path
+ * @param method HTTP method (e.g. "GET") or "*"
+ * @param path Request path prefix (e.g. "/api/v2/account")
+ * @param status HTTP status code to respond with
+ * @param payload Response payload (optional)
+ * @param headers Additional response headers (optional)
+ */
+TickTraderMockServer.prototype.failNext = function(method, path, status, payload, headers) {
+    this._failures.push({
+        method: method.toUpperCase(),
+        path: path,
+        status: status,
+        payload: payload !== undefined ? payload : { Message: "Mock failure" },
+        headers: headers
+    });
+};
+
+/**
+ * Close the connection of the next request matching the given method and path without response
+ * @param method HTTP method (e.g. "POST") or "*"
+ * @param path Request path prefix (e.g. "/api/v2/trade")
+ * @param apply Apply the request before dropping the connection (simulates lost response)
+ */
+TickTraderMockServer.prototype.dropNext = function(method, path, apply) {
+    this._failures.push({
+        method: method.toUpperCase(),
+        path: path,
+        drop: true,
+        apply: !!apply
+    });
+};
+
+/**
+ * Drop all stream connections (simulates network failure)
+ * @param code WebSocket close code. Default is 1006.
+ */
+TickTraderMockServer.prototype.dropStreams = function(code) {
+    this._sockets.slice().forEach(function(socket) { socket._disconnect(code || 1006, "Mock stream dropped"); });
+};
+
+TickTraderMockServer.prototype._findSymbol = function(symbol) {
+    return this.symbols.find(function(item) { return item.Symbol === symbol; });
+};
+
+/**
+ * Synthetic historical price: deterministic waves around the current tick price rounded to the symbol precision
+ */
+TickTraderMockServer.prototype._historyPrice = function(symbol, side, timestamp) {
+    const tick = this.ticks[symbol];
+    const found = this._findSymbol(symbol);
+    const price = tick ? (side === "Ask" ? tick.BestAsk.Price : tick.BestBid.Price) : 1;
+    const wave = 1 + 0.002 * Math.sin(timestamp / 3600000) + 0.0005 * Math.sin(timestamp / 60000);
+    return Number((price * wave).toFixed(found && found.Precision !== undefined ? found.Precision : 5));
+};
+
+TickTraderMockServer.prototype._requireSymbol = function(symbol) {
+    const found = this._findSymbol(symbol);
+    if (!found)
+        throw new MockError(404, "Symbol '" + symbol + "' not found!");
+    return found;
+};
+
+TickTraderMockServer.prototype._requireTrade = function(tradeId) {
+    const trade = this.trades[tradeId];
+    if (!trade)
+        throw new MockError(404, "Trade " + tradeId + " not found!");
+    return trade;
+};
+
+TickTraderMockServer.prototype._addHistory = function(record, trade) {
+    const stored = Object.assign({
+        Id: String(++this._lastHistoryId),
+        TransactionTimestamp: Date.now()
+    }, record);
+    this.history.push(stored);
+    if (trade && EXECUTION_TYPES[stored.TransactionType])
+        this._pushTrade("ExecutionReport", {
+            ExecutionType: EXECUTION_TYPES[stored.TransactionType],
+            Trade: trade,
+            FillPrice: stored.TradeFillPrice,
+            FillAmount: stored.TradeLastFillAmount,
+            Timestamp: stored.TransactionTimestamp
+        });
+    this._pushTrade("AccountUpdate", this._accountInfo());
+    return stored;
+};
+
+TickTraderMockServer.prototype._tradeHistory = function(type, trade, fields) {
+    return this._addHistory(Object.assign({
+        TransactionType: type,
+        TransactionReason: "ClientRequest",
+        Symbol: trade.Symbol,
+        TradeId: trade.Id,
+        ClientTradeId: trade.ClientId,
+        TradeSide: trade.Side,
+        TradeType: trade.Type,
+        TradeCreated: trade.Created,
+        TradeModified: trade.Modified,
+        TradeAmount: trade.Amount,
+        TradeInitialAmount: trade.InitialAmount,
+        TradePrice: trade.Price,
+        StopLoss: trade.StopLoss,
+        TakeProfit: trade.TakeProfit,
+        Expired: trade.Expired,
+        Comment: trade.Comment
+    }, fields), trade);
+};
+
+TickTraderMockServer.prototype._moveAsset = function(currency, amount) {
+    const asset = this.assets[currency] || (this.assets[currency] = { Currency: currency, Amount: 0, FreeAmount: 0, LockedAmount: 0 });
+    asset.Amount += amount;
+    asset.FreeAmount += amount;
+    this._pushTrade("AssetUpdate", asset);
+};
+
+/**
+ * Current market price to open or close the trade side
+ */
+TickTraderMockServer.prototype._marketPrice = function(symbol, side, closing) {
+    const tick = this.ticks[symbol];
+    if (!tick)
+        throw new MockError(400, "No quotes for symbol '" + symbol + "'!");
+    const buy = (side === "Buy") !== !!closing;
+    return buy ? tick.BestAsk.Price : tick.BestBid.Price;
+};
+
+TickTraderMockServer.prototype._fill = function(trade, price, transactionType) {
+    const now = Date.now();
+    const symbol = this._requireSymbol(trade.Symbol);
+    const signedAmount = trade.Side === "Buy" ? trade.Amount : -trade.Amount;
+
+    if (this.account.AccountingType === "Gross") {
+        trade.Type = "Position";
+        trade.Price = price;
+        trade.Filled = now;
+        trade.Modified = now;
+        trade.Expired = undefined;
+        this._tradeHistory(transactionType, trade, { TradeFillPrice: price, TradeLastFillAmount: trade.Amount, PositionId: trade.Id, PositionOpenPrice: price, PositionOpened: now });
+        return trade;
+    }
+
+    delete this.trades[trade.Id];
+    if (this.account.AccountingType === "Net") {
+        let position = this.positions[trade.Symbol];
+        if (!position)
+            position = this.positions[trade.Symbol] = { Id: ++this._lastPositionId, Symbol: trade.Symbol, LongAmount: 0, LongPrice: 0, ShortAmount: 0, ShortPrice: 0, Commission: 0, AgentCommission: 0, Swap: 0 };
+        const net = position.LongAmount - position.ShortAmount + signedAmount;
+        if (signedAmount > 0 && position.ShortAmount === 0)
+            position.LongPrice = (position.LongPrice * position.LongAmount + price * trade.Amount) / (position.LongAmount + trade.Amount);
+        if (signedAmount < 0 && position.LongAmount === 0)
+            position.ShortPrice = (position.ShortPrice * position.ShortAmount + price * trade.Amount) / (position.ShortAmount + trade.Amount);
+        position.LongAmount = net > 0 ? net : 0;
+        position.ShortAmount = net < 0 ? -net : 0;
+        if (position.LongAmount === 0)
+            position.LongPrice = 0;
+        if (position.ShortAmount === 0)
+            position.ShortPrice = 0;
+        position.Modified = now;
+        if (net === 0)
+            delete this.positions[trade.Symbol];
+        this._tradeHistory(transactionType, trade, { TradeFillPrice: price, TradeLastFillAmount: trade.Amount, PositionId: position.Id, PositionAmount: net });
+        this._pushTrade("PositionUpdate", position);
+        return undefined;
+    }
+
+    this._moveAsset(symbol.MarginCurrency, signedAmount * symbol.ContractSize);
+    this._moveAsset(symbol.ProfitCurrency, -signedAmount * symbol.ContractSize * price);
+    this._tradeHistory(transactionType, trade, { TradeFillPrice: price, TradeLastFillAmount: trade.Amount });
+    return undefined;
+};
+
+/**
+ * Trigger pending limit/stop trades crossed by the current tick
+ */
+TickTraderMockServer.prototype._checkPendingTrades = function(symbol) {
+    const tick = this.ticks[symbol];
+    for (const id in this.trades) {
+        const trade = this.trades[id];
+        if (trade.Symbol !== symbol || (trade.Type !== "Limit" && trade.Type !== "Stop"))
+            continue;
+        const price = trade.Side === "Buy" ? tick.BestAsk.Price : tick.BestBid.Price;
+        const triggered = trade.Type === "Limit" ?
+            (trade.Side === "Buy" ? price <= trade.Price : price >= trade.Price) :
+            (trade.Side === "Buy" ? price >= trade.Price : price <= trade.Price);
+        if (triggered)
+            this._fill(trade, trade.Type === "Limit" ? trade.Price : price, "OrderFilled");
+    }
+};
+
+/**
+ * Profit of the gross position at the current market price (in profit currency)
+ */
+TickTraderMockServer.prototype._profit = function(trade) {
+    if (trade.Type !== "Position" || !this.ticks[trade.Symbol])
+        return 0;
+    const close = this._marketPrice(trade.Symbol, trade.Side, true);
+    return (trade.Side === "Buy" ? close - trade.Price : trade.Price - close) * trade.Amount;
+};
+
+TickTraderMockServer.prototype._accountInfo = function() {
+    let profit = 0;
+    for (const id in this.trades) {
+        this.trades[id].Profit = this._profit(this.trades[id]);
+        profit += this.trades[id].Profit;
+    }
+    const account = _clone(this.account);
+    account.Equity = account.Balance + profit;
+    account.Profit = profit;
+    account.MarginLevel = account.Margin ? account.Equity / account.Margin * 100 : 0;
+    return account;
+};
+
+/**
+ * Check HMAC authorization header the same way as TickTraderWebClient signs requests
+ * @returns Error message or null when the request is authorized
+ */
+TickTraderMockServer.prototype._authorize = function(req, url, body) {
+    const header = req.headers['authorization'];
+    if (!header || header.indexOf("HMAC ") !== 0)
+        return "Authorization header is missing!";
+    const parts = header.substr(5).split(':');
+    if (parts.length !== 4)
+        return "Authorization header is malformed!";
+    const id = parts[0], key = parts[1], timestamp = parts[2], hash = parts[3];
+    if (id !== this.web_api_id || key !== this.web_api_key)
+        return "Invalid Web API Id or Key!";
+    if (this.maxTimestampSkew !== undefined && Math.abs(Date.now() + this.clockOffset - Number(timestamp)) > this.maxTimestampSkew)
+        return "Request timestamp is out of range!";
+    const signature = timestamp + id + key + req.method.toUpperCase() + url + body;
+    const expected = Buffer.from(createHmac('sha256', this.web_api_secret).update(signature).digest('base64'));
+    const actual = Buffer.from(hash);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual))
+        return "Invalid request signature!";
+    return null;
+};
+
+/**
+ * Check stream HMAC login parameters (signature over timestamp + Web API Id + Web API Key)
+ * @returns Error message or null when the login is valid
+ */
+TickTraderMockServer.prototype._authorizeStream = function(params) {
+    if (!params || params.AuthType !== "HMAC")
+        return "Unsupported authentication type!";
+    if (params.WebApiId !== this.web_api_id || params.WebApiKey !== this.web_api_key)
+        return "Invalid Web API Id or Key!";
+    if (this.maxTimestampSkew !== undefined && Math.abs(Date.now() + this.clockOffset - Number(params.Timestamp)) > this.maxTimestampSkew)
+        return "Request timestamp is out of range!";
+    const signature = params.Timestamp + params.WebApiId + params.WebApiKey;
+    const expected = createHmac('sha256', this.web_api_secret).update(signature).digest('base64');
+    return expected === params.Signature ? null : "Invalid login signature!";
+};
+
+TickTraderMockServer.prototype._feedUpdate = function(symbol, depth) {
+    const level2 = this.level2[symbol];
+    return {
+        Symbol: symbol,
+        Timestamp: level2.Timestamp,
+        BestBid: level2.BestBid,
+        BestAsk: level2.BestAsk,
+        Bids: level2.Bids.slice(0, depth),
+        Asks: level2.Asks.slice(0, depth)
+    };
+};
+
+TickTraderMockServer.prototype._pushFeed = function(symbol) {
+    for (const socket of this._sockets) {
+        const depth = socket._session.feed[symbol];
+        if (depth)
+            socket._deliver({ Response: "FeedTick", Result: this._feedUpdate(symbol, depth) });
+    }
+};
+
+TickTraderMockServer.prototype._pushTrade = function(response, result) {
+    for (const socket of this._sockets)
+        if (socket._session.trade)
+            socket._deliver({ Response: response, Result: _clone(result) });
+};
+
+TickTraderMockServer.prototype._onStreamMessage = function(socket, data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    }
+    catch (err) {
+        return socket._deliver({ Response: "Error", Error: "Invalid JSON message!" });
+    }
+    const handler = STREAM_REQUESTS[message.Request];
+    try {
+        if (!handler)
+            throw new MockError(400, "Unknown request '" + message.Request + "'!");
+        if (message.Request !== "Login" && !socket._session.loggedIn)
+            throw new MockError(401, "Stream is not logged in!");
+        const result = handler.call(this, socket._session, message.Params || {});
+        socket._deliver({ Id: message.Id, Response: message.Request, Result: _clone(result) });
+    }
+    catch (err) {
+        socket._deliver({ Id: message.Id, Response: "Error", Error: String(err && err.message || err) });
+    }
+};
+
+TickTraderMockServer.prototype._handle = function(req, res) {
+    const self = this;
+    const chunks = [];
+    req.on('data', function(chunk) { chunks.push(chunk); });
+    req.on('end', function() {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const url = "http://" + req.headers.host + req.url;
+        const parsed = new URL(url);
+        const entry = { method: req.method, url: url, path: parsed.pathname, body: body, headers: req.headers };
+        self.requests.push(entry);
+
+        const date = { 'Date': new Date(Date.now() + self.clockOffset).toUTCString() };
+        const failure = self._takeFailure(req.method, parsed.pathname);
+        if (failure && !failure.drop)
+            return _send(res, failure.status, failure.payload, Object.assign(date, failure.headers));
+
+        // Dropped requests are closed without response (optionally after applying them)
+        const reply = failure ? function() { res.socket.destroy(); } : function(status, payload) { _send(res, status, payload, date); };
+        if (failure && !failure.apply)
+            return reply();
+
+        const route = ROUTES.find(function(item) { return item.method === req.method && item.pattern.test(parsed.pathname); });
+        if (!route)
+            return reply(404, { Message: "Route " + req.method + " " + parsed.pathname + " not found!" });
+
+        if (!route.public) {
+            const error = self._authorize(req, url, body);
+            if (error)
+                return reply(401, { Message: error });
+        }
+
+        let data;
+        try {
+            data = body ? JSON.parse(body) : undefined;
+        }
+        catch (err) {
+            return reply(400, { Message: "Invalid JSON request body!" });
+        }
+
+        try {
+            const match = parsed.pathname.match(route.pattern);
+            reply(200, _clone(route.handle.call(self, match, parsed.searchParams, data)));
+        }
+        catch (err) {
+            if (err instanceof MockError)
+                return reply(err.status, { Message: err.message });
+            reply(500, { Message: String(err && err.message || err) });
+        }
+    });
+};
+
+TickTraderMockServer.prototype._takeFailure = function(method, path) {
+    const index = this._failures.findIndex(function(item) {
+        return (item.method === "*" || item.method === method) && path.indexOf(item.path) === 0;
+    });
+    return index < 0 ? null : this._failures.splice(index, 1)[0];
+};
+
+const _byFilter = function(list, key, filter) {
+    const names = _splitFilter(filter);
+    const result = list.filter(function(item) { return names.indexOf(item[key]) >= 0; });
+    if (result.length === 0)
+        throw new MockError(404, "Nothing found for '" + names.join(" ") + "'!");
+    return result;
+};
+
+const _values = function(map) {
+    return Object.keys(map).map(function(key) { return map[key]; });
+};
+
+const _getTradeSession = function() { return this.tradeSession; };
+const _getAllCurrencies = function() { return this.currencies; };
+const _getCurrency = function(match) { return _byFilter(this.currencies, "Name", match[1]); };
+const _getAllSymbols = function() { return this.symbols; };
+const _getSymbol = function(match) { return _byFilter(this.symbols, "Symbol", match[1]); };
+const _getAllTicks = function() { return _values(this.ticks); };
+const _getTick = function(match) { return _byFilter(_values(this.ticks), "Symbol", match[1]); };
+const _getAllTicksLevel2 = function() { return _values(this.level2); };
+const _getTickLevel2 = function(match) { return _byFilter(_values(this.level2), "Symbol", match[1]); };
+
+const _createTrade = function(match, query, request) {
+    if (this.tradeSession.SessionStatus !== "Opened")
+        throw new MockError(400, "Trade session is closed!");
+    if (!request)
+        throw new MockError(400, "Create trade request is empty!");
+    if (["Market", "Limit", "Stop"].indexOf(request.Type) < 0)
+        throw new MockError(400, "Invalid trade type '" + request.Type + "'!");
+    if (["Buy", "Sell"].indexOf(request.Side) < 0)
+        throw new MockError(400, "Invalid trade side '" + request.Side + "'!");
+    const symbol = this._requireSymbol(request.Symbol);
+    if (!(request.Amount > 0))
+        throw new MockError(400, "Invalid trade amount!");
+    if (symbol.MinTradeAmount !== undefined && request.Amount < symbol.MinTradeAmount)
+        throw new MockError(400, "Trade amount is less than minimal trade amount!");
+    if (symbol.MaxTradeAmount !== undefined && request.Amount > symbol.MaxTradeAmount)
+        throw new MockError(400, "Trade amount is greater than maximal trade amount!");
+    if (request.Type !== "Market" && !(request.Price > 0))
+        throw new MockError(400, "Price is required for " + request.Type + " trades!");
+
+    const trade = this.addTrade({
+        ClientId: request.ClientId,
+        Type: request.Type,
+        Side: request.Side,
+        Symbol: request.Symbol,
+        Price: request.Type === "Market" ? undefined : request.Price,
+        Amount: request.Amount,
+        StopLoss: request.StopLoss,
+        TakeProfit: request.TakeProfit,
+        Expired: request.Type === "Market" ? undefined : request.ExpiredTimestamp,
+        ImmediateOrCancel: !!request.ImmediateOrCancel,
+        Comment: request.Comment || ""
+    });
+
+    if (trade.Type === "Market") {
+        const price = this._marketPrice(trade.Symbol, trade.Side);
+        const filled = this._fill(trade, price, "PositionOpened");
+        return filled || Object.assign({}, trade, { Price: price });
+    }
+
+    this._tradeHistory("OrderOpened", trade);
+    this._checkPendingTrades(trade.Symbol);
+    if (this.trades[trade.Id] && trade.ImmediateOrCancel && trade.Type === "Limit") {
+        delete this.trades[trade.Id];
+        this._tradeHistory("OrderCanceled", trade);
+    }
+    return trade;
+};
+
+const _modifyTrade = function(match, query, request) {
+    if (!request || request.Id === undefined)
+        throw new MockError(400, "Trade Id is required!");
+    const trade = this._requireTrade(request.Id);
+    if (request.Price !== undefined && request.Price !== trade.Price) {
+        if (trade.Type === "Position" || trade.Type === "Market")
+            throw new MockError(400, "Price of the market trade cannot be changed!");
+        trade.Price = request.Price;
+    }
+    ["StopLoss", "TakeProfit", "Comment"].forEach(function(field) {
+        if (request[field] !== undefined)
+            trade[field] = request[field];
+    });
+    if (request.ExpiredTimestamp !== undefined)
+        trade.Expired = request.ExpiredTimestamp;
+    trade.Modified = Date.now();
+    this._tradeHistory("OrderModified", trade);
+    this._checkPendingTrades(trade.Symbol);
+    return trade;
+};
+
+const _closePosition = function(trade, amount, price, fields) {
+    const now = Date.now();
+    const closed = Math.min(amount || trade.Amount, trade.Amount);
+    const profit = (trade.Side === "Buy" ? price - trade.Price : trade.Price - price) * closed;
+    trade.Amount -= closed;
+    trade.Modified = now;
+    this.account.Balance += profit;
+    this._tradeHistory("PositionClosed", trade, Object.assign({
+        TradeAmount: trade.Amount,
+        TradeLastFillAmount: closed,
+        TradeFillPrice: price,
+        PositionId: trade.Id,
+        PositionAmount: trade.Amount,
+        PositionLastAmount: closed,
+        PositionOpenPrice: trade.Price,
+        PositionClosePrice: price,
+        PositionClosed: now,
+        Balance: this.account.Balance,
+        BalanceMovement: profit,
+        BalanceCurrency: this.account.BalanceCurrency
+    }, fields));
+    if (trade.Amount <= 0)
+        delete this.trades[trade.Id];
+    return Object.assign({}, trade, { Amount: closed });
+};
+
+const _deleteTrade = function(match, query) {
+    const type = query.get('type');
+    const trade = this._requireTrade(query.get('id'));
+    if (type === "Cancel") {
+        if (trade.Type !== "Limit" && trade.Type !== "Stop")
+            throw new MockError(400, "Only pending trades can be canceled!");
+        delete this.trades[trade.Id];
+        trade.Modified = Date.now();
+        this._tradeHistory("OrderCanceled", trade);
+        return { Trade: trade };
+    }
+    if (trade.Type !== "Position")
+        throw new MockError(400, "Only positions can be closed!");
+    if (type === "Close") {
+        const amount = query.get('amount') ? Number(query.get('amount')) : undefined;
+        return { Trade: _closePosition.call(this, trade, amount, this._marketPrice(trade.Symbol, trade.Side, true)) };
+    }
+    if (type === "CloseBy") {
+        const byTrade = this._requireTrade(query.get('byid'));
+        if (byTrade.Type !== "Position" || byTrade.Symbol !== trade.Symbol || byTrade.Side === trade.Side)
+            throw new MockError(400, "Trade can be closed only by opposite position of the same symbol!");
+        const amount = Math.min(trade.Amount, byTrade.Amount);
+        return {
+            Trade: _closePosition.call(this, trade, amount, byTrade.Price, { TransactionReason: "CloseByClientRequest" }),
+            ByTrade: _closePosition.call(this, byTrade, amount, byTrade.Price, { TransactionReason: "CloseByClientRequest" })
+        };
+    }
+    throw new MockError(400, "Invalid trade delete type '" + type + "'!");
+};
+
+/**
+ * Page trade history records the same way as the TickTrader Web API does
+ * @param records List of history records ordered by time
+ * @param request History request
+ * @param field Record timestamp field (optional). Default is "TransactionTimestamp".
+ */
+const _historyReport = function(records, request, field) {
+    field = field || "TransactionTimestamp";
+    request = request || {};
+    const backward = request.RequestDirection === "Backward";
+    const pageSize = Math.min(request.RequestPageSize || 100, 1000);
+    const lastId = request.RequestLastId;
+
+    let list = records.filter(function(record) {
+        return (request.TimestampFrom === undefined || record[field] >= request.TimestampFrom) &&
+            (request.TimestampTo === undefined || record[field] <= request.TimestampTo);
+    });
+    if (backward)
+        list = list.slice().reverse();
+    if (lastId !== undefined && lastId !== null) {
+        const index = list.findIndex(function(record) { return record.Id === String(lastId); });
+        list = index < 0 ? list : list.slice(index + 1);
+    }
+    const page = list.slice(0, pageSize);
+    return {
+        IsLastReport: list.length <= pageSize,
+        TotalReports: list.length,
+        Records: page,
+        LastId: page.length > 0 ? page[page.length - 1].Id : undefined
+    };
+};
+
+const _getTradeHistory = function(match, query, request) {
+    return _historyReport(this.history, request);
+};
+
+const _getTradeHistoryByTradeId = function(match, query, request) {
+    const tradeId = Number(match[1]);
+    return _historyReport(this.history.filter(function(record) { return record.TradeId === tradeId; }), request);
+};
+
+/** Quote history bar periodicities (ms), MN1 bars are calendar months */
+const PERIODICITIES = {
+    S1: 1000, S10: 10000, M1: 60000, M5: 300000, M15: 900000, M30: 1800000,
+    H1: 3600000, H4: 14400000, D1: 86400000, W1: 604800000, MN1: 0
+};
+// Weekly bars start on Monday (1970-01-01 was Thursday)
+const WEEK_START = 4 * 86400000;
+const HISTORY_TICK_INTERVAL = 1000;
+const HISTORY_MAX_COUNT = 1000;
+
+const _barStart = function(periodicity, timestamp) {
+    if (periodicity === "MN1") {
+        const date = new Date(timestamp);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+    const length = PERIODICITIES[periodicity];
+    const offset = periodicity === "W1" ? WEEK_START : 0;
+    return Math.floor((timestamp - offset) / length) * length + offset;
+};
+
+const _barEnd = function(periodicity, start) {
+    if (periodicity === "MN1") {
+        const date = new Date(start);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+    return start + PERIODICITIES[periodicity];
+};
+
+const _historySymbol = function(match) {
+    const symbol = decodeURIComponent(match[1]);
+    this._requireSymbol(symbol);
+    return symbol;
+};
+
+const _historyPeriodicity = function(match) {
+    if (!PERIODICITIES.hasOwnProperty(match[2]))
+        throw new MockError(400, "Invalid periodicity '" + match[2] + "'!");
+    return match[2];
+};
+
+/**
+ * Parse quote history request query: timestamp (default is now) and count (negative for backward direction, default is -100)
+ */
+const _historyQuery = function(query, now) {
+    const timestamp = query.has('timestamp') ? Number(query.get('timestamp')) : now;
+    const count = query.has('count') ? Number(query.get('count')) : -100;
+    if (isNaN(timestamp) || isNaN(count))
+        throw new MockError(400, "Invalid quote history request!");
+    return { timestamp: timestamp, count: Math.max(-HISTORY_MAX_COUNT, Math.min(HISTORY_MAX_COUNT, Math.trunc(count))) };
+};
+
+const _historyBar = function(symbol, periodicity, side, start, now) {
+    const end = Math.min(_barEnd(periodicity, start), now + 1);
+    const prices = [start, (start + end) / 2, end - 1].map(function(timestamp) {
+        return this._historyPrice(symbol, side, Math.floor(timestamp));
+    }, this);
+    return {
+        Timestamp: start,
+        Open: prices[0],
+        High: Math.max.apply(null, prices),
+        Low: Math.min.apply(null, prices),
+        Close: prices[2],
+        Volume: 1000 + (start / 1000) % 97 * 10
+    };
+};
+
+const _getQuoteHistorySymbols = function() {
+    return this.symbols.map(function(item) { return item.Symbol; });
+};
+
+const _getQuoteHistoryPeriodicities = function(match) {
+    _historySymbol.call(this, match);
+    return Object.keys(PERIODICITIES);
+};
+
+const _getQuoteHistoryBarsInfo = function(match) {
+    const symbol = _historySymbol.call(this, match);
+    const periodicity = _historyPeriodicity(match);
+    return {
+        Symbol: symbol,
+        AvailableFrom: _barStart(periodicity, this.historyFrom),
+        AvailableTo: _barStart(periodicity, Date.now() + this.clockOffset)
+    };
+};
+
+const _getQuoteHistoryBars = function(match, query) {
+    const symbol = _historySymbol.call(this, match);
+    const periodicity = _historyPeriodicity(match);
+    const side = match[3] === "ask" ? "Ask" : "Bid";
+    const now = Date.now() + this.clockOffset;
+    const from = _barStart(periodicity, this.historyFrom);
+    const request = _historyQuery(query, now);
+    const bars = [];
+    let start;
+    if (request.count >= 0) {
+        // Forward: bars starting at or after the timestamp
+        start = Math.max(_barStart(periodicity, request.timestamp), from);
+        if (start < request.timestamp)
+            start = _barEnd(periodicity, start);
+        for (; start <= now && bars.length < request.count; start = _barEnd(periodicity, start))
+            bars.push(_historyBar.call(this, symbol, periodicity, side, start, now));
+    }
+    else {
+        // Backward: bars starting at or before the timestamp
+        start = _barStart(periodicity, Math.min(request.timestamp, now));
+        for (; start >= from && bars.length < -request.count; start = _barStart(periodicity, start - 1))
+            bars.unshift(_historyBar.call(this, symbol, periodicity, side, start, now));
+    }
+    return {
+        Symbol: symbol,
+        From: bars.length > 0 ? bars[0].Timestamp : request.timestamp,
+        To: bars.length > 0 ? bars[bars.length - 1].Timestamp : request.timestamp,
+        Bars: bars
+    };
+};
+
+const _getQuoteHistoryTicksInfo = function(match) {
+    return {
+        Symbol: _historySymbol.call(this, match),
+        AvailableFrom: Math.ceil(this.historyFrom / HISTORY_TICK_INTERVAL) * HISTORY_TICK_INTERVAL,
+        AvailableTo: Math.floor((Date.now() + this.clockOffset) / HISTORY_TICK_INTERVAL) * HISTORY_TICK_INTERVAL
+    };
+};
+
+const _getQuoteHistoryTicks = function(match, query) {
+    const info = _getQuoteHistoryTicksInfo.call(this, match);
+    const request = _historyQuery(query, info.AvailableTo);
+    const ticks = [];
+    const tick = function(timestamp) {
+        return {
+            Timestamp: timestamp,
+            BestBid: { Type: "Bid", Price: this._historyPrice(info.Symbol, "Bid", timestamp), Volume: 1000000 },
+            BestAsk: { Type: "Ask", Price: this._historyPrice(info.Symbol, "Ask", timestamp), Volume: 1000000 }
+        };
+    }.bind(this);
+    let timestamp;
+    if (request.count >= 0) {
+        timestamp = Math.max(Math.ceil(request.timestamp / HISTORY_TICK_INTERVAL) * HISTORY_TICK_INTERVAL, info.AvailableFrom);
+        for (; timestamp <= info.AvailableTo && ticks.length < request.count; timestamp += HISTORY_TICK_INTERVAL)
+            ticks.push(tick(timestamp));
+    }
+    else {
+        timestamp = Math.min(Math.floor(request.timestamp / HISTORY_TICK_INTERVAL) * HISTORY_TICK_INTERVAL, info.AvailableTo);
+        for (; timestamp >= info.AvailableFrom && ticks.length < -request.count; timestamp -= HISTORY_TICK_INTERVAL)
+            ticks.unshift(tick(timestamp));
+    }
+    return {
+        Symbol: info.Symbol,
+        From: ticks.length > 0 ? ticks[0].Timestamp : request.timestamp,
+        To: ticks.length > 0 ? ticks[ticks.length - 1].Timestamp : request.timestamp,
+        Ticks: ticks
+    };
+};
+
+const _getDailySnapshots = function(match, query, request) {
+    return _historyReport(this.dailySnapshots, request, "Timestamp");
+};
+
+const _getBalanceHistory = function(match, query, request) {
+    const records = this.history.filter(function(record) { return record.BalanceMovement !== undefined; }).map(function(record) {
+        return {
+            Id: record.Id,
+            Timestamp: record.TransactionTimestamp,
+            TransactionType: record.TransactionType,
+            TransactionReason: record.TransactionReason,
+            TradeId: record.TradeId,
+            Balance: record.Balance,
+            BalanceMovement: record.BalanceMovement,
+            BalanceCurrency: record.BalanceCurrency,
+            Comment: record.Comment
+        };
+    });
+    return _historyReport(records, request, "Timestamp");
+};
+
+const STREAM_REQUESTS = {
+    Login: function(session, params) {
+        const error = this._authorizeStream(params);
+        if (error)
+            throw new MockError(401, error);
+        session.loggedIn = true;
+        return { Info: "Logged in" };
+    },
+    Logout: function(session) {
+        session.loggedIn = false;
+        return { Info: "Logged out" };
+    },
+    FeedSubscribe: function(session, params) {
+        const self = this;
+        const subscribe = params.Subscribe || [];
+        subscribe.forEach(function(item) { self._requireSymbol(item.Symbol); });
+        return {
+            Snapshot: subscribe.map(function(item) {
+                session.feed[item.Symbol] = item.BookDepth || 1;
+                return self.level2[item.Symbol] ? self._feedUpdate(item.Symbol, session.feed[item.Symbol]) : undefined;
+            }).filter(function(update) { return update !== undefined; })
+        };
+    },
+    FeedUnsubscribe: function(session, params) {
+        (params.Unsubscribe || []).forEach(function(symbol) { delete session.feed[symbol]; });
+        return {};
+    },
+    TradeSubscribe: function(session) {
+        session.trade = true;
+        return {
+            Account: this._accountInfo(),
+            Trades: _values(this.trades),
+            Positions: _values(this.positions),
+            Assets: _values(this.assets)
+        };
+    },
+    TradeUnsubscribe: function(session) {
+        session.trade = false;
+        return {};
+    }
+};
+
+const ROUTES = [
+    { method: 'GET', pattern: /^\/api\/v2\/public\/tradesession$/, public: true, handle: _getTradeSession },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/currency$/, public: true, handle: _getAllCurrencies },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/currency\/([^/]+)$/, public: true, handle: _getCurrency },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/symbol$/, public: true, handle: _getAllSymbols },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/symbol\/([^/]+)$/, public: true, handle: _getSymbol },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/tick$/, public: true, handle: _getAllTicks },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/tick\/([^/]+)$/, public: true, handle: _getTick },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/level2$/, public: true, handle: _getAllTicksLevel2 },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/level2\/([^/]+)$/, public: true, handle: _getTickLevel2 },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/symbols$/, public: true, handle: _getQuoteHistorySymbols },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/([^/]+)\/periodicities$/, public: true, handle: _getQuoteHistoryPeriodicities },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/([^/]+)\/([^/]+)\/bars\/(bid|ask)\/info$/, public: true, handle: _getQuoteHistoryBarsInfo },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/([^/]+)\/([^/]+)\/bars\/(bid|ask)$/, public: true, handle: _getQuoteHistoryBars },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/([^/]+)\/ticks\/info$/, public: true, handle: _getQuoteHistoryTicksInfo },
+    { method: 'GET', pattern: /^\/api\/v2\/public\/quotehistory\/([^/]+)\/ticks$/, public: true, handle: _getQuoteHistoryTicks },
+
+    { method: 'GET', pattern: /^\/api\/v2\/account$/, handle: function() { return this._accountInfo(); } },
+    { method: 'GET', pattern: /^\/api\/v2\/tradesession$/, handle: _getTradeSession },
+    { method: 'GET', pattern: /^\/api\/v2\/currency$/, handle: _getAllCurrencies },
+    { method: 'GET', pattern: /^\/api\/v2\/currency\/([^/]+)$/, handle: _getCurrency },
+    { method: 'GET', pattern: /^\/api\/v2\/symbol$/, handle: _getAllSymbols },
+    { method: 'GET', pattern: /^\/api\/v2\/symbol\/([^/]+)$/, handle: _getSymbol },
+    { method: 'GET', pattern: /^\/api\/v2\/tick$/, handle: _getAllTicks },
+    { method: 'GET', pattern: /^\/api\/v2\/tick\/([^/]+)$/, handle: _getTick },
+    { method: 'GET', pattern: /^\/api\/v2\/level2$/, handle: _getAllTicksLevel2 },
+    { method: 'GET', pattern: /^\/api\/v2\/level2\/([^/]+)$/, handle: _getTickLevel2 },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/symbols$/, handle: _getQuoteHistorySymbols },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/([^/]+)\/periodicities$/, handle: _getQuoteHistoryPeriodicities },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/([^/]+)\/([^/]+)\/bars\/(bid|ask)\/info$/, handle: _getQuoteHistoryBarsInfo },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/([^/]+)\/([^/]+)\/bars\/(bid|ask)$/, handle: _getQuoteHistoryBars },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/([^/]+)\/ticks\/info$/, handle: _getQuoteHistoryTicksInfo },
+    { method: 'GET', pattern: /^\/api\/v2\/quotehistory\/([^/]+)\/ticks$/, handle: _getQuoteHistoryTicks },
+    { method: 'GET', pattern: /^\/api\/v2\/asset$/, handle: function() { return _values(this.assets); } },
+    { method: 'GET', pattern: /^\/api\/v2\/asset\/([^/]+)$/, handle: function(match) {
+        const asset = this.assets[decodeURIComponent(match[1])];
+        if (!asset)
+            throw new MockError(404, "Asset '" + decodeURIComponent(match[1]) + "' not found!");
+        return asset;
+    } },
+    { method: 'GET', pattern: /^\/api\/v2\/position$/, handle: function() { return _values(this.positions); } },
+    { method: 'GET', pattern: /^\/api\/v2\/position\/([^/]+)$/, handle: function(match) {
+        const position = this.positions[decodeURIComponent(match[1])];
+        if (!position)
+            throw new MockError(404, "Position '" + decodeURIComponent(match[1]) + "' not found!");
+        return position;
+    } },
+    { method: 'GET', pattern: /^\/api\/v2\/trade$/, handle: function() {
+        const self = this;
+        return _values(this.trades).map(function(trade) { return Object.assign(trade, { Profit: self._profit(trade) }); });
+    } },
+    { method: 'GET', pattern: /^\/api\/v2\/trade\/([^/]+)$/, handle: function(match) { return this._requireTrade(match[1]); } },
+    { method: 'POST', pattern: /^\/api\/v2\/trade$/, handle: _createTrade },
+    { method: 'PUT', pattern: /^\/api\/v2\/trade$/, handle: _modifyTrade },
+    { method: 'DELETE', pattern: /^\/api\/v2\/trade$/, handle: _deleteTrade },
+    { method: 'POST', pattern: /^\/api\/v2\/tradehistory$/, handle: _getTradeHistory },
+    { method: 'POST', pattern: /^\/api\/v2\/tradehistory\/([^/]+)$/, handle: _getTradeHistoryByTradeId },
+    { method: 'POST', pattern: /^\/api\/v2\/dailysnapshots$/, handle: _getDailySnapshots },
+    { method: 'POST', pattern: /^\/api\/v2\/balancehistory$/, handle: _getBalanceHistory }
+];
+
+export { TickTraderMockServer };
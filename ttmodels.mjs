@@ -0,0 +1,95 @@
+/**
+ * TickTrader Web API data models (ESM)
+ * Converts raw Web API JSON into model objects and model objects back into request data
+ */
+
+/**
+ * Timestamp fields of the Web API models (milliseconds since Unix epoch in raw JSON)
+ */
+const DATE_FIELDS = [
+    "Timestamp",
+    "Registered",
+    "Created",
+    "Modified",
+    "Filled",
+    "Expired",
+    "SessionStartTime",
+    "SessionEndTime",
+    "SessionOpenTime",
+    "SessionCloseTime",
+    "TransactionTimestamp",
+    "TradeCreated",
+    "TradeModified",
+    "RequestTimestamp",
+    "PositionOpened",
+    "PositionClosed",
+    "AvailableFrom",
+    "AvailableTo",
+    "From",
+    "To"
+];
+
+/**
+ * Number of significant digits kept for decimal values
+ */
+const DECIMAL_DIGITS = 15;
+
+/**
+ * Convert raw decimal value into a number without binary floating point noise
+ * (e.g. 99990.00000000001 becomes 99990). String-encoded decimals are converted as well.
+ * @param value Raw decimal value
+ * @returns Decimal number
+ */
+const toDecimal = function(value) {
+    if (typeof value === 'string' && value.trim() !== "" && !isNaN(Number(value)))
+        value = Number(value);
+    if (typeof value !== 'number' || !isFinite(value) || Number.isInteger(value))
+        return value;
+    return Number(value.toPrecision(DECIMAL_DIGITS));
+};
+
+/**
+ * Convert raw Web API JSON data into model objects
+ * Timestamp fields become `Date` objects and decimal fields are normalized with `toDecimal()`.
+ * @param data Raw Web API JSON data (object, array or primitive)
+ * @returns Model data
+ */
+const parseModel = function(data) {
+    if (Array.isArray(data))
+        return data.map(parseModel);
+    if (data === null || typeof data !== 'object')
+        return typeof data === 'number' ? toDecimal(data) : data;
+
+    const model = {};
+    for (const key in data) {
+        const value = data[key];
+        if (DATE_FIELDS.indexOf(key) >= 0 && typeof value === 'number')
+            model[key] = new Date(value);
+        else
+            model[key] = parseModel(value);
+    }
+    return model;
+};
+
+/**
+ * Convert request data into raw Web API JSON data
+ * `Date` values are converted into timestamps (milliseconds since Unix epoch).
+ * @param data Request data
+ * @returns Raw request data
+ */
+const formatRequest = function(data) {
+    if (data instanceof Date)
+        return data.getTime();
+    if (Array.isArray(data))
+        return data.map(formatRequest);
+    if (data === null || typeof data !== 'object')
+        return data;
+
+    const request = {};
+    for (const key in data)
+        if (data[key] !== undefined)
+            request[key] = formatRequest(data[key]);
+    return request;
+};
+
+export { DATE_FIELDS, toDecimal, parseModel, formatRequest };
@@ -0,0 +1,212 @@
+/**
+ * TickTrader local order book (ESM)
+ * Keeps sorted level2 book sides from Web API snapshots or stream updates and estimates execution prices
+ */
+
+import { toDecimal } from './ttmodels.mjs';
+
+/**
+ * Get book side name for the book side or trade side
+ * Buy trades are filled by asks and sell trades are filled by bids.
+ */
+const _side = function(side) {
+    if (side === "Bid" || side === "Sell")
+        return "bids";
+    if (side === "Ask" || side === "Buy")
+        return "asks";
+    throw new Error("TickTrader order book side should be 'Bid', 'Ask', 'Buy' or 'Sell'!");
+};
+
+/**
+ * Difference of two prices without binary floating point noise
+ * Prices have at most 10 decimal places, so the difference is rounded to them.
+ */
+const _difference = function(a, b) {
+    return toDecimal(Number((a - b).toFixed(10)));
+};
+
+/**
+ * Normalize level2 entries: drop empty levels, merge equal prices and sort from the best price
+ */
+const _levels = function(entries, descending) {
+    const byPrice = new Map();
+    (entries || []).forEach(function(entry) {
+        const price = toDecimal(Number(entry.Price));
+        const volume = Number(entry.Volume);
+        if (!isFinite(price) || !(volume > 0))
+            return;
+        byPrice.set(price, toDecimal((byPrice.get(price) || 0) + volume));
+    });
+    const levels = [];
+    byPrice.forEach(function(volume, price) { levels.push({ Price: price, Volume: volume }); });
+    return levels.sort(function(a, b) { return descending ? b.Price - a.Price : a.Price - b.Price; });
+};
+
+/**
+ * Local order book
+ * Book is updated with level2 snapshots (`getTickLevel2()` results or stream `"level2"` updates) which replace
+ * both sides, or with single level changes from `setLevel()`. Bids are sorted by descending price and asks
+ * by ascending price, so the best prices are first.
+ * Book options:
+ * - **depth** (optional) - Maximal number of levels kept for each side. Default is no limit.
+ * @param symbol Symbol name
+ * @param options Book options (optional)
+ */
+const OrderBook = function(symbol, options) {
+    if (!symbol)
+        throw new Error("TickTrader order book symbol should be valid!");
+    options = options || {};
+    this.symbol = symbol;
+    this.depth = options.depth || Infinity;
+    this.bids = [];
+    this.asks = [];
+    this.timestamp = undefined;
+};
+
+/**
+ * Replace book sides with the level2 snapshot
+ * Snapshots of other symbols are ignored. Result of `getTickLevel2()` (list of snapshots or raw response) is accepted as well.
+ * @param level2 Level2 snapshot `{ Symbol, Timestamp, Bids, Asks }`
+ * @returns true if the book has been updated
+ */
+OrderBook.prototype.update = function(level2) {
+    if (level2 && level2.data !== undefined && level2.status !== undefined)
+        level2 = level2.data;
+    if (Array.isArray(level2)) {
+        const self = this;
+        level2 = level2.find(function(item) { return item && item.Symbol === self.symbol; });
+    }
+    if (!level2 || level2.Symbol !== this.symbol)
+        return false;
+    this.bids = _levels(level2.Bids, true).slice(0, this.depth);
+    this.asks = _levels(level2.Asks, false).slice(0, this.depth);
+    this.timestamp = level2.Timestamp;
+    return true;
+};
+
+/**
+ * Set volume of a single price level (incremental update)
+ * @param side Book side ("Bid" or "Ask")
+ * @param price Level price
+ * @param volume Level volume (0 removes the level)
+ */
+OrderBook.prototype.setLevel = function(side, price, volume) {
+    const name = _side(side);
+    const levels = this[name].filter(function(level) { return level.Price !== toDecimal(Number(price)); });
+    levels.push({ Price: price, Volume: volume });
+    this[name] = _levels(levels, name === "bids").slice(0, this.depth);
+};
+
+/**
+ * Update the book from the feed stream `"level2"` events
+ * @param stream TickTraderFeedStream subscribed to the symbol level2
+ * @returns Function removing the stream listener
+ */
+OrderBook.prototype.attach = function(stream) {
+    const self = this;
+    const listener = function(update) { self.update(update); };
+    stream.on('level2', listener);
+    return function() { stream.off('level2', listener); };
+};
+
+/**
+ * Get best bid level
+ * @returns Best bid `{ Price, Volume }` or undefined if the side is empty
+ */
+OrderBook.prototype.bestBid = function() {
+    return this.bids[0];
+};
+
+/**
+ * Get best ask level
+ * @returns Best ask `{ Price, Volume }` or undefined if the side is empty
+ */
+OrderBook.prototype.bestAsk = function() {
+    return this.asks[0];
+};
+
+/**
+ * Get spread between the best ask and the best bid
+ * @returns Spread or undefined if any side is empty
+ */
+OrderBook.prototype.spread = function() {
+    return this.bids.length > 0 && this.asks.length > 0 ? _difference(this.asks[0].Price, this.bids[0].Price) : undefined;
+};
+
+/**
+ * Get mid price between the best ask and the best bid
+ * @returns Mid price or undefined if any side is empty
+ */
+OrderBook.prototype.mid = function() {
+    return this.bids.length > 0 && this.asks.length > 0 ? toDecimal((this.asks[0].Price + this.bids[0].Price) / 2) : undefined;
+};
+
+/**
+ * Get cumulative depth of the book side
+ * @param side Book side ("Bid" or "Ask")
+ * @param levels Number of levels (optional). Default is all levels.
+ * @returns List of `{ Price, Volume, CumulativeVolume }` from the best price
+ */
+OrderBook.prototype.cumulativeDepth = function(side, levels) {
+    let cumulative = 0;
+    return this[_side(side)].slice(0, levels).map(function(level) {
+        cumulative = toDecimal(cumulative + level.Volume);
+        return { Price: level.Price, Volume: level.Volume, CumulativeVolume: cumulative };
+    });
+};
+
+/**
+ * Get volume weighted average price to fill the amount with the book liquidity
+ * @param side Trade side ("Buy" is filled by asks, "Sell" is filled by bids)
+ * @param amount Trade amount
+ * @returns Average fill price or undefined if the book has not enough volume
+ */
+OrderBook.prototype.vwap = function(side, amount) {
+    const impact = this.priceImpact(side, amount);
+    return impact.Complete ? impact.Vwap : undefined;
+};
+
+/**
+ * Estimate price impact of filling the amount with the book liquidity
+ * @param side Trade side ("Buy" is filled by asks, "Sell" is filled by bids)
+ * @param amount Trade amount
+ * @returns Estimate with following fields:
+ * - **Filled** - Amount which can be filled with the book volume
+ * - **Complete** - Whole amount can be filled
+ * - **Vwap** - Average fill price of the filled amount (undefined if nothing is filled)
+ * - **WorstPrice** - Price of the last level used for the fill
+ * - **Slippage** - Difference between the average fill price and the best price (adverse direction is positive)
+ * - **Impact** - Distance between the average fill price and the mid price relative to the mid price (fraction, e.g. 0.0001 is one basis point)
+ * - **Levels** - Number of levels used for the fill
+ */
+OrderBook.prototype.priceImpact = function(side, amount) {
+    if (side !== "Buy" && side !== "Sell")
+        throw new Error("TickTrader order book trade side should be 'Buy' or 'Sell'!");
+    if (!(amount > 0))
+        throw new Error("TickTrader order book fill amount should be positive!");
+
+    const levels = this[_side(side)];
+    let filled = 0;
+    let notional = 0;
+    let used = 0;
+    for (const level of levels) {
+        if (filled >= amount)
+            break;
+        const volume = Math.min(level.Volume, amount - filled);
+        filled += volume;
+        notional += volume * level.Price;
+        used++;
+    }
+
+    const estimate = { Filled: toDecimal(filled), Complete: filled >= amount, Vwap: undefined, WorstPrice: undefined, Slippage: undefined, Impact: undefined, Levels: used };
+    if (used === 0)
+        return estimate;
+    estimate.Vwap = toDecimal(notional / filled);
+    estimate.WorstPrice = levels[used - 1].Price;
+    estimate.Slippage = side === "Buy" ? _difference(estimate.Vwap, levels[0].Price) : _difference(levels[0].Price, estimate.Vwap);
+    const mid = this.mid();
+    estimate.Impact = mid ? toDecimal(Math.abs(estimate.Vwap - mid) / mid) : undefined;
+    return estimate;
+};
+
+export { OrderBook };
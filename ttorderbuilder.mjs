@@ -0,0 +1,229 @@
+/**
+ * TickTrader fluent order builder (ESM)
+ * Builds validated create trade requests: `client.order("EURUSD").buy(10000).limit(1.0850).send()`
+ */
+
+import { validateCreateTrade, validationError } from './ttvalidation.mjs';
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Generate unique client trade Id
+ * @returns Client trade Id
+ */
+const generateClientId = function() {
+    const crypto = globalThis.crypto;
+    if (crypto && typeof crypto.randomUUID === 'function')
+        return crypto.randomUUID();
+    return Date.now().toString(36) + "-" + Math.random().toString(36).substr(2, 10) + Math.random().toString(36).substr(2, 10);
+};
+
+/**
+ * Parse duration into milliseconds
+ * @param duration Duration in milliseconds or string of numbers with units (`ms`, `s`, `m`, `h`, `d`, `w`), e.g. "1h30m"
+ * @returns Duration (ms)
+ */
+const parseDuration = function(duration) {
+    if (typeof duration === 'number' && isFinite(duration) && duration > 0)
+        return duration;
+    const text = String(duration).replace(/\s+/g, "");
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+    let total = 0;
+    let length = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        total += Number(match[1]) * DURATION_UNITS[match[2]];
+        length += match[0].length;
+    }
+    if (length === 0 || length !== text.length || !(total > 0))
+        throw new Error("TickTrader duration '" + duration + "' is invalid! Use milliseconds or units like '30s', '15m', '1h', '1d'.");
+    return total;
+};
+
+/**
+ * Fluent order builder
+ * Trade is a market one until `limit()` or `stop()` sets the price. `ClientId` is generated once per builder,
+ * so sending the same builder again does not create a duplicate trade when the request is retried.
+ * @param client TickTrader Web API client
+ * @param symbol Trade symbol
+ */
+const OrderBuilder = function(client, symbol) {
+    if (!client)
+        throw new Error("TickTrader order builder client should be valid!");
+    this.client = client;
+    this.request = { Type: "Market", Symbol: symbol };
+    this._expiresIn = undefined;
+};
+
+/**
+ * Buy the amount
+ * @param amount Trade amount
+ * @returns Order builder
+ */
+OrderBuilder.prototype.buy = function(amount) {
+    this.request.Side = "Buy";
+    if (amount !== undefined)
+        this.request.Amount = amount;
+    return this;
+};
+
+/**
+ * Sell the amount
+ * @param amount Trade amount
+ * @returns Order builder
+ */
+OrderBuilder.prototype.sell = function(amount) {
+    this.request.Side = "Sell";
+    if (amount !== undefined)
+        this.request.Amount = amount;
+    return this;
+};
+
+/**
+ * Set trade amount
+ * @param amount Trade amount
+ * @returns Order builder
+ */
+OrderBuilder.prototype.amount = function(amount) {
+    this.request.Amount = amount;
+    return this;
+};
+
+/**
+ * Make market trade (default)
+ * @returns Order builder
+ */
+OrderBuilder.prototype.market = function() {
+    this.request.Type = "Market";
+    delete this.request.Price;
+    return this;
+};
+
+/**
+ * Make limit trade
+ * @param price Limit price
+ * @returns Order builder
+ */
+OrderBuilder.prototype.limit = function(price) {
+    this.request.Type = "Limit";
+    this.request.Price = price;
+    return this;
+};
+
+/**
+ * Make stop trade
+ * @param price Stop price
+ * @returns Order builder
+ */
+OrderBuilder.prototype.stop = function(price) {
+    this.request.Type = "Stop";
+    this.request.Price = price;
+    return this;
+};
+
+/**
+ * Set stop loss price
+ * @param price Stop loss price
+ * @returns Order builder
+ */
+OrderBuilder.prototype.stopLoss = function(price) {
+    this.request.StopLoss = price;
+    return this;
+};
+
+/**
+ * Set take profit price
+ * @param price Take profit price
+ * @returns Order builder
+ */
+OrderBuilder.prototype.takeProfit = function(price) {
+    this.request.TakeProfit = price;
+    return this;
+};
+
+/**
+ * Expire pending trade at the given time
+ * @param timestamp Expiration date and time (Date or milliseconds)
+ * @returns Order builder
+ */
+OrderBuilder.prototype.expiresAt = function(timestamp) {
+    this.request.ExpiredTimestamp = timestamp;
+    this._expiresIn = undefined;
+    return this;
+};
+
+/**
+ * Expire pending trade after the duration since it is sent (by the server clock if the client has one)
+ * @param duration Duration in milliseconds or string like "30m", "1h", "1d"
+ * @returns Order builder
+ */
+OrderBuilder.prototype.expiresIn = function(duration) {
+    this._expiresIn = parseDuration(duration);
+    delete this.request.ExpiredTimestamp;
+    return this;
+};
+
+/**
+ * Set "Immediate or cancel" flag (limit trades only)
+ * @param enabled Flag value (optional). Default is true.
+ * @returns Order builder
+ */
+OrderBuilder.prototype.ioc = function(enabled) {
+    this.request.ImmediateOrCancel = enabled !== false;
+    return this;
+};
+
+/**
+ * Set client comment
+ * @param text Comment
+ * @returns Order builder
+ */
+OrderBuilder.prototype.comment = function(text) {
+    this.request.Comment = text;
+    return this;
+};
+
+/**
+ * Set client trade Id instead of the generated one
+ * @param clientId Client trade Id
+ * @returns Order builder
+ */
+OrderBuilder.prototype.clientId = function(clientId) {
+    this.request.ClientId = clientId;
+    return this;
+};
+
+/**
+ * Build create trade request
+ * @returns Validated create trade request, TickTraderValidationError is thrown for invalid requests
+ */
+OrderBuilder.prototype.build = function() {
+    if (!this.request.ClientId)
+        this.request.ClientId = generateClientId();
+    const request = Object.assign({}, this.request);
+    if (this._expiresIn !== undefined) {
+        const clock = this.client.clock;
+        request.ExpiredTimestamp = (clock ? clock.now() : Date.now()) + this._expiresIn;
+    }
+    const error = validationError("create trade", validateCreateTrade(request, { strict: this.client.validate === "strict" }));
+    if (error)
+        throw error;
+    return request;
+};
+
+/**
+ * Build the request and create the trade
+ * @returns Created trade (see `createTrade()`)
+ */
+OrderBuilder.prototype.send = function() {
+    let request;
+    try {
+        request = this.build();
+    }
+    catch (err) {
+        return Promise.reject(err);
+    }
+    return this.client.createTrade(request);
+};
+
+export { OrderBuilder, generateClientId, parseDuration };
@@ -0,0 +1,600 @@
+/**
+ * TickTrader bracket and OCO order management (ESM)
+ * TickTrader Web API has no native one-cancels-other orders, so the manager places the orders with `createTrade()`,
+ * watches their fills by polling or trade stream events and cancels the sibling orders with `cancelTrade()`
+ */
+
+import { generateClientId } from './ttorderbuilder.mjs';
+import { TickTraderNotFoundError } from './tterrors.mjs';
+import { findCreatedTrade } from './tttradehistory.mjs';
+
+const PENDING_TYPES = ["Limit", "Stop"];
+const FINAL_STATUSES = ["completed", "canceled", "failed"];
+const FILL_TRANSACTIONS = ["OrderFilled", "OrderActivated", "PositionOpened"];
+const CANCEL_TRANSACTIONS = ["OrderCanceled", "OrderExpired"];
+
+/**
+ * In-memory order manager state storage (state is lost on restart)
+ * @param state Initial state (optional)
+ */
+const MemoryStorage = function(state) {
+    this.state = state;
+};
+
+MemoryStorage.prototype.load = function() {
+    return Promise.resolve(this.state ? JSON.parse(JSON.stringify(this.state)) : undefined);
+};
+
+MemoryStorage.prototype.save = function(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+    return Promise.resolve();
+};
+
+/**
+ * JSON file order manager state storage (Node.js)
+ * File is replaced atomically, so the state is never left half-written.
+ * @param path File path
+ */
+const FileStorage = function(path) {
+    if (!path)
+        throw new Error("TickTrader order manager state file path should be valid!");
+    this.path = path;
+};
+
+FileStorage.prototype.load = function() {
+    const self = this;
+    return import('fs/promises').then(function(fs) {
+        return fs.readFile(self.path, 'utf8');
+    }).then(JSON.parse, function(err) {
+        if (err && err.code === 'ENOENT')
+            return undefined;
+        throw err;
+    });
+};
+
+FileStorage.prototype.save = function(state) {
+    const self = this;
+    const temp = this.path + ".tmp";
+    return import('fs/promises').then(function(fs) {
+        return fs.writeFile(temp, JSON.stringify(state, null, 2), 'utf8').then(function() {
+            return fs.rename(temp, self.path);
+        });
+    });
+};
+
+/**
+ * Bracket and OCO order manager
+ * Order groups:
+ * - **oco** - two orders, when one of them is filled the other one is canceled
+ * - **bracket** - entry order; when it is filled, stop loss (Stop) and take profit (Limit) exit orders of the opposite
+ *   side are placed as an OCO pair. On gross accounts the filled exit position is closed by the entry position.
+ *
+ * Group status is `"pending"` (bracket entry is not filled yet), `"active"` (OCO orders are placed),
+ * `"completed"` (one order is filled and the siblings are canceled), `"canceled"` or `"failed"`.
+ * Order status is `"placing"`, `"pending"`, `"filled"`, `"canceled"` or `"rejected"`.
+ * State is saved to the storage on every change and restored by `start()`, so the groups survive a restart.
+ *
+ * Events: `"placed"`, `"activated"` (bracket exits are placed), `"filled"` (`{ group, order }`), `"completed"`,
+ * `"canceled"`, `"failed"` (group) and `"error"`.
+ *
+ * Manager options:
+ * - **storage** (optional) - State storage with `load()` and `save(state)` methods (MemoryStorage, FileStorage or
+ *   custom one). Default is MemoryStorage.
+ * - **stream** (optional) - TickTraderTradeStream delivering fills and cancellations as soon as they happen
+ * - **pollInterval** (optional) - Interval of checking trades with `getAllTrades()` (ms), 0 disables polling.
+ *   Default is 1000.
+ * @param client TickTrader Web API client
+ * @param options Manager options (optional)
+ */
+const OrderManager = function(client, options) {
+    if (!client)
+        throw new Error("TickTrader order manager client should be valid!");
+    options = options || {};
+    this.client = client;
+    this.storage = options.storage || new MemoryStorage();
+    this.stream = options.stream || null;
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 1000;
+    this.groups = [];
+
+    this._listeners = {};
+    this._queue = Promise.resolve();
+    this._running = false;
+    this._timer = null;
+    this._detach = null;
+};
+
+/**
+ * Add event listener
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Manager instance
+ */
+OrderManager.prototype.on = function(event, listener) {
+    (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+    return this;
+};
+
+/**
+ * Remove event listener
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Manager instance
+ */
+OrderManager.prototype.off = function(event, listener) {
+    const listeners = this._listeners[event];
+    if (listeners && listeners.indexOf(listener) >= 0)
+        listeners.splice(listeners.indexOf(listener), 1);
+    return this;
+};
+
+OrderManager.prototype._emit = function(event, data) {
+    const listeners = (this._listeners[event] || []).slice();
+    for (const listener of listeners) {
+        try {
+            listener.call(this, data);
+        }
+        catch (err) {
+            if (event !== 'error')
+                this._emit('error', err);
+        }
+    }
+};
+
+/**
+ * Run state changing task after the previous ones, so polling, stream events and placements never interleave
+ */
+OrderManager.prototype._enqueue = function(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(function() {});
+    return result;
+};
+
+OrderManager.prototype._save = function() {
+    return this.storage.save({ version: 1, groups: this.groups });
+};
+
+OrderManager.prototype._raw = function() {
+    return this.client.raw || this.client;
+};
+
+/**
+ * Restore the saved state and start watching the orders
+ * Orders which were being placed during the restart are looked up by their `ClientId`.
+ * @returns Promise resolved when the state is restored and checked
+ */
+OrderManager.prototype.start = function() {
+    const self = this;
+    if (this._running)
+        return Promise.resolve();
+    this._running = true;
+    if (this.stream)
+        this._detach = this.attach(this.stream);
+    return this._enqueue(async function() {
+        const state = await self.storage.load();
+        if (state && Array.isArray(state.groups))
+            self.groups = state.groups;
+        await self._recover();
+    }).then(function() {
+        return self.check();
+    }).then(function() {
+        self._schedule();
+    });
+};
+
+/**
+ * Stop watching the orders
+ * @returns Promise resolved when the running tasks are finished
+ */
+OrderManager.prototype.stop = function() {
+    this._running = false;
+    if (this._timer)
+        clearTimeout(this._timer);
+    this._timer = null;
+    if (this._detach)
+        this._detach();
+    this._detach = null;
+    return this._queue;
+};
+
+OrderManager.prototype._schedule = function() {
+    const self = this;
+    if (!this._running || !(this.pollInterval > 0))
+        return;
+    this._timer = setTimeout(function() {
+        self._timer = null;
+        self.check().catch(function(err) {
+            self._emit('error', err);
+        }).then(function() {
+            self._schedule();
+        });
+    }, this.pollInterval);
+};
+
+/**
+ * Handle trade stream fills and cancellations
+ * @param stream TickTraderTradeStream
+ * @returns Function removing the stream listeners
+ */
+OrderManager.prototype.attach = function(stream) {
+    const self = this;
+    const handle = function(outcome) {
+        return function(report) {
+            if (!report || !report.Trade)
+                return;
+            self._enqueue(function() {
+                return self._onOutcome(report.Trade.Id, outcome, report.Trade);
+            }).catch(function(err) {
+                self._emit('error', err);
+            });
+        };
+    };
+    const onFilled = handle("filled");
+    const onCanceled = handle("canceled");
+    stream.on('tradeFilled', onFilled);
+    stream.on('tradeCanceled', onCanceled);
+    return function() {
+        stream.off('tradeFilled', onFilled);
+        stream.off('tradeCanceled', onCanceled);
+    };
+};
+
+/**
+ * Get order group by Id
+ * @param groupId Group Id
+ * @returns Order group or undefined
+ */
+OrderManager.prototype.get = function(groupId) {
+    return this.groups.find(function(group) { return group.id === groupId; });
+};
+
+OrderManager.prototype._group = function(type, orders) {
+    const group = {
+        id: generateClientId(),
+        type: type,
+        status: "pending",
+        created: Date.now(),
+        orders: orders.map(function(order) {
+            return { role: order.role, request: order.request, clientId: order.request.ClientId || generateClientId(), id: undefined, status: "placing" };
+        })
+    };
+    this.groups.push(group);
+    return group;
+};
+
+/**
+ * Create the order trade (client Id is saved first, so the order can be found after a restart)
+ */
+OrderManager.prototype._create = async function(order) {
+    order.status = "placing";
+    await this._save();
+    try {
+        const trade = (await this._raw().createTrade(Object.assign({}, order.request, { ClientId: order.clientId }))).data;
+        this._applyTrade(order, trade);
+    }
+    catch (err) {
+        order.status = "rejected";
+        order.error = err.message;
+        throw err;
+    }
+};
+
+OrderManager.prototype._applyTrade = function(order, trade) {
+    order.id = trade.Id;
+    if (PENDING_TYPES.indexOf(trade.Type) >= 0)
+        order.status = "pending";
+    else {
+        order.status = "filled";
+        order.position = trade.Type === "Position";
+    }
+};
+
+/**
+ * Place OCO pair: when one of the orders is filled, the other one is canceled
+ * @param first First create trade request
+ * @param second Second create trade request
+ * @returns Promise with the order group
+ */
+OrderManager.prototype.placeOco = function(first, second) {
+    const self = this;
+    return this._enqueue(async function() {
+        const group = self._group("oco", [{ role: "first", request: first }, { role: "second", request: second }]);
+        await self._placeOrders(group, group.orders);
+        group.status = "active";
+        await self._save();
+        self._emit('placed', group);
+        await self._checkImmediateFill(group);
+        return group;
+    });
+};
+
+/**
+ * Place bracket: entry order with stop loss and take profit exit orders placed when the entry is filled
+ * Exit prices:
+ * - **stopLoss** (optional) - Stop loss price (Stop order of the opposite side)
+ * - **takeProfit** (optional) - Take profit price (Limit order of the opposite side)
+ * @param entry Entry create trade request
+ * @param exits Exit prices
+ * @returns Promise with the order group
+ */
+OrderManager.prototype.placeBracket = function(entry, exits) {
+    const self = this;
+    exits = exits || {};
+    if (exits.stopLoss === undefined && exits.takeProfit === undefined)
+        return Promise.reject(new Error("TickTrader bracket should have stop loss or take profit price!"));
+    return this._enqueue(async function() {
+        const group = self._group("bracket", [{ role: "entry", request: entry }]);
+        group.exits = { stopLoss: exits.stopLoss, takeProfit: exits.takeProfit };
+        await self._placeOrders(group, group.orders);
+        await self._save();
+        self._emit('placed', group);
+        if (group.orders[0].status === "filled")
+            await self._onFilled(group, group.orders[0]);
+        return group;
+    });
+};
+
+/**
+ * Create group orders, the already created ones are canceled if any of them fails
+ */
+OrderManager.prototype._placeOrders = async function(group, orders) {
+    try {
+        for (const order of orders)
+            await this._create(order);
+    }
+    catch (err) {
+        await this._cancelPending(group);
+        group.status = "failed";
+        group.error = err.message;
+        await this._save();
+        this._emit('failed', group);
+        throw err;
+    }
+};
+
+/**
+ * Place bracket exit orders after the entry fill
+ */
+OrderManager.prototype._activate = async function(group) {
+    const entry = group.orders[0];
+    const side = entry.request.Side === "Buy" ? "Sell" : "Buy";
+    const exit = function(role, type, price) {
+        return {
+            role: role,
+            request: { Type: type, Side: side, Symbol: entry.request.Symbol, Amount: entry.request.Amount, Price: price },
+            clientId: generateClientId(),
+            id: undefined,
+            status: "placing"
+        };
+    };
+    const exits = [];
+    if (group.exits.stopLoss !== undefined)
+        exits.push(exit("stopLoss", "Stop", group.exits.stopLoss));
+    if (group.exits.takeProfit !== undefined)
+        exits.push(exit("takeProfit", "Limit", group.exits.takeProfit));
+    group.orders = group.orders.concat(exits);
+    try {
+        await this._placeOrders(group, exits);
+    }
+    catch (err) {
+        this._emit('error', err);
+        return;
+    }
+    group.status = "active";
+    await this._save();
+    this._emit('activated', group);
+    await this._checkImmediateFill(group);
+};
+
+OrderManager.prototype._checkImmediateFill = async function(group) {
+    const filled = group.orders.find(function(order) { return order.role !== "entry" && order.status === "filled"; });
+    if (filled)
+        await this._onFilled(group, filled);
+};
+
+/**
+ * Cancel pending orders of the group
+ * @returns List of errors of the orders which could not be canceled
+ */
+OrderManager.prototype._cancelPending = async function(group, except) {
+    const errors = [];
+    for (const order of group.orders) {
+        if (order === except || order.status !== "pending")
+            continue;
+        try {
+            await this._raw().cancelTrade(order.id);
+            order.status = "canceled";
+        }
+        catch (err) {
+            // Order is not pending anymore: it is either filled or canceled meanwhile
+            const outcome = err instanceof TickTraderNotFoundError ? await this._outcome(order) : undefined;
+            if (outcome === "canceled")
+                order.status = "canceled";
+            else {
+                if (outcome === "filled")
+                    order.status = "filled";
+                errors.push(outcome === "filled" ? new Error("TickTrader order " + order.id + " of group " + group.id + " is filled together with its sibling!") : err);
+            }
+        }
+    }
+    return errors;
+};
+
+/**
+ * Find the outcome of the order which is not pending anymore in its trade history
+ * @returns "filled", "canceled" or undefined if unknown
+ */
+OrderManager.prototype._outcome = async function(order) {
+    for await (const record of this._raw().iterateTradeHistoryByTradeId(order.id, { RequestDirection: "Backward" })) {
+        if (FILL_TRANSACTIONS.indexOf(record.TransactionType) >= 0)
+            return "filled";
+        if (CANCEL_TRANSACTIONS.indexOf(record.TransactionType) >= 0)
+            return "canceled";
+    }
+    return undefined;
+};
+
+OrderManager.prototype._onOutcome = async function(tradeId, outcome, trade) {
+    for (const group of this.groups) {
+        if (FINAL_STATUSES.indexOf(group.status) >= 0)
+            continue;
+        const order = group.orders.find(function(item) { return item.status === "pending" && String(item.id) === String(tradeId); });
+        if (!order)
+            continue;
+        if (outcome === "filled") {
+            order.position = !!trade && trade.Type === "Position";
+            await this._onFilled(group, order);
+        }
+        else
+            await this._onCanceled(group, order);
+        return;
+    }
+};
+
+OrderManager.prototype._onFilled = async function(group, order) {
+    order.status = "filled";
+    this._emit('filled', { group: group, order: order });
+    if (order.role === "entry") {
+        await this._save();
+        return this._activate(group);
+    }
+
+    const errors = await this._cancelPending(group, order);
+    const entry = group.type === "bracket" ? group.orders[0] : undefined;
+    if (entry && entry.position && order.position && errors.length === 0) {
+        // Gross accounts keep the exit as an opposite position, so it is closed by the entry one
+        try {
+            await this._raw().closeByTrade(entry.id, order.id);
+        }
+        catch (err) {
+            errors.push(err);
+        }
+    }
+    group.status = errors.length > 0 ? "failed" : "completed";
+    if (errors.length > 0)
+        group.error = errors[0].message;
+    await this._save();
+    errors.forEach(function(err) { this._emit('error', err); }, this);
+    this._emit(group.status, group);
+};
+
+OrderManager.prototype._onCanceled = async function(group, order) {
+    order.status = "canceled";
+    const errors = await this._cancelPending(group);
+    group.status = errors.length > 0 ? "failed" : "canceled";
+    await this._save();
+    errors.forEach(function(err) { this._emit('error', err); }, this);
+    this._emit(group.status, group);
+};
+
+/**
+ * Resolve orders which were being placed during the restart by their client Id and activate filled bracket entries
+ * Orders which are not open anymore (e.g. market trades of net and cash accounts filled at once) are searched in trade
+ * history and left pending, so `check()` handles their fills and cancellations.
+ */
+OrderManager.prototype._recover = async function() {
+    const active = this.groups.filter(function(group) { return FINAL_STATUSES.indexOf(group.status) < 0; });
+    if (!active.some(function(group) { return group.orders.some(function(order) { return order.status === "placing"; }); }))
+        return;
+    const trades = (await this._raw().getAllTrades()).data;
+    for (const group of active) {
+        for (const order of group.orders) {
+            if (order.status !== "placing")
+                continue;
+            const trade = trades.find(function(item) { return item.ClientId === order.clientId; });
+            if (trade) {
+                this._applyTrade(order, trade);
+                continue;
+            }
+            const created = await findCreatedTrade(this.client, order.clientId, group.created);
+            if (created) {
+                order.id = created.data.Id;
+                order.status = "pending";
+            }
+            else
+                order.status = "rejected";
+        }
+        if (group.orders.some(function(order) { return order.status === "rejected"; })) {
+            await this._cancelPending(group);
+            group.status = "failed";
+            group.error = "Order placement was interrupted";
+            this._emit('failed', group);
+        }
+        else if (group.status === "pending" && group.type === "oco")
+            group.status = "active";
+    }
+    await this._save();
+};
+
+/**
+ * Check pending orders with `getAllTrades()` and handle their fills and cancellations
+ * Called periodically while the manager is started, can be called manually as well.
+ * @returns Promise resolved when the check is finished
+ */
+OrderManager.prototype.check = function() {
+    const self = this;
+    return this._enqueue(async function() {
+        const active = self.groups.filter(function(group) { return FINAL_STATUSES.indexOf(group.status) < 0; });
+        if (active.length === 0)
+            return;
+        const trades = {};
+        (await self._raw().getAllTrades()).data.forEach(function(trade) { trades[trade.Id] = trade; });
+
+        for (const group of active) {
+            // Bracket entry filled before the restart
+            if (group.type === "bracket" && group.status === "pending" && group.orders[0].status === "filled") {
+                await self._activate(group);
+                continue;
+            }
+            for (const order of group.orders) {
+                if (order.status !== "pending" || FINAL_STATUSES.indexOf(group.status) >= 0)
+                    continue;
+                const trade = trades[order.id];
+                if (trade && PENDING_TYPES.indexOf(trade.Type) >= 0)
+                    continue;
+                if (trade && trade.Type === "Position") {
+                    order.position = true;
+                    await self._onFilled(group, order);
+                    continue;
+                }
+                const outcome = await self._outcome(order);
+                if (outcome === "filled")
+                    await self._onFilled(group, order);
+                else if (outcome === "canceled")
+                    await self._onCanceled(group, order);
+            }
+            // Gross bracket entry position closed outside of the manager
+            const entry = group.orders[0];
+            if (group.type === "bracket" && group.status === "active" && entry.position && !trades[entry.id]) {
+                const errors = await self._cancelPending(group);
+                group.status = errors.length > 0 ? "failed" : "canceled";
+                await self._save();
+                self._emit(group.status, group);
+            }
+        }
+    });
+};
+
+/**
+ * Cancel pending orders of the group
+ * @param groupId Group Id
+ * @returns Promise with the order group
+ */
+OrderManager.prototype.cancel = function(groupId) {
+    const self = this;
+    return this._enqueue(async function() {
+        const group = self.get(groupId);
+        if (!group)
+            throw new Error("TickTrader order group " + groupId + " not found!");
+        if (FINAL_STATUSES.indexOf(group.status) >= 0)
+            return group;
+        const errors = await self._cancelPending(group);
+        group.status = errors.length > 0 ? "failed" : "canceled";
+        await self._save();
+        self._emit(group.status, group);
+        if (errors.length > 0)
+            throw errors[0];
+        return group;
+    });
+};
+
+export { OrderManager, MemoryStorage, FileStorage };
@@ -0,0 +1,184 @@
+/**
+ * TickTrader Web API client-side rate limiter (ESM)
+ * Token buckets per endpoint class with a priority request queue
+ */
+
+import { TickTraderRateLimitError } from './tterrors.mjs';
+
+/**
+ * Default endpoint class budgets (rate in requests per second, burst in requests).
+ * Lower priority value is dispatched first.
+ */
+const DEFAULT_CLASSES = {
+    "trade": { rate: 5, burst: 10, priority: 0 },
+    "account": { rate: 5, burst: 10, priority: 1 },
+    "feed": { rate: 5, burst: 10, priority: 2 }
+};
+
+const FEED_PATTERN = /\/api\/v2\/(public\/)?(tradesession|currency|symbol|tick|level2|quotehistory)(\/|$|\?)/;
+
+/**
+ * Get endpoint class of the Web API request
+ * - **trade** - trade modifications (create, modify, cancel, close)
+ * - **feed** - market data and reference data (ticks, level2, quote history, symbols, currencies, trade session)
+ * - **account** - other account requests (account, assets, positions, trades, trade history)
+ * @param method Request HTTP method
+ * @param url Request URL
+ * @returns Endpoint class name
+ */
+const endpointClass = function(method, url) {
+    if (method.toUpperCase() !== 'GET' && /\/api\/v2\/trade(\?|$)/.test(url))
+        return "trade";
+    if (FEED_PATTERN.test(url))
+        return "feed";
+    return "account";
+};
+
+/**
+ * Token bucket
+ * @param rate Token refill rate (tokens per second)
+ * @param burst Bucket capacity
+ */
+const TokenBucket = function(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this._refilled = Date.now();
+};
+
+TokenBucket.prototype.refill = function(now) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this._refilled) * this.rate / 1000);
+    this._refilled = now;
+};
+
+/**
+ * Time until the next token is available (ms)
+ */
+TokenBucket.prototype.wait = function() {
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 1000 / this.rate);
+};
+
+/**
+ * Client-side rate limiter
+ * Limiter options:
+ * - **rate**, **burst** (optional) - Overall budget shared by all endpoint classes. Default is 10 requests per second with burst of 20.
+ * - **classes** (optional) - Endpoint class budgets `{ trade, account, feed }` of `{ rate, burst, priority }`
+ * - **maxQueue** (optional) - Maximal number of queued requests. Default is unlimited.
+ * @param options Rate limiter options
+ */
+const RateLimiter = function(options) {
+    options = options || {};
+    this.global = new TokenBucket(options.rate || 10, options.burst || 20);
+    this.classes = {};
+    this.maxQueue = options.maxQueue;
+
+    const classes = Object.assign({}, DEFAULT_CLASSES, options.classes);
+    for (const name in classes) {
+        const settings = Object.assign({}, DEFAULT_CLASSES[name], classes[name]);
+        this.classes[name] = {
+            bucket: new TokenBucket(settings.rate, settings.burst),
+            priority: settings.priority !== undefined ? settings.priority : Object.keys(DEFAULT_CLASSES).length,
+            queued: 0,
+            dispatched: 0,
+            totalWait: 0,
+            maxWait: 0
+        };
+    }
+
+    this._queue = [];
+    this._timer = null;
+};
+
+/**
+ * Queue task until the endpoint class and overall budgets allow to run it
+ * @param name Endpoint class name
+ * @param task Function starting the request
+ * @returns Promise with the task result
+ */
+RateLimiter.prototype.schedule = function(name, task) {
+    const self = this;
+    const endpoint = this.classes[name];
+    if (!endpoint)
+        return Promise.reject(new Error("TickTrader rate limiter endpoint class '" + name + "' is unknown!"));
+    if (this.maxQueue !== undefined && this._queue.length >= this.maxQueue)
+        return Promise.reject(new TickTraderRateLimitError("TickTrader client request queue is full (" + this.maxQueue + " requests)", { retryable: false }));
+
+    return new Promise(function(resolve, reject) {
+        const item = { name: name, task: task, resolve: resolve, reject: reject, queued: Date.now() };
+        // Keep queue ordered by priority, FIFO within the same priority
+        let index = self._queue.length;
+        while (index > 0 && self.classes[self._queue[index - 1].name].priority > endpoint.priority)
+            index--;
+        self._queue.splice(index, 0, item);
+        endpoint.queued++;
+        self._drain();
+    });
+};
+
+RateLimiter.prototype._drain = function() {
+    const self = this;
+    if (this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    const now = Date.now();
+    this.global.refill(now);
+    for (const name in this.classes)
+        this.classes[name].bucket.refill(now);
+
+    let wait = Infinity;
+    for (let index = 0; index < this._queue.length && this.global.tokens >= 1;) {
+        const item = this._queue[index];
+        const endpoint = this.classes[item.name];
+        if (endpoint.bucket.tokens < 1) {
+            wait = Math.min(wait, endpoint.bucket.wait());
+            index++;
+            continue;
+        }
+
+        this.global.tokens--;
+        endpoint.bucket.tokens--;
+        this._queue.splice(index, 1);
+        endpoint.queued--;
+        endpoint.dispatched++;
+        endpoint.totalWait += now - item.queued;
+        endpoint.maxWait = Math.max(endpoint.maxWait, now - item.queued);
+        try {
+            Promise.resolve(item.task()).then(item.resolve, item.reject);
+        }
+        catch (err) {
+            item.reject(err);
+        }
+    }
+
+    if (this._queue.length > 0) {
+        wait = Math.max(this.global.wait(), wait === Infinity ? 0 : wait);
+        this._timer = setTimeout(function() { self._drain(); }, Math.max(wait, 1));
+    }
+};
+
+/**
+ * Get queue depth and wait time statistics
+ * @returns Statistics: `{ queued, dispatched, averageWait, maxWait, classes: { <name>: { queued, dispatched, averageWait, maxWait } } }`
+ */
+RateLimiter.prototype.stats = function() {
+    const stats = { queued: this._queue.length, dispatched: 0, averageWait: 0, maxWait: 0, classes: {} };
+    let totalWait = 0;
+    for (const name in this.classes) {
+        const endpoint = this.classes[name];
+        stats.classes[name] = {
+            queued: endpoint.queued,
+            dispatched: endpoint.dispatched,
+            averageWait: endpoint.dispatched ? endpoint.totalWait / endpoint.dispatched : 0,
+            maxWait: endpoint.maxWait
+        };
+        stats.dispatched += endpoint.dispatched;
+        stats.maxWait = Math.max(stats.maxWait, endpoint.maxWait);
+        totalWait += endpoint.totalWait;
+    }
+    stats.averageWait = stats.dispatched ? totalWait / stats.dispatched : 0;
+    return stats;
+};
+
+export { RateLimiter, endpointClass };
@@ -0,0 +1,109 @@
+/**
+ * TickTrader Web API retry policy (ESM)
+ * Jittered exponential backoff for transient Web API failures
+ */
+
+import { TickTraderNetworkError, TickTraderServerError, TickTraderRateLimitError } from './tterrors.mjs';
+
+/**
+ * Retry policy
+ * Policy options:
+ * - **retries** (optional) - Maximal number of retries after the first attempt. Default is 3.
+ * - **minDelay** (optional) - Delay before the first retry (ms). Default is 200.
+ * - **maxDelay** (optional) - Maximal delay between retries (ms). Default is 10000.
+ * - **factor** (optional) - Exponential backoff factor. Default is 2.
+ * - **jitter** (optional) - Randomize delays to spread retries of concurrent clients. Default is `true`.
+ * - **onRetry** (optional) - Callback `(error, attempt, delay)` invoked before each retry
+ * @param options Retry policy options
+ */
+const RetryPolicy = function(options) {
+    options = options || {};
+    this.retries = options.retries !== undefined ? options.retries : 3;
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 200;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 10000;
+    this.factor = options.factor !== undefined ? options.factor : 2;
+    this.jitter = options.jitter !== false;
+    this.onRetry = options.onRetry;
+};
+
+/**
+ * Check if the request failure is transient (network failure, server failure or throttling)
+ * Errors marked with `retryable: false` (e.g. the full client request queue) are never retried.
+ * @param error Request error
+ * @returns true if the request may succeed when repeated
+ */
+RetryPolicy.prototype.isRetryable = function(error) {
+    if (error && error.retryable === false)
+        return false;
+    return error instanceof TickTraderNetworkError || error instanceof TickTraderServerError || error instanceof TickTraderRateLimitError;
+};
+
+/**
+ * Check if the failed request might have been applied by the server (network failure or server failure)
+ * @param error Request error
+ * @returns true if the request outcome is unknown
+ */
+RetryPolicy.prototype.isOutcomeUnknown = function(error) {
+    return error instanceof TickTraderNetworkError || error instanceof TickTraderServerError;
+};
+
+/**
+ * Get delay before the given retry
+ * Server `Retry-After` hint is respected for throttled requests.
+ * @param attempt Retry number (starting from 1)
+ * @param error Request error
+ * @returns Delay (ms)
+ */
+RetryPolicy.prototype.delay = function(attempt, error) {
+    if (error instanceof TickTraderRateLimitError && error.retryAfter !== undefined)
+        return error.retryAfter;
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1));
+    return this.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+};
+
+/**
+ * Execute request attempts until success, non-retryable failure or retries exhaustion
+ * Execution options:
+ * - **idempotent** (optional) - Request can be repeated safely
+ * - **reconcile** (optional) - Callback `(error)` invoked before each retry of a non-idempotent request.
+ *   It resolves with the result of the previous attempt if it has been applied by the server
+ *   (the request is not repeated then) or with undefined to repeat the request. It is invoked once more when
+ *   the last attempt fails with an unknown outcome, so the request is rejected only if it has not been applied.
+ * Non-idempotent requests without `reconcile` callback are never retried.
+ * @param attempt Function performing a single request attempt (re-signed on each call)
+ * @param options Execution options
+ * @returns Promise with the request result
+ */
+RetryPolicy.prototype.execute = function(attempt, options) {
+    options = options || {};
+    const self = this;
+    const retryable = options.idempotent || !!options.reconcile;
+
+    const run = function(number, result) {
+        return result.catch(function(err) {
+            if (!retryable || number > self.retries || !self.isRetryable(err)) {
+                if (!options.reconcile || !self.isOutcomeUnknown(err))
+                    throw err;
+                // Failure of the check leaves the outcome unknown, so the request error is reported
+                return options.reconcile(err).then(function(reconciled) {
+                    if (reconciled === undefined)
+                        throw err;
+                    return reconciled;
+                }, function() {
+                    throw err;
+                });
+            }
+            const delay = self.delay(number, err);
+            if (self.onRetry)
+                self.onRetry(err, number, delay);
+            return new Promise(function(resolve) { setTimeout(resolve, delay); }).then(function() {
+                return options.reconcile ? options.reconcile(err) : undefined;
+            }).then(function(reconciled) {
+                return reconciled !== undefined ? reconciled : run(number + 1, attempt());
+            });
+        });
+    };
+    return run(1, attempt());
+};
+
+export { RetryPolicy };
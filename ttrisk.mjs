@@ -0,0 +1,213 @@
+/**
+ * TickTrader pre-trade risk guard (ESM)
+ * Checks create and modify trade requests against order size, exposure, open trades, daily loss, stop loss and price
+ * deviation limits before they are sent
+ */
+
+import { toDecimal } from './ttmodels.mjs';
+import { TickTraderRiskRejectedError } from './tterrors.mjs';
+
+const PENDING_TYPES = ["Limit", "Stop"];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create risk rejection error for the list of violations
+ */
+const _rejected = function(name, violations) {
+    const message = "TickTrader " + name + " request is rejected by the risk guard: " + violations.map(function(violation) { return violation.message; }).join("; ") + "!";
+    return new TickTraderRiskRejectedError(message, { violations: violations });
+};
+
+/**
+ * Get the symbol limit from the number for all symbols or the map by symbol name
+ */
+const _symbolLimit = function(limit, symbol) {
+    if (limit === undefined || limit === null || typeof limit === 'number')
+        return limit;
+    return limit[symbol] !== undefined ? limit[symbol] : limit["*"];
+};
+
+/**
+ * Risk guard
+ * Limits are checked only when they are set. Account data required by the limits (open trades, positions, trade
+ * history, ticks) is requested for every checked request, so the checks see the current account state.
+ * `maxExposure`, `maxSymbolExposure`, `maxOpenTrades`, `maxDailyLoss` and `requireStopLoss` limit new risk, so they are
+ * checked only for trades increasing the net position of the symbol. Trades reducing it (closing and offset trades) are
+ * checked against `maxOrderAmount` and `maxPriceDeviation` only.
+ * Exposure is measured in trade amount units (same as `Amount`). Buy positions are netted against sell positions of
+ * the same symbol (hedged gross positions cancel out), and pending trades are counted as if they were filled, so pending
+ * trades cannot exceed the limits together once they are filled.
+ * Guard options:
+ * - **maxOrderAmount** (optional) - Maximal trade amount: number for all symbols or map by symbol name, where `"*"`
+ *   sets the limit of the symbols not listed
+ * - **maxExposure** (optional) - Maximal total exposure of the account including the new trade: sum of net position
+ *   amounts of all symbols and amounts of all pending trades
+ * - **maxSymbolExposure** (optional) - Maximal exposure of the trade symbol including the new trade: net position amount
+ *   after all pending trades of the same side are filled. Number for all symbols or map by symbol name like
+ *   `maxOrderAmount`.
+ * - **maxOpenTrades** (optional) - Maximal number of open positions and pending trades including the new trade
+ * - **maxDailyLoss** (optional) - Maximal realized loss since the start of the UTC day (account currency), taken from
+ *   trade history. New trades are rejected when the loss reaches the limit.
+ * - **requireStopLoss** (optional) - Trades must have `StopLoss` and modifications cannot remove it. Default is false.
+ * - **maxPriceDeviation** (optional) - Maximal deviation of `Limit` / `Stop` trade price from the latest tick price
+ *   (fraction, e.g. 0.01 is 1%). Buy trades are compared with the ask price, sell trades with the bid price.
+ * @param client TickTrader Web API client
+ * @param options Guard options
+ */
+const RiskGuard = function(client, options) {
+    if (!client)
+        throw new Error("TickTrader risk guard client should be valid!");
+    options = options || {};
+    this.client = client;
+    this.maxOrderAmount = options.maxOrderAmount;
+    this.maxExposure = options.maxExposure;
+    this.maxSymbolExposure = options.maxSymbolExposure;
+    this.maxOpenTrades = options.maxOpenTrades;
+    this.maxDailyLoss = options.maxDailyLoss;
+    this.requireStopLoss = !!options.requireStopLoss;
+    this.maxPriceDeviation = options.maxPriceDeviation;
+};
+
+RiskGuard.prototype._raw = function() {
+    return this.client.raw || this.client;
+};
+
+/**
+ * Get open positions and pending trades as `{ count, net, pending, exposure }`
+ * `net` has net position amounts by symbol (positive for long and negative for short positions), `pending` has
+ * pending trade amounts by symbol as `{ Buy, Sell }` and `exposure` is the total account exposure. Gross account positions
+ * of the same symbol are netted here, net account positions are netted by the server and are requested separately,
+ * because they are not trades.
+ */
+RiskGuard.prototype._openTrades = async function() {
+    const raw = this._raw();
+    const net = {};
+    const pending = {};
+    let count = 0;
+    (await raw.getAllTrades()).data.forEach(function(trade) {
+        if (PENDING_TYPES.indexOf(trade.Type) >= 0) {
+            count++;
+            const amounts = pending[trade.Symbol] = pending[trade.Symbol] || { Buy: 0, Sell: 0 };
+            amounts[trade.Side] = toDecimal(amounts[trade.Side] + trade.Amount);
+        }
+        else if (trade.Type === "Position") {
+            count++;
+            net[trade.Symbol] = toDecimal((net[trade.Symbol] || 0) + (trade.Side === "Buy" ? trade.Amount : -trade.Amount));
+        }
+    });
+    const account = (await raw.getAccount()).data;
+    if (account.AccountingType === "Net") {
+        (await raw.getAllPositions()).data.forEach(function(position) {
+            const amount = toDecimal(position.LongAmount - position.ShortAmount);
+            if (amount !== 0) {
+                count++;
+                net[position.Symbol] = toDecimal((net[position.Symbol] || 0) + amount);
+            }
+        });
+    }
+    let exposure = 0;
+    Object.keys(net).forEach(function(symbol) { exposure += Math.abs(net[symbol]); });
+    Object.keys(pending).forEach(function(symbol) { exposure += pending[symbol].Buy + pending[symbol].Sell; });
+    return { count: count, net: net, pending: pending, exposure: toDecimal(exposure) };
+};
+
+/**
+ * Get realized loss since the start of the UTC day (negative for profit)
+ */
+RiskGuard.prototype._dailyLoss = async function() {
+    const clock = this.client.clock;
+    const now = clock ? clock.now() : Date.now();
+    let movement = 0;
+    for await (const record of this._raw().iterateTradeHistory({ TimestampFrom: now - now % DAY, RequestDirection: "Forward" }))
+        if (record.TransactionType !== "DepositWithdrawal" && record.BalanceMovement)
+            movement += record.BalanceMovement;
+    // Movements are summed in binary floating point, so the sum is rounded to drop the noise
+    return toDecimal(Number((-movement).toFixed(10)));
+};
+
+/**
+ * Check price deviation from the latest tick of the trade symbol
+ */
+RiskGuard.prototype._checkPrice = async function(symbol, side, price, violations) {
+    const tick = (await this._raw().getTick(symbol)).data[0];
+    const level = tick && (side === "Buy" ? tick.BestAsk : tick.BestBid);
+    if (!level || !(level.Price > 0))
+        return;
+    const deviation = Math.abs(price - level.Price) / level.Price;
+    if (deviation > this.maxPriceDeviation)
+        violations.push({ rule: "maxPriceDeviation", message: "Price " + price + " deviates from " + symbol + " price " + level.Price + " by " + Number((deviation * 100).toFixed(2)) + "% (maximal " + toDecimal(this.maxPriceDeviation * 100) + "%)" });
+};
+
+/**
+ * Check create trade request
+ * @param request Create trade request
+ * @returns Promise rejected with TickTraderRiskRejectedError listing all broken rules in `violations`
+ */
+RiskGuard.prototype.checkCreateTrade = async function(request) {
+    const self = this;
+    const violations = [];
+    const limit = _symbolLimit(this.maxOrderAmount, request.Symbol);
+    if (limit !== undefined && limit !== null && request.Amount > limit)
+        violations.push({ rule: "maxOrderAmount", message: "Amount " + request.Amount + " exceeds maximal " + request.Symbol + " order amount " + limit });
+
+    const checks = [];
+    if (this.requireStopLoss || this.maxExposure !== undefined || this.maxSymbolExposure !== undefined || this.maxOpenTrades !== undefined || this.maxDailyLoss !== undefined) {
+        checks.push(this._openTrades().then(function(open) {
+            const position = open.net[request.Symbol] || 0;
+            const amount = request.Side === "Buy" ? request.Amount : -request.Amount;
+            const after = Math.abs(toDecimal(position + amount));
+            if (after <= Math.abs(position))
+                return;
+            if (self.requireStopLoss && !(request.StopLoss > 0))
+                violations.push({ rule: "requireStopLoss", message: "StopLoss is required" });
+            if (self.maxOpenTrades !== undefined && open.count >= self.maxOpenTrades)
+                violations.push({ rule: "maxOpenTrades", message: "Number of open trades " + open.count + " reached maximum " + self.maxOpenTrades });
+            if (self.maxExposure !== undefined) {
+                // Pending trades are counted with their full amount, filled trades change the net position of the symbol
+                const exposure = toDecimal(open.exposure + (PENDING_TYPES.indexOf(request.Type) >= 0 ? request.Amount : after - Math.abs(position)));
+                if (exposure > self.maxExposure)
+                    violations.push({ rule: "maxExposure", message: "Exposure " + exposure + " exceeds maximum " + self.maxExposure });
+            }
+            const maxSymbolExposure = _symbolLimit(self.maxSymbolExposure, request.Symbol);
+            if (maxSymbolExposure !== undefined && maxSymbolExposure !== null) {
+                const pending = open.pending[request.Symbol] || { Buy: 0, Sell: 0 };
+                const filled = toDecimal(position + amount + (request.Side === "Buy" ? pending.Buy : -pending.Sell));
+                if (Math.abs(filled) > maxSymbolExposure)
+                    violations.push({ rule: "maxSymbolExposure", message: request.Symbol + " exposure " + Math.abs(filled) + " exceeds maximum " + maxSymbolExposure });
+            }
+            if (self.maxDailyLoss !== undefined) {
+                return self._dailyLoss().then(function(loss) {
+                    if (loss >= self.maxDailyLoss)
+                        violations.push({ rule: "maxDailyLoss", message: "Daily loss " + loss + " reached maximum " + self.maxDailyLoss });
+                });
+            }
+        }));
+    }
+    if (this.maxPriceDeviation !== undefined && PENDING_TYPES.indexOf(request.Type) >= 0 && request.Price > 0)
+        checks.push(this._checkPrice(request.Symbol, request.Side, request.Price, violations));
+    await Promise.all(checks);
+
+    if (violations.length > 0)
+        throw _rejected("create trade", violations);
+};
+
+/**
+ * Check modify trade request
+ * Stop loss cannot be removed when it is required and the new price of pending trades is checked for the deviation.
+ * @param request Modify trade request
+ * @returns Promise rejected with TickTraderRiskRejectedError listing all broken rules in `violations`
+ */
+RiskGuard.prototype.checkModifyTrade = async function(request) {
+    const violations = [];
+    if (this.requireStopLoss && request.StopLoss !== undefined && !(request.StopLoss > 0))
+        violations.push({ rule: "requireStopLoss", message: "StopLoss cannot be removed" });
+    if (this.maxPriceDeviation !== undefined && request.Price > 0) {
+        const trade = (await this._raw().getTrade(request.Id)).data;
+        await this._checkPrice(trade.Symbol, trade.Side, request.Price, violations);
+    }
+
+    if (violations.length > 0)
+        throw _rejected("modify trade", violations);
+};
+
+export { RiskGuard };
@@ -0,0 +1,653 @@
+/**
+ * JavaScript TickTrader Web API streaming clients (ESM)
+ * WebSocket based feed and trade notifications authenticated with the Web API HMAC credentials
+ */
+
+import { hmacSha256 } from './ttcrypto.mjs';
+import { credentialsProvider } from './ttcredentials.mjs';
+
+const WS_OPEN = 1;
+const WS_CLOSED = 3;
+
+/**
+ * Build HMAC login request parameters
+ * Signature is calculated over timestamp + Web API Id + Web API Key.
+ * @param credentials Web API credentials `{ web_api_id, web_api_key, web_api_secret }`
+ * @param options Stream options
+ * @returns Promise with the login request parameters
+ */
+const _loginParams = function(credentials, options) {
+    if (!credentials.web_api_id || !credentials.web_api_key || !credentials.web_api_secret)
+        return Promise.reject(new Error("TickTrader Web API credentials should be valid!"));
+    const timestamp = options.clock ? options.clock.now() : Date.now();
+    const signature = timestamp + credentials.web_api_id + credentials.web_api_key;
+    return hmacSha256(credentials.web_api_secret, signature).then(function(hash) {
+        return {
+            AuthType: "HMAC",
+            WebApiId: credentials.web_api_id,
+            WebApiKey: credentials.web_api_key,
+            Timestamp: timestamp,
+            Signature: hash,
+            DeviceId: options.deviceId,
+            AppSessionId: options.appSessionId
+        };
+    });
+};
+
+/**
+ * Async iterable queue of stream notifications
+ * @param maxBuffer Maximal number of buffered notifications (oldest are dropped)
+ * @param onReturn Callback invoked when the consumer stops iteration
+ */
+const StreamChannel = function(maxBuffer, onReturn) {
+    this._items = [];
+    this._waiters = [];
+    this._done = false;
+    this._maxBuffer = maxBuffer;
+    this._onReturn = onReturn;
+};
+
+StreamChannel.prototype.push = function(item) {
+    if (this._done)
+        return;
+    if (this._waiters.length > 0)
+        return this._waiters.shift()({ value: item, done: false });
+    this._items.push(item);
+    if (this._items.length > this._maxBuffer)
+        this._items.shift();
+};
+
+StreamChannel.prototype.end = function() {
+    this._done = true;
+    while (this._waiters.length > 0)
+        this._waiters.shift()({ value: undefined, done: true });
+};
+
+StreamChannel.prototype.next = function() {
+    if (this._items.length > 0)
+        return Promise.resolve({ value: this._items.shift(), done: false });
+    if (this._done)
+        return Promise.resolve({ value: undefined, done: true });
+    const self = this;
+    return new Promise(function(resolve) { self._waiters.push(resolve); });
+};
+
+StreamChannel.prototype.return = function() {
+    this._items = [];
+    this.end();
+    if (this._onReturn)
+        this._onReturn();
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+StreamChannel.prototype[Symbol.asyncIterator] = function() {
+    return this;
+};
+
+/**
+ * Base WebSocket stream with HMAC login, request correlation, events and automatic reconnection
+ * Options:
+ * - **WebSocket** (optional) - WebSocket constructor. Default is the global `WebSocket`.
+ * - **reconnect** (optional) - Reconnect automatically when connection is lost. Default is `true`.
+ * - **reconnectDelay** (optional) - Initial reconnect delay (ms). Default is 1000.
+ * - **maxReconnectDelay** (optional) - Maximal reconnect delay (ms). Default is 30000.
+ * - **requestTimeout** (optional) - Stream request timeout (ms). Default is 10000.
+ * - **maxBuffer** (optional) - Maximal number of notifications buffered by async iterators. Default is 1000.
+ * - **deviceId**, **appSessionId** (optional) - Values passed in login request
+ * - **clock** (optional) - Server clock used for the login timestamp (e.g. `client.clock` of the REST client)
+ *
+ * Credential provider can be passed instead of Web API Id: `new TickTraderFeedStream(ws_address, provider, options)`.
+ * Credentials are requested from the provider on each login, including reconnections.
+ * @param ws_address WebSocket address (e.g. "wss://ttdemowebapi.soft-fx.com:3000")
+ */
+const TickTraderStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+    if (!ws_address)
+        throw new Error("TickTrader WebSocket address should be valid!");
+
+    this.credentials = credentialsProvider(web_api_id, web_api_key, web_api_secret);
+    if (this.credentials === web_api_id) {
+        if (options === undefined && typeof web_api_key === 'object')
+            options = web_api_key;
+    }
+    else {
+        if (!web_api_id)
+            throw new Error("TickTrader Web API Id should be valid!");
+        if (!web_api_key)
+            throw new Error("TickTrader Web API Key should be valid!");
+        if (!web_api_secret)
+            throw new Error("TickTrader Web API Secret should be valid!");
+    }
+
+    options = options || {};
+    this.ws_address = ws_address;
+    this.options = {
+        WebSocket: options.WebSocket || globalThis.WebSocket,
+        reconnect: options.reconnect !== false,
+        reconnectDelay: options.reconnectDelay !== undefined ? options.reconnectDelay : 1000,
+        maxReconnectDelay: options.maxReconnectDelay !== undefined ? options.maxReconnectDelay : 30000,
+        requestTimeout: options.requestTimeout !== undefined ? options.requestTimeout : 10000,
+        maxBuffer: options.maxBuffer !== undefined ? options.maxBuffer : 1000,
+        deviceId: options.deviceId,
+        appSessionId: options.appSessionId,
+        clock: options.clock
+    };
+    if (!this.options.WebSocket)
+        throw new Error("WebSocket implementation is not available! Pass options.WebSocket (e.g. from the 'ws' package).");
+
+    this.connected = false;
+    this._socket = null;
+    this._connecting = null;
+    this._closed = true;
+    this._listeners = {};
+    this._channels = [];
+    this._pending = {};
+    this._lastRequestId = 0;
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = null;
+};
+
+/**
+ * Add event listener
+ * Common events: `"connected"`, `"disconnected"`, `"reconnecting"`, `"error"`
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Stream instance
+ */
+TickTraderStream.prototype.on = function(event, listener) {
+    (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+    return this;
+};
+
+/**
+ * Remove event listener
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Stream instance
+ */
+TickTraderStream.prototype.off = function(event, listener) {
+    const listeners = this._listeners[event];
+    if (listeners && listeners.indexOf(listener) >= 0)
+        listeners.splice(listeners.indexOf(listener), 1);
+    return this;
+};
+
+/**
+ * Iterate over events asynchronously
+ * Iteration finishes when the loop is left or the stream is closed.
+ * @param event Event name
+ * @returns Async iterable of the event data
+ */
+TickTraderStream.prototype.iterate = function(event) {
+    const self = this;
+    const listener = function(data) { channel.push(data); };
+    const channel = new StreamChannel(this.options.maxBuffer, function() {
+        self.off(event, listener);
+        if (self._channels.indexOf(channel) >= 0)
+            self._channels.splice(self._channels.indexOf(channel), 1);
+    });
+    this._channels.push(channel);
+    this.on(event, listener);
+    return channel;
+};
+
+TickTraderStream.prototype._emit = function(event, data) {
+    const listeners = (this._listeners[event] || []).slice();
+    for (const listener of listeners) {
+        try {
+            listener.call(this, data);
+        }
+        catch (err) {
+            if (event !== 'error')
+                this._emit('error', err);
+        }
+    }
+};
+
+/**
+ * Connect and login
+ * @returns Promise resolved when the stream is logged in
+ */
+TickTraderStream.prototype.connect = function() {
+    this._closed = false;
+    if (this.connected)
+        return Promise.resolve();
+    if (!this._connecting) {
+        const self = this;
+        this._connecting = this._open().then(function() {
+            self._connecting = null;
+        }, function(err) {
+            self._connecting = null;
+            throw err;
+        });
+    }
+    return this._connecting;
+};
+
+/**
+ * Close the stream, stop reconnecting and finish all async iterators
+ * @returns Promise resolved when the connection is closed
+ */
+TickTraderStream.prototype.close = function() {
+    this._closed = true;
+    if (this._reconnectTimer) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+    }
+    this._channels.slice().forEach(function(channel) { channel.end(); });
+    this._channels = [];
+    this._finish();
+    const socket = this._socket;
+    if (!socket)
+        return Promise.resolve();
+    if (socket.readyState === WS_CLOSED)
+        return Promise.resolve(this._onClose(socket));
+    return new Promise(function(resolve) {
+        socket.onclose = function() { resolve(); };
+        socket.close(1000);
+    }).then(this._onClose.bind(this, socket));
+};
+
+/**
+ * Send stream request and wait for its response
+ * @param request Request name (e.g. "FeedSubscribe")
+ * @param params Request parameters
+ * @returns Promise with the request result
+ */
+TickTraderStream.prototype.request = function(request, params) {
+    const socket = this._socket;
+    if (!socket || socket.readyState !== WS_OPEN)
+        return Promise.reject(new Error("TickTrader stream is not connected!"));
+
+    const self = this;
+    const id = String(++this._lastRequestId);
+    return new Promise(function(resolve, reject) {
+        const timer = setTimeout(function() {
+            delete self._pending[id];
+            reject(new Error("TickTrader stream request '" + request + "' timed out!"));
+        }, self.options.requestTimeout);
+        self._pending[id] = { resolve: resolve, reject: reject, timer: timer };
+        socket.send(JSON.stringify({ Id: id, Request: request, Params: params }));
+    });
+};
+
+TickTraderStream.prototype._open = function() {
+    const self = this;
+    return new Promise(function(resolve, reject) {
+        let socket;
+        try {
+            socket = new self.options.WebSocket(self.ws_address);
+        }
+        catch (err) {
+            return reject(err);
+        }
+        let opened = false;
+        self._socket = socket;
+        socket.onopen = function() {
+            opened = true;
+            self.credentials.getCredentials().then(function(credentials) {
+                return _loginParams(credentials, self.options);
+            }).then(function(params) {
+                return self.request("Login", params);
+            }).then(function() {
+                self.connected = true;
+                self._reconnectAttempt = 0;
+                self._emit('connected');
+                return self._restore();
+            }).then(resolve, function(err) {
+                reject(err);
+                socket.close(1000);
+            });
+        };
+        socket.onmessage = function(event) {
+            self._onMessage(typeof event.data === 'string' ? event.data : String(event.data));
+        };
+        socket.onerror = function(event) {
+            self._emit('error', event && event.error || new Error("TickTrader stream connection error!"));
+        };
+        socket.onclose = function() {
+            if (!opened)
+                reject(new Error("TickTrader stream connection failed!"));
+            self._onClose(socket);
+        };
+    });
+};
+
+TickTraderStream.prototype._onMessage = function(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    }
+    catch (err) {
+        return this._emit('error', new Error("TickTrader stream message is malformed!"));
+    }
+    if (!message || typeof message !== 'object')
+        return this._emit('error', new Error("TickTrader stream message is malformed!"));
+
+    const pending = message.Id !== undefined ? this._pending[message.Id] : undefined;
+    if (pending) {
+        delete this._pending[message.Id];
+        clearTimeout(pending.timer);
+        if (message.Response === "Error")
+            pending.reject(new Error(message.Error || "TickTrader stream request failed!"));
+        else
+            pending.resolve(message.Result);
+        return;
+    }
+    this._onNotification(message.Response, message.Result);
+};
+
+TickTraderStream.prototype._onClose = function(socket) {
+    if (this._socket !== socket)
+        return;
+    this._socket = null;
+    const wasConnected = this.connected;
+    this.connected = false;
+    for (const id in this._pending) {
+        clearTimeout(this._pending[id].timer);
+        this._pending[id].reject(new Error("TickTrader stream connection closed!"));
+    }
+    this._pending = {};
+    if (wasConnected)
+        this._emit('disconnected');
+    if (!this._closed && this.options.reconnect && (wasConnected || this._reconnectAttempt > 0))
+        this._scheduleReconnect();
+};
+
+TickTraderStream.prototype._scheduleReconnect = function() {
+    if (this._reconnectTimer)
+        return;
+    const self = this;
+    const delay = Math.min(this.options.maxReconnectDelay, this.options.reconnectDelay * Math.pow(2, this._reconnectAttempt++));
+    this._emit('reconnecting', { attempt: this._reconnectAttempt, delay: delay });
+    this._reconnectTimer = setTimeout(function() {
+        self._reconnectTimer = null;
+        if (self._closed)
+            return;
+        self.connect().catch(function(err) {
+            self._emit('error', err);
+            if (!self._socket && !self._closed)
+                self._scheduleReconnect();
+        });
+    }, delay);
+};
+
+/**
+ * Restore stream state (subscriptions) after login
+ */
+TickTraderStream.prototype._restore = function() {
+    return Promise.resolve();
+};
+
+/**
+ * Handle server notification
+ */
+TickTraderStream.prototype._onNotification = function(response, result) {
+    this._emit('notification', { Response: response, Result: result });
+};
+
+/**
+ * Finish stream async iterators on close
+ */
+TickTraderStream.prototype._finish = function() {
+};
+
+/**
+ * Feed stream subscription: async iterable of feed ticks or level2 snapshots
+ */
+const FeedSubscription = function(stream, type, symbols, depth) {
+    const self = this;
+    this.type = type;
+    this.symbols = symbols;
+    this.depth = depth;
+    this._stream = stream;
+    // Symbols the subscription has received the snapshot of
+    this._primed = {};
+    this._channel = new StreamChannel(stream.options.maxBuffer, function() {
+        // Server subscription is dropped with the connection anyway, so failures are not reported
+        self.unsubscribe().catch(function() {});
+    });
+};
+
+/**
+ * Stop receiving updates for the subscription
+ * @returns Promise resolved when the server subscription is updated
+ */
+FeedSubscription.prototype.unsubscribe = function() {
+    this._channel.end();
+    return this._stream._unsubscribe(this);
+};
+
+FeedSubscription.prototype[Symbol.asyncIterator] = function() {
+    return this._channel;
+};
+
+/**
+ * WebSocket feed stream of ticks and level2 snapshots
+ * Events: `"tick"` (FeedTick), `"level2"` (FeedLevel2) and the common stream events
+ * @param ws_address WebSocket address
+ * @param web_api_id Web API Id or credential provider
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ * @param options Stream options (see TickTraderStream)
+ */
+const TickTraderFeedStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+    TickTraderStream.call(this, ws_address, web_api_id, web_api_key, web_api_secret, options);
+    this._subscriptions = [];
+    this._bookDepth = {};
+};
+
+TickTraderFeedStream.prototype = Object.create(TickTraderStream.prototype);
+TickTraderFeedStream.prototype.constructor = TickTraderFeedStream;
+
+/**
+ * Subscribe to feed ticks
+ * @param symbols Symbol name or list of symbol names
+ * @returns Subscription which is async iterable over FeedTick updates
+ */
+TickTraderFeedStream.prototype.subscribeTicks = function(symbols) {
+    return this._subscribe("tick", symbols, 1);
+};
+
+/**
+ * Subscribe to feed level2 snapshots
+ * @param symbols Symbol name or list of symbol names
+ * @param depth Book depth. Default is 5.
+ * @returns Subscription which is async iterable over FeedLevel2 updates
+ */
+TickTraderFeedStream.prototype.subscribeLevel2 = function(symbols, depth) {
+    return this._subscribe("level2", symbols, depth || 5);
+};
+
+TickTraderFeedStream.prototype._subscribe = function(type, symbols, depth) {
+    symbols = Array.isArray(symbols) ? symbols : [symbols];
+    if (symbols.length === 0 || symbols.some(function(symbol) { return !symbol; }))
+        return Promise.reject(new Error("TickTrader symbols to subscribe should be valid!"));
+
+    const self = this;
+    const subscription = new FeedSubscription(this, type, symbols, depth);
+    this._subscriptions.push(subscription);
+    return this.connect().then(function() {
+        return self._sync(symbols);
+    }).then(function() {
+        return subscription;
+    }, function(err) {
+        self._subscriptions.splice(self._subscriptions.indexOf(subscription), 1);
+        subscription._channel.end();
+        throw err;
+    });
+};
+
+TickTraderFeedStream.prototype._unsubscribe = function(subscription) {
+    const index = this._subscriptions.indexOf(subscription);
+    if (index < 0)
+        return Promise.resolve();
+    this._subscriptions.splice(index, 1);
+    return this.connected ? this._sync(subscription.symbols) : Promise.resolve();
+};
+
+/**
+ * Required server book depth for the symbol (0 when nothing is subscribed)
+ */
+TickTraderFeedStream.prototype._requiredDepth = function(symbol) {
+    return this._subscriptions.reduce(function(depth, subscription) {
+        return subscription.symbols.indexOf(symbol) >= 0 ? Math.max(depth, subscription.depth) : depth;
+    }, 0);
+};
+
+/**
+ * Bring server subscriptions of the given symbols in line with the local subscriptions
+ */
+TickTraderFeedStream.prototype._sync = function(symbols) {
+    const self = this;
+    const subscribe = [];
+    const unsubscribe = [];
+    for (const symbol of symbols) {
+        const depth = this._requiredDepth(symbol);
+        if (depth === (this._bookDepth[symbol] || 0))
+            continue;
+        if (depth > 0)
+            subscribe.push({ Symbol: symbol, BookDepth: depth });
+        else
+            unsubscribe.push(symbol);
+    }
+
+    const requests = [];
+    if (subscribe.length > 0)
+        requests.push(this.request("FeedSubscribe", { Subscribe: subscribe }).then(function(result) {
+            subscribe.forEach(function(item) { self._bookDepth[item.Symbol] = item.BookDepth; });
+            (result && result.Snapshot || []).forEach(function(tick) { self._dispatch(tick, true); });
+        }));
+    if (unsubscribe.length > 0)
+        requests.push(this.request("FeedUnsubscribe", { Unsubscribe: unsubscribe }).then(function() {
+            unsubscribe.forEach(function(symbol) { delete self._bookDepth[symbol]; });
+        }));
+    return Promise.all(requests).then(function() {});
+};
+
+TickTraderFeedStream.prototype._restore = function() {
+    this._bookDepth = {};
+    const symbols = [];
+    this._subscriptions.forEach(function(subscription) {
+        subscription._primed = {};
+        subscription.symbols.forEach(function(symbol) {
+            if (symbols.indexOf(symbol) < 0)
+                symbols.push(symbol);
+        });
+    });
+    return symbols.length > 0 ? this._sync(symbols) : Promise.resolve();
+};
+
+TickTraderFeedStream.prototype._finish = function() {
+    this._subscriptions.forEach(function(subscription) { subscription._channel.end(); });
+    this._subscriptions = [];
+    this._bookDepth = {};
+};
+
+TickTraderFeedStream.prototype._onNotification = function(response, result) {
+    if (response === "FeedTick" && result)
+        return this._dispatch(result);
+    TickTraderStream.prototype._onNotification.call(this, response, result);
+};
+
+/**
+ * Dispatch feed update to the matching subscriptions and event listeners
+ * Subscription snapshots are delivered only to subscriptions which have not received any update yet.
+ */
+TickTraderFeedStream.prototype._dispatch = function(update, snapshot) {
+    const tick = { Symbol: update.Symbol, Timestamp: update.Timestamp, BestBid: update.BestBid, BestAsk: update.BestAsk };
+    let hasTicks = false;
+    let hasLevel2 = false;
+    for (const subscription of this._subscriptions) {
+        if (subscription.symbols.indexOf(update.Symbol) < 0 || (snapshot && subscription._primed[update.Symbol]))
+            continue;
+        subscription._primed[update.Symbol] = true;
+        if (subscription.type === "tick") {
+            hasTicks = true;
+            subscription._channel.push(tick);
+        }
+        else {
+            hasLevel2 = true;
+            subscription._channel.push({
+                Symbol: update.Symbol,
+                Timestamp: update.Timestamp,
+                BestBid: update.BestBid,
+                BestAsk: update.BestAsk,
+                Bids: (update.Bids || []).slice(0, subscription.depth),
+                Asks: (update.Asks || []).slice(0, subscription.depth)
+            });
+        }
+    }
+    if (hasTicks)
+        this._emit('tick', tick);
+    if (hasLevel2)
+        this._emit('level2', update);
+};
+
+/**
+ * Trade events raised for the execution report types
+ */
+const EXECUTION_EVENTS = {
+    "Opened": 'tradeCreated',
+    "Modified": 'tradeModified',
+    "Canceled": 'tradeCanceled',
+    "Expired": 'tradeCanceled',
+    "Filled": 'tradeFilled',
+    "Closed": 'tradeClosed',
+    "Rejected": 'tradeRejected'
+};
+
+const TRADE_NOTIFICATIONS = ["ExecutionReport", "PositionUpdate", "AccountUpdate", "AssetUpdate"];
+
+/**
+ * WebSocket trade stream of execution reports and account updates
+ * Events:
+ * - `"snapshot"` - Account, trades, positions and assets received after each (re)login
+ * - `"execution"` - Every execution report ({ ExecutionType, Trade, FillPrice, FillAmount, ... })
+ * - `"tradeCreated"`, `"tradeModified"`, `"tradeCanceled"`, `"tradeFilled"`, `"tradeClosed"`, `"tradeRejected"` - Execution reports by type
+ * - `"position"` - Net account position update
+ * - `"account"` - Account balance, equity and margin update
+ * - `"asset"` - Cash account asset update
+ * @param ws_address WebSocket address
+ * @param web_api_id Web API Id or credential provider
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ * @param options Stream options (see TickTraderStream)
+ */
+const TickTraderTradeStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+    TickTraderStream.call(this, ws_address, web_api_id, web_api_key, web_api_secret, options);
+};
+
+TickTraderTradeStream.prototype = Object.create(TickTraderStream.prototype);
+TickTraderTradeStream.prototype.constructor = TickTraderTradeStream;
+
+TickTraderTradeStream.prototype._restore = function() {
+    const self = this;
+    return this.request("TradeSubscribe", {}).then(function(snapshot) {
+        self._emit('snapshot', snapshot);
+    });
+};
+
+TickTraderTradeStream.prototype._onNotification = function(response, result) {
+    if (TRADE_NOTIFICATIONS.indexOf(response) >= 0 && (!result || typeof result !== 'object'))
+        return this._emit('error', new Error("TickTrader stream " + response + " notification is malformed!"));
+    switch (response) {
+        case "ExecutionReport":
+            this._emit('execution', result);
+            if (EXECUTION_EVENTS[result.ExecutionType])
+                this._emit(EXECUTION_EVENTS[result.ExecutionType], result);
+            break;
+        case "PositionUpdate":
+            this._emit('position', result);
+            break;
+        case "AccountUpdate":
+            this._emit('account', result);
+            break;
+        case "AssetUpdate":
+            this._emit('asset', result);
+            break;
+        default:
+            TickTraderStream.prototype._onNotification.call(this, response, result);
+    }
+};
+
+export { TickTraderStream, TickTraderFeedStream, TickTraderTradeStream };
@@ -0,0 +1,165 @@
+/**
+ * TickTrader symbol registry (ESM)
+ * Caches symbol metadata and rounds or validates trade prices and amounts by the symbol precision and lot rules
+ */
+
+import { toDecimal } from './ttmodels.mjs';
+import { TickTraderValidationError } from './tterrors.mjs';
+import { validationError } from './ttvalidation.mjs';
+
+/** Trade request fields holding prices */
+const PRICE_FIELDS = ["Price", "StopLoss", "TakeProfit"];
+
+/**
+ * Round price to the symbol precision
+ */
+const _roundPrice = function(info, price) {
+    return toDecimal(Number(Number(price).toFixed(info.Precision)));
+};
+
+/**
+ * Round amount down to the symbol trade amount step, so the rounded amount never exceeds the requested one
+ */
+const _roundAmount = function(info, amount) {
+    if (!info.TradeAmountStep)
+        return amount;
+    // Small epsilon keeps amounts like 0.3 / 0.1 = 2.9999999999999996 on the step
+    return toDecimal(Math.floor(amount / info.TradeAmountStep + 1e-9) * info.TradeAmountStep);
+};
+
+/**
+ * Symbol registry
+ * Symbols are loaded with `getAllSymbols()` (`getPublicAllSymbols()` for clients without credentials) on the first
+ * use and cached for the TTL. Concurrent lookups share a single request.
+ * Registry options:
+ * - **ttl** (optional) - Cached symbols lifetime (ms). Default is 300000.
+ * - **mode** (optional) - `"round"` rounds prices to the symbol precision and amounts down to the trade amount step,
+ *   `"validate"` rejects them instead. Amounts out of the min/max range are rejected in both modes. Default is `"round"`.
+ * @param client TickTrader Web API client used to load symbols
+ * @param options Registry options (optional)
+ */
+const SymbolRegistry = function(client, options) {
+    if (!client)
+        throw new Error("TickTrader symbol registry client should be valid!");
+    options = options || {};
+    this.client = client;
+    this.ttl = options.ttl !== undefined ? options.ttl : 300000;
+    this.mode = options.mode || "round";
+    if (this.mode !== "round" && this.mode !== "validate")
+        throw new Error("TickTrader symbol registry mode should be 'round' or 'validate'!");
+    this._cache = null;
+};
+
+/**
+ * Load symbols into the cache
+ * @param force Reload symbols even if the cache is not expired
+ * @returns Promise with map of symbols by name
+ */
+SymbolRegistry.prototype.load = function(force) {
+    const self = this;
+    if (!force && this._cache && Date.now() < this._cache.expires)
+        return this._cache.symbols;
+
+    const raw = this.client.raw || this.client;
+    const request = raw.isAuthenticated && typeof raw.getAllSymbols === 'function' ? raw.getAllSymbols() : raw.getPublicAllSymbols();
+    const symbols = request.then(function(response) {
+        const map = new Map();
+        (response.data || []).forEach(function(info) { map.set(info.Symbol, info); });
+        return map;
+    });
+    this._cache = { symbols: symbols, expires: Date.now() + this.ttl };
+    symbols.catch(function() {
+        self._cache = null;
+    });
+    return symbols;
+};
+
+/**
+ * Drop cached symbols
+ */
+SymbolRegistry.prototype.invalidate = function() {
+    this._cache = null;
+};
+
+/**
+ * Get symbol metadata
+ * @param symbol Symbol name
+ * @returns Promise with the symbol (raw model), rejected with TickTraderValidationError for unknown symbols
+ */
+SymbolRegistry.prototype.get = function(symbol) {
+    return this.load().then(function(symbols) {
+        const info = symbols.get(symbol);
+        if (!info)
+            throw new TickTraderValidationError("TickTrader symbol '" + symbol + "' is not found!", { errors: [{ field: "Symbol", message: "Symbol '" + symbol + "' is not found" }] });
+        return info;
+    });
+};
+
+/**
+ * Round price to the symbol precision
+ * @param symbol Symbol name
+ * @param price Price
+ * @returns Promise with the rounded price
+ */
+SymbolRegistry.prototype.roundPrice = function(symbol, price) {
+    return this.get(symbol).then(function(info) { return _roundPrice(info, price); });
+};
+
+/**
+ * Round amount down to the symbol trade amount step
+ * @param symbol Symbol name
+ * @param amount Amount
+ * @returns Promise with the rounded amount
+ */
+SymbolRegistry.prototype.roundAmount = function(symbol, amount) {
+    return this.get(symbol).then(function(info) { return _roundAmount(info, amount); });
+};
+
+/**
+ * Round or validate prices and amount of the create trade request according to the registry mode
+ * @param request Create trade request
+ * @returns Promise with the request copy holding rounded values, rejected with TickTraderValidationError
+ *   which lists all invalid fields in `errors`
+ */
+SymbolRegistry.prototype.prepareTrade = function(request) {
+    const self = this;
+    return this.get(request.Symbol).then(function(info) {
+        const prepared = Object.assign({}, request);
+        const errors = [];
+
+        if (info.IsTradeAllowed === false)
+            errors.push({ field: "Symbol", message: "Trading is not allowed for symbol '" + info.Symbol + "'" });
+
+        PRICE_FIELDS.forEach(function(field) {
+            const price = request[field];
+            if (price === undefined || price === null || typeof price !== 'number')
+                return;
+            const rounded = _roundPrice(info, price);
+            if (rounded === price)
+                return;
+            if (self.mode === "round")
+                prepared[field] = rounded;
+            else
+                errors.push({ field: field, message: field + " " + price + " does not match symbol precision " + info.Precision });
+        });
+
+        if (typeof request.Amount === 'number') {
+            const amount = _roundAmount(info, request.Amount);
+            if (amount !== request.Amount && self.mode === "validate")
+                errors.push({ field: "Amount", message: "Amount " + request.Amount + " is not a multiple of trade amount step " + info.TradeAmountStep });
+            else {
+                prepared.Amount = amount;
+                if (info.MinTradeAmount !== undefined && amount < info.MinTradeAmount)
+                    errors.push({ field: "Amount", message: "Amount " + request.Amount + " is less than minimal trade amount " + info.MinTradeAmount });
+                if (info.MaxTradeAmount !== undefined && amount > info.MaxTradeAmount)
+                    errors.push({ field: "Amount", message: "Amount " + request.Amount + " is greater than maximal trade amount " + info.MaxTradeAmount });
+            }
+        }
+
+        if (errors.length > 0)
+            throw validationError("create trade", errors);
+        return prepared;
+    });
+};
+
+export { SymbolRegistry };
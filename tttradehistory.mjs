@@ -0,0 +1,51 @@
+/**
+ * TickTrader trade history helpers (ESM)
+ * Converts trade history records into trades and finds trades created by a request with the given client trade Id
+ */
+
+/**
+ * Convert trade history record into trade
+ */
+const historyTrade = function(record) {
+    return {
+        Id: record.TradeId,
+        ClientId: record.ClientTradeId,
+        Type: record.TradeType,
+        Side: record.TradeSide,
+        Symbol: record.Symbol,
+        Price: record.TradeFillPrice !== undefined ? record.TradeFillPrice : record.TradePrice,
+        Amount: record.TradeAmount,
+        InitialAmount: record.TradeInitialAmount,
+        StopLoss: record.StopLoss,
+        TakeProfit: record.TakeProfit,
+        Created: record.TradeCreated,
+        Modified: record.TradeModified,
+        Expired: record.Expired,
+        Comment: record.Comment
+    };
+};
+
+/**
+ * Find trade created by the request with the given client trade Id
+ * Open trades are checked first, then trade history since the submission time
+ * (market trades of net and cash accounts are filled at once and can be found only in history).
+ * @param client TickTrader Web API client
+ * @param clientId Client trade Id
+ * @param since Request submission timestamp
+ * @returns Raw response with the created trade or undefined if the trade was not created
+ */
+const findCreatedTrade = async function(client, clientId, since) {
+    const trades = await client.raw.getAllTrades();
+    const trade = trades.data.find(function(item) { return item.ClientId === clientId; });
+    if (trade)
+        return Object.assign({}, trades, { data: trade });
+
+    // Server clock may differ from the local one, so history is searched with a margin
+    const request = { TimestampFrom: since - 5 * 60 * 1000, RequestDirection: "Forward" };
+    for await (const record of client.raw.iterateTradeHistory(request))
+        if (record.ClientTradeId === clientId && record.TradeId !== undefined)
+            return { data: historyTrade(record), status: 200, statusText: "OK", headers: {}, config: {} };
+    return undefined;
+};
+
+export { historyTrade, findCreatedTrade };
@@ -0,0 +1,261 @@
+/**
+ * TickTrader trailing stop manager (ESM)
+ * Follows feed prices of open positions and ratchets their `StopLoss` with `modifyTrade()`
+ */
+
+import { SymbolRegistry } from './ttsymbols.mjs';
+
+/**
+ * Trailing stop manager
+ * Stop loss of buy positions follows the bid price and stop loss of sell positions follows the ask price at the
+ * configured distance. Stop loss only moves in the profitable direction, so it never goes back when the price reverses.
+ * Prices come from `getTick()` polling and, if a feed stream is given, from its `"tick"` events. Open trades are
+ * refreshed with `getAllTrades()` on every poll.
+ *
+ * Events: `"modify"` (`{ Trade, StopLoss, Previous, Price, DryRun }`) and `"error"`.
+ *
+ * Manager options:
+ * - **distance** - Stop loss distance from the price (price units)
+ * - **percent** - Stop loss distance in percents of the price (instead of `distance`)
+ * - **minStep** (optional) - Minimal stop loss move (price units), smaller moves are skipped. Default is 0.
+ * - **throttle** (optional) - Minimal interval between modifications of the same trade (ms). Default is 1000.
+ * - **dryRun** (optional) - Log the modifications instead of sending them. Default is false.
+ * - **logger** (optional) - Dry run logger with `log()` method. Default is console.
+ * - **filter** (optional) - Function selecting trailed trades. Default is all positions.
+ * - **stream** (optional) - TickTraderFeedStream subscribed to the trade symbols ticks
+ * - **pollInterval** (optional) - Interval of polling trades and ticks (ms), 0 disables polling. Default is 1000.
+ * - **symbols** (optional) - Symbol registry used to round stop loss prices. Default is the client one or a new one.
+ * @param client TickTrader Web API client
+ * @param options Manager options
+ */
+const TrailingStopManager = function(client, options) {
+    if (!client)
+        throw new Error("TickTrader trailing stop client should be valid!");
+    options = options || {};
+    if (options.percent !== undefined ? !(options.percent > 0 && options.percent < 100) : !(options.distance > 0))
+        throw new Error("TickTrader trailing stop should have positive distance or percent (less than 100)!");
+    this.client = client;
+    this.distance = options.distance;
+    this.percent = options.percent;
+    this.minStep = options.minStep || 0;
+    this.throttle = options.throttle !== undefined ? options.throttle : 1000;
+    this.dryRun = !!options.dryRun;
+    this.logger = options.logger || console;
+    this.filter = options.filter || null;
+    this.stream = options.stream || null;
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 1000;
+    this.symbols = options.symbols || client.symbolRegistry || new SymbolRegistry(client);
+    this.trades = [];
+
+    this._listeners = {};
+    this._states = {};
+    this._running = false;
+    this._timer = null;
+    this._detach = null;
+    this._updating = null;
+};
+
+/**
+ * Add event listener
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Manager instance
+ */
+TrailingStopManager.prototype.on = function(event, listener) {
+    (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+    return this;
+};
+
+/**
+ * Remove event listener
+ * @param event Event name
+ * @param listener Event listener
+ * @returns Manager instance
+ */
+TrailingStopManager.prototype.off = function(event, listener) {
+    const listeners = this._listeners[event];
+    if (listeners && listeners.indexOf(listener) >= 0)
+        listeners.splice(listeners.indexOf(listener), 1);
+    return this;
+};
+
+TrailingStopManager.prototype._emit = function(event, data) {
+    const listeners = (this._listeners[event] || []).slice();
+    for (const listener of listeners) {
+        try {
+            listener.call(this, data);
+        }
+        catch (err) {
+            if (event !== 'error')
+                this._emit('error', err);
+        }
+    }
+};
+
+TrailingStopManager.prototype._raw = function() {
+    return this.client.raw || this.client;
+};
+
+/**
+ * Start trailing
+ * @returns Promise resolved after the first update
+ */
+TrailingStopManager.prototype.start = function() {
+    const self = this;
+    if (this._running)
+        return Promise.resolve();
+    this._running = true;
+    if (this.stream)
+        this._detach = this.attach(this.stream);
+    return this.update().then(function() {
+        self._schedule();
+    });
+};
+
+/**
+ * Stop trailing
+ * @returns Promise resolved when the running update is finished
+ */
+TrailingStopManager.prototype.stop = function() {
+    this._running = false;
+    if (this._timer)
+        clearTimeout(this._timer);
+    this._timer = null;
+    if (this._detach)
+        this._detach();
+    this._detach = null;
+    return this._updating || Promise.resolve();
+};
+
+TrailingStopManager.prototype._schedule = function() {
+    const self = this;
+    if (!this._running || !(this.pollInterval > 0))
+        return;
+    this._timer = setTimeout(function() {
+        self._timer = null;
+        self.update().catch(function(err) {
+            self._emit('error', err);
+        }).then(function() {
+            self._schedule();
+        });
+    }, this.pollInterval);
+};
+
+/**
+ * Trail stop losses with the feed stream ticks
+ * @param stream TickTraderFeedStream
+ * @returns Function removing the stream listener
+ */
+TrailingStopManager.prototype.attach = function(stream) {
+    const self = this;
+    const listener = function(tick) { self.handleTick(tick); };
+    stream.on('tick', listener);
+    return function() { stream.off('tick', listener); };
+};
+
+/**
+ * Refresh open trades and trail their stop losses with the current ticks
+ * Concurrent calls share the running update.
+ * @returns Promise resolved when the modifications are finished
+ */
+TrailingStopManager.prototype.update = function() {
+    const self = this;
+    if (this._updating)
+        return this._updating;
+    const raw = this._raw();
+    this._updating = raw.getAllTrades().then(function(response) {
+        self._setTrades(response.data);
+        const symbols = self.trades.map(function(trade) { return trade.Symbol; }).filter(function(symbol, index, list) {
+            return list.indexOf(symbol) === index;
+        });
+        if (symbols.length === 0)
+            return [];
+        return raw.getTick(symbols.join(" ")).then(function(ticks) { return ticks.data; });
+    }).then(function(ticks) {
+        return Promise.all(ticks.map(function(tick) { return self.handleTick(tick); }));
+    }).then(function() {
+        self._updating = null;
+    }, function(err) {
+        self._updating = null;
+        throw err;
+    });
+    return this._updating;
+};
+
+TrailingStopManager.prototype._setTrades = function(trades) {
+    const self = this;
+    this.trades = (trades || []).filter(function(trade) {
+        return trade.Type === "Position" && (!self.filter || self.filter(trade));
+    });
+    const states = {};
+    this.trades.forEach(function(trade) {
+        if (self._states[trade.Id])
+            states[trade.Id] = self._states[trade.Id];
+    });
+    this._states = states;
+};
+
+/**
+ * Trail stop losses of the symbol trades with the tick
+ * @param tick Feed tick `{ Symbol, BestBid, BestAsk }`
+ * @returns Promise resolved when the modifications are finished
+ */
+TrailingStopManager.prototype.handleTick = function(tick) {
+    const self = this;
+    if (!tick)
+        return Promise.resolve();
+    const trades = this.trades.filter(function(trade) { return trade.Symbol === tick.Symbol; });
+    return Promise.all(trades.map(function(trade) {
+        return self._trail(trade, tick).catch(function(err) {
+            self._emit('error', err);
+        });
+    }));
+};
+
+/**
+ * Calculate trailed stop loss for the price
+ */
+TrailingStopManager.prototype._stopLoss = function(trade, price) {
+    const offset = this.percent !== undefined ? price * this.percent / 100 : this.distance;
+    return this.symbols.roundPrice(trade.Symbol, trade.Side === "Buy" ? price - offset : price + offset);
+};
+
+TrailingStopManager.prototype._trail = async function(trade, tick) {
+    const buy = trade.Side === "Buy";
+    const level = buy ? tick.BestBid : tick.BestAsk;
+    const price = level && Number(level.Price);
+    if (!(price > 0))
+        return;
+
+    const state = this._states[trade.Id] || (this._states[trade.Id] = { modified: 0, busy: false, stopLoss: undefined });
+    if (state.busy || Date.now() - state.modified < this.throttle)
+        return;
+
+    // Dry run keeps its stop loss locally, so it ratchets as if the modifications were sent
+    const previous = state.stopLoss !== undefined && (trade.StopLoss === undefined || trade.StopLoss === null || (buy ? state.stopLoss > trade.StopLoss : state.stopLoss < trade.StopLoss)) ? state.stopLoss : trade.StopLoss;
+    state.busy = true;
+    try {
+        const stopLoss = await this._stopLoss(trade, price);
+        if (previous !== undefined && previous !== null) {
+            const move = buy ? stopLoss - previous : previous - stopLoss;
+            if (!(move > 0) || move < this.minStep)
+                return;
+        }
+        // Failed modifications are throttled as well, so a rejected stop loss is not resent on every tick
+        state.modified = Date.now();
+        const modification = { Trade: trade, StopLoss: stopLoss, Previous: previous, Price: price, DryRun: this.dryRun };
+        if (this.dryRun)
+            this.logger.log("TickTrader trailing stop (dry run): trade " + trade.Id + " " + trade.Symbol + " " + trade.Side + " StopLoss " + (previous !== undefined && previous !== null ? previous : "none") + " -> " + stopLoss + " at price " + price);
+        else {
+            await this._raw().modifyTrade({ Id: trade.Id, StopLoss: stopLoss });
+            trade.StopLoss = stopLoss;
+        }
+        state.stopLoss = stopLoss;
+        this._emit('modify', modification);
+    }
+    finally {
+        state.busy = false;
+    }
+};
+
+export { TrailingStopManager };
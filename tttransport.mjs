@@ -0,0 +1,128 @@
+/**
+ * TickTrader Web API HTTP transports (ESM)
+ *
+ * Transport is an object with the single method `request(config)` where config is
+ * `{ method, url, headers, data }`. It resolves with `{ status, statusText, headers, data, config }`
+ * for every HTTP response (including 4xx / 5xx) and rejects only when no response is received.
+ * Response header names are lower-cased and JSON response bodies are parsed.
+ */
+
+/**
+ * Transport based on the standard `fetch` API (browsers, Deno, Bun, Node.js 18+)
+ * Transport options:
+ * - **fetch** (optional) - fetch implementation. Default is the global `fetch`.
+ * - **timeout** (optional) - Request timeout (ms). Default is no timeout.
+ * @param options Transport options
+ */
+const FetchTransport = function(options) {
+    options = options || {};
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeout = options.timeout;
+    if (!this.fetch)
+        throw new Error("fetch implementation is not available! Pass options.fetch or use AxiosTransport.");
+};
+
+FetchTransport.prototype.request = function(config) {
+    const controller = this.timeout && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(function() { controller.abort(); }, this.timeout) : null;
+    const init = {
+        method: config.method.toUpperCase(),
+        headers: config.headers || {},
+        body: config.data !== undefined ? JSON.stringify(config.data) : undefined,
+        signal: controller ? controller.signal : undefined
+    };
+
+    return this.fetch.call(globalThis, config.url, init).then(function(response) {
+        const headers = {};
+        response.headers.forEach(function(value, name) { headers[name.toLowerCase()] = value; });
+        return response.text().then(function(text) {
+            let data = text;
+            if (text && /json/i.test(headers['content-type'] || "")) {
+                try {
+                    data = JSON.parse(text);
+                }
+                catch (err) {
+                    data = text;
+                }
+            }
+            return { status: response.status, statusText: response.statusText, headers: headers, data: data, config: config };
+        });
+    }).catch(function(err) {
+        if (controller && controller.signal.aborted) {
+            const timeout = new Error("Request timed out after " + this.timeout + " ms");
+            timeout.name = 'TimeoutError';
+            timeout.cause = err;
+            throw timeout;
+        }
+        throw err;
+    }.bind(this)).finally(function() {
+        if (timer)
+            clearTimeout(timer);
+    });
+};
+
+/**
+ * Transport adapter for axios
+ * @param axios axios instance (e.g. `import axios from 'axios'` or `axios.create({...})`)
+ * @param options Transport options (`timeout` in ms)
+ */
+const AxiosTransport = function(axios, options) {
+    if (!axios)
+        throw new Error("axios instance should be valid!");
+    options = options || {};
+    this.axios = axios;
+    this.timeout = options.timeout;
+};
+
+AxiosTransport.prototype.request = function(config) {
+    return this.axios({
+        method: config.method,
+        url: config.url,
+        headers: config.headers,
+        data: config.data,
+        timeout: this.timeout,
+        validateStatus: function() { return true; }
+    }).then(function(response) {
+        const headers = {};
+        const source = response.headers && typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : response.headers || {};
+        for (const name in source)
+            headers[name.toLowerCase()] = source[name];
+        return { status: response.status, statusText: response.statusText, headers: headers, data: response.data, config: config };
+    });
+};
+
+/**
+ * Transport recording every exchange of the wrapped transport (e.g. for tests)
+ * Recorded exchanges are available in `transport.records` as `{ request, response, error, duration }`.
+ * @param transport Wrapped transport
+ */
+const RecordingTransport = function(transport) {
+    if (!transport || typeof transport.request !== 'function')
+        throw new Error("Transport to record should be valid!");
+    this.transport = transport;
+    this.records = [];
+};
+
+RecordingTransport.prototype.request = function(config) {
+    const record = { request: config, response: undefined, error: undefined, duration: 0 };
+    const started = Date.now();
+    this.records.push(record);
+    return this.transport.request(config).then(function(response) {
+        record.response = response;
+        record.duration = Date.now() - started;
+        return response;
+    }, function(err) {
+        record.error = err;
+        record.duration = Date.now() - started;
+        throw err;
+    });
+};
+
+/**
+ * Forget recorded exchanges
+ */
+RecordingTransport.prototype.clear = function() {
+    this.records = [];
+};
+
+export { FetchTransport, AxiosTransport, RecordingTransport };
@@ -0,0 +1,150 @@
+/**
+ * TickTrader trade request validation (ESM)
+ * Checks create and modify trade requests locally, so malformed requests are rejected with field-level messages
+ * before they are sent to the server
+ */
+
+import { TickTraderValidationError } from './tterrors.mjs';
+
+const PENDING_TYPES = ["Limit", "Stop"];
+
+/**
+ * Field checks by the schema field type
+ * Each check returns error message suffix or undefined if the value is valid.
+ */
+const CHECKS = {
+    "string": function(value) {
+        return typeof value === 'string' ? undefined : "should be a string";
+    },
+    "boolean": function(value) {
+        return typeof value === 'boolean' ? undefined : "should be a boolean";
+    },
+    "positive": function(value) {
+        return typeof value === 'number' && isFinite(value) && value > 0 ? undefined : "should be a positive number";
+    },
+    "timestamp": function(value) {
+        if (value instanceof Date)
+            return isNaN(value.getTime()) ? "should be a valid date" : undefined;
+        return typeof value === 'number' && isFinite(value) && value >= 0 ? undefined : "should be a Date or a timestamp in milliseconds";
+    },
+    "id": function(value) {
+        return (typeof value === 'number' && Number.isInteger(value) && value >= 0) || (typeof value === 'string' && /^\d+$/.test(value)) ? undefined : "should be a trade Id";
+    }
+};
+
+const CREATE_TRADE_SCHEMA = {
+    ClientId: { type: "string" },
+    Type: { required: true, values: ["Market", "Limit", "Stop"] },
+    Side: { required: true, values: ["Buy", "Sell"] },
+    Symbol: { required: true, type: "string" },
+    Price: { type: "positive" },
+    Amount: { required: true, type: "positive" },
+    StopLoss: { type: "positive" },
+    TakeProfit: { type: "positive" },
+    ExpiredTimestamp: { type: "timestamp" },
+    ImmediateOrCancel: { type: "boolean" },
+    Comment: { type: "string" }
+};
+
+const MODIFY_TRADE_SCHEMA = {
+    Id: { required: true, type: "id" },
+    Price: { type: "positive" },
+    StopLoss: { type: "positive" },
+    TakeProfit: { type: "positive" },
+    ExpiredTimestamp: { type: "timestamp" },
+    Comment: { type: "string" }
+};
+
+/**
+ * Check request fields against the schema: required fields, field types, allowed values and, in the strict mode,
+ * unknown fields
+ * @returns List of field errors
+ */
+const _checkSchema = function(schema, request, strict) {
+    const errors = [];
+    for (const field in schema) {
+        const rule = schema[field];
+        const value = request[field];
+        if (value === undefined || value === null) {
+            if (rule.required)
+                errors.push({ field: field, message: field + " is required" });
+            continue;
+        }
+        if (rule.values && rule.values.indexOf(value) < 0)
+            errors.push({ field: field, message: field + " should be one of " + rule.values.join(", ") });
+        const message = rule.type && CHECKS[rule.type](value);
+        if (message)
+            errors.push({ field: field, message: field + " " + message });
+    }
+    if (!strict)
+        return errors;
+    for (const field in request)
+        if (!schema.hasOwnProperty(field) && request[field] !== undefined)
+            errors.push({ field: field, message: "Unknown field " + field });
+    return errors;
+};
+
+/**
+ * Validate create trade request
+ * Besides the field types checks following rules:
+ * - `Price` is required for `"Limit"` and `"Stop"` trades
+ * - `ImmediateOrCancel` works only for `"Limit"` trades
+ * - `ExpiredTimestamp` applies only to pending trades (`"Limit"`, `"Stop"`)
+ * Validation options:
+ * - **strict** (optional) - Reject fields unknown to the request schema (e.g. misspelled ones). Default is false, so
+ *   fields added by newer server versions can be sent.
+ * @param request Create trade request
+ * @param options Validation options (optional)
+ * @returns List of field errors `{ field, message }` (empty for valid requests)
+ */
+const validateCreateTrade = function(request, options) {
+    if (!request || typeof request !== 'object')
+        return [{ field: "", message: "Create trade request should be an object" }];
+    const errors = _checkSchema(CREATE_TRADE_SCHEMA, request, options && options.strict);
+    const pending = PENDING_TYPES.indexOf(request.Type) >= 0;
+    if (pending && (request.Price === undefined || request.Price === null))
+        errors.push({ field: "Price", message: "Price is required for " + request.Type + " trades" });
+    if (request.ImmediateOrCancel && request.Type !== "Limit")
+        errors.push({ field: "ImmediateOrCancel", message: "ImmediateOrCancel works only for Limit trades" });
+    if (request.ExpiredTimestamp !== undefined && request.ExpiredTimestamp !== null && !pending)
+        errors.push({ field: "ExpiredTimestamp", message: "ExpiredTimestamp applies only to Limit and Stop trades" });
+    return errors;
+};
+
+/**
+ * Validate modify trade request
+ * When the modified trade is given, following rules are checked as well:
+ * - `Price` can be changed only for pending trades (price of `"Market"` trades and positions cannot change)
+ * - `ExpiredTimestamp` applies only to pending trades
+ * @param request Modify trade request
+ * @param trade Modified trade (optional)
+ * @param options Validation options (optional), see `validateCreateTrade()`
+ * @returns List of field errors `{ field, message }` (empty for valid requests)
+ */
+const validateModifyTrade = function(request, trade, options) {
+    if (!request || typeof request !== 'object')
+        return [{ field: "", message: "Modify trade request should be an object" }];
+    const errors = _checkSchema(MODIFY_TRADE_SCHEMA, request, options && options.strict);
+    if (!trade || PENDING_TYPES.indexOf(trade.Type) >= 0)
+        return errors;
+    if (request.Price !== undefined && request.Price !== null)
+        errors.push({ field: "Price", message: "Price of " + trade.Type + " trades cannot be changed" });
+    if (request.ExpiredTimestamp !== undefined && request.ExpiredTimestamp !== null)
+        errors.push({ field: "ExpiredTimestamp", message: "ExpiredTimestamp applies only to Limit and Stop trades" });
+    return errors;
+};
+
+/**
+ * Create validation error for the list of field errors
+ * @param name Request name (e.g. "create trade")
+ * @param errors List of field errors
+ * @returns TickTraderValidationError or undefined if there are no errors
+ */
+const validationError = function(name, errors) {
+    if (!errors || errors.length === 0)
+        return undefined;
+    const message = "TickTrader " + name + " request is invalid: " + errors.map(function(error) { return error.message; }).join("; ") + "!";
+    return new TickTraderValidationError(message, { errors: errors });
+};
+
+export { validateCreateTrade, validateModifyTrade, validationError };
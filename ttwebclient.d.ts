@@ -1,44 +1,1212 @@
-declare module "ticktrader-client" {
-  export default class TickTraderWebClient {
-    constructor(
-      web_api_address: string,
-      web_api_id: string,
-      web_api_key: string,
-      web_api_secret: string
-    );
-
-    getPublicTradeSession(): Promise<any>;
-    getPublicAllCurrencies(): Promise<any>;
-    getPublicCurrency(currency: string): Promise<any>;
-    getPublicAllSymbols(): Promise<any>;
-    getPublicSymbol(symbol: string): Promise<any>;
-    getPublicAllTicks(): Promise<any>;
-    getPublicTick(symbol: string): Promise<any>;
-    getPublicAllTicksLevel2(): Promise<any>;
-    getPublicTickLevel2(symbol: string): Promise<any>;
-
-    getAccount(): Promise<any>;
-    getTradeSession(): Promise<any>;
-    getAllCurrencies(): Promise<any>;
-    getCurrency(currency: string): Promise<any>;
-    getAllSymbols(): Promise<any>;
-    getSymbol(symbol: string): Promise<any>;
-    getAllTicks(): Promise<any>;
-    getTick(symbol: string): Promise<any>;
-    getAllTicksLevel2(): Promise<any>;
-    getTickLevel2(symbol: string): Promise<any>;
-    getAllAssets(): Promise<any>;
-    getAsset(currency: string): Promise<any>;
-    getAllPositions(): Promise<any>;
-    getPosition(symbol: string): Promise<any>;
-    getAllTrades(): Promise<any>;
-    getTrade(tradeId: string): Promise<any>;
-    createTrade(data: any): Promise<any>;
-    modifyTrade(data: any): Promise<any>;
-    cancelTrade(tradeId: string): Promise<any>;
-    closeTrade(tradeId: string, amount?: number): Promise<any>;
-    closeByTrade(tradeId: string, byTradeId: string): Promise<any>;
-    getTradeHistory(data: any): Promise<any>;
-    getTradeHistoryByTradeId(tradeId: string, data: any): Promise<any>;
-  }
-}
+export type AccountingType = "Gross" | "Net" | "Cash";
+
+export type TradeSide = "Buy" | "Sell";
+
+export type TradeType = "Market" | "Limit" | "Stop" | "Position" | "StopLimit";
+
+export type CreateTradeType = "Market" | "Limit" | "Stop";
+
+export type TradeSessionStatus = "Opened" | "Closed";
+
+export type FeedLevel2RecordType = "Bid" | "Ask";
+
+export type RequestDirection = "Forward" | "Backward";
+
+export type QuoteHistoryPeriodicity = "S1" | "S10" | "M1" | "M5" | "M15" | "M30" | "H1" | "H4" | "D1" | "W1" | "MN1";
+
+export type QuoteHistoryPriceType = "bid" | "ask" | "Bid" | "Ask";
+
+export type TransactionType =
+  | "OrderOpened"
+  | "OrderModified"
+  | "OrderCanceled"
+  | "OrderExpired"
+  | "OrderActivated"
+  | "OrderFilled"
+  | "PositionOpened"
+  | "PositionClosed"
+  | "Balance"
+  | "Credit"
+  | "DepositWithdrawal"
+  | "Dividend"
+  | "Unknown";
+
+export type TransactionReason =
+  | "ClientRequest"
+  | "CloseByClientRequest"
+  | "PendingOrderActivation"
+  | "StopOut"
+  | "StopLossActivation"
+  | "TakeProfitActivation"
+  | "DealerDecision"
+  | "Rollover"
+  | "DeleteAccount"
+  | "Expired"
+  | "TransferMoney"
+  | "Split"
+  | "Dividend"
+  | "OneCancelsTheOther"
+  | "Unknown";
+
+/** Timestamp in milliseconds since Unix epoch */
+export type Timestamp = number;
+
+export interface TradeSession {
+  PlatformName: string;
+  PlatformCompany: string;
+  PlatformAddress: string;
+  PlatformTimezoneOffset: number;
+  SessionId: string;
+  SessionStatus: TradeSessionStatus;
+  SessionStartTime: Timestamp;
+  SessionEndTime: Timestamp;
+  SessionOpenTime: Timestamp;
+  SessionCloseTime: Timestamp;
+}
+
+export interface Account {
+  Id: number;
+  AccountingType: AccountingType;
+  Name: string;
+  Email?: string;
+  Comment?: string;
+  Group?: string;
+  Registered: Timestamp;
+  Modified?: Timestamp;
+  IsBlocked: boolean;
+  IsReadonly: boolean;
+  IsValid: boolean;
+  IsWebApiEnabled: boolean;
+  Leverage: number;
+  Balance: number;
+  BalanceCurrency: string;
+  Profit?: number;
+  Equity: number;
+  Margin: number;
+  MarginLevel: number;
+  MarginCallLevel: number;
+  StopOutLevel: number;
+}
+
+export interface Currency {
+  Name: string;
+  Precision: number;
+  Description?: string;
+}
+
+export interface Symbol {
+  Symbol: string;
+  Precision: number;
+  IsTradeAllowed?: boolean;
+  MarginCurrency: string;
+  ProfitCurrency: string;
+  ContractSize: number;
+  MinTradeAmount: number;
+  MaxTradeAmount: number;
+  TradeAmountStep: number;
+  Description?: string;
+}
+
+export interface FeedLevel2Record {
+  Type: FeedLevel2RecordType;
+  Price: number;
+  Volume: number;
+}
+
+export interface FeedTick {
+  Symbol: string;
+  Timestamp: Timestamp;
+  BestBid: FeedLevel2Record;
+  BestAsk: FeedLevel2Record;
+}
+
+export interface FeedLevel2 {
+  Symbol: string;
+  Timestamp: Timestamp;
+  Bids: FeedLevel2Record[];
+  Asks: FeedLevel2Record[];
+  BestBid?: FeedLevel2Record;
+  BestAsk?: FeedLevel2Record;
+}
+
+export interface Asset {
+  Currency: string;
+  Amount: number;
+  FreeAmount: number;
+  LockedAmount: number;
+}
+
+export interface Position {
+  Id: number;
+  Symbol: string;
+  LongAmount: number;
+  LongPrice: number;
+  ShortAmount: number;
+  ShortPrice: number;
+  Commission: number;
+  AgentCommission: number;
+  Swap: number;
+  Modified?: Timestamp;
+}
+
+export interface Trade {
+  Id: number;
+  ClientId?: string;
+  AccountId: number;
+  Type: TradeType;
+  InitialType?: TradeType;
+  Side: TradeSide;
+  Status?: string;
+  Symbol: string;
+  Price?: number;
+  Amount: number;
+  InitialAmount: number;
+  StopLoss?: number;
+  TakeProfit?: number;
+  Margin?: number;
+  Profit?: number;
+  Commission?: number;
+  AgentCommission?: number;
+  Swap?: number;
+  ImmediateOrCancel?: boolean;
+  Created: Timestamp;
+  Modified?: Timestamp;
+  Filled?: Timestamp;
+  Expired?: Timestamp;
+  Comment?: string;
+}
+
+export interface TradeDeleteResult {
+  Trade: Trade;
+  ByTrade?: Trade;
+}
+
+export interface TradeHistory {
+  Id: string;
+  TransactionType: TransactionType;
+  TransactionReason: TransactionReason;
+  TransactionTimestamp: Timestamp;
+  Symbol?: string;
+  TradeId?: number;
+  ParentTradeId?: number;
+  ClientTradeId?: string;
+  TradeSide?: TradeSide;
+  TradeType?: TradeType;
+  TradeCreated?: Timestamp;
+  TradeModified?: Timestamp;
+  TradeAmount?: number;
+  TradeInitialAmount?: number;
+  TradeLastFillAmount?: number;
+  TradePrice?: number;
+  TradeFillPrice?: number;
+  RequestPrice?: number;
+  RequestTimestamp?: Timestamp;
+  PositionId?: number;
+  PositionAmount?: number;
+  PositionInitialAmount?: number;
+  PositionLastAmount?: number;
+  PositionOpenPrice?: number;
+  PositionOpened?: Timestamp;
+  PositionClosePrice?: number;
+  PositionClosed?: Timestamp;
+  Balance?: number;
+  BalanceMovement?: number;
+  BalanceCurrency?: string;
+  StopLoss?: number;
+  TakeProfit?: number;
+  Commission?: number;
+  AgentCommission?: number;
+  Swap?: number;
+  Expired?: Timestamp;
+  Comment?: string;
+  MarginRateInitial?: number;
+  OpenConversionRate?: number;
+  CloseConversionRate?: number;
+}
+
+export interface TradeHistoryReport {
+  IsLastReport: boolean;
+  TotalReports: number;
+  Records: TradeHistory[];
+  LastId?: string;
+}
+
+export interface DailySnapshot {
+  Id: string;
+  Timestamp: Timestamp;
+  AccountId: number;
+  AccountingType: AccountingType;
+  Leverage: number;
+  Balance: number;
+  BalanceCurrency: string;
+  Equity: number;
+  Margin: number;
+  MarginLevel: number;
+  Profit: number;
+  Assets?: Asset[];
+}
+
+export interface DailySnapshotReport {
+  IsLastReport: boolean;
+  TotalReports: number;
+  Records: DailySnapshot[];
+  LastId?: string;
+}
+
+export interface BalanceHistory {
+  Id: string;
+  Timestamp: Timestamp;
+  TransactionType: TransactionType;
+  TransactionReason: TransactionReason;
+  TradeId?: number;
+  Balance: number;
+  BalanceMovement: number;
+  BalanceCurrency: string;
+  Comment?: string;
+}
+
+export interface BalanceHistoryReport {
+  IsLastReport: boolean;
+  TotalReports: number;
+  Records: BalanceHistory[];
+  LastId?: string;
+}
+
+/** Point of the account equity and balance time series */
+export interface EquityPoint {
+  Timestamp: Timestamp;
+  Balance: number | undefined;
+  /** Reported by snapshots, estimated with the last snapshot floating profit for balance movements */
+  Equity: number | undefined;
+  BalanceMovement: number;
+  Source: "Snapshot" | "TradeHistory";
+  Id?: string;
+}
+
+export interface QuoteHistoryBar {
+  Timestamp: Timestamp;
+  Open: number;
+  High: number;
+  Low: number;
+  Close: number;
+  Volume: number;
+}
+
+export interface QuoteHistoryTick {
+  Timestamp: Timestamp;
+  BestBid: FeedLevel2Record;
+  BestAsk: FeedLevel2Record;
+}
+
+export interface QuoteHistoryInfo {
+  Symbol: string;
+  AvailableFrom: Timestamp;
+  AvailableTo: Timestamp;
+}
+
+export interface QuoteHistoryBarsReport {
+  Symbol: string;
+  From: Timestamp;
+  To: Timestamp;
+  Bars: QuoteHistoryBar[];
+}
+
+export interface QuoteHistoryTicksReport {
+  Symbol: string;
+  From: Timestamp;
+  To: Timestamp;
+  Ticks: QuoteHistoryTick[];
+}
+
+/** Model fields holding timestamps which are parsed into `Date` objects in unwrap mode */
+export type ModelDateField =
+  | "Timestamp"
+  | "Registered"
+  | "Created"
+  | "Modified"
+  | "Filled"
+  | "Expired"
+  | "SessionStartTime"
+  | "SessionEndTime"
+  | "SessionOpenTime"
+  | "SessionCloseTime"
+  | "TransactionTimestamp"
+  | "TradeCreated"
+  | "TradeModified"
+  | "RequestTimestamp"
+  | "PositionOpened"
+  | "PositionClosed"
+  | "AvailableFrom"
+  | "AvailableTo"
+  | "From"
+  | "To";
+
+/** Parsed model with `Date` timestamp fields */
+export type Unwrapped<T> = T extends Array<infer E>
+  ? Unwrapped<E>[]
+  : T extends object
+    ? { [K in keyof T]: K extends ModelDateField ? Date : Unwrapped<T[K]> }
+    : T;
+
+export interface CreateTradeRequest {
+  ClientId?: string;
+  Type: CreateTradeType;
+  Side: TradeSide;
+  Symbol: string;
+  Price?: number;
+  Amount: number;
+  StopLoss?: number;
+  TakeProfit?: number;
+  ExpiredTimestamp?: Timestamp | Date;
+  ImmediateOrCancel?: boolean;
+  Comment?: string;
+}
+
+export interface ModifyTradeRequest {
+  Id: number | string;
+  Price?: number;
+  StopLoss?: number;
+  TakeProfit?: number;
+  ExpiredTimestamp?: Timestamp | Date;
+  Comment?: string;
+}
+
+export interface TradeHistoryRequest {
+  TimestampFrom?: Timestamp | Date;
+  TimestampTo?: Timestamp | Date;
+  RequestDirection?: RequestDirection;
+  RequestPageSize?: number;
+  RequestLastId?: string;
+}
+
+/** Daily snapshots and balance history requests are paged the same way as trade history */
+export type AccountHistoryRequest = TradeHistoryRequest;
+
+export interface EquitySeriesRequest {
+  TimestampFrom?: Timestamp | Date;
+  TimestampTo?: Timestamp | Date;
+  RequestPageSize?: number;
+}
+
+export interface CancelAllPendingRequest {
+  symbol?: string;
+  side?: TradeSide;
+  /** Maximal number of concurrent requests. Default is 5. */
+  concurrency?: number;
+}
+
+export interface CloseAllTradesRequest extends CancelAllPendingRequest {
+  /** Net opposite positions with closeByTrade(). Default is true. */
+  closeBy?: boolean;
+}
+
+export type FlattenAccountRequest = Omit<CloseAllTradesRequest, "side">;
+
+export interface BatchResult {
+  Action: "Cancel" | "Close" | "CloseBy" | "Offset";
+  TradeId?: number;
+  ByTradeId?: number;
+  Symbol: string;
+  Side: TradeSide;
+  Amount: number;
+  Success: boolean;
+  Error?: Error;
+}
+
+export interface BatchReport {
+  Results: BatchResult[];
+  Succeeded: number;
+  Failed: number;
+}
+
+export interface QuoteHistoryRequest {
+  TimestampFrom?: Timestamp | Date;
+  TimestampTo?: Timestamp | Date;
+  RequestPageSize?: number;
+}
+
+export interface RetryPolicyOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  onRetry?: (error: TickTraderError, attempt: number, delay: number) => void;
+}
+
+export interface RetryExecuteOptions<T> {
+  idempotent?: boolean;
+  reconcile?: (error: TickTraderError) => Promise<T | undefined>;
+}
+
+export class RetryPolicy {
+  constructor(options?: RetryPolicyOptions);
+  retries: number;
+  minDelay: number;
+  maxDelay: number;
+  factor: number;
+  jitter: boolean;
+  onRetry?: (error: TickTraderError, attempt: number, delay: number) => void;
+  isRetryable(error: unknown): boolean;
+  /** Network or server failure, the request might have been applied */
+  isOutcomeUnknown(error: unknown): boolean;
+  delay(attempt: number, error: unknown): number;
+  execute<T>(attempt: () => Promise<T>, options?: RetryExecuteOptions<T>): Promise<T>;
+}
+
+export type EndpointClass = "trade" | "account" | "feed";
+
+export interface RateLimiterClassOptions {
+  rate?: number;
+  burst?: number;
+  priority?: number;
+}
+
+export interface RateLimiterOptions {
+  rate?: number;
+  burst?: number;
+  classes?: Partial<Record<EndpointClass, RateLimiterClassOptions>>;
+  maxQueue?: number;
+}
+
+export interface RateLimiterClassStats {
+  queued: number;
+  dispatched: number;
+  averageWait: number;
+  maxWait: number;
+}
+
+export interface RateLimiterStats extends RateLimiterClassStats {
+  classes: Record<EndpointClass, RateLimiterClassStats>;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  schedule<T>(endpointClass: EndpointClass, task: () => T | Promise<T>): Promise<T>;
+  stats(): RateLimiterStats;
+}
+
+export interface TransportRequest {
+  method: string;
+  url: string;
+  headers?: Record<string, string>;
+  data?: unknown;
+}
+
+/** Raw transport response. Header names are lower-cased. */
+export interface TransportResponse<T = any> {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  data: T;
+  config: TransportRequest;
+}
+
+export interface Transport {
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export interface FetchTransportOptions {
+  fetch?: (url: string, init?: any) => Promise<any>;
+  timeout?: number;
+}
+
+export class FetchTransport implements Transport {
+  constructor(options?: FetchTransportOptions);
+  timeout?: number;
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export interface AxiosTransportOptions {
+  timeout?: number;
+}
+
+export class AxiosTransport implements Transport {
+  /** @param axios axios instance (`import axios from "axios"` or `axios.create()`) */
+  constructor(axios: (config: any) => Promise<any>, options?: AxiosTransportOptions);
+  timeout?: number;
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export interface TransportRecord {
+  request: TransportRequest;
+  response?: TransportResponse;
+  error?: unknown;
+  duration: number;
+}
+
+export class RecordingTransport implements Transport {
+  constructor(transport: Transport);
+  transport: Transport;
+  records: TransportRecord[];
+  request(config: TransportRequest): Promise<TransportResponse>;
+  clear(): void;
+}
+
+export interface ServerClockOptions {
+  offset?: number;
+  tolerance?: number;
+}
+
+export class ServerClock {
+  constructor(options?: ServerClockOptions);
+  /** Server time offset from the local clock (ms) */
+  offset: number;
+  tolerance: number;
+  /** Local time of the last offset change (ms) */
+  synchronized?: number;
+  now(): number;
+  estimate(date: string | undefined, sent: number, received: number): number | undefined;
+  update(date: string | undefined, sent: number, received: number, force?: boolean): boolean;
+}
+
+/** Resolved credentials. `web_api_secret` is non-enumerable. */
+export interface WebApiCredentials {
+  readonly web_api_id: string;
+  readonly web_api_key: string;
+  readonly web_api_secret: string;
+}
+
+export interface CredentialsProvider {
+  getCredentials(): Promise<WebApiCredentials>;
+  /** Drop cached credentials, returns true if fresh credentials may differ */
+  invalidate?(): boolean;
+}
+
+export class StaticCredentials implements CredentialsProvider {
+  constructor(web_api_id: string, web_api_key: string, web_api_secret: string);
+  getCredentials(): Promise<WebApiCredentials>;
+  update(web_api_id: string, web_api_key: string, web_api_secret: string): void;
+  invalidate(): boolean;
+}
+
+export interface EnvCredentialsOptions {
+  id?: string;
+  key?: string;
+  secret?: string;
+  env?: Record<string, string | undefined>;
+}
+
+export class EnvCredentials implements CredentialsProvider {
+  constructor(options?: EnvCredentialsOptions);
+  names: { id: string; key: string; secret: string };
+  getCredentials(): Promise<WebApiCredentials>;
+  invalidate(): boolean;
+}
+
+export interface FileCredentialsOptions {
+  format?: "json" | "ini";
+  section?: string;
+  ttl?: number;
+}
+
+export class FileCredentials implements CredentialsProvider {
+  constructor(path: string, options?: FileCredentialsOptions);
+  path: string;
+  format: "json" | "ini";
+  section?: string;
+  ttl: number;
+  getCredentials(): Promise<WebApiCredentials>;
+  invalidate(): boolean;
+}
+
+export interface CallbackCredentialsOptions {
+  ttl?: number;
+}
+
+export class CallbackCredentials implements CredentialsProvider {
+  constructor(callback: () => Promise<Record<string, string>> | Record<string, string>, options?: CallbackCredentialsOptions);
+  ttl: number;
+  getCredentials(): Promise<WebApiCredentials>;
+  invalidate(): boolean;
+}
+
+export type SymbolRegistryMode = "round" | "validate";
+
+export interface SymbolRegistryOptions {
+  ttl?: number;
+  mode?: SymbolRegistryMode;
+}
+
+/** Cached symbol metadata rounding or validating trade prices and amounts */
+export class SymbolRegistry {
+  constructor(client: TickTraderPublicClient<boolean>, options?: SymbolRegistryOptions);
+
+  readonly client: TickTraderPublicClient<boolean>;
+  ttl: number;
+  mode: SymbolRegistryMode;
+
+  load(force?: boolean): Promise<Map<string, Symbol>>;
+  invalidate(): void;
+  get(symbol: string): Promise<Symbol>;
+  roundPrice(symbol: string, price: number): Promise<number>;
+  roundAmount(symbol: string, amount: number): Promise<number>;
+  prepareTrade(request: CreateTradeRequest): Promise<CreateTradeRequest>;
+}
+
+/** Fluent create trade request builder */
+export class OrderBuilder<R = any> {
+  constructor(client: { createTrade(request: CreateTradeRequest): Promise<R>; clock?: ServerClock | null; validate?: boolean | "strict" }, symbol: string);
+
+  /** Request being built */
+  readonly request: Partial<CreateTradeRequest>;
+
+  buy(amount?: number): this;
+  sell(amount?: number): this;
+  amount(amount: number): this;
+  market(): this;
+  limit(price: number): this;
+  stop(price: number): this;
+  stopLoss(price: number): this;
+  takeProfit(price: number): this;
+  expiresAt(timestamp: Timestamp | Date): this;
+  /** Duration in milliseconds or string like "30m", "1h", "1d" */
+  expiresIn(duration: number | string): this;
+  ioc(enabled?: boolean): this;
+  comment(text: string): this;
+  clientId(clientId: string): this;
+  /** Validated request with generated ClientId, throws TickTraderValidationError */
+  build(): CreateTradeRequest;
+  send(): Promise<R>;
+}
+
+/** Generate unique client trade Id */
+export function generateClientId(): string;
+
+/** Convert trade history record into trade */
+export function historyTrade(record: TradeHistory): Trade;
+/** Find trade created with the client trade Id in open trades, then in trade history since the submission time */
+export function findCreatedTrade(client: TickTraderWebClient<boolean>, clientId: string, since: number): Promise<TransportResponse<Trade> | undefined>;
+
+export type OrderGroupType = "oco" | "bracket";
+export type OrderGroupStatus = "pending" | "active" | "completed" | "canceled" | "failed";
+export type ManagedOrderStatus = "placing" | "pending" | "filled" | "canceled" | "rejected";
+export type ManagedOrderRole = "first" | "second" | "entry" | "stopLoss" | "takeProfit";
+
+export interface ManagedOrder {
+  role: ManagedOrderRole;
+  request: CreateTradeRequest;
+  clientId: string;
+  /** Trade Id, undefined until the trade is created */
+  id?: number;
+  status: ManagedOrderStatus;
+  /** Filled trade is kept as a position (gross accounts) */
+  position?: boolean;
+  error?: string;
+}
+
+export interface OrderGroup {
+  id: string;
+  type: OrderGroupType;
+  status: OrderGroupStatus;
+  created: Timestamp;
+  orders: ManagedOrder[];
+  exits?: BracketExits;
+  error?: string;
+}
+
+export interface BracketExits {
+  stopLoss?: number;
+  takeProfit?: number;
+}
+
+export interface OrderManagerState {
+  version: number;
+  groups: OrderGroup[];
+}
+
+/** Order manager state storage */
+export interface OrderManagerStorage {
+  load(): Promise<OrderManagerState | undefined>;
+  save(state: OrderManagerState): Promise<void>;
+}
+
+export class MemoryStorage implements OrderManagerStorage {
+  constructor(state?: OrderManagerState);
+  state?: OrderManagerState;
+  load(): Promise<OrderManagerState | undefined>;
+  save(state: OrderManagerState): Promise<void>;
+}
+
+/** JSON file storage (Node.js) */
+export class FileStorage implements OrderManagerStorage {
+  constructor(path: string);
+  path: string;
+  load(): Promise<OrderManagerState | undefined>;
+  save(state: OrderManagerState): Promise<void>;
+}
+
+export interface OrderManagerOptions {
+  storage?: OrderManagerStorage;
+  stream?: TickTraderTradeStream;
+  /** Polling interval (ms), 0 disables polling. Default is 1000. */
+  pollInterval?: number;
+}
+
+export type OrderManagerGroupEvent = "placed" | "activated" | "completed" | "canceled" | "failed";
+
+/** Bracket and OCO order manager */
+export class OrderManager {
+  constructor(client: TickTraderWebClient<boolean>, options?: OrderManagerOptions);
+
+  readonly client: TickTraderWebClient<boolean>;
+  storage: OrderManagerStorage;
+  stream: TickTraderTradeStream | null;
+  pollInterval: number;
+  groups: OrderGroup[];
+
+  on(event: OrderManagerGroupEvent, listener: (group: OrderGroup) => void): this;
+  on(event: "filled", listener: (fill: { group: OrderGroup; order: ManagedOrder }) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  attach(stream: TickTraderTradeStream): () => void;
+  check(): Promise<void>;
+  get(groupId: string): OrderGroup | undefined;
+  placeOco(first: CreateTradeRequest, second: CreateTradeRequest): Promise<OrderGroup>;
+  placeBracket(entry: CreateTradeRequest, exits: BracketExits): Promise<OrderGroup>;
+  cancel(groupId: string): Promise<OrderGroup>;
+}
+
+export interface RiskGuardOptions {
+  /** Maximal trade amount for all symbols or by symbol name ("*" for the symbols not listed) */
+  maxOrderAmount?: number | Record<string, number>;
+  /** Maximal total account exposure: net position amounts of all symbols and pending trade amounts (trade amount units) */
+  maxExposure?: number;
+  /** Maximal net position amount of the symbol after the trade and its pending trades are filled, for all symbols or by symbol name */
+  maxSymbolExposure?: number | Record<string, number>;
+  maxOpenTrades?: number;
+  /** Maximal realized loss since the start of the UTC day (account currency) */
+  maxDailyLoss?: number;
+  requireStopLoss?: boolean;
+  /** Maximal deviation of pending trade price from the latest tick (fraction) */
+  maxPriceDeviation?: number;
+}
+
+export type RiskRule = "maxOrderAmount" | "maxExposure" | "maxSymbolExposure" | "maxOpenTrades" | "maxDailyLoss" | "requireStopLoss" | "maxPriceDeviation";
+
+export interface RiskViolation {
+  rule: RiskRule;
+  message: string;
+}
+
+/** Pre-trade risk guard, rejects requests with TickTraderRiskRejectedError */
+export class RiskGuard {
+  constructor(client: TickTraderWebClient<boolean>, options?: RiskGuardOptions);
+
+  readonly client: TickTraderWebClient<boolean>;
+  maxOrderAmount?: number | Record<string, number>;
+  maxExposure?: number;
+  maxSymbolExposure?: number | Record<string, number>;
+  maxOpenTrades?: number;
+  maxDailyLoss?: number;
+  requireStopLoss: boolean;
+  maxPriceDeviation?: number;
+
+  checkCreateTrade(request: CreateTradeRequest): Promise<void>;
+  checkModifyTrade(request: ModifyTradeRequest): Promise<void>;
+}
+
+export interface TrailingStopModification {
+  /** Trailed trade (raw model) */
+  Trade: Trade;
+  StopLoss: number;
+  Previous?: number;
+  Price: number;
+  DryRun: boolean;
+}
+
+export interface TrailingStopOptions {
+  /** Stop loss distance from the price (price units) */
+  distance?: number;
+  /** Stop loss distance in percents of the price */
+  percent?: number;
+  minStep?: number;
+  throttle?: number;
+  dryRun?: boolean;
+  logger?: { log(message: string): void };
+  filter?: (trade: Trade) => boolean;
+  stream?: TickTraderFeedStream;
+  pollInterval?: number;
+  symbols?: SymbolRegistry;
+}
+
+/** Trailing stop manager ratcheting position stop losses with feed prices */
+export class TrailingStopManager {
+  constructor(client: TickTraderWebClient<boolean>, options: TrailingStopOptions);
+
+  readonly client: TickTraderWebClient<boolean>;
+  distance?: number;
+  percent?: number;
+  minStep: number;
+  throttle: number;
+  dryRun: boolean;
+  pollInterval: number;
+  symbols: SymbolRegistry;
+  /** Trailed trades (raw models) */
+  trades: Trade[];
+
+  on(event: "modify", listener: (modification: TrailingStopModification) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  attach(stream: TickTraderFeedStream): () => void;
+  update(): Promise<void>;
+  handleTick(tick: FeedTick): Promise<void>;
+}
+
+export interface TickTraderPublicClientOptions<U extends boolean = boolean> {
+  unwrap?: U;
+  retry?: boolean | RetryPolicyOptions | RetryPolicy;
+  rateLimit?: boolean | RateLimiterOptions | RateLimiter;
+  transport?: Transport;
+  clock?: false | ServerClockOptions | ServerClock;
+}
+
+export interface TickTraderWebClientOptions<U extends boolean = boolean> extends TickTraderPublicClientOptions<U> {
+  symbols?: boolean | SymbolRegistryOptions | SymbolRegistry;
+  /** "strict" rejects unknown request fields as well */
+  validate?: boolean | "strict";
+  autoClientId?: boolean;
+  /** Risk guard checking trade requests */
+  risk?: RiskGuardOptions | RiskGuard;
+}
+
+/** Method result: raw transport response or parsed model data in unwrap mode */
+export type ClientResult<T, U extends boolean> = U extends true ? Unwrapped<T> : TransportResponse<T>;
+
+/** Iterated record: raw record or parsed model in unwrap mode */
+export type ClientRecord<T, U extends boolean> = U extends true ? Unwrapped<T> : T;
+
+/** Client with public endpoints only, never holds Web API credentials */
+export class TickTraderPublicClient<U extends boolean = false> {
+  constructor(web_api_address: string, options?: TickTraderPublicClientOptions<U>);
+
+  readonly web_api_address: string;
+  readonly isAuthenticated: boolean;
+  readonly unwrap: U;
+  readonly raw: TickTraderPublicClient<false>;
+  retryPolicy: RetryPolicy;
+  rateLimiter: RateLimiter | null;
+  transport: Transport;
+  clock: ServerClock | null;
+
+  /** Synchronize the server clock, resolves with the offset (ms) */
+  syncClock(): Promise<number>;
+
+  getPublicTradeSession(): Promise<ClientResult<TradeSession, U>>;
+  getPublicAllCurrencies(): Promise<ClientResult<Currency[], U>>;
+  getPublicCurrency(currency: string): Promise<ClientResult<Currency[], U>>;
+  getPublicAllSymbols(): Promise<ClientResult<Symbol[], U>>;
+  getPublicSymbol(symbol: string): Promise<ClientResult<Symbol[], U>>;
+  getPublicAllTicks(): Promise<ClientResult<FeedTick[], U>>;
+  getPublicTick(symbol: string): Promise<ClientResult<FeedTick[], U>>;
+  getPublicAllTicksLevel2(): Promise<ClientResult<FeedLevel2[], U>>;
+  getPublicTickLevel2(symbol: string): Promise<ClientResult<FeedLevel2[], U>>;
+  getPublicQuoteHistorySymbols(): Promise<ClientResult<string[], U>>;
+  getPublicQuoteHistoryPeriodicities(symbol: string): Promise<ClientResult<QuoteHistoryPeriodicity[], U>>;
+  getPublicQuoteHistoryBarsInfo(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType): Promise<ClientResult<QuoteHistoryInfo, U>>;
+  getPublicQuoteHistoryBars(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType, timestamp?: Timestamp | Date, count?: number): Promise<ClientResult<QuoteHistoryBarsReport, U>>;
+  getPublicQuoteHistoryTicksInfo(symbol: string): Promise<ClientResult<QuoteHistoryInfo, U>>;
+  getPublicQuoteHistoryTicks(symbol: string, timestamp?: Timestamp | Date, count?: number): Promise<ClientResult<QuoteHistoryTicksReport, U>>;
+  iteratePublicQuoteHistoryBars(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType, request?: QuoteHistoryRequest): AsyncGenerator<ClientRecord<QuoteHistoryBar, U>, void, undefined>;
+  iteratePublicQuoteHistoryTicks(symbol: string, request?: QuoteHistoryRequest): AsyncGenerator<ClientRecord<QuoteHistoryTick, U>, void, undefined>;
+}
+
+export class TickTraderWebClient<U extends boolean = false> extends TickTraderPublicClient<U> {
+  constructor(
+    web_api_address: string,
+    web_api_id?: string,
+    web_api_key?: string,
+    web_api_secret?: string,
+    options?: TickTraderWebClientOptions<U>
+  );
+  constructor(web_api_address: string, credentials: CredentialsProvider, options?: TickTraderWebClientOptions<U>);
+
+  readonly raw: TickTraderWebClient<false>;
+  /** Credential provider, null when the client is not authenticated */
+  credentials: CredentialsProvider | null;
+  symbolRegistry: SymbolRegistry | null;
+  /** Validate trade requests locally before they are sent */
+  validate: boolean | "strict";
+  /** Generate ClientId of created trades and reconcile unknown outcomes by it */
+  autoClientId: boolean;
+  riskGuard: RiskGuard | null;
+
+  setCredentials(web_api_id: string, web_api_key: string, web_api_secret: string): void;
+  setCredentials(credentials: CredentialsProvider): void;
+
+  getAccount(): Promise<ClientResult<Account, U>>;
+  getTradeSession(): Promise<ClientResult<TradeSession, U>>;
+  getAllCurrencies(): Promise<ClientResult<Currency[], U>>;
+  getCurrency(currency: string): Promise<ClientResult<Currency[], U>>;
+  getAllSymbols(): Promise<ClientResult<Symbol[], U>>;
+  getSymbol(symbol: string): Promise<ClientResult<Symbol[], U>>;
+  getAllTicks(): Promise<ClientResult<FeedTick[], U>>;
+  getTick(symbol: string): Promise<ClientResult<FeedTick[], U>>;
+  getAllTicksLevel2(): Promise<ClientResult<FeedLevel2[], U>>;
+  getTickLevel2(symbol: string): Promise<ClientResult<FeedLevel2[], U>>;
+  getQuoteHistorySymbols(): Promise<ClientResult<string[], U>>;
+  getQuoteHistoryPeriodicities(symbol: string): Promise<ClientResult<QuoteHistoryPeriodicity[], U>>;
+  getQuoteHistoryBarsInfo(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType): Promise<ClientResult<QuoteHistoryInfo, U>>;
+  getQuoteHistoryBars(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType, timestamp?: Timestamp | Date, count?: number): Promise<ClientResult<QuoteHistoryBarsReport, U>>;
+  getQuoteHistoryTicksInfo(symbol: string): Promise<ClientResult<QuoteHistoryInfo, U>>;
+  getQuoteHistoryTicks(symbol: string, timestamp?: Timestamp | Date, count?: number): Promise<ClientResult<QuoteHistoryTicksReport, U>>;
+  iterateQuoteHistoryBars(symbol: string, periodicity: QuoteHistoryPeriodicity, priceType: QuoteHistoryPriceType, request?: QuoteHistoryRequest): AsyncGenerator<ClientRecord<QuoteHistoryBar, U>, void, undefined>;
+  iterateQuoteHistoryTicks(symbol: string, request?: QuoteHistoryRequest): AsyncGenerator<ClientRecord<QuoteHistoryTick, U>, void, undefined>;
+  getAllAssets(): Promise<ClientResult<Asset[], U>>;
+  getAsset(currency: string): Promise<ClientResult<Asset, U>>;
+  getAllPositions(): Promise<ClientResult<Position[], U>>;
+  getPosition(symbol: string): Promise<ClientResult<Position, U>>;
+  getAllTrades(): Promise<ClientResult<Trade[], U>>;
+  getTrade(tradeId: number | string): Promise<ClientResult<Trade, U>>;
+  order(symbol: string): OrderBuilder<ClientResult<Trade, U>>;
+  createTrade(request: CreateTradeRequest): Promise<ClientResult<Trade, U>>;
+  modifyTrade(request: ModifyTradeRequest): Promise<ClientResult<Trade, U>>;
+  cancelTrade(tradeId: number | string): Promise<ClientResult<TradeDeleteResult, U>>;
+  closeTrade(tradeId: number | string, amount?: number): Promise<ClientResult<TradeDeleteResult, U>>;
+  closeByTrade(tradeId: number | string, byTradeId: number | string): Promise<ClientResult<TradeDeleteResult, U>>;
+  closeAllTrades(request?: CloseAllTradesRequest): Promise<BatchReport>;
+  cancelAllPending(request?: CancelAllPendingRequest): Promise<BatchReport>;
+  flattenAccount(request?: FlattenAccountRequest): Promise<BatchReport>;
+  getTradeHistory(request: TradeHistoryRequest): Promise<ClientResult<TradeHistoryReport, U>>;
+  getTradeHistoryByTradeId(tradeId: number | string, request: TradeHistoryRequest): Promise<ClientResult<TradeHistoryReport, U>>;
+  iterateTradeHistory(request?: TradeHistoryRequest): AsyncGenerator<ClientRecord<TradeHistory, U>, void, undefined>;
+  iterateTradeHistoryByTradeId(tradeId: number | string, request?: TradeHistoryRequest): AsyncGenerator<ClientRecord<TradeHistory, U>, void, undefined>;
+  getDailySnapshots(request: AccountHistoryRequest): Promise<ClientResult<DailySnapshotReport, U>>;
+  iterateDailySnapshots(request?: AccountHistoryRequest): AsyncGenerator<ClientRecord<DailySnapshot, U>, void, undefined>;
+  getBalanceHistory(request: AccountHistoryRequest): Promise<ClientResult<BalanceHistoryReport, U>>;
+  iterateBalanceHistory(request?: AccountHistoryRequest): AsyncGenerator<ClientRecord<BalanceHistory, U>, void, undefined>;
+  getEquitySeries(request?: EquitySeriesRequest): Promise<ClientRecord<EquityPoint, U>[]>;
+}
+
+export type OrderBookSide = "Bid" | "Ask" | "Buy" | "Sell";
+
+export interface OrderBookLevel {
+  Price: number;
+  Volume: number;
+}
+
+export interface OrderBookDepthLevel extends OrderBookLevel {
+  CumulativeVolume: number;
+}
+
+export interface OrderBookPriceImpact {
+  Filled: number;
+  Complete: boolean;
+  Vwap: number | undefined;
+  WorstPrice: number | undefined;
+  Slippage: number | undefined;
+  /** Distance between the average fill price and the mid price relative to the mid price (fraction) */
+  Impact: number | undefined;
+  Levels: number;
+}
+
+export interface OrderBookOptions {
+  depth?: number;
+}
+
+/** Local order book kept from level2 snapshots or stream updates */
+export class OrderBook {
+  constructor(symbol: string, options?: OrderBookOptions);
+
+  readonly symbol: string;
+  depth: number;
+  /** Bids sorted by descending price */
+  bids: OrderBookLevel[];
+  /** Asks sorted by ascending price */
+  asks: OrderBookLevel[];
+  timestamp: Timestamp | Date | undefined;
+
+  update(level2: FeedLevel2 | Unwrapped<FeedLevel2> | Array<FeedLevel2 | Unwrapped<FeedLevel2>> | TransportResponse<FeedLevel2[]>): boolean;
+  setLevel(side: "Bid" | "Ask", price: number, volume: number): void;
+  /** Update the book from stream "level2" events, returns function removing the listener */
+  attach(stream: TickTraderFeedStream): () => void;
+  bestBid(): OrderBookLevel | undefined;
+  bestAsk(): OrderBookLevel | undefined;
+  spread(): number | undefined;
+  mid(): number | undefined;
+  cumulativeDepth(side: OrderBookSide, levels?: number): OrderBookDepthLevel[];
+  vwap(side: TradeSide, amount: number): number | undefined;
+  priceImpact(side: TradeSide, amount: number): OrderBookPriceImpact;
+}
+
+export interface TickTraderErrorDetails {
+  status?: number;
+  payload?: any;
+  method?: string;
+  url?: string;
+  cause?: unknown;
+}
+
+export class TickTraderError extends Error {
+  constructor(message: string, details?: TickTraderErrorDetails);
+  /** HTTP status code (undefined for network failures) */
+  readonly status?: number;
+  /** Server error payload */
+  readonly payload?: any;
+  /** Request HTTP method */
+  readonly method?: string;
+  /** Request URL */
+  readonly url?: string;
+  readonly cause?: unknown;
+}
+
+export class TickTraderAuthError extends TickTraderError {}
+export class TickTraderClockSkewError extends TickTraderAuthError {}
+export interface TickTraderFieldError {
+  field: string;
+  message: string;
+}
+export class TickTraderValidationError extends TickTraderError {
+  /** Invalid fields of requests rejected by the client-side validation */
+  errors?: TickTraderFieldError[];
+}
+export class TickTraderNotFoundError extends TickTraderError {}
+export class TickTraderRateLimitError extends TickTraderError {
+  /** Server retry delay hint (ms) */
+  readonly retryAfter?: number;
+  /** False for the full client request queue, which is not retried */
+  readonly retryable: boolean;
+}
+export class TickTraderSessionClosedError extends TickTraderError {}
+export class TickTraderServerError extends TickTraderError {}
+export class TickTraderNetworkError extends TickTraderError {
+  readonly timeout: boolean;
+}
+export class TickTraderRiskRejectedError extends TickTraderError {
+  /** Broken risk rules */
+  violations: RiskViolation[];
+}
+
+export const DATE_FIELDS: ModelDateField[];
+
+export interface ValidationOptions {
+  /** Reject fields unknown to the request schema */
+  strict?: boolean;
+}
+
+/** Validate create trade request locally, returns list of field errors (empty for valid requests) */
+export function validateCreateTrade(request: CreateTradeRequest, options?: ValidationOptions): TickTraderFieldError[];
+
+/** Validate modify trade request locally, rules depending on the trade type are checked when the trade is given */
+export function validateModifyTrade(request: ModifyTradeRequest, trade?: Trade | Unwrapped<Trade>, options?: ValidationOptions): TickTraderFieldError[];
+
+/** Join daily snapshots with trade history balance movements into the equity and balance time series */
+export function buildEquitySeries(
+  snapshots: Array<DailySnapshot | Unwrapped<DailySnapshot>>,
+  records: Array<TradeHistory | Unwrapped<TradeHistory> | BalanceHistory | Unwrapped<BalanceHistory>>
+): EquityPoint[];
+export function toDecimal(value: number | string): number;
+export function parseModel<T>(data: T): Unwrapped<T>;
+export function formatRequest<T>(data: T): any;
+
+export interface TickTraderStreamOptions {
+  WebSocket?: any;
+  reconnect?: boolean;
+  reconnectDelay?: number;
+  maxReconnectDelay?: number;
+  requestTimeout?: number;
+  maxBuffer?: number;
+  deviceId?: string;
+  appSessionId?: string;
+  clock?: ServerClock;
+}
+
+export interface StreamReconnecting {
+  attempt: number;
+  delay: number;
+}
+
+declare class TickTraderStream {
+  constructor(
+    ws_address: string,
+    web_api_id: string,
+    web_api_key: string,
+    web_api_secret: string,
+    options?: TickTraderStreamOptions
+  );
+  constructor(ws_address: string, credentials: CredentialsProvider, options?: TickTraderStreamOptions);
+
+  credentials: CredentialsProvider;
+
+  readonly connected: boolean;
+
+  on(event: "connected" | "disconnected", listener: () => void): this;
+  on(event: "reconnecting", listener: (data: StreamReconnecting) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: string, listener: (data: any) => void): this;
+  off(event: string, listener: (data: any) => void): this;
+  connect(): Promise<void>;
+  close(): Promise<void>;
+  request(request: string, params?: any): Promise<any>;
+  iterate(event: string): AsyncIterableIterator<any>;
+}
+
+export interface FeedSubscription<T> extends AsyncIterable<T> {
+  readonly type: "tick" | "level2";
+  readonly symbols: string[];
+  readonly depth: number;
+  unsubscribe(): Promise<void>;
+}
+
+export class TickTraderFeedStream extends TickTraderStream {
+  on(event: "tick", listener: (tick: FeedTick) => void): this;
+  on(event: "level2", listener: (level2: FeedLevel2) => void): this;
+  on(event: "connected" | "disconnected", listener: () => void): this;
+  on(event: "reconnecting", listener: (data: StreamReconnecting) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: string, listener: (data: any) => void): this;
+  iterate(event: "tick"): AsyncIterableIterator<FeedTick>;
+  iterate(event: "level2"): AsyncIterableIterator<FeedLevel2>;
+  iterate(event: string): AsyncIterableIterator<any>;
+  subscribeTicks(symbols: string | string[]): Promise<FeedSubscription<FeedTick>>;
+  subscribeLevel2(symbols: string | string[], depth?: number): Promise<FeedSubscription<FeedLevel2>>;
+}
+
+export type ExecutionType = "Opened" | "Modified" | "Canceled" | "Expired" | "Filled" | "Closed" | "Rejected";
+
+export interface ExecutionReport {
+  ExecutionType: ExecutionType;
+  Trade: Trade;
+  FillPrice?: number;
+  FillAmount?: number;
+  Timestamp: Timestamp;
+}
+
+export interface TradeSnapshot {
+  Account: Account;
+  Trades: Trade[];
+  Positions: Position[];
+  Assets: Asset[];
+}
+
+export type TradeStreamExecutionEvent =
+  | "execution"
+  | "tradeCreated"
+  | "tradeModified"
+  | "tradeCanceled"
+  | "tradeFilled"
+  | "tradeClosed"
+  | "tradeRejected";
+
+export class TickTraderTradeStream extends TickTraderStream {
+  on(event: TradeStreamExecutionEvent, listener: (report: ExecutionReport) => void): this;
+  on(event: "snapshot", listener: (snapshot: TradeSnapshot) => void): this;
+  on(event: "position", listener: (position: Position) => void): this;
+  on(event: "account", listener: (account: Account) => void): this;
+  on(event: "asset", listener: (asset: Asset) => void): this;
+  on(event: "connected" | "disconnected", listener: () => void): this;
+  on(event: "reconnecting", listener: (data: StreamReconnecting) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: string, listener: (data: any) => void): this;
+  iterate(event: TradeStreamExecutionEvent): AsyncIterableIterator<ExecutionReport>;
+  iterate(event: "position"): AsyncIterableIterator<Position>;
+  iterate(event: "account"): AsyncIterableIterator<Account>;
+  iterate(event: "asset"): AsyncIterableIterator<Asset>;
+  iterate(event: string): AsyncIterableIterator<any>;
+}
@@ -0,0 +1,3250 @@
+/**
+ * JavaScript TickTrader Web API client for browsers (UMD)
+ * Generated from ttbrowser.mjs and the ES module client by `npm run build`, do not edit it manually.
+ * Methods return jQuery-style promises resolved with the response data:
+ * `.done(data)`, `.fail(xhr, textStatus, errorThrown)` (also available as `.error()`), `.always()` and `.then()`.
+ * If jQuery is loaded the returned promises are jQuery Deferred promises and can be passed to `$.when()`.
+ */
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd)
+        define([], factory);
+    else
+        root.TickTraderWebClient = factory();
+}(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function () {
+var module = { exports: {} };
+var __create = Object.create;
+var __defProp = Object.defineProperty;
+var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __getProtoOf = Object.getPrototypeOf;
+var __hasOwnProp = Object.prototype.hasOwnProperty;
+var __export = (target, all) => {
+  for (var name in all)
+    __defProp(target, name, { get: all[name], enumerable: true });
+};
+var __copyProps = (to, from, except, desc) => {
+  if (from && typeof from === "object" || typeof from === "function") {
+    for (let key of __getOwnPropNames(from))
+      if (!__hasOwnProp.call(to, key) && key !== except)
+        __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+  }
+  return to;
+};
+var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+  // If the importer is in node compatibility mode or this is not an ESM
+  // file that has been converted to a CommonJS file using a Babel-
+  // compatible transform (i.e. "__esModule" has not been set), then set
+  // "default" to the CommonJS "module.exports" for node compatibility.
+  isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+  mod
+));
+var __toCommonJS = (mod) => __copyProps(__defProp({}, "__esModule", { value: true }), mod);
+
+// ttbrowser.mjs
+var ttbrowser_exports = {};
+__export(ttbrowser_exports, {
+  TickTraderWebClient: () => TickTraderWebClient2
+});
+module.exports = __toCommonJS(ttbrowser_exports);
+
+// ttcrypto.mjs
+var _subtle = function() {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle)
+    throw new Error("WebCrypto is not available! TickTrader Web API requests cannot be signed.");
+  return subtle;
+};
+var _base64 = function(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let index = 0; index < bytes.length; index++)
+    binary += String.fromCharCode(bytes[index]);
+  return btoa(binary);
+};
+var hmacSha256 = function(secret, message) {
+  return Promise.resolve().then(function() {
+    const subtle = _subtle();
+    const encoder = new TextEncoder();
+    return subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]).then(function(key) {
+      return subtle.sign("HMAC", key, encoder.encode(message));
+    });
+  }).then(_base64);
+};
+
+// ttmodels.mjs
+var DATE_FIELDS = [
+  "Timestamp",
+  "Registered",
+  "Created",
+  "Modified",
+  "Filled",
+  "Expired",
+  "SessionStartTime",
+  "SessionEndTime",
+  "SessionOpenTime",
+  "SessionCloseTime",
+  "TransactionTimestamp",
+  "TradeCreated",
+  "TradeModified",
+  "RequestTimestamp",
+  "PositionOpened",
+  "PositionClosed",
+  "AvailableFrom",
+  "AvailableTo",
+  "From",
+  "To"
+];
+var DECIMAL_DIGITS = 15;
+var toDecimal = function(value) {
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)))
+    value = Number(value);
+  if (typeof value !== "number" || !isFinite(value) || Number.isInteger(value))
+    return value;
+  return Number(value.toPrecision(DECIMAL_DIGITS));
+};
+var parseModel = function(data) {
+  if (Array.isArray(data))
+    return data.map(parseModel);
+  if (data === null || typeof data !== "object")
+    return typeof data === "number" ? toDecimal(data) : data;
+  const model = {};
+  for (const key in data) {
+    const value = data[key];
+    if (DATE_FIELDS.indexOf(key) >= 0 && typeof value === "number")
+      model[key] = new Date(value);
+    else
+      model[key] = parseModel(value);
+  }
+  return model;
+};
+var formatRequest = function(data) {
+  if (data instanceof Date)
+    return data.getTime();
+  if (Array.isArray(data))
+    return data.map(formatRequest);
+  if (data === null || typeof data !== "object")
+    return data;
+  const request = {};
+  for (const key in data)
+    if (data[key] !== void 0)
+      request[key] = formatRequest(data[key]);
+  return request;
+};
+
+// tterrors.mjs
+var _defineError = function(name, parent, init) {
+  const ErrorType = function(message, details) {
+    parent.call(this, message, details);
+    if (init)
+      init.call(this, details || {});
+  };
+  ErrorType.prototype = Object.create(parent.prototype);
+  ErrorType.prototype.constructor = ErrorType;
+  ErrorType.prototype.name = name;
+  return ErrorType;
+};
+var TickTraderError = function(message, details) {
+  details = details || {};
+  this.message = message;
+  this.status = details.status;
+  this.payload = details.payload;
+  this.method = details.method;
+  this.url = details.url;
+  Object.defineProperty(this, "cause", { value: details.cause, writable: true, configurable: true });
+  Object.defineProperty(this, "stack", { value: new Error(message).stack.replace(/^Error/, this.name), writable: true, configurable: true });
+};
+TickTraderError.prototype = Object.create(Error.prototype);
+TickTraderError.prototype.constructor = TickTraderError;
+TickTraderError.prototype.name = "TickTraderError";
+var TickTraderAuthError = _defineError("TickTraderAuthError", TickTraderError);
+var TickTraderClockSkewError = _defineError("TickTraderClockSkewError", TickTraderAuthError);
+var TickTraderValidationError = _defineError("TickTraderValidationError", TickTraderError, function(details) {
+  this.errors = details.errors;
+});
+var TickTraderNotFoundError = _defineError("TickTraderNotFoundError", TickTraderError);
+var TickTraderRateLimitError = _defineError("TickTraderRateLimitError", TickTraderError, function(details) {
+  this.retryAfter = details.retryAfter;
+  this.retryable = details.retryable !== false;
+});
+var TickTraderSessionClosedError = _defineError("TickTraderSessionClosedError", TickTraderError);
+var TickTraderServerError = _defineError("TickTraderServerError", TickTraderError);
+var TickTraderNetworkError = _defineError("TickTraderNetworkError", TickTraderError, function(details) {
+  this.timeout = !!details.timeout;
+});
+var TickTraderRiskRejectedError = _defineError("TickTraderRiskRejectedError", TickTraderError, function(details) {
+  this.violations = details.violations || [];
+});
+var SESSION_CLOSED_PATTERN = /session (is )?closed|closed (trade )?session/i;
+var CLOCK_SKEW_PATTERN = /\b(?:request|signature|hmac) timestamp\b|\btimestamp (?:is )?(?:out of range|expired|too (?:old|new|far))|\binvalid timestamp\b|\bclock (?:skew|offset|drift)\b/i;
+var _payloadMessage = function(payload) {
+  if (!payload)
+    return void 0;
+  if (typeof payload === "string")
+    return payload;
+  return payload.Message || payload.message || payload.Error || payload.error;
+};
+var _retryAfter = function(value) {
+  if (value === void 0 || value === null || value === "")
+    return void 0;
+  const seconds = Number(value);
+  if (!isNaN(seconds))
+    return seconds * 1e3;
+  const date = Date.parse(value);
+  return isNaN(date) ? void 0 : Math.max(0, date - Date.now());
+};
+var createTickTraderError = function(method, url, status, payload, headers, cause) {
+  method = method ? method.toUpperCase() : method;
+  const details = { status, payload, method, url, cause };
+  if (status === void 0) {
+    const timeout = !!cause && (cause.code === "ECONNABORTED" || cause.code === "ETIMEDOUT" || cause.name === "TimeoutError" || cause.name === "AbortError");
+    details.timeout = timeout;
+    const reason = timeout ? "timed out" : "failed: " + (cause && cause.message || "network error");
+    return new TickTraderNetworkError("TickTrader Web API request " + method + " " + url + " " + reason, details);
+  }
+  const serverMessage = _payloadMessage(payload);
+  const message = "TickTrader Web API request " + method + " " + url + " failed with status " + status + (serverMessage ? ": " + serverMessage : "");
+  if (serverMessage && SESSION_CLOSED_PATTERN.test(serverMessage))
+    return new TickTraderSessionClosedError(message, details);
+  if (status === 401 || status === 403)
+    return serverMessage && CLOCK_SKEW_PATTERN.test(serverMessage) ? new TickTraderClockSkewError(message, details) : new TickTraderAuthError(message, details);
+  if (status === 404)
+    return new TickTraderNotFoundError(message, details);
+  if (status === 429) {
+    details.retryAfter = _retryAfter(headers && headers["retry-after"]);
+    return new TickTraderRateLimitError(message, details);
+  }
+  if (status === 400 || status === 422)
+    return new TickTraderValidationError(message, details);
+  if (status >= 500)
+    return new TickTraderServerError(message, details);
+  return new TickTraderError(message, details);
+};
+
+// ttretry.mjs
+var RetryPolicy = function(options) {
+  options = options || {};
+  this.retries = options.retries !== void 0 ? options.retries : 3;
+  this.minDelay = options.minDelay !== void 0 ? options.minDelay : 200;
+  this.maxDelay = options.maxDelay !== void 0 ? options.maxDelay : 1e4;
+  this.factor = options.factor !== void 0 ? options.factor : 2;
+  this.jitter = options.jitter !== false;
+  this.onRetry = options.onRetry;
+};
+RetryPolicy.prototype.isRetryable = function(error) {
+  if (error && error.retryable === false)
+    return false;
+  return error instanceof TickTraderNetworkError || error instanceof TickTraderServerError || error instanceof TickTraderRateLimitError;
+};
+RetryPolicy.prototype.isOutcomeUnknown = function(error) {
+  return error instanceof TickTraderNetworkError || error instanceof TickTraderServerError;
+};
+RetryPolicy.prototype.delay = function(attempt, error) {
+  if (error instanceof TickTraderRateLimitError && error.retryAfter !== void 0)
+    return error.retryAfter;
+  const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1));
+  return this.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+};
+RetryPolicy.prototype.execute = function(attempt, options) {
+  options = options || {};
+  const self = this;
+  const retryable = options.idempotent || !!options.reconcile;
+  const run = function(number, result) {
+    return result.catch(function(err) {
+      if (!retryable || number > self.retries || !self.isRetryable(err)) {
+        if (!options.reconcile || !self.isOutcomeUnknown(err))
+          throw err;
+        return options.reconcile(err).then(function(reconciled) {
+          if (reconciled === void 0)
+            throw err;
+          return reconciled;
+        }, function() {
+          throw err;
+        });
+      }
+      const delay = self.delay(number, err);
+      if (self.onRetry)
+        self.onRetry(err, number, delay);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, delay);
+      }).then(function() {
+        return options.reconcile ? options.reconcile(err) : void 0;
+      }).then(function(reconciled) {
+        return reconciled !== void 0 ? reconciled : run(number + 1, attempt());
+      });
+    });
+  };
+  return run(1, attempt());
+};
+
+// ttratelimiter.mjs
+var DEFAULT_CLASSES = {
+  "trade": { rate: 5, burst: 10, priority: 0 },
+  "account": { rate: 5, burst: 10, priority: 1 },
+  "feed": { rate: 5, burst: 10, priority: 2 }
+};
+var FEED_PATTERN = /\/api\/v2\/(public\/)?(tradesession|currency|symbol|tick|level2|quotehistory)(\/|$|\?)/;
+var endpointClass = function(method, url) {
+  if (method.toUpperCase() !== "GET" && /\/api\/v2\/trade(\?|$)/.test(url))
+    return "trade";
+  if (FEED_PATTERN.test(url))
+    return "feed";
+  return "account";
+};
+var TokenBucket = function(rate, burst) {
+  this.rate = rate;
+  this.burst = burst;
+  this.tokens = burst;
+  this._refilled = Date.now();
+};
+TokenBucket.prototype.refill = function(now) {
+  this.tokens = Math.min(this.burst, this.tokens + (now - this._refilled) * this.rate / 1e3);
+  this._refilled = now;
+};
+TokenBucket.prototype.wait = function() {
+  return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 1e3 / this.rate);
+};
+var RateLimiter = function(options) {
+  options = options || {};
+  this.global = new TokenBucket(options.rate || 10, options.burst || 20);
+  this.classes = {};
+  this.maxQueue = options.maxQueue;
+  const classes = Object.assign({}, DEFAULT_CLASSES, options.classes);
+  for (const name in classes) {
+    const settings = Object.assign({}, DEFAULT_CLASSES[name], classes[name]);
+    this.classes[name] = {
+      bucket: new TokenBucket(settings.rate, settings.burst),
+      priority: settings.priority !== void 0 ? settings.priority : Object.keys(DEFAULT_CLASSES).length,
+      queued: 0,
+      dispatched: 0,
+      totalWait: 0,
+      maxWait: 0
+    };
+  }
+  this._queue = [];
+  this._timer = null;
+};
+RateLimiter.prototype.schedule = function(name, task) {
+  const self = this;
+  const endpoint = this.classes[name];
+  if (!endpoint)
+    return Promise.reject(new Error("TickTrader rate limiter endpoint class '" + name + "' is unknown!"));
+  if (this.maxQueue !== void 0 && this._queue.length >= this.maxQueue)
+    return Promise.reject(new TickTraderRateLimitError("TickTrader client request queue is full (" + this.maxQueue + " requests)", { retryable: false }));
+  return new Promise(function(resolve, reject) {
+    const item = { name, task, resolve, reject, queued: Date.now() };
+    let index = self._queue.length;
+    while (index > 0 && self.classes[self._queue[index - 1].name].priority > endpoint.priority)
+      index--;
+    self._queue.splice(index, 0, item);
+    endpoint.queued++;
+    self._drain();
+  });
+};
+RateLimiter.prototype._drain = function() {
+  const self = this;
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  const now = Date.now();
+  this.global.refill(now);
+  for (const name in this.classes)
+    this.classes[name].bucket.refill(now);
+  let wait = Infinity;
+  for (let index = 0; index < this._queue.length && this.global.tokens >= 1; ) {
+    const item = this._queue[index];
+    const endpoint = this.classes[item.name];
+    if (endpoint.bucket.tokens < 1) {
+      wait = Math.min(wait, endpoint.bucket.wait());
+      index++;
+      continue;
+    }
+    this.global.tokens--;
+    endpoint.bucket.tokens--;
+    this._queue.splice(index, 1);
+    endpoint.queued--;
+    endpoint.dispatched++;
+    endpoint.totalWait += now - item.queued;
+    endpoint.maxWait = Math.max(endpoint.maxWait, now - item.queued);
+    try {
+      Promise.resolve(item.task()).then(item.resolve, item.reject);
+    } catch (err) {
+      item.reject(err);
+    }
+  }
+  if (this._queue.length > 0) {
+    wait = Math.max(this.global.wait(), wait === Infinity ? 0 : wait);
+    this._timer = setTimeout(function() {
+      self._drain();
+    }, Math.max(wait, 1));
+  }
+};
+RateLimiter.prototype.stats = function() {
+  const stats = { queued: this._queue.length, dispatched: 0, averageWait: 0, maxWait: 0, classes: {} };
+  let totalWait = 0;
+  for (const name in this.classes) {
+    const endpoint = this.classes[name];
+    stats.classes[name] = {
+      queued: endpoint.queued,
+      dispatched: endpoint.dispatched,
+      averageWait: endpoint.dispatched ? endpoint.totalWait / endpoint.dispatched : 0,
+      maxWait: endpoint.maxWait
+    };
+    stats.dispatched += endpoint.dispatched;
+    stats.maxWait = Math.max(stats.maxWait, endpoint.maxWait);
+    totalWait += endpoint.totalWait;
+  }
+  stats.averageWait = stats.dispatched ? totalWait / stats.dispatched : 0;
+  return stats;
+};
+
+// tttransport.mjs
+var FetchTransport = function(options) {
+  options = options || {};
+  this.fetch = options.fetch || globalThis.fetch;
+  this.timeout = options.timeout;
+  if (!this.fetch)
+    throw new Error("fetch implementation is not available! Pass options.fetch or use AxiosTransport.");
+};
+FetchTransport.prototype.request = function(config) {
+  const controller = this.timeout && typeof AbortController !== "undefined" ? new AbortController() : null;
+  const timer = controller ? setTimeout(function() {
+    controller.abort();
+  }, this.timeout) : null;
+  const init = {
+    method: config.method.toUpperCase(),
+    headers: config.headers || {},
+    body: config.data !== void 0 ? JSON.stringify(config.data) : void 0,
+    signal: controller ? controller.signal : void 0
+  };
+  return this.fetch.call(globalThis, config.url, init).then(function(response) {
+    const headers = {};
+    response.headers.forEach(function(value, name) {
+      headers[name.toLowerCase()] = value;
+    });
+    return response.text().then(function(text) {
+      let data = text;
+      if (text && /json/i.test(headers["content-type"] || "")) {
+        try {
+          data = JSON.parse(text);
+        } catch (err) {
+          data = text;
+        }
+      }
+      return { status: response.status, statusText: response.statusText, headers, data, config };
+    });
+  }).catch(function(err) {
+    if (controller && controller.signal.aborted) {
+      const timeout = new Error("Request timed out after " + this.timeout + " ms");
+      timeout.name = "TimeoutError";
+      timeout.cause = err;
+      throw timeout;
+    }
+    throw err;
+  }.bind(this)).finally(function() {
+    if (timer)
+      clearTimeout(timer);
+  });
+};
+var AxiosTransport = function(axios, options) {
+  if (!axios)
+    throw new Error("axios instance should be valid!");
+  options = options || {};
+  this.axios = axios;
+  this.timeout = options.timeout;
+};
+AxiosTransport.prototype.request = function(config) {
+  return this.axios({
+    method: config.method,
+    url: config.url,
+    headers: config.headers,
+    data: config.data,
+    timeout: this.timeout,
+    validateStatus: function() {
+      return true;
+    }
+  }).then(function(response) {
+    const headers = {};
+    const source = response.headers && typeof response.headers.toJSON === "function" ? response.headers.toJSON() : response.headers || {};
+    for (const name in source)
+      headers[name.toLowerCase()] = source[name];
+    return { status: response.status, statusText: response.statusText, headers, data: response.data, config };
+  });
+};
+var RecordingTransport = function(transport) {
+  if (!transport || typeof transport.request !== "function")
+    throw new Error("Transport to record should be valid!");
+  this.transport = transport;
+  this.records = [];
+};
+RecordingTransport.prototype.request = function(config) {
+  const record = { request: config, response: void 0, error: void 0, duration: 0 };
+  const started = Date.now();
+  this.records.push(record);
+  return this.transport.request(config).then(function(response) {
+    record.response = response;
+    record.duration = Date.now() - started;
+    return response;
+  }, function(err) {
+    record.error = err;
+    record.duration = Date.now() - started;
+    throw err;
+  });
+};
+RecordingTransport.prototype.clear = function() {
+  this.records = [];
+};
+
+// ttclock.mjs
+var ServerClock = function(options) {
+  options = options || {};
+  this.offset = options.offset || 0;
+  this.tolerance = options.tolerance !== void 0 ? options.tolerance : 1e3;
+  this.synchronized = void 0;
+};
+ServerClock.prototype.now = function() {
+  return Date.now() + this.offset;
+};
+ServerClock.prototype.estimate = function(date, sent, received) {
+  const server = date ? Date.parse(date) : NaN;
+  if (isNaN(server))
+    return void 0;
+  return Math.round(server + 500 - (sent + received) / 2);
+};
+ServerClock.prototype.update = function(date, sent, received, force) {
+  const estimate = this.estimate(date, sent, received);
+  if (estimate === void 0)
+    return false;
+  if (!force && Math.abs(estimate - this.offset) < this.tolerance)
+    return false;
+  this.offset = estimate;
+  this.synchronized = received;
+  return true;
+};
+
+// ttcredentials.mjs
+var _credentials = function(web_api_id, web_api_key, web_api_secret) {
+  const credentials = { web_api_id, web_api_key };
+  Object.defineProperty(credentials, "web_api_secret", { value: web_api_secret, enumerable: false });
+  return Object.freeze(credentials);
+};
+var _hidden = function(target, name, value) {
+  Object.defineProperty(target, name, { value, writable: true, enumerable: false, configurable: true });
+};
+var _field = function(fields, name) {
+  const title = name.charAt(0).toUpperCase() + name.substr(1);
+  const names = ["web_api_" + name, "WebApi" + title, "webApi" + title, "WEB_API_" + name.toUpperCase(), "web-api-" + name, name, title, name.toUpperCase()];
+  for (const field of names)
+    if (fields[field] !== void 0 && fields[field] !== null)
+      return String(fields[field]);
+  for (const field of Object.getOwnPropertyNames(fields)) {
+    const normalized = field.toLowerCase().replace(/[_-]/g, "").replace(/^webapi/, "");
+    if (normalized === name && fields[field] !== void 0 && fields[field] !== null)
+      return String(fields[field]);
+  }
+  return void 0;
+};
+var _fromFields = function(fields, source) {
+  const values = { id: _field(fields, "id"), key: _field(fields, "key"), secret: _field(fields, "secret") };
+  if (!values.id && !values.key && !values.secret)
+    throw new Error("TickTrader Web API credentials are not found in " + source + "!");
+  return _credentials(values.id, values.key, values.secret);
+};
+var _parseIni = function(text) {
+  const sections = { "": {} };
+  let section = sections[""];
+  text.split(/\r?\n/).forEach(function(line) {
+    line = line.trim();
+    if (!line || line[0] === ";" || line[0] === "#")
+      return;
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+      return;
+    }
+    const index = line.indexOf("=");
+    if (index < 0)
+      return;
+    const value = line.substr(index + 1).trim().replace(/^(["'])(.*)\1$/, "$2");
+    section[line.substr(0, index).trim()] = value;
+  });
+  return sections;
+};
+var StaticCredentials = function(web_api_id, web_api_key, web_api_secret) {
+  _hidden(this, "_credentials", _credentials(web_api_id, web_api_key, web_api_secret));
+};
+StaticCredentials.prototype.getCredentials = function() {
+  return Promise.resolve(this._credentials);
+};
+StaticCredentials.prototype.update = function(web_api_id, web_api_key, web_api_secret) {
+  this._credentials = _credentials(web_api_id, web_api_key, web_api_secret);
+};
+StaticCredentials.prototype.invalidate = function() {
+  return false;
+};
+var EnvCredentials = function(options) {
+  options = options || {};
+  this.names = {
+    id: options.id || "TT_WEB_API_ID",
+    key: options.key || "TT_WEB_API_KEY",
+    secret: options.secret || "TT_WEB_API_SECRET"
+  };
+  _hidden(this, "_env", options.env);
+};
+EnvCredentials.prototype.getCredentials = function() {
+  const env = this._env || globalThis.process && globalThis.process.env;
+  if (!env)
+    return Promise.reject(new Error("Environment variables are not available!"));
+  return Promise.resolve(_credentials(env[this.names.id], env[this.names.key], env[this.names.secret]));
+};
+EnvCredentials.prototype.invalidate = function() {
+  return false;
+};
+var FileCredentials = function(path, options) {
+  if (!path)
+    throw new Error("TickTrader credentials file path should be valid!");
+  options = options || {};
+  this.path = path;
+  this.format = options.format || (/\.json$/i.test(path) ? "json" : "ini");
+  this.section = options.section;
+  this.ttl = options.ttl !== void 0 ? options.ttl : 6e4;
+  _hidden(this, "_cache", null);
+};
+FileCredentials.prototype.getCredentials = function() {
+  const self = this;
+  if (this._cache && Date.now() < this._cache.expires)
+    return this._cache.credentials;
+  const credentials = import("fs/promises").then(function(fs) {
+    return fs.readFile(self.path, "utf8");
+  }).then(function(text) {
+    const source = "file " + self.path + (self.section ? " section " + self.section : "");
+    if (self.format === "json") {
+      const data = JSON.parse(text);
+      return _fromFields(self.section ? data[self.section] || {} : data, source);
+    }
+    const sections = _parseIni(text);
+    return _fromFields(sections[self.section || ""] || {}, source);
+  });
+  this._cache = { credentials, expires: Date.now() + this.ttl };
+  credentials.catch(function() {
+    self._cache = null;
+  });
+  return credentials;
+};
+FileCredentials.prototype.invalidate = function() {
+  this._cache = null;
+  return true;
+};
+var CallbackCredentials = function(callback, options) {
+  if (typeof callback !== "function")
+    throw new Error("TickTrader credentials callback should be a function!");
+  options = options || {};
+  this.ttl = options.ttl !== void 0 ? options.ttl : Infinity;
+  _hidden(this, "_callback", callback);
+  _hidden(this, "_cache", null);
+};
+CallbackCredentials.prototype.getCredentials = function() {
+  const self = this;
+  if (this._cache && Date.now() < this._cache.expires)
+    return this._cache.credentials;
+  const credentials = Promise.resolve().then(function() {
+    return self._callback();
+  }).then(function(fields) {
+    return _fromFields(fields || {}, "credentials callback result");
+  });
+  this._cache = { credentials, expires: Date.now() + this.ttl };
+  credentials.catch(function() {
+    self._cache = null;
+  });
+  return credentials;
+};
+CallbackCredentials.prototype.invalidate = function() {
+  this._cache = null;
+  return true;
+};
+var credentialsProvider = function(web_api_id, web_api_key, web_api_secret) {
+  if (web_api_id && typeof web_api_id.getCredentials === "function")
+    return web_api_id;
+  return new StaticCredentials(web_api_id, web_api_key, web_api_secret);
+};
+
+// ttaccounthistory.mjs
+var buildEquitySeries = function(snapshots, records) {
+  const points = [];
+  (records || []).forEach(function(record) {
+    if (record.BalanceMovement === void 0 || record.BalanceMovement === null)
+      return;
+    points.push({
+      Timestamp: Number(record.TransactionTimestamp !== void 0 ? record.TransactionTimestamp : record.Timestamp),
+      Balance: record.Balance,
+      Equity: void 0,
+      BalanceMovement: record.BalanceMovement,
+      Source: "TradeHistory",
+      Id: record.Id
+    });
+  });
+  (snapshots || []).forEach(function(snapshot) {
+    points.push({
+      Timestamp: Number(snapshot.Timestamp),
+      Balance: snapshot.Balance,
+      Equity: snapshot.Equity,
+      BalanceMovement: 0,
+      Source: "Snapshot",
+      Id: snapshot.Id
+    });
+  });
+  points.sort(function(a, b) {
+    return a.Timestamp - b.Timestamp;
+  });
+  let balance;
+  let floating = 0;
+  points.forEach(function(point) {
+    if (point.Source === "Snapshot") {
+      balance = point.Balance;
+      floating = point.Equity - point.Balance;
+      return;
+    }
+    if (point.Balance === void 0 || point.Balance === null)
+      point.Balance = balance !== void 0 ? toDecimal(balance + point.BalanceMovement) : void 0;
+    balance = point.Balance;
+    point.Equity = balance !== void 0 ? toDecimal(balance + floating) : void 0;
+  });
+  return points;
+};
+
+// ttvalidation.mjs
+var PENDING_TYPES = ["Limit", "Stop"];
+var CHECKS = {
+  "string": function(value) {
+    return typeof value === "string" ? void 0 : "should be a string";
+  },
+  "boolean": function(value) {
+    return typeof value === "boolean" ? void 0 : "should be a boolean";
+  },
+  "positive": function(value) {
+    return typeof value === "number" && isFinite(value) && value > 0 ? void 0 : "should be a positive number";
+  },
+  "timestamp": function(value) {
+    if (value instanceof Date)
+      return isNaN(value.getTime()) ? "should be a valid date" : void 0;
+    return typeof value === "number" && isFinite(value) && value >= 0 ? void 0 : "should be a Date or a timestamp in milliseconds";
+  },
+  "id": function(value) {
+    return typeof value === "number" && Number.isInteger(value) && value >= 0 || typeof value === "string" && /^\d+$/.test(value) ? void 0 : "should be a trade Id";
+  }
+};
+var CREATE_TRADE_SCHEMA = {
+  ClientId: { type: "string" },
+  Type: { required: true, values: ["Market", "Limit", "Stop"] },
+  Side: { required: true, values: ["Buy", "Sell"] },
+  Symbol: { required: true, type: "string" },
+  Price: { type: "positive" },
+  Amount: { required: true, type: "positive" },
+  StopLoss: { type: "positive" },
+  TakeProfit: { type: "positive" },
+  ExpiredTimestamp: { type: "timestamp" },
+  ImmediateOrCancel: { type: "boolean" },
+  Comment: { type: "string" }
+};
+var MODIFY_TRADE_SCHEMA = {
+  Id: { required: true, type: "id" },
+  Price: { type: "positive" },
+  StopLoss: { type: "positive" },
+  TakeProfit: { type: "positive" },
+  ExpiredTimestamp: { type: "timestamp" },
+  Comment: { type: "string" }
+};
+var _checkSchema = function(schema, request, strict) {
+  const errors = [];
+  for (const field in schema) {
+    const rule = schema[field];
+    const value = request[field];
+    if (value === void 0 || value === null) {
+      if (rule.required)
+        errors.push({ field, message: field + " is required" });
+      continue;
+    }
+    if (rule.values && rule.values.indexOf(value) < 0)
+      errors.push({ field, message: field + " should be one of " + rule.values.join(", ") });
+    const message = rule.type && CHECKS[rule.type](value);
+    if (message)
+      errors.push({ field, message: field + " " + message });
+  }
+  if (!strict)
+    return errors;
+  for (const field in request)
+    if (!schema.hasOwnProperty(field) && request[field] !== void 0)
+      errors.push({ field, message: "Unknown field " + field });
+  return errors;
+};
+var validateCreateTrade = function(request, options) {
+  if (!request || typeof request !== "object")
+    return [{ field: "", message: "Create trade request should be an object" }];
+  const errors = _checkSchema(CREATE_TRADE_SCHEMA, request, options && options.strict);
+  const pending = PENDING_TYPES.indexOf(request.Type) >= 0;
+  if (pending && (request.Price === void 0 || request.Price === null))
+    errors.push({ field: "Price", message: "Price is required for " + request.Type + " trades" });
+  if (request.ImmediateOrCancel && request.Type !== "Limit")
+    errors.push({ field: "ImmediateOrCancel", message: "ImmediateOrCancel works only for Limit trades" });
+  if (request.ExpiredTimestamp !== void 0 && request.ExpiredTimestamp !== null && !pending)
+    errors.push({ field: "ExpiredTimestamp", message: "ExpiredTimestamp applies only to Limit and Stop trades" });
+  return errors;
+};
+var validateModifyTrade = function(request, trade, options) {
+  if (!request || typeof request !== "object")
+    return [{ field: "", message: "Modify trade request should be an object" }];
+  const errors = _checkSchema(MODIFY_TRADE_SCHEMA, request, options && options.strict);
+  if (!trade || PENDING_TYPES.indexOf(trade.Type) >= 0)
+    return errors;
+  if (request.Price !== void 0 && request.Price !== null)
+    errors.push({ field: "Price", message: "Price of " + trade.Type + " trades cannot be changed" });
+  if (request.ExpiredTimestamp !== void 0 && request.ExpiredTimestamp !== null)
+    errors.push({ field: "ExpiredTimestamp", message: "ExpiredTimestamp applies only to Limit and Stop trades" });
+  return errors;
+};
+var validationError = function(name, errors) {
+  if (!errors || errors.length === 0)
+    return void 0;
+  const message = "TickTrader " + name + " request is invalid: " + errors.map(function(error) {
+    return error.message;
+  }).join("; ") + "!";
+  return new TickTraderValidationError(message, { errors });
+};
+
+// ttsymbols.mjs
+var PRICE_FIELDS = ["Price", "StopLoss", "TakeProfit"];
+var _roundPrice = function(info, price) {
+  return toDecimal(Number(Number(price).toFixed(info.Precision)));
+};
+var _roundAmount = function(info, amount) {
+  if (!info.TradeAmountStep)
+    return amount;
+  return toDecimal(Math.floor(amount / info.TradeAmountStep + 1e-9) * info.TradeAmountStep);
+};
+var SymbolRegistry = function(client, options) {
+  if (!client)
+    throw new Error("TickTrader symbol registry client should be valid!");
+  options = options || {};
+  this.client = client;
+  this.ttl = options.ttl !== void 0 ? options.ttl : 3e5;
+  this.mode = options.mode || "round";
+  if (this.mode !== "round" && this.mode !== "validate")
+    throw new Error("TickTrader symbol registry mode should be 'round' or 'validate'!");
+  this._cache = null;
+};
+SymbolRegistry.prototype.load = function(force) {
+  const self = this;
+  if (!force && this._cache && Date.now() < this._cache.expires)
+    return this._cache.symbols;
+  const raw = this.client.raw || this.client;
+  const request = raw.isAuthenticated && typeof raw.getAllSymbols === "function" ? raw.getAllSymbols() : raw.getPublicAllSymbols();
+  const symbols = request.then(function(response) {
+    const map = /* @__PURE__ */ new Map();
+    (response.data || []).forEach(function(info) {
+      map.set(info.Symbol, info);
+    });
+    return map;
+  });
+  this._cache = { symbols, expires: Date.now() + this.ttl };
+  symbols.catch(function() {
+    self._cache = null;
+  });
+  return symbols;
+};
+SymbolRegistry.prototype.invalidate = function() {
+  this._cache = null;
+};
+SymbolRegistry.prototype.get = function(symbol) {
+  return this.load().then(function(symbols) {
+    const info = symbols.get(symbol);
+    if (!info)
+      throw new TickTraderValidationError("TickTrader symbol '" + symbol + "' is not found!", { errors: [{ field: "Symbol", message: "Symbol '" + symbol + "' is not found" }] });
+    return info;
+  });
+};
+SymbolRegistry.prototype.roundPrice = function(symbol, price) {
+  return this.get(symbol).then(function(info) {
+    return _roundPrice(info, price);
+  });
+};
+SymbolRegistry.prototype.roundAmount = function(symbol, amount) {
+  return this.get(symbol).then(function(info) {
+    return _roundAmount(info, amount);
+  });
+};
+SymbolRegistry.prototype.prepareTrade = function(request) {
+  const self = this;
+  return this.get(request.Symbol).then(function(info) {
+    const prepared = Object.assign({}, request);
+    const errors = [];
+    if (info.IsTradeAllowed === false)
+      errors.push({ field: "Symbol", message: "Trading is not allowed for symbol '" + info.Symbol + "'" });
+    PRICE_FIELDS.forEach(function(field) {
+      const price = request[field];
+      if (price === void 0 || price === null || typeof price !== "number")
+        return;
+      const rounded = _roundPrice(info, price);
+      if (rounded === price)
+        return;
+      if (self.mode === "round")
+        prepared[field] = rounded;
+      else
+        errors.push({ field, message: field + " " + price + " does not match symbol precision " + info.Precision });
+    });
+    if (typeof request.Amount === "number") {
+      const amount = _roundAmount(info, request.Amount);
+      if (amount !== request.Amount && self.mode === "validate")
+        errors.push({ field: "Amount", message: "Amount " + request.Amount + " is not a multiple of trade amount step " + info.TradeAmountStep });
+      else {
+        prepared.Amount = amount;
+        if (info.MinTradeAmount !== void 0 && amount < info.MinTradeAmount)
+          errors.push({ field: "Amount", message: "Amount " + request.Amount + " is less than minimal trade amount " + info.MinTradeAmount });
+        if (info.MaxTradeAmount !== void 0 && amount > info.MaxTradeAmount)
+          errors.push({ field: "Amount", message: "Amount " + request.Amount + " is greater than maximal trade amount " + info.MaxTradeAmount });
+      }
+    }
+    if (errors.length > 0)
+      throw validationError("create trade", errors);
+    return prepared;
+  });
+};
+
+// ttorderbuilder.mjs
+var DURATION_UNITS = { ms: 1, s: 1e3, m: 6e4, h: 36e5, d: 864e5, w: 6048e5 };
+var generateClientId = function() {
+  const crypto = globalThis.crypto;
+  if (crypto && typeof crypto.randomUUID === "function")
+    return crypto.randomUUID();
+  return Date.now().toString(36) + "-" + Math.random().toString(36).substr(2, 10) + Math.random().toString(36).substr(2, 10);
+};
+var parseDuration = function(duration) {
+  if (typeof duration === "number" && isFinite(duration) && duration > 0)
+    return duration;
+  const text = String(duration).replace(/\s+/g, "");
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+  let total = 0;
+  let length = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += Number(match[1]) * DURATION_UNITS[match[2]];
+    length += match[0].length;
+  }
+  if (length === 0 || length !== text.length || !(total > 0))
+    throw new Error("TickTrader duration '" + duration + "' is invalid! Use milliseconds or units like '30s', '15m', '1h', '1d'.");
+  return total;
+};
+var OrderBuilder = function(client, symbol) {
+  if (!client)
+    throw new Error("TickTrader order builder client should be valid!");
+  this.client = client;
+  this.request = { Type: "Market", Symbol: symbol };
+  this._expiresIn = void 0;
+};
+OrderBuilder.prototype.buy = function(amount) {
+  this.request.Side = "Buy";
+  if (amount !== void 0)
+    this.request.Amount = amount;
+  return this;
+};
+OrderBuilder.prototype.sell = function(amount) {
+  this.request.Side = "Sell";
+  if (amount !== void 0)
+    this.request.Amount = amount;
+  return this;
+};
+OrderBuilder.prototype.amount = function(amount) {
+  this.request.Amount = amount;
+  return this;
+};
+OrderBuilder.prototype.market = function() {
+  this.request.Type = "Market";
+  delete this.request.Price;
+  return this;
+};
+OrderBuilder.prototype.limit = function(price) {
+  this.request.Type = "Limit";
+  this.request.Price = price;
+  return this;
+};
+OrderBuilder.prototype.stop = function(price) {
+  this.request.Type = "Stop";
+  this.request.Price = price;
+  return this;
+};
+OrderBuilder.prototype.stopLoss = function(price) {
+  this.request.StopLoss = price;
+  return this;
+};
+OrderBuilder.prototype.takeProfit = function(price) {
+  this.request.TakeProfit = price;
+  return this;
+};
+OrderBuilder.prototype.expiresAt = function(timestamp) {
+  this.request.ExpiredTimestamp = timestamp;
+  this._expiresIn = void 0;
+  return this;
+};
+OrderBuilder.prototype.expiresIn = function(duration) {
+  this._expiresIn = parseDuration(duration);
+  delete this.request.ExpiredTimestamp;
+  return this;
+};
+OrderBuilder.prototype.ioc = function(enabled) {
+  this.request.ImmediateOrCancel = enabled !== false;
+  return this;
+};
+OrderBuilder.prototype.comment = function(text) {
+  this.request.Comment = text;
+  return this;
+};
+OrderBuilder.prototype.clientId = function(clientId) {
+  this.request.ClientId = clientId;
+  return this;
+};
+OrderBuilder.prototype.build = function() {
+  if (!this.request.ClientId)
+    this.request.ClientId = generateClientId();
+  const request = Object.assign({}, this.request);
+  if (this._expiresIn !== void 0) {
+    const clock = this.client.clock;
+    request.ExpiredTimestamp = (clock ? clock.now() : Date.now()) + this._expiresIn;
+  }
+  const error = validationError("create trade", validateCreateTrade(request, { strict: this.client.validate === "strict" }));
+  if (error)
+    throw error;
+  return request;
+};
+OrderBuilder.prototype.send = function() {
+  let request;
+  try {
+    request = this.build();
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return this.client.createTrade(request);
+};
+
+// ttbatch.mjs
+var PENDING_TYPES2 = ["Limit", "Stop"];
+var _runLimited = function(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = function() {
+    if (next >= items.length)
+      return Promise.resolve();
+    const index = next++;
+    return Promise.resolve().then(function() {
+      return task(items[index], index);
+    }).then(function(result) {
+      results[index] = result;
+      return worker();
+    });
+  };
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency || 1, items.length)); i++)
+    workers.push(worker());
+  return Promise.all(workers).then(function() {
+    return results;
+  });
+};
+var _attempt = function(result, operation) {
+  return operation().then(function() {
+    result.Success = true;
+    return result;
+  }, function(err) {
+    result.Success = false;
+    result.Error = err;
+    return result;
+  });
+};
+var _matches = function(item, request) {
+  return (!request.symbol || item.Symbol === request.symbol) && (!request.side || item.Side === request.side);
+};
+var _report = function(results) {
+  const succeeded = results.filter(function(result) {
+    return result.Success;
+  }).length;
+  return { Results: results, Succeeded: succeeded, Failed: results.length - succeeded };
+};
+var _closeBySymbol = async function(client, positions, results) {
+  const remaining = positions.map(function(trade) {
+    return { trade, amount: trade.Amount };
+  });
+  const byAmount = function(a, b) {
+    return b.amount - a.amount;
+  };
+  const buys = remaining.filter(function(item) {
+    return item.trade.Side === "Buy";
+  }).sort(byAmount);
+  const sells = remaining.filter(function(item) {
+    return item.trade.Side === "Sell";
+  }).sort(byAmount);
+  while (buys.length > 0 && sells.length > 0) {
+    const buy = buys[0];
+    const sell = sells[0];
+    const amount = Math.min(buy.amount, sell.amount);
+    const result = await _attempt({ Action: "CloseBy", TradeId: buy.trade.Id, ByTradeId: sell.trade.Id, Symbol: buy.trade.Symbol, Side: buy.trade.Side, Amount: amount }, function() {
+      return client.closeByTrade(buy.trade.Id, sell.trade.Id);
+    });
+    results.push(result);
+    if (!result.Success)
+      break;
+    buy.amount = toDecimal(buy.amount - amount);
+    sell.amount = toDecimal(sell.amount - amount);
+    if (buy.amount <= 0)
+      buys.shift();
+    if (sell.amount <= 0)
+      sells.shift();
+  }
+  return buys.concat(sells);
+};
+var closeAllTrades = async function(client, request) {
+  request = request || {};
+  const concurrency = request.concurrency || 5;
+  const account = (await client.getAccount()).data;
+  const results = [];
+  if (account.AccountingType === "Net") {
+    const positions2 = (await client.getAllPositions()).data.map(function(position) {
+      const net = toDecimal(position.LongAmount - position.ShortAmount);
+      return { Symbol: position.Symbol, Side: net > 0 ? "Buy" : "Sell", Amount: Math.abs(net) };
+    }).filter(function(position) {
+      return position.Amount > 0 && _matches(position, request);
+    });
+    return _report(await _runLimited(positions2, concurrency, function(position) {
+      const side = position.Side === "Buy" ? "Sell" : "Buy";
+      return _attempt({ Action: "Offset", Symbol: position.Symbol, Side: position.Side, Amount: position.Amount }, function() {
+        return client.createTrade({ Type: "Market", Side: side, Symbol: position.Symbol, Amount: position.Amount, Comment: "Close all" });
+      });
+    }));
+  }
+  const positions = (await client.getAllTrades()).data.filter(function(trade) {
+    return trade.Type === "Position" && _matches(trade, request);
+  });
+  let closing = positions.map(function(trade) {
+    return { trade, amount: trade.Amount };
+  });
+  if (request.closeBy !== false) {
+    const bySymbol = {};
+    positions.forEach(function(trade) {
+      (bySymbol[trade.Symbol] || (bySymbol[trade.Symbol] = [])).push(trade);
+    });
+    const symbols = Object.keys(bySymbol);
+    closing = [].concat.apply([], await _runLimited(symbols, concurrency, function(symbol) {
+      return _closeBySymbol(client, bySymbol[symbol], results);
+    }));
+  }
+  const closed = await _runLimited(closing, concurrency, function(item) {
+    const partial = item.amount < item.trade.Amount;
+    return _attempt({ Action: "Close", TradeId: item.trade.Id, Symbol: item.trade.Symbol, Side: item.trade.Side, Amount: item.amount }, function() {
+      return client.closeTrade(item.trade.Id, partial ? item.amount : void 0);
+    });
+  });
+  return _report(results.concat(closed));
+};
+var cancelAllPending = async function(client, request) {
+  request = request || {};
+  const pending = (await client.getAllTrades()).data.filter(function(trade) {
+    return PENDING_TYPES2.indexOf(trade.Type) >= 0 && _matches(trade, request);
+  });
+  return _report(await _runLimited(pending, request.concurrency || 5, function(trade) {
+    return _attempt({ Action: "Cancel", TradeId: trade.Id, Symbol: trade.Symbol, Side: trade.Side, Amount: trade.Amount }, function() {
+      return client.cancelTrade(trade.Id);
+    });
+  }));
+};
+var flattenAccount = async function(client, request) {
+  request = Object.assign({}, request, { side: void 0 });
+  const canceled = await cancelAllPending(client, request);
+  const closed = await closeAllTrades(client, request);
+  return _report(canceled.Results.concat(closed.Results));
+};
+
+// ttrisk.mjs
+var PENDING_TYPES3 = ["Limit", "Stop"];
+var DAY = 24 * 60 * 60 * 1e3;
+var _rejected = function(name, violations) {
+  const message = "TickTrader " + name + " request is rejected by the risk guard: " + violations.map(function(violation) {
+    return violation.message;
+  }).join("; ") + "!";
+  return new TickTraderRiskRejectedError(message, { violations });
+};
+var _symbolLimit = function(limit, symbol) {
+  if (limit === void 0 || limit === null || typeof limit === "number")
+    return limit;
+  return limit[symbol] !== void 0 ? limit[symbol] : limit["*"];
+};
+var RiskGuard = function(client, options) {
+  if (!client)
+    throw new Error("TickTrader risk guard client should be valid!");
+  options = options || {};
+  this.client = client;
+  this.maxOrderAmount = options.maxOrderAmount;
+  this.maxExposure = options.maxExposure;
+  this.maxSymbolExposure = options.maxSymbolExposure;
+  this.maxOpenTrades = options.maxOpenTrades;
+  this.maxDailyLoss = options.maxDailyLoss;
+  this.requireStopLoss = !!options.requireStopLoss;
+  this.maxPriceDeviation = options.maxPriceDeviation;
+};
+RiskGuard.prototype._raw = function() {
+  return this.client.raw || this.client;
+};
+RiskGuard.prototype._openTrades = async function() {
+  const raw = this._raw();
+  const net = {};
+  const pending = {};
+  let count = 0;
+  (await raw.getAllTrades()).data.forEach(function(trade) {
+    if (PENDING_TYPES3.indexOf(trade.Type) >= 0) {
+      count++;
+      const amounts = pending[trade.Symbol] = pending[trade.Symbol] || { Buy: 0, Sell: 0 };
+      amounts[trade.Side] = toDecimal(amounts[trade.Side] + trade.Amount);
+    } else if (trade.Type === "Position") {
+      count++;
+      net[trade.Symbol] = toDecimal((net[trade.Symbol] || 0) + (trade.Side === "Buy" ? trade.Amount : -trade.Amount));
+    }
+  });
+  const account = (await raw.getAccount()).data;
+  if (account.AccountingType === "Net") {
+    (await raw.getAllPositions()).data.forEach(function(position) {
+      const amount = toDecimal(position.LongAmount - position.ShortAmount);
+      if (amount !== 0) {
+        count++;
+        net[position.Symbol] = toDecimal((net[position.Symbol] || 0) + amount);
+      }
+    });
+  }
+  let exposure = 0;
+  Object.keys(net).forEach(function(symbol) {
+    exposure += Math.abs(net[symbol]);
+  });
+  Object.keys(pending).forEach(function(symbol) {
+    exposure += pending[symbol].Buy + pending[symbol].Sell;
+  });
+  return { count, net, pending, exposure: toDecimal(exposure) };
+};
+RiskGuard.prototype._dailyLoss = async function() {
+  const clock = this.client.clock;
+  const now = clock ? clock.now() : Date.now();
+  let movement = 0;
+  for await (const record of this._raw().iterateTradeHistory({ TimestampFrom: now - now % DAY, RequestDirection: "Forward" }))
+    if (record.TransactionType !== "DepositWithdrawal" && record.BalanceMovement)
+      movement += record.BalanceMovement;
+  return toDecimal(Number((-movement).toFixed(10)));
+};
+RiskGuard.prototype._checkPrice = async function(symbol, side, price, violations) {
+  const tick = (await this._raw().getTick(symbol)).data[0];
+  const level = tick && (side === "Buy" ? tick.BestAsk : tick.BestBid);
+  if (!level || !(level.Price > 0))
+    return;
+  const deviation = Math.abs(price - level.Price) / level.Price;
+  if (deviation > this.maxPriceDeviation)
+    violations.push({ rule: "maxPriceDeviation", message: "Price " + price + " deviates from " + symbol + " price " + level.Price + " by " + Number((deviation * 100).toFixed(2)) + "% (maximal " + toDecimal(this.maxPriceDeviation * 100) + "%)" });
+};
+RiskGuard.prototype.checkCreateTrade = async function(request) {
+  const self = this;
+  const violations = [];
+  const limit = _symbolLimit(this.maxOrderAmount, request.Symbol);
+  if (limit !== void 0 && limit !== null && request.Amount > limit)
+    violations.push({ rule: "maxOrderAmount", message: "Amount " + request.Amount + " exceeds maximal " + request.Symbol + " order amount " + limit });
+  const checks = [];
+  if (this.requireStopLoss || this.maxExposure !== void 0 || this.maxSymbolExposure !== void 0 || this.maxOpenTrades !== void 0 || this.maxDailyLoss !== void 0) {
+    checks.push(this._openTrades().then(function(open) {
+      const position = open.net[request.Symbol] || 0;
+      const amount = request.Side === "Buy" ? request.Amount : -request.Amount;
+      const after = Math.abs(toDecimal(position + amount));
+      if (after <= Math.abs(position))
+        return;
+      if (self.requireStopLoss && !(request.StopLoss > 0))
+        violations.push({ rule: "requireStopLoss", message: "StopLoss is required" });
+      if (self.maxOpenTrades !== void 0 && open.count >= self.maxOpenTrades)
+        violations.push({ rule: "maxOpenTrades", message: "Number of open trades " + open.count + " reached maximum " + self.maxOpenTrades });
+      if (self.maxExposure !== void 0) {
+        const exposure = toDecimal(open.exposure + (PENDING_TYPES3.indexOf(request.Type) >= 0 ? request.Amount : after - Math.abs(position)));
+        if (exposure > self.maxExposure)
+          violations.push({ rule: "maxExposure", message: "Exposure " + exposure + " exceeds maximum " + self.maxExposure });
+      }
+      const maxSymbolExposure = _symbolLimit(self.maxSymbolExposure, request.Symbol);
+      if (maxSymbolExposure !== void 0 && maxSymbolExposure !== null) {
+        const pending = open.pending[request.Symbol] || { Buy: 0, Sell: 0 };
+        const filled = toDecimal(position + amount + (request.Side === "Buy" ? pending.Buy : -pending.Sell));
+        if (Math.abs(filled) > maxSymbolExposure)
+          violations.push({ rule: "maxSymbolExposure", message: request.Symbol + " exposure " + Math.abs(filled) + " exceeds maximum " + maxSymbolExposure });
+      }
+      if (self.maxDailyLoss !== void 0) {
+        return self._dailyLoss().then(function(loss) {
+          if (loss >= self.maxDailyLoss)
+            violations.push({ rule: "maxDailyLoss", message: "Daily loss " + loss + " reached maximum " + self.maxDailyLoss });
+        });
+      }
+    }));
+  }
+  if (this.maxPriceDeviation !== void 0 && PENDING_TYPES3.indexOf(request.Type) >= 0 && request.Price > 0)
+    checks.push(this._checkPrice(request.Symbol, request.Side, request.Price, violations));
+  await Promise.all(checks);
+  if (violations.length > 0)
+    throw _rejected("create trade", violations);
+};
+RiskGuard.prototype.checkModifyTrade = async function(request) {
+  const violations = [];
+  if (this.requireStopLoss && request.StopLoss !== void 0 && !(request.StopLoss > 0))
+    violations.push({ rule: "requireStopLoss", message: "StopLoss cannot be removed" });
+  if (this.maxPriceDeviation !== void 0 && request.Price > 0) {
+    const trade = (await this._raw().getTrade(request.Id)).data;
+    await this._checkPrice(trade.Symbol, trade.Side, request.Price, violations);
+  }
+  if (violations.length > 0)
+    throw _rejected("modify trade", violations);
+};
+
+// tttradehistory.mjs
+var historyTrade = function(record) {
+  return {
+    Id: record.TradeId,
+    ClientId: record.ClientTradeId,
+    Type: record.TradeType,
+    Side: record.TradeSide,
+    Symbol: record.Symbol,
+    Price: record.TradeFillPrice !== void 0 ? record.TradeFillPrice : record.TradePrice,
+    Amount: record.TradeAmount,
+    InitialAmount: record.TradeInitialAmount,
+    StopLoss: record.StopLoss,
+    TakeProfit: record.TakeProfit,
+    Created: record.TradeCreated,
+    Modified: record.TradeModified,
+    Expired: record.Expired,
+    Comment: record.Comment
+  };
+};
+var findCreatedTrade = async function(client, clientId, since) {
+  const trades = await client.raw.getAllTrades();
+  const trade = trades.data.find(function(item) {
+    return item.ClientId === clientId;
+  });
+  if (trade)
+    return Object.assign({}, trades, { data: trade });
+  const request = { TimestampFrom: since - 5 * 60 * 1e3, RequestDirection: "Forward" };
+  for await (const record of client.raw.iterateTradeHistory(request))
+    if (record.ClientTradeId === clientId && record.TradeId !== void 0)
+      return { data: historyTrade(record), status: 200, statusText: "OK", headers: {}, config: {} };
+  return void 0;
+};
+
+// ttstream.mjs
+var WS_OPEN = 1;
+var WS_CLOSED = 3;
+var _loginParams = function(credentials, options) {
+  if (!credentials.web_api_id || !credentials.web_api_key || !credentials.web_api_secret)
+    return Promise.reject(new Error("TickTrader Web API credentials should be valid!"));
+  const timestamp = options.clock ? options.clock.now() : Date.now();
+  const signature = timestamp + credentials.web_api_id + credentials.web_api_key;
+  return hmacSha256(credentials.web_api_secret, signature).then(function(hash) {
+    return {
+      AuthType: "HMAC",
+      WebApiId: credentials.web_api_id,
+      WebApiKey: credentials.web_api_key,
+      Timestamp: timestamp,
+      Signature: hash,
+      DeviceId: options.deviceId,
+      AppSessionId: options.appSessionId
+    };
+  });
+};
+var StreamChannel = function(maxBuffer, onReturn) {
+  this._items = [];
+  this._waiters = [];
+  this._done = false;
+  this._maxBuffer = maxBuffer;
+  this._onReturn = onReturn;
+};
+StreamChannel.prototype.push = function(item) {
+  if (this._done)
+    return;
+  if (this._waiters.length > 0)
+    return this._waiters.shift()({ value: item, done: false });
+  this._items.push(item);
+  if (this._items.length > this._maxBuffer)
+    this._items.shift();
+};
+StreamChannel.prototype.end = function() {
+  this._done = true;
+  while (this._waiters.length > 0)
+    this._waiters.shift()({ value: void 0, done: true });
+};
+StreamChannel.prototype.next = function() {
+  if (this._items.length > 0)
+    return Promise.resolve({ value: this._items.shift(), done: false });
+  if (this._done)
+    return Promise.resolve({ value: void 0, done: true });
+  const self = this;
+  return new Promise(function(resolve) {
+    self._waiters.push(resolve);
+  });
+};
+StreamChannel.prototype.return = function() {
+  this._items = [];
+  this.end();
+  if (this._onReturn)
+    this._onReturn();
+  return Promise.resolve({ value: void 0, done: true });
+};
+StreamChannel.prototype[Symbol.asyncIterator] = function() {
+  return this;
+};
+var TickTraderStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+  if (!ws_address)
+    throw new Error("TickTrader WebSocket address should be valid!");
+  this.credentials = credentialsProvider(web_api_id, web_api_key, web_api_secret);
+  if (this.credentials === web_api_id) {
+    if (options === void 0 && typeof web_api_key === "object")
+      options = web_api_key;
+  } else {
+    if (!web_api_id)
+      throw new Error("TickTrader Web API Id should be valid!");
+    if (!web_api_key)
+      throw new Error("TickTrader Web API Key should be valid!");
+    if (!web_api_secret)
+      throw new Error("TickTrader Web API Secret should be valid!");
+  }
+  options = options || {};
+  this.ws_address = ws_address;
+  this.options = {
+    WebSocket: options.WebSocket || globalThis.WebSocket,
+    reconnect: options.reconnect !== false,
+    reconnectDelay: options.reconnectDelay !== void 0 ? options.reconnectDelay : 1e3,
+    maxReconnectDelay: options.maxReconnectDelay !== void 0 ? options.maxReconnectDelay : 3e4,
+    requestTimeout: options.requestTimeout !== void 0 ? options.requestTimeout : 1e4,
+    maxBuffer: options.maxBuffer !== void 0 ? options.maxBuffer : 1e3,
+    deviceId: options.deviceId,
+    appSessionId: options.appSessionId,
+    clock: options.clock
+  };
+  if (!this.options.WebSocket)
+    throw new Error("WebSocket implementation is not available! Pass options.WebSocket (e.g. from the 'ws' package).");
+  this.connected = false;
+  this._socket = null;
+  this._connecting = null;
+  this._closed = true;
+  this._listeners = {};
+  this._channels = [];
+  this._pending = {};
+  this._lastRequestId = 0;
+  this._reconnectAttempt = 0;
+  this._reconnectTimer = null;
+};
+TickTraderStream.prototype.on = function(event, listener) {
+  (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+  return this;
+};
+TickTraderStream.prototype.off = function(event, listener) {
+  const listeners = this._listeners[event];
+  if (listeners && listeners.indexOf(listener) >= 0)
+    listeners.splice(listeners.indexOf(listener), 1);
+  return this;
+};
+TickTraderStream.prototype.iterate = function(event) {
+  const self = this;
+  const listener = function(data) {
+    channel.push(data);
+  };
+  const channel = new StreamChannel(this.options.maxBuffer, function() {
+    self.off(event, listener);
+    if (self._channels.indexOf(channel) >= 0)
+      self._channels.splice(self._channels.indexOf(channel), 1);
+  });
+  this._channels.push(channel);
+  this.on(event, listener);
+  return channel;
+};
+TickTraderStream.prototype._emit = function(event, data) {
+  const listeners = (this._listeners[event] || []).slice();
+  for (const listener of listeners) {
+    try {
+      listener.call(this, data);
+    } catch (err) {
+      if (event !== "error")
+        this._emit("error", err);
+    }
+  }
+};
+TickTraderStream.prototype.connect = function() {
+  this._closed = false;
+  if (this.connected)
+    return Promise.resolve();
+  if (!this._connecting) {
+    const self = this;
+    this._connecting = this._open().then(function() {
+      self._connecting = null;
+    }, function(err) {
+      self._connecting = null;
+      throw err;
+    });
+  }
+  return this._connecting;
+};
+TickTraderStream.prototype.close = function() {
+  this._closed = true;
+  if (this._reconnectTimer) {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+  }
+  this._channels.slice().forEach(function(channel) {
+    channel.end();
+  });
+  this._channels = [];
+  this._finish();
+  const socket = this._socket;
+  if (!socket)
+    return Promise.resolve();
+  if (socket.readyState === WS_CLOSED)
+    return Promise.resolve(this._onClose(socket));
+  return new Promise(function(resolve) {
+    socket.onclose = function() {
+      resolve();
+    };
+    socket.close(1e3);
+  }).then(this._onClose.bind(this, socket));
+};
+TickTraderStream.prototype.request = function(request, params) {
+  const socket = this._socket;
+  if (!socket || socket.readyState !== WS_OPEN)
+    return Promise.reject(new Error("TickTrader stream is not connected!"));
+  const self = this;
+  const id = String(++this._lastRequestId);
+  return new Promise(function(resolve, reject) {
+    const timer = setTimeout(function() {
+      delete self._pending[id];
+      reject(new Error("TickTrader stream request '" + request + "' timed out!"));
+    }, self.options.requestTimeout);
+    self._pending[id] = { resolve, reject, timer };
+    socket.send(JSON.stringify({ Id: id, Request: request, Params: params }));
+  });
+};
+TickTraderStream.prototype._open = function() {
+  const self = this;
+  return new Promise(function(resolve, reject) {
+    let socket;
+    try {
+      socket = new self.options.WebSocket(self.ws_address);
+    } catch (err) {
+      return reject(err);
+    }
+    let opened = false;
+    self._socket = socket;
+    socket.onopen = function() {
+      opened = true;
+      self.credentials.getCredentials().then(function(credentials) {
+        return _loginParams(credentials, self.options);
+      }).then(function(params) {
+        return self.request("Login", params);
+      }).then(function() {
+        self.connected = true;
+        self._reconnectAttempt = 0;
+        self._emit("connected");
+        return self._restore();
+      }).then(resolve, function(err) {
+        reject(err);
+        socket.close(1e3);
+      });
+    };
+    socket.onmessage = function(event) {
+      self._onMessage(typeof event.data === "string" ? event.data : String(event.data));
+    };
+    socket.onerror = function(event) {
+      self._emit("error", event && event.error || new Error("TickTrader stream connection error!"));
+    };
+    socket.onclose = function() {
+      if (!opened)
+        reject(new Error("TickTrader stream connection failed!"));
+      self._onClose(socket);
+    };
+  });
+};
+TickTraderStream.prototype._onMessage = function(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    return this._emit("error", new Error("TickTrader stream message is malformed!"));
+  }
+  if (!message || typeof message !== "object")
+    return this._emit("error", new Error("TickTrader stream message is malformed!"));
+  const pending = message.Id !== void 0 ? this._pending[message.Id] : void 0;
+  if (pending) {
+    delete this._pending[message.Id];
+    clearTimeout(pending.timer);
+    if (message.Response === "Error")
+      pending.reject(new Error(message.Error || "TickTrader stream request failed!"));
+    else
+      pending.resolve(message.Result);
+    return;
+  }
+  this._onNotification(message.Response, message.Result);
+};
+TickTraderStream.prototype._onClose = function(socket) {
+  if (this._socket !== socket)
+    return;
+  this._socket = null;
+  const wasConnected = this.connected;
+  this.connected = false;
+  for (const id in this._pending) {
+    clearTimeout(this._pending[id].timer);
+    this._pending[id].reject(new Error("TickTrader stream connection closed!"));
+  }
+  this._pending = {};
+  if (wasConnected)
+    this._emit("disconnected");
+  if (!this._closed && this.options.reconnect && (wasConnected || this._reconnectAttempt > 0))
+    this._scheduleReconnect();
+};
+TickTraderStream.prototype._scheduleReconnect = function() {
+  if (this._reconnectTimer)
+    return;
+  const self = this;
+  const delay = Math.min(this.options.maxReconnectDelay, this.options.reconnectDelay * Math.pow(2, this._reconnectAttempt++));
+  this._emit("reconnecting", { attempt: this._reconnectAttempt, delay });
+  this._reconnectTimer = setTimeout(function() {
+    self._reconnectTimer = null;
+    if (self._closed)
+      return;
+    self.connect().catch(function(err) {
+      self._emit("error", err);
+      if (!self._socket && !self._closed)
+        self._scheduleReconnect();
+    });
+  }, delay);
+};
+TickTraderStream.prototype._restore = function() {
+  return Promise.resolve();
+};
+TickTraderStream.prototype._onNotification = function(response, result) {
+  this._emit("notification", { Response: response, Result: result });
+};
+TickTraderStream.prototype._finish = function() {
+};
+var FeedSubscription = function(stream, type, symbols, depth) {
+  const self = this;
+  this.type = type;
+  this.symbols = symbols;
+  this.depth = depth;
+  this._stream = stream;
+  this._primed = {};
+  this._channel = new StreamChannel(stream.options.maxBuffer, function() {
+    self.unsubscribe().catch(function() {
+    });
+  });
+};
+FeedSubscription.prototype.unsubscribe = function() {
+  this._channel.end();
+  return this._stream._unsubscribe(this);
+};
+FeedSubscription.prototype[Symbol.asyncIterator] = function() {
+  return this._channel;
+};
+var TickTraderFeedStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+  TickTraderStream.call(this, ws_address, web_api_id, web_api_key, web_api_secret, options);
+  this._subscriptions = [];
+  this._bookDepth = {};
+};
+TickTraderFeedStream.prototype = Object.create(TickTraderStream.prototype);
+TickTraderFeedStream.prototype.constructor = TickTraderFeedStream;
+TickTraderFeedStream.prototype.subscribeTicks = function(symbols) {
+  return this._subscribe("tick", symbols, 1);
+};
+TickTraderFeedStream.prototype.subscribeLevel2 = function(symbols, depth) {
+  return this._subscribe("level2", symbols, depth || 5);
+};
+TickTraderFeedStream.prototype._subscribe = function(type, symbols, depth) {
+  symbols = Array.isArray(symbols) ? symbols : [symbols];
+  if (symbols.length === 0 || symbols.some(function(symbol) {
+    return !symbol;
+  }))
+    return Promise.reject(new Error("TickTrader symbols to subscribe should be valid!"));
+  const self = this;
+  const subscription = new FeedSubscription(this, type, symbols, depth);
+  this._subscriptions.push(subscription);
+  return this.connect().then(function() {
+    return self._sync(symbols);
+  }).then(function() {
+    return subscription;
+  }, function(err) {
+    self._subscriptions.splice(self._subscriptions.indexOf(subscription), 1);
+    subscription._channel.end();
+    throw err;
+  });
+};
+TickTraderFeedStream.prototype._unsubscribe = function(subscription) {
+  const index = this._subscriptions.indexOf(subscription);
+  if (index < 0)
+    return Promise.resolve();
+  this._subscriptions.splice(index, 1);
+  return this.connected ? this._sync(subscription.symbols) : Promise.resolve();
+};
+TickTraderFeedStream.prototype._requiredDepth = function(symbol) {
+  return this._subscriptions.reduce(function(depth, subscription) {
+    return subscription.symbols.indexOf(symbol) >= 0 ? Math.max(depth, subscription.depth) : depth;
+  }, 0);
+};
+TickTraderFeedStream.prototype._sync = function(symbols) {
+  const self = this;
+  const subscribe = [];
+  const unsubscribe = [];
+  for (const symbol of symbols) {
+    const depth = this._requiredDepth(symbol);
+    if (depth === (this._bookDepth[symbol] || 0))
+      continue;
+    if (depth > 0)
+      subscribe.push({ Symbol: symbol, BookDepth: depth });
+    else
+      unsubscribe.push(symbol);
+  }
+  const requests = [];
+  if (subscribe.length > 0)
+    requests.push(this.request("FeedSubscribe", { Subscribe: subscribe }).then(function(result) {
+      subscribe.forEach(function(item) {
+        self._bookDepth[item.Symbol] = item.BookDepth;
+      });
+      (result && result.Snapshot || []).forEach(function(tick) {
+        self._dispatch(tick, true);
+      });
+    }));
+  if (unsubscribe.length > 0)
+    requests.push(this.request("FeedUnsubscribe", { Unsubscribe: unsubscribe }).then(function() {
+      unsubscribe.forEach(function(symbol) {
+        delete self._bookDepth[symbol];
+      });
+    }));
+  return Promise.all(requests).then(function() {
+  });
+};
+TickTraderFeedStream.prototype._restore = function() {
+  this._bookDepth = {};
+  const symbols = [];
+  this._subscriptions.forEach(function(subscription) {
+    subscription._primed = {};
+    subscription.symbols.forEach(function(symbol) {
+      if (symbols.indexOf(symbol) < 0)
+        symbols.push(symbol);
+    });
+  });
+  return symbols.length > 0 ? this._sync(symbols) : Promise.resolve();
+};
+TickTraderFeedStream.prototype._finish = function() {
+  this._subscriptions.forEach(function(subscription) {
+    subscription._channel.end();
+  });
+  this._subscriptions = [];
+  this._bookDepth = {};
+};
+TickTraderFeedStream.prototype._onNotification = function(response, result) {
+  if (response === "FeedTick" && result)
+    return this._dispatch(result);
+  TickTraderStream.prototype._onNotification.call(this, response, result);
+};
+TickTraderFeedStream.prototype._dispatch = function(update, snapshot) {
+  const tick = { Symbol: update.Symbol, Timestamp: update.Timestamp, BestBid: update.BestBid, BestAsk: update.BestAsk };
+  let hasTicks = false;
+  let hasLevel2 = false;
+  for (const subscription of this._subscriptions) {
+    if (subscription.symbols.indexOf(update.Symbol) < 0 || snapshot && subscription._primed[update.Symbol])
+      continue;
+    subscription._primed[update.Symbol] = true;
+    if (subscription.type === "tick") {
+      hasTicks = true;
+      subscription._channel.push(tick);
+    } else {
+      hasLevel2 = true;
+      subscription._channel.push({
+        Symbol: update.Symbol,
+        Timestamp: update.Timestamp,
+        BestBid: update.BestBid,
+        BestAsk: update.BestAsk,
+        Bids: (update.Bids || []).slice(0, subscription.depth),
+        Asks: (update.Asks || []).slice(0, subscription.depth)
+      });
+    }
+  }
+  if (hasTicks)
+    this._emit("tick", tick);
+  if (hasLevel2)
+    this._emit("level2", update);
+};
+var EXECUTION_EVENTS = {
+  "Opened": "tradeCreated",
+  "Modified": "tradeModified",
+  "Canceled": "tradeCanceled",
+  "Expired": "tradeCanceled",
+  "Filled": "tradeFilled",
+  "Closed": "tradeClosed",
+  "Rejected": "tradeRejected"
+};
+var TRADE_NOTIFICATIONS = ["ExecutionReport", "PositionUpdate", "AccountUpdate", "AssetUpdate"];
+var TickTraderTradeStream = function(ws_address, web_api_id, web_api_key, web_api_secret, options) {
+  TickTraderStream.call(this, ws_address, web_api_id, web_api_key, web_api_secret, options);
+};
+TickTraderTradeStream.prototype = Object.create(TickTraderStream.prototype);
+TickTraderTradeStream.prototype.constructor = TickTraderTradeStream;
+TickTraderTradeStream.prototype._restore = function() {
+  const self = this;
+  return this.request("TradeSubscribe", {}).then(function(snapshot) {
+    self._emit("snapshot", snapshot);
+  });
+};
+TickTraderTradeStream.prototype._onNotification = function(response, result) {
+  if (TRADE_NOTIFICATIONS.indexOf(response) >= 0 && (!result || typeof result !== "object"))
+    return this._emit("error", new Error("TickTrader stream " + response + " notification is malformed!"));
+  switch (response) {
+    case "ExecutionReport":
+      this._emit("execution", result);
+      if (EXECUTION_EVENTS[result.ExecutionType])
+        this._emit(EXECUTION_EVENTS[result.ExecutionType], result);
+      break;
+    case "PositionUpdate":
+      this._emit("position", result);
+      break;
+    case "AccountUpdate":
+      this._emit("account", result);
+      break;
+    case "AssetUpdate":
+      this._emit("asset", result);
+      break;
+    default:
+      TickTraderStream.prototype._onNotification.call(this, response, result);
+  }
+};
+
+// ttorderbook.mjs
+var _side = function(side) {
+  if (side === "Bid" || side === "Sell")
+    return "bids";
+  if (side === "Ask" || side === "Buy")
+    return "asks";
+  throw new Error("TickTrader order book side should be 'Bid', 'Ask', 'Buy' or 'Sell'!");
+};
+var _difference = function(a, b) {
+  return toDecimal(Number((a - b).toFixed(10)));
+};
+var _levels = function(entries, descending) {
+  const byPrice = /* @__PURE__ */ new Map();
+  (entries || []).forEach(function(entry) {
+    const price = toDecimal(Number(entry.Price));
+    const volume = Number(entry.Volume);
+    if (!isFinite(price) || !(volume > 0))
+      return;
+    byPrice.set(price, toDecimal((byPrice.get(price) || 0) + volume));
+  });
+  const levels = [];
+  byPrice.forEach(function(volume, price) {
+    levels.push({ Price: price, Volume: volume });
+  });
+  return levels.sort(function(a, b) {
+    return descending ? b.Price - a.Price : a.Price - b.Price;
+  });
+};
+var OrderBook = function(symbol, options) {
+  if (!symbol)
+    throw new Error("TickTrader order book symbol should be valid!");
+  options = options || {};
+  this.symbol = symbol;
+  this.depth = options.depth || Infinity;
+  this.bids = [];
+  this.asks = [];
+  this.timestamp = void 0;
+};
+OrderBook.prototype.update = function(level2) {
+  if (level2 && level2.data !== void 0 && level2.status !== void 0)
+    level2 = level2.data;
+  if (Array.isArray(level2)) {
+    const self = this;
+    level2 = level2.find(function(item) {
+      return item && item.Symbol === self.symbol;
+    });
+  }
+  if (!level2 || level2.Symbol !== this.symbol)
+    return false;
+  this.bids = _levels(level2.Bids, true).slice(0, this.depth);
+  this.asks = _levels(level2.Asks, false).slice(0, this.depth);
+  this.timestamp = level2.Timestamp;
+  return true;
+};
+OrderBook.prototype.setLevel = function(side, price, volume) {
+  const name = _side(side);
+  const levels = this[name].filter(function(level) {
+    return level.Price !== toDecimal(Number(price));
+  });
+  levels.push({ Price: price, Volume: volume });
+  this[name] = _levels(levels, name === "bids").slice(0, this.depth);
+};
+OrderBook.prototype.attach = function(stream) {
+  const self = this;
+  const listener = function(update) {
+    self.update(update);
+  };
+  stream.on("level2", listener);
+  return function() {
+    stream.off("level2", listener);
+  };
+};
+OrderBook.prototype.bestBid = function() {
+  return this.bids[0];
+};
+OrderBook.prototype.bestAsk = function() {
+  return this.asks[0];
+};
+OrderBook.prototype.spread = function() {
+  return this.bids.length > 0 && this.asks.length > 0 ? _difference(this.asks[0].Price, this.bids[0].Price) : void 0;
+};
+OrderBook.prototype.mid = function() {
+  return this.bids.length > 0 && this.asks.length > 0 ? toDecimal((this.asks[0].Price + this.bids[0].Price) / 2) : void 0;
+};
+OrderBook.prototype.cumulativeDepth = function(side, levels) {
+  let cumulative = 0;
+  return this[_side(side)].slice(0, levels).map(function(level) {
+    cumulative = toDecimal(cumulative + level.Volume);
+    return { Price: level.Price, Volume: level.Volume, CumulativeVolume: cumulative };
+  });
+};
+OrderBook.prototype.vwap = function(side, amount) {
+  const impact = this.priceImpact(side, amount);
+  return impact.Complete ? impact.Vwap : void 0;
+};
+OrderBook.prototype.priceImpact = function(side, amount) {
+  if (side !== "Buy" && side !== "Sell")
+    throw new Error("TickTrader order book trade side should be 'Buy' or 'Sell'!");
+  if (!(amount > 0))
+    throw new Error("TickTrader order book fill amount should be positive!");
+  const levels = this[_side(side)];
+  let filled = 0;
+  let notional = 0;
+  let used = 0;
+  for (const level of levels) {
+    if (filled >= amount)
+      break;
+    const volume = Math.min(level.Volume, amount - filled);
+    filled += volume;
+    notional += volume * level.Price;
+    used++;
+  }
+  const estimate = { Filled: toDecimal(filled), Complete: filled >= amount, Vwap: void 0, WorstPrice: void 0, Slippage: void 0, Impact: void 0, Levels: used };
+  if (used === 0)
+    return estimate;
+  estimate.Vwap = toDecimal(notional / filled);
+  estimate.WorstPrice = levels[used - 1].Price;
+  estimate.Slippage = side === "Buy" ? _difference(estimate.Vwap, levels[0].Price) : _difference(levels[0].Price, estimate.Vwap);
+  const mid = this.mid();
+  estimate.Impact = mid ? toDecimal(Math.abs(estimate.Vwap - mid) / mid) : void 0;
+  return estimate;
+};
+
+// ttordermanager.mjs
+var PENDING_TYPES4 = ["Limit", "Stop"];
+var FINAL_STATUSES = ["completed", "canceled", "failed"];
+var FILL_TRANSACTIONS = ["OrderFilled", "OrderActivated", "PositionOpened"];
+var CANCEL_TRANSACTIONS = ["OrderCanceled", "OrderExpired"];
+var MemoryStorage = function(state) {
+  this.state = state;
+};
+MemoryStorage.prototype.load = function() {
+  return Promise.resolve(this.state ? JSON.parse(JSON.stringify(this.state)) : void 0);
+};
+MemoryStorage.prototype.save = function(state) {
+  this.state = JSON.parse(JSON.stringify(state));
+  return Promise.resolve();
+};
+var FileStorage = function(path) {
+  if (!path)
+    throw new Error("TickTrader order manager state file path should be valid!");
+  this.path = path;
+};
+FileStorage.prototype.load = function() {
+  const self = this;
+  return import("fs/promises").then(function(fs) {
+    return fs.readFile(self.path, "utf8");
+  }).then(JSON.parse, function(err) {
+    if (err && err.code === "ENOENT")
+      return void 0;
+    throw err;
+  });
+};
+FileStorage.prototype.save = function(state) {
+  const self = this;
+  const temp = this.path + ".tmp";
+  return import("fs/promises").then(function(fs) {
+    return fs.writeFile(temp, JSON.stringify(state, null, 2), "utf8").then(function() {
+      return fs.rename(temp, self.path);
+    });
+  });
+};
+var OrderManager = function(client, options) {
+  if (!client)
+    throw new Error("TickTrader order manager client should be valid!");
+  options = options || {};
+  this.client = client;
+  this.storage = options.storage || new MemoryStorage();
+  this.stream = options.stream || null;
+  this.pollInterval = options.pollInterval !== void 0 ? options.pollInterval : 1e3;
+  this.groups = [];
+  this._listeners = {};
+  this._queue = Promise.resolve();
+  this._running = false;
+  this._timer = null;
+  this._detach = null;
+};
+OrderManager.prototype.on = function(event, listener) {
+  (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+  return this;
+};
+OrderManager.prototype.off = function(event, listener) {
+  const listeners = this._listeners[event];
+  if (listeners && listeners.indexOf(listener) >= 0)
+    listeners.splice(listeners.indexOf(listener), 1);
+  return this;
+};
+OrderManager.prototype._emit = function(event, data) {
+  const listeners = (this._listeners[event] || []).slice();
+  for (const listener of listeners) {
+    try {
+      listener.call(this, data);
+    } catch (err) {
+      if (event !== "error")
+        this._emit("error", err);
+    }
+  }
+};
+OrderManager.prototype._enqueue = function(task) {
+  const result = this._queue.then(task);
+  this._queue = result.catch(function() {
+  });
+  return result;
+};
+OrderManager.prototype._save = function() {
+  return this.storage.save({ version: 1, groups: this.groups });
+};
+OrderManager.prototype._raw = function() {
+  return this.client.raw || this.client;
+};
+OrderManager.prototype.start = function() {
+  const self = this;
+  if (this._running)
+    return Promise.resolve();
+  this._running = true;
+  if (this.stream)
+    this._detach = this.attach(this.stream);
+  return this._enqueue(async function() {
+    const state = await self.storage.load();
+    if (state && Array.isArray(state.groups))
+      self.groups = state.groups;
+    await self._recover();
+  }).then(function() {
+    return self.check();
+  }).then(function() {
+    self._schedule();
+  });
+};
+OrderManager.prototype.stop = function() {
+  this._running = false;
+  if (this._timer)
+    clearTimeout(this._timer);
+  this._timer = null;
+  if (this._detach)
+    this._detach();
+  this._detach = null;
+  return this._queue;
+};
+OrderManager.prototype._schedule = function() {
+  const self = this;
+  if (!this._running || !(this.pollInterval > 0))
+    return;
+  this._timer = setTimeout(function() {
+    self._timer = null;
+    self.check().catch(function(err) {
+      self._emit("error", err);
+    }).then(function() {
+      self._schedule();
+    });
+  }, this.pollInterval);
+};
+OrderManager.prototype.attach = function(stream) {
+  const self = this;
+  const handle = function(outcome) {
+    return function(report) {
+      if (!report || !report.Trade)
+        return;
+      self._enqueue(function() {
+        return self._onOutcome(report.Trade.Id, outcome, report.Trade);
+      }).catch(function(err) {
+        self._emit("error", err);
+      });
+    };
+  };
+  const onFilled = handle("filled");
+  const onCanceled = handle("canceled");
+  stream.on("tradeFilled", onFilled);
+  stream.on("tradeCanceled", onCanceled);
+  return function() {
+    stream.off("tradeFilled", onFilled);
+    stream.off("tradeCanceled", onCanceled);
+  };
+};
+OrderManager.prototype.get = function(groupId) {
+  return this.groups.find(function(group) {
+    return group.id === groupId;
+  });
+};
+OrderManager.prototype._group = function(type, orders) {
+  const group = {
+    id: generateClientId(),
+    type,
+    status: "pending",
+    created: Date.now(),
+    orders: orders.map(function(order) {
+      return { role: order.role, request: order.request, clientId: order.request.ClientId || generateClientId(), id: void 0, status: "placing" };
+    })
+  };
+  this.groups.push(group);
+  return group;
+};
+OrderManager.prototype._create = async function(order) {
+  order.status = "placing";
+  await this._save();
+  try {
+    const trade = (await this._raw().createTrade(Object.assign({}, order.request, { ClientId: order.clientId }))).data;
+    this._applyTrade(order, trade);
+  } catch (err) {
+    order.status = "rejected";
+    order.error = err.message;
+    throw err;
+  }
+};
+OrderManager.prototype._applyTrade = function(order, trade) {
+  order.id = trade.Id;
+  if (PENDING_TYPES4.indexOf(trade.Type) >= 0)
+    order.status = "pending";
+  else {
+    order.status = "filled";
+    order.position = trade.Type === "Position";
+  }
+};
+OrderManager.prototype.placeOco = function(first, second) {
+  const self = this;
+  return this._enqueue(async function() {
+    const group = self._group("oco", [{ role: "first", request: first }, { role: "second", request: second }]);
+    await self._placeOrders(group, group.orders);
+    group.status = "active";
+    await self._save();
+    self._emit("placed", group);
+    await self._checkImmediateFill(group);
+    return group;
+  });
+};
+OrderManager.prototype.placeBracket = function(entry, exits) {
+  const self = this;
+  exits = exits || {};
+  if (exits.stopLoss === void 0 && exits.takeProfit === void 0)
+    return Promise.reject(new Error("TickTrader bracket should have stop loss or take profit price!"));
+  return this._enqueue(async function() {
+    const group = self._group("bracket", [{ role: "entry", request: entry }]);
+    group.exits = { stopLoss: exits.stopLoss, takeProfit: exits.takeProfit };
+    await self._placeOrders(group, group.orders);
+    await self._save();
+    self._emit("placed", group);
+    if (group.orders[0].status === "filled")
+      await self._onFilled(group, group.orders[0]);
+    return group;
+  });
+};
+OrderManager.prototype._placeOrders = async function(group, orders) {
+  try {
+    for (const order of orders)
+      await this._create(order);
+  } catch (err) {
+    await this._cancelPending(group);
+    group.status = "failed";
+    group.error = err.message;
+    await this._save();
+    this._emit("failed", group);
+    throw err;
+  }
+};
+OrderManager.prototype._activate = async function(group) {
+  const entry = group.orders[0];
+  const side = entry.request.Side === "Buy" ? "Sell" : "Buy";
+  const exit = function(role, type, price) {
+    return {
+      role,
+      request: { Type: type, Side: side, Symbol: entry.request.Symbol, Amount: entry.request.Amount, Price: price },
+      clientId: generateClientId(),
+      id: void 0,
+      status: "placing"
+    };
+  };
+  const exits = [];
+  if (group.exits.stopLoss !== void 0)
+    exits.push(exit("stopLoss", "Stop", group.exits.stopLoss));
+  if (group.exits.takeProfit !== void 0)
+    exits.push(exit("takeProfit", "Limit", group.exits.takeProfit));
+  group.orders = group.orders.concat(exits);
+  try {
+    await this._placeOrders(group, exits);
+  } catch (err) {
+    this._emit("error", err);
+    return;
+  }
+  group.status = "active";
+  await this._save();
+  this._emit("activated", group);
+  await this._checkImmediateFill(group);
+};
+OrderManager.prototype._checkImmediateFill = async function(group) {
+  const filled = group.orders.find(function(order) {
+    return order.role !== "entry" && order.status === "filled";
+  });
+  if (filled)
+    await this._onFilled(group, filled);
+};
+OrderManager.prototype._cancelPending = async function(group, except) {
+  const errors = [];
+  for (const order of group.orders) {
+    if (order === except || order.status !== "pending")
+      continue;
+    try {
+      await this._raw().cancelTrade(order.id);
+      order.status = "canceled";
+    } catch (err) {
+      const outcome = err instanceof TickTraderNotFoundError ? await this._outcome(order) : void 0;
+      if (outcome === "canceled")
+        order.status = "canceled";
+      else {
+        if (outcome === "filled")
+          order.status = "filled";
+        errors.push(outcome === "filled" ? new Error("TickTrader order " + order.id + " of group " + group.id + " is filled together with its sibling!") : err);
+      }
+    }
+  }
+  return errors;
+};
+OrderManager.prototype._outcome = async function(order) {
+  for await (const record of this._raw().iterateTradeHistoryByTradeId(order.id, { RequestDirection: "Backward" })) {
+    if (FILL_TRANSACTIONS.indexOf(record.TransactionType) >= 0)
+      return "filled";
+    if (CANCEL_TRANSACTIONS.indexOf(record.TransactionType) >= 0)
+      return "canceled";
+  }
+  return void 0;
+};
+OrderManager.prototype._onOutcome = async function(tradeId, outcome, trade) {
+  for (const group of this.groups) {
+    if (FINAL_STATUSES.indexOf(group.status) >= 0)
+      continue;
+    const order = group.orders.find(function(item) {
+      return item.status === "pending" && String(item.id) === String(tradeId);
+    });
+    if (!order)
+      continue;
+    if (outcome === "filled") {
+      order.position = !!trade && trade.Type === "Position";
+      await this._onFilled(group, order);
+    } else
+      await this._onCanceled(group, order);
+    return;
+  }
+};
+OrderManager.prototype._onFilled = async function(group, order) {
+  order.status = "filled";
+  this._emit("filled", { group, order });
+  if (order.role === "entry") {
+    await this._save();
+    return this._activate(group);
+  }
+  const errors = await this._cancelPending(group, order);
+  const entry = group.type === "bracket" ? group.orders[0] : void 0;
+  if (entry && entry.position && order.position && errors.length === 0) {
+    try {
+      await this._raw().closeByTrade(entry.id, order.id);
+    } catch (err) {
+      errors.push(err);
+    }
+  }
+  group.status = errors.length > 0 ? "failed" : "completed";
+  if (errors.length > 0)
+    group.error = errors[0].message;
+  await this._save();
+  errors.forEach(function(err) {
+    this._emit("error", err);
+  }, this);
+  this._emit(group.status, group);
+};
+OrderManager.prototype._onCanceled = async function(group, order) {
+  order.status = "canceled";
+  const errors = await this._cancelPending(group);
+  group.status = errors.length > 0 ? "failed" : "canceled";
+  await this._save();
+  errors.forEach(function(err) {
+    this._emit("error", err);
+  }, this);
+  this._emit(group.status, group);
+};
+OrderManager.prototype._recover = async function() {
+  const active = this.groups.filter(function(group) {
+    return FINAL_STATUSES.indexOf(group.status) < 0;
+  });
+  if (!active.some(function(group) {
+    return group.orders.some(function(order) {
+      return order.status === "placing";
+    });
+  }))
+    return;
+  const trades = (await this._raw().getAllTrades()).data;
+  for (const group of active) {
+    for (const order of group.orders) {
+      if (order.status !== "placing")
+        continue;
+      const trade = trades.find(function(item) {
+        return item.ClientId === order.clientId;
+      });
+      if (trade) {
+        this._applyTrade(order, trade);
+        continue;
+      }
+      const created = await findCreatedTrade(this.client, order.clientId, group.created);
+      if (created) {
+        order.id = created.data.Id;
+        order.status = "pending";
+      } else
+        order.status = "rejected";
+    }
+    if (group.orders.some(function(order) {
+      return order.status === "rejected";
+    })) {
+      await this._cancelPending(group);
+      group.status = "failed";
+      group.error = "Order placement was interrupted";
+      this._emit("failed", group);
+    } else if (group.status === "pending" && group.type === "oco")
+      group.status = "active";
+  }
+  await this._save();
+};
+OrderManager.prototype.check = function() {
+  const self = this;
+  return this._enqueue(async function() {
+    const active = self.groups.filter(function(group) {
+      return FINAL_STATUSES.indexOf(group.status) < 0;
+    });
+    if (active.length === 0)
+      return;
+    const trades = {};
+    (await self._raw().getAllTrades()).data.forEach(function(trade) {
+      trades[trade.Id] = trade;
+    });
+    for (const group of active) {
+      if (group.type === "bracket" && group.status === "pending" && group.orders[0].status === "filled") {
+        await self._activate(group);
+        continue;
+      }
+      for (const order of group.orders) {
+        if (order.status !== "pending" || FINAL_STATUSES.indexOf(group.status) >= 0)
+          continue;
+        const trade = trades[order.id];
+        if (trade && PENDING_TYPES4.indexOf(trade.Type) >= 0)
+          continue;
+        if (trade && trade.Type === "Position") {
+          order.position = true;
+          await self._onFilled(group, order);
+          continue;
+        }
+        const outcome = await self._outcome(order);
+        if (outcome === "filled")
+          await self._onFilled(group, order);
+        else if (outcome === "canceled")
+          await self._onCanceled(group, order);
+      }
+      const entry = group.orders[0];
+      if (group.type === "bracket" && group.status === "active" && entry.position && !trades[entry.id]) {
+        const errors = await self._cancelPending(group);
+        group.status = errors.length > 0 ? "failed" : "canceled";
+        await self._save();
+        self._emit(group.status, group);
+      }
+    }
+  });
+};
+OrderManager.prototype.cancel = function(groupId) {
+  const self = this;
+  return this._enqueue(async function() {
+    const group = self.get(groupId);
+    if (!group)
+      throw new Error("TickTrader order group " + groupId + " not found!");
+    if (FINAL_STATUSES.indexOf(group.status) >= 0)
+      return group;
+    const errors = await self._cancelPending(group);
+    group.status = errors.length > 0 ? "failed" : "canceled";
+    await self._save();
+    self._emit(group.status, group);
+    if (errors.length > 0)
+      throw errors[0];
+    return group;
+  });
+};
+
+// tttrailingstop.mjs
+var TrailingStopManager = function(client, options) {
+  if (!client)
+    throw new Error("TickTrader trailing stop client should be valid!");
+  options = options || {};
+  if (options.percent !== void 0 ? !(options.percent > 0 && options.percent < 100) : !(options.distance > 0))
+    throw new Error("TickTrader trailing stop should have positive distance or percent (less than 100)!");
+  this.client = client;
+  this.distance = options.distance;
+  this.percent = options.percent;
+  this.minStep = options.minStep || 0;
+  this.throttle = options.throttle !== void 0 ? options.throttle : 1e3;
+  this.dryRun = !!options.dryRun;
+  this.logger = options.logger || console;
+  this.filter = options.filter || null;
+  this.stream = options.stream || null;
+  this.pollInterval = options.pollInterval !== void 0 ? options.pollInterval : 1e3;
+  this.symbols = options.symbols || client.symbolRegistry || new SymbolRegistry(client);
+  this.trades = [];
+  this._listeners = {};
+  this._states = {};
+  this._running = false;
+  this._timer = null;
+  this._detach = null;
+  this._updating = null;
+};
+TrailingStopManager.prototype.on = function(event, listener) {
+  (this._listeners[event] || (this._listeners[event] = [])).push(listener);
+  return this;
+};
+TrailingStopManager.prototype.off = function(event, listener) {
+  const listeners = this._listeners[event];
+  if (listeners && listeners.indexOf(listener) >= 0)
+    listeners.splice(listeners.indexOf(listener), 1);
+  return this;
+};
+TrailingStopManager.prototype._emit = function(event, data) {
+  const listeners = (this._listeners[event] || []).slice();
+  for (const listener of listeners) {
+    try {
+      listener.call(this, data);
+    } catch (err) {
+      if (event !== "error")
+        this._emit("error", err);
+    }
+  }
+};
+TrailingStopManager.prototype._raw = function() {
+  return this.client.raw || this.client;
+};
+TrailingStopManager.prototype.start = function() {
+  const self = this;
+  if (this._running)
+    return Promise.resolve();
+  this._running = true;
+  if (this.stream)
+    this._detach = this.attach(this.stream);
+  return this.update().then(function() {
+    self._schedule();
+  });
+};
+TrailingStopManager.prototype.stop = function() {
+  this._running = false;
+  if (this._timer)
+    clearTimeout(this._timer);
+  this._timer = null;
+  if (this._detach)
+    this._detach();
+  this._detach = null;
+  return this._updating || Promise.resolve();
+};
+TrailingStopManager.prototype._schedule = function() {
+  const self = this;
+  if (!this._running || !(this.pollInterval > 0))
+    return;
+  this._timer = setTimeout(function() {
+    self._timer = null;
+    self.update().catch(function(err) {
+      self._emit("error", err);
+    }).then(function() {
+      self._schedule();
+    });
+  }, this.pollInterval);
+};
+TrailingStopManager.prototype.attach = function(stream) {
+  const self = this;
+  const listener = function(tick) {
+    self.handleTick(tick);
+  };
+  stream.on("tick", listener);
+  return function() {
+    stream.off("tick", listener);
+  };
+};
+TrailingStopManager.prototype.update = function() {
+  const self = this;
+  if (this._updating)
+    return this._updating;
+  const raw = this._raw();
+  this._updating = raw.getAllTrades().then(function(response) {
+    self._setTrades(response.data);
+    const symbols = self.trades.map(function(trade) {
+      return trade.Symbol;
+    }).filter(function(symbol, index, list) {
+      return list.indexOf(symbol) === index;
+    });
+    if (symbols.length === 0)
+      return [];
+    return raw.getTick(symbols.join(" ")).then(function(ticks) {
+      return ticks.data;
+    });
+  }).then(function(ticks) {
+    return Promise.all(ticks.map(function(tick) {
+      return self.handleTick(tick);
+    }));
+  }).then(function() {
+    self._updating = null;
+  }, function(err) {
+    self._updating = null;
+    throw err;
+  });
+  return this._updating;
+};
+TrailingStopManager.prototype._setTrades = function(trades) {
+  const self = this;
+  this.trades = (trades || []).filter(function(trade) {
+    return trade.Type === "Position" && (!self.filter || self.filter(trade));
+  });
+  const states = {};
+  this.trades.forEach(function(trade) {
+    if (self._states[trade.Id])
+      states[trade.Id] = self._states[trade.Id];
+  });
+  this._states = states;
+};
+TrailingStopManager.prototype.handleTick = function(tick) {
+  const self = this;
+  if (!tick)
+    return Promise.resolve();
+  const trades = this.trades.filter(function(trade) {
+    return trade.Symbol === tick.Symbol;
+  });
+  return Promise.all(trades.map(function(trade) {
+    return self._trail(trade, tick).catch(function(err) {
+      self._emit("error", err);
+    });
+  }));
+};
+TrailingStopManager.prototype._stopLoss = function(trade, price) {
+  const offset = this.percent !== void 0 ? price * this.percent / 100 : this.distance;
+  return this.symbols.roundPrice(trade.Symbol, trade.Side === "Buy" ? price - offset : price + offset);
+};
+TrailingStopManager.prototype._trail = async function(trade, tick) {
+  const buy = trade.Side === "Buy";
+  const level = buy ? tick.BestBid : tick.BestAsk;
+  const price = level && Number(level.Price);
+  if (!(price > 0))
+    return;
+  const state = this._states[trade.Id] || (this._states[trade.Id] = { modified: 0, busy: false, stopLoss: void 0 });
+  if (state.busy || Date.now() - state.modified < this.throttle)
+    return;
+  const previous = state.stopLoss !== void 0 && (trade.StopLoss === void 0 || trade.StopLoss === null || (buy ? state.stopLoss > trade.StopLoss : state.stopLoss < trade.StopLoss)) ? state.stopLoss : trade.StopLoss;
+  state.busy = true;
+  try {
+    const stopLoss = await this._stopLoss(trade, price);
+    if (previous !== void 0 && previous !== null) {
+      const move = buy ? stopLoss - previous : previous - stopLoss;
+      if (!(move > 0) || move < this.minStep)
+        return;
+    }
+    state.modified = Date.now();
+    const modification = { Trade: trade, StopLoss: stopLoss, Previous: previous, Price: price, DryRun: this.dryRun };
+    if (this.dryRun)
+      this.logger.log("TickTrader trailing stop (dry run): trade " + trade.Id + " " + trade.Symbol + " " + trade.Side + " StopLoss " + (previous !== void 0 && previous !== null ? previous : "none") + " -> " + stopLoss + " at price " + price);
+    else {
+      await this._raw().modifyTrade({ Id: trade.Id, StopLoss: stopLoss });
+      trade.StopLoss = stopLoss;
+    }
+    state.stopLoss = stopLoss;
+    this._emit("modify", modification);
+  } finally {
+    state.busy = false;
+  }
+};
+
+// ttwebclient.mjs
+var _checkCredentials = function(web_api_id, web_api_key, web_api_secret) {
+  if (!web_api_id)
+    throw new Error("TickTrader Web API Id should be valid!");
+  if (!web_api_key)
+    throw new Error("TickTrader Web API Key should be valid!");
+  if (!web_api_secret)
+    throw new Error("TickTrader Web API Secret should be valid!");
+};
+var _signRequest = function(config, credentials, timestamp) {
+  const web_api_id = credentials.web_api_id;
+  const web_api_key = credentials.web_api_key;
+  _checkCredentials(web_api_id, web_api_key, credentials.web_api_secret);
+  const signature = timestamp + web_api_id + web_api_key + config.method.toUpperCase() + config.url + (config.data ? JSON.stringify(config.data) : "");
+  return hmacSha256(credentials.web_api_secret, signature).then(function(hash) {
+    config.headers = {
+      ...config.headers,
+      "Authorization": `HMAC ${web_api_id}:${web_api_key}:${timestamp}:${hash}`
+    };
+    return config;
+  });
+};
+var _send = function(transport, config, clock, syncClock) {
+  const sent = Date.now();
+  return Promise.resolve().then(function() {
+    return transport.request(config);
+  }).then(function(response) {
+    if (clock)
+      clock.update(response.headers && response.headers["date"], sent, Date.now(), syncClock);
+    if (response.status < 200 || response.status >= 300)
+      throw createTickTraderError(config.method, config.url, response.status, response.data, response.headers);
+    return response;
+  }, function(err) {
+    throw createTickTraderError(config.method, config.url, void 0, void 0, void 0, err);
+  });
+};
+var _iterateHistoryReport = async function* (getPage, request, unwrap) {
+  const pageRequest = Object.assign({}, request);
+  while (true) {
+    const report = (await getPage(pageRequest)).data;
+    const records = report.Records || [];
+    for (const record of records)
+      yield unwrap ? parseModel(record) : record;
+    if (report.IsLastReport || records.length === 0)
+      return;
+    pageRequest.RequestLastId = records[records.length - 1].Id;
+  }
+};
+var _quoteHistoryUrl = function(base, path, timestamp, count) {
+  const query = [];
+  if (timestamp !== void 0 && timestamp !== null)
+    query.push("timestamp=" + formatRequest(timestamp));
+  if (count !== void 0 && count !== null)
+    query.push("count=" + count);
+  const url = base + "/" + path.map(function(segment) {
+    return encodeURIComponent(segment);
+  }).join("/");
+  return query.length > 0 ? url + "?" + query.join("&") : url;
+};
+var _iterateQuoteHistory = async function* (getInfo, getPage, field, request, unwrap) {
+  request = request || {};
+  const pageSize = Math.min(request.RequestPageSize || 1e3, 1e3);
+  const timestampTo = request.TimestampTo !== void 0 ? formatRequest(request.TimestampTo) : Infinity;
+  let timestamp = request.TimestampFrom !== void 0 ? formatRequest(request.TimestampFrom) : (await getInfo()).data.AvailableFrom;
+  let yielded = 0;
+  while (true) {
+    const records = (await getPage(timestamp, pageSize)).data[field] || [];
+    const pageTimestamp = timestamp;
+    let skip = yielded;
+    let progress = false;
+    for (const record of records) {
+      if (record.Timestamp === pageTimestamp && skip > 0) {
+        skip--;
+        continue;
+      }
+      if (record.Timestamp > timestampTo)
+        return;
+      yield unwrap ? parseModel(record) : record;
+      progress = true;
+      if (record.Timestamp === timestamp)
+        yielded++;
+      else {
+        timestamp = record.Timestamp;
+        yielded = 1;
+      }
+    }
+    if (records.length < pageSize)
+      return;
+    if (!progress) {
+      timestamp++;
+      yielded = 0;
+    }
+  }
+};
+var TickTraderPublicClient = function(web_api_address, options) {
+  if (!web_api_address)
+    throw new Error("TickTrader Web API address should be valid!");
+  options = options || {};
+  this.web_api_address = web_api_address;
+  this.isAuthenticated = false;
+  this.unwrap = !!options.unwrap;
+  this.retryPolicy = options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry === true ? {} : options.retry || { retries: 0 });
+  this.rateLimiter = options.rateLimit instanceof RateLimiter ? options.rateLimit : options.rateLimit ? new RateLimiter(options.rateLimit === true ? {} : options.rateLimit) : null;
+  this.transport = options.transport || new FetchTransport();
+  this.clock = options.clock === false ? null : options.clock instanceof ServerClock ? options.clock : new ServerClock(options.clock);
+  const raw = this.unwrap ? Object.create(this, { unwrap: { value: false } }) : this;
+  Object.defineProperty(raw, "raw", { value: raw });
+  if (raw !== this)
+    Object.defineProperty(this, "raw", { value: raw });
+};
+TickTraderPublicClient.prototype._request = function(config, options) {
+  options = options || {};
+  const self = this;
+  const send = function() {
+    const attemptConfig = Object.assign({}, config);
+    if (!options.signed)
+      return _send(self.transport, attemptConfig, self.clock, options.syncClock);
+    if (!self.credentials)
+      return Promise.reject(new Error("TickTrader Web API client is not authenticated! Pass Web API credentials to use account and trade endpoints."));
+    return self.credentials.getCredentials().then(function(credentials) {
+      return _signRequest(attemptConfig, credentials, self.clock ? self.clock.now() : Date.now());
+    }).then(function(signed) {
+      return _send(self.transport, signed, self.clock);
+    });
+  };
+  const schedule = function() {
+    return self.rateLimiter ? self.rateLimiter.schedule(endpointClass(config.method, config.url), send) : send();
+  };
+  let resynced = false;
+  let refreshed = false;
+  const attempt = function() {
+    return schedule().catch(function(err) {
+      if (err instanceof TickTraderClockSkewError && self.clock && !resynced) {
+        resynced = true;
+        return self.syncClock().then(attempt);
+      }
+      if (err instanceof TickTraderAuthError && !(err instanceof TickTraderClockSkewError) && options.signed && !refreshed && self.credentials && typeof self.credentials.invalidate === "function" && self.credentials.invalidate()) {
+        refreshed = true;
+        return attempt();
+      }
+      throw err;
+    });
+  };
+  const response = this.retryPolicy.execute(attempt, {
+    idempotent: options.idempotent !== void 0 ? options.idempotent : config.method.toUpperCase() === "GET",
+    reconcile: options.reconcile
+  });
+  return this.unwrap ? response.then(function(result) {
+    return parseModel(result.data);
+  }) : response;
+};
+TickTraderPublicClient.prototype.syncClock = function() {
+  const self = this;
+  if (!this.clock)
+    return Promise.reject(new Error("TickTrader Web API client clock synchronization is disabled!"));
+  return this.raw._request({ method: "GET", url: this.web_api_address + "/api/v2/public/tradesession" }, { syncClock: true }).then(function() {
+    return self.clock.offset;
+  });
+};
+TickTraderPublicClient.prototype.getPublicTradeSession = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/tradesession" });
+};
+TickTraderPublicClient.prototype.getPublicAllCurrencies = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/currency" });
+};
+TickTraderPublicClient.prototype.getPublicCurrency = function(currency) {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/currency/" + encodeURIComponent(currency) });
+};
+TickTraderPublicClient.prototype.getPublicAllSymbols = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/symbol" });
+};
+TickTraderPublicClient.prototype.getPublicSymbol = function(symbol) {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/symbol/" + encodeURIComponent(symbol) });
+};
+TickTraderPublicClient.prototype.getPublicAllTicks = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/tick" });
+};
+TickTraderPublicClient.prototype.getPublicTick = function(symbol) {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/tick/" + encodeURIComponent(symbol) });
+};
+TickTraderPublicClient.prototype.getPublicAllTicksLevel2 = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/level2" });
+};
+TickTraderPublicClient.prototype.getPublicTickLevel2 = function(symbol) {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/level2/" + encodeURIComponent(symbol) });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistorySymbols = function() {
+  return this._request({ method: "GET", url: this.web_api_address + "/api/v2/public/quotehistory/symbols" });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistoryPeriodicities = function(symbol) {
+  return this._request({ method: "GET", url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "periodicities"]) });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistoryBarsInfo = function(symbol, periodicity, priceType) {
+  return this._request({ method: "GET", url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase(), "info"]) });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistoryBars = function(symbol, periodicity, priceType, timestamp, count) {
+  return this._request({ method: "GET", url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase()], timestamp, count) });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistoryTicksInfo = function(symbol) {
+  return this._request({ method: "GET", url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "ticks", "info"]) });
+};
+TickTraderPublicClient.prototype.getPublicQuoteHistoryTicks = function(symbol, timestamp, count) {
+  return this._request({ method: "GET", url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "ticks"], timestamp, count) });
+};
+TickTraderPublicClient.prototype.iteratePublicQuoteHistoryBars = function(symbol, periodicity, priceType, request) {
+  const raw = this.raw;
+  return _iterateQuoteHistory(
+    raw.getPublicQuoteHistoryBarsInfo.bind(raw, symbol, periodicity, priceType),
+    raw.getPublicQuoteHistoryBars.bind(raw, symbol, periodicity, priceType),
+    "Bars",
+    request,
+    this.unwrap
+  );
+};
+TickTraderPublicClient.prototype.iteratePublicQuoteHistoryTicks = function(symbol, request) {
+  const raw = this.raw;
+  return _iterateQuoteHistory(
+    raw.getPublicQuoteHistoryTicksInfo.bind(raw, symbol),
+    raw.getPublicQuoteHistoryTicks.bind(raw, symbol),
+    "Ticks",
+    request,
+    this.unwrap
+  );
+};
+var _isAnonymous = function(web_api_id, web_api_key, web_api_secret) {
+  const provider = !!web_api_id && typeof web_api_id.getCredentials === "function";
+  return !provider && (!web_api_id || !web_api_key || !web_api_secret);
+};
+var TickTraderWebClient = function(web_api_address, web_api_id, web_api_key, web_api_secret, options) {
+  const provider = !!web_api_id && typeof web_api_id.getCredentials === "function";
+  if (provider && options === void 0 && typeof web_api_key === "object")
+    options = web_api_key;
+  TickTraderPublicClient.call(this, web_api_address, options);
+  const anonymous = _isAnonymous(web_api_id, web_api_key, web_api_secret);
+  this.credentials = anonymous ? null : credentialsProvider(web_api_id, web_api_key, web_api_secret);
+  this.isAuthenticated = !anonymous;
+  options = options || {};
+  this.validate = options.validate === "strict" ? "strict" : options.validate !== false;
+  this.autoClientId = options.autoClientId !== false;
+  this.symbolRegistry = options.symbols instanceof SymbolRegistry ? options.symbols : options.symbols ? new SymbolRegistry(this, options.symbols === true ? {} : options.symbols) : null;
+  this.riskGuard = options.risk instanceof RiskGuard ? options.risk : options.risk ? new RiskGuard(this, options.risk) : null;
+};
+TickTraderWebClient.prototype = Object.create(TickTraderPublicClient.prototype);
+TickTraderWebClient.prototype.constructor = TickTraderWebClient;
+TickTraderWebClient.prototype._signedRequest = function(config, options) {
+  if (config.data !== void 0)
+    config.data = formatRequest(config.data);
+  return this._request(config, Object.assign({}, options, { signed: true }));
+};
+TickTraderWebClient.prototype.setCredentials = function(web_api_id, web_api_key, web_api_secret) {
+  const client = Object.getPrototypeOf(this).raw === this ? Object.getPrototypeOf(this) : this;
+  const anonymous = _isAnonymous(web_api_id, web_api_key, web_api_secret);
+  client.credentials = anonymous ? null : credentialsProvider(web_api_id, web_api_key, web_api_secret);
+  client.isAuthenticated = !anonymous;
+};
+TickTraderWebClient.prototype.getAccount = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/account"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getTradeSession = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/tradesession"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllCurrencies = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/currency"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getCurrency = function(currency) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/currency/" + encodeURIComponent(currency)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllSymbols = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/symbol"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getSymbol = function(symbol) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/symbol/" + encodeURIComponent(symbol)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllTicks = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/tick"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getTick = function(symbol) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/tick/" + encodeURIComponent(symbol)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllTicksLevel2 = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/level2"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getTickLevel2 = function(symbol) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/level2/" + encodeURIComponent(symbol)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistorySymbols = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/quotehistory/symbols"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistoryPeriodicities = function(symbol) {
+  const config = {
+    method: "GET",
+    url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "periodicities"])
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistoryBarsInfo = function(symbol, periodicity, priceType) {
+  const config = {
+    method: "GET",
+    url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase(), "info"])
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistoryBars = function(symbol, periodicity, priceType, timestamp, count) {
+  const config = {
+    method: "GET",
+    url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase()], timestamp, count)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistoryTicksInfo = function(symbol) {
+  const config = {
+    method: "GET",
+    url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "ticks", "info"])
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getQuoteHistoryTicks = function(symbol, timestamp, count) {
+  const config = {
+    method: "GET",
+    url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "ticks"], timestamp, count)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.iterateQuoteHistoryBars = function(symbol, periodicity, priceType, request) {
+  const raw = this.raw;
+  return _iterateQuoteHistory(
+    raw.getQuoteHistoryBarsInfo.bind(raw, symbol, periodicity, priceType),
+    raw.getQuoteHistoryBars.bind(raw, symbol, periodicity, priceType),
+    "Bars",
+    request,
+    this.unwrap
+  );
+};
+TickTraderWebClient.prototype.iterateQuoteHistoryTicks = function(symbol, request) {
+  const raw = this.raw;
+  return _iterateQuoteHistory(
+    raw.getQuoteHistoryTicksInfo.bind(raw, symbol),
+    raw.getQuoteHistoryTicks.bind(raw, symbol),
+    "Ticks",
+    request,
+    this.unwrap
+  );
+};
+TickTraderWebClient.prototype.getAllAssets = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/asset"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAsset = function(currency) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/asset/" + encodeURIComponent(currency)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllPositions = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/position"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getPosition = function(symbol) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/position/" + encodeURIComponent(symbol)
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getAllTrades = function() {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/trade"
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.getTrade = function(tradeId) {
+  const config = {
+    method: "GET",
+    url: this.web_api_address + "/api/v2/trade/" + tradeId
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.order = function(symbol) {
+  return new OrderBuilder(this, symbol);
+};
+TickTraderWebClient.prototype.createTrade = function(request) {
+  const self = this;
+  const send = function(request2) {
+    const config = {
+      method: "POST",
+      url: self.web_api_address + "/api/v2/trade",
+      data: request2,
+      headers: {
+        "Content-Type": "application/json"
+      }
+    };
+    const clientId = request2 && request2.ClientId;
+    const since = self.clock ? self.clock.now() : Date.now();
+    return self._signedRequest(config, {
+      reconcile: clientId ? function() {
+        return findCreatedTrade(self, clientId, since);
+      } : void 0
+    });
+  };
+  const error = this.validate ? validationError("create trade", validateCreateTrade(request, { strict: this.validate === "strict" })) : void 0;
+  if (error)
+    return Promise.reject(error);
+  if (this.autoClientId && request && !request.ClientId)
+    request = Object.assign({}, request, { ClientId: generateClientId() });
+  const guard = function(request2) {
+    return self.riskGuard ? self.riskGuard.checkCreateTrade(request2).then(function() {
+      return send(request2);
+    }) : send(request2);
+  };
+  return this.symbolRegistry ? this.symbolRegistry.prepareTrade(request).then(guard) : guard(request);
+};
+TickTraderWebClient.prototype.modifyTrade = function(request) {
+  const self = this;
+  const config = {
+    method: "PUT",
+    url: this.web_api_address + "/api/v2/trade",
+    data: request,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+  const send = function() {
+    return self.riskGuard ? self.riskGuard.checkModifyTrade(request).then(function() {
+      return self._signedRequest(config);
+    }) : self._signedRequest(config);
+  };
+  if (!this.validate)
+    return send();
+  const strict = { strict: this.validate === "strict" };
+  const error = validationError("modify trade", validateModifyTrade(request, void 0, strict));
+  if (error)
+    return Promise.reject(error);
+  const hasPrice = request.Price !== void 0 && request.Price !== null;
+  const hasExpiration = request.ExpiredTimestamp !== void 0 && request.ExpiredTimestamp !== null;
+  if (!hasPrice && !hasExpiration)
+    return send();
+  return this.raw.getTrade(request.Id).then(function(trade) {
+    const error2 = validationError("modify trade", validateModifyTrade(request, trade.data, strict));
+    if (error2)
+      throw error2;
+    return send();
+  });
+};
+TickTraderWebClient.prototype.cancelTrade = function(tradeId) {
+  const config = {
+    method: "DELETE",
+    url: this.web_api_address + "/api/v2/trade?type=Cancel&id=" + tradeId
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.closeTrade = function(tradeId, amount) {
+  const url = amount ? `${this.web_api_address}/api/v2/trade?type=Close&id=${tradeId}&amount=${amount}` : `${this.web_api_address}/api/v2/trade?type=Close&id=${tradeId}`;
+  const config = {
+    method: "DELETE",
+    url
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.closeByTrade = function(tradeId, byTradeId) {
+  const config = {
+    method: "DELETE",
+    url: this.web_api_address + "/api/v2/trade?type=CloseBy&id=" + tradeId + "&byid=" + byTradeId
+  };
+  return this._signedRequest(config);
+};
+TickTraderWebClient.prototype.closeAllTrades = function(request) {
+  return closeAllTrades(this.raw, request);
+};
+TickTraderWebClient.prototype.cancelAllPending = function(request) {
+  return cancelAllPending(this.raw, request);
+};
+TickTraderWebClient.prototype.flattenAccount = function(request) {
+  return flattenAccount(this.raw, request);
+};
+TickTraderWebClient.prototype.getTradeHistory = function(request) {
+  const config = {
+    method: "POST",
+    url: this.web_api_address + "/api/v2/tradehistory",
+    data: request,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+  return this._signedRequest(config, { idempotent: true });
+};
+TickTraderWebClient.prototype.getTradeHistoryByTradeId = function(tradeId, request) {
+  const config = {
+    method: "POST",
+    url: this.web_api_address + "/api/v2/tradehistory/" + tradeId,
+    data: request,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+  return this._signedRequest(config, { idempotent: true });
+};
+TickTraderWebClient.prototype.iterateTradeHistory = function(request) {
+  return _iterateHistoryReport(this.raw.getTradeHistory.bind(this.raw), request, this.unwrap);
+};
+TickTraderWebClient.prototype.iterateTradeHistoryByTradeId = function(tradeId, request) {
+  return _iterateHistoryReport(this.raw.getTradeHistoryByTradeId.bind(this.raw, tradeId), request, this.unwrap);
+};
+TickTraderWebClient.prototype.getDailySnapshots = function(request) {
+  const config = {
+    method: "POST",
+    url: this.web_api_address + "/api/v2/dailysnapshots",
+    data: request,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+  return this._signedRequest(config, { idempotent: true });
+};
+TickTraderWebClient.prototype.iterateDailySnapshots = function(request) {
+  return _iterateHistoryReport(this.raw.getDailySnapshots.bind(this.raw), request, this.unwrap);
+};
+TickTraderWebClient.prototype.getBalanceHistory = function(request) {
+  const config = {
+    method: "POST",
+    url: this.web_api_address + "/api/v2/balancehistory",
+    data: request,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+  return this._signedRequest(config, { idempotent: true });
+};
+TickTraderWebClient.prototype.iterateBalanceHistory = function(request) {
+  return _iterateHistoryReport(this.raw.getBalanceHistory.bind(this.raw), request, this.unwrap);
+};
+TickTraderWebClient.prototype.getEquitySeries = async function(request) {
+  const historyRequest = Object.assign({}, request, { RequestDirection: "Forward" });
+  const snapshots = [];
+  for await (const snapshot of this.raw.iterateDailySnapshots(historyRequest))
+    snapshots.push(snapshot);
+  const records = [];
+  for await (const record of this.raw.iterateTradeHistory(historyRequest))
+    records.push(record);
+  const series = buildEquitySeries(snapshots, records);
+  return this.unwrap ? parseModel(series) : series;
+};
+
+// ttbrowser.mjs
+var _noop = function() {
+};
+var _deferred = function(executor) {
+  const jQuery = globalThis.jQuery;
+  if (jQuery && jQuery.Deferred) {
+    const deferred = jQuery.Deferred();
+    executor(deferred.resolve, deferred.reject);
+    const result = deferred.promise();
+    result.error = result.fail;
+    result.success = result.done;
+    return result;
+  }
+  const promise = new Promise(function(resolve, reject) {
+    executor(resolve, function(xhr, textStatus, errorThrown) {
+      const error = xhr.error || new Error("TickTrader Web API request failed: " + (errorThrown || textStatus));
+      error.xhr = xhr;
+      error.textStatus = textStatus;
+      error.errorThrown = errorThrown;
+      reject(error);
+    });
+  });
+  promise.catch(_noop);
+  promise.done = promise.success = function(callback) {
+    promise.then(callback, _noop);
+    return promise;
+  };
+  promise.fail = promise.error = function(callback) {
+    promise.then(null, function(error) {
+      callback(error.xhr, error.textStatus, error.errorThrown);
+    });
+    return promise;
+  };
+  promise.always = function(callback) {
+    return promise.done(callback).fail(callback);
+  };
+  promise.promise = function() {
+    return promise;
+  };
+  return promise;
+};
+var _xhr = function(err) {
+  const payload = err && err.payload;
+  return {
+    status: err && err.status || 0,
+    statusText: err && err.status ? "error" : "network error",
+    responseText: payload === void 0 ? "" : typeof payload === "string" ? payload : JSON.stringify(payload),
+    responseJSON: typeof payload === "object" ? payload : void 0,
+    error: err
+  };
+};
+var _isResponse = function(value) {
+  return !!value && typeof value === "object" && typeof value.status === "number" && "data" in value && "headers" in value;
+};
+var TickTraderWebClient2 = function(web_api_address, web_api_id, web_api_key, web_api_secret, options) {
+  this.client = new TickTraderWebClient(web_api_address, web_api_id, web_api_key, web_api_secret, options);
+  this.web_api_address = web_api_address;
+};
+var _wrap = function(name) {
+  return function() {
+    const client = this.client;
+    const result = client[name].apply(client, arguments);
+    if (!result || typeof result.then !== "function")
+      return result;
+    return _deferred(function(resolve, reject) {
+      result.then(function(value) {
+        resolve(_isResponse(value) ? value.data : value);
+      }, function(err) {
+        reject(_xhr(err), "error", err && err.message || String(err));
+      });
+    });
+  };
+};
+[TickTraderPublicClient.prototype, TickTraderWebClient.prototype].forEach(function(prototype) {
+  Object.getOwnPropertyNames(prototype).forEach(function(name) {
+    if (name !== "constructor" && name[0] !== "_" && typeof prototype[name] === "function")
+      TickTraderWebClient2.prototype[name] = _wrap(name);
+  });
+});
+TickTraderWebClient2.TickTraderWebClient = TickTraderWebClient2;
+return module.exports.TickTraderWebClient;
+}));
@@ -1,60 +1,294 @@
 /**
- * JavaScript TickTrader Web API client for Node.js (ESM)
+ * JavaScript TickTrader Web API client for browsers, Deno, Bun and Node.js 18+ (ESM)
  * Modified for ESM compatibility on 06.08.2025
  */
 
-import axios from 'axios';
-import { createHmac } from 'crypto';
+import { hmacSha256 } from './ttcrypto.mjs';
+import { parseModel, formatRequest } from './ttmodels.mjs';
+import { createTickTraderError, TickTraderAuthError, TickTraderClockSkewError } from './tterrors.mjs';
+import { RetryPolicy } from './ttretry.mjs';
+import { RateLimiter, endpointClass } from './ttratelimiter.mjs';
+import { FetchTransport } from './tttransport.mjs';
+import { ServerClock } from './ttclock.mjs';
+import { credentialsProvider } from './ttcredentials.mjs';
+import { buildEquitySeries } from './ttaccounthistory.mjs';
+import { SymbolRegistry } from './ttsymbols.mjs';
+import { validateCreateTrade, validateModifyTrade, validationError } from './ttvalidation.mjs';
+import { OrderBuilder, generateClientId } from './ttorderbuilder.mjs';
+import { closeAllTrades, cancelAllPending, flattenAccount } from './ttbatch.mjs';
+import { RiskGuard } from './ttrisk.mjs';
+import { findCreatedTrade } from './tttradehistory.mjs';
 
 /**
- * Sign request with HMAC-SHA256
- * @param config Axios request config
+ * Check Web API credentials
  */
-const _signRequest = function(config, web_api_id, web_api_key, web_api_secret) {
+const _checkCredentials = function(web_api_id, web_api_key, web_api_secret) {
     if (!web_api_id)
         throw new Error("TickTrader Web API Id should be valid!");
     if (!web_api_key)
         throw new Error("TickTrader Web API Key should be valid!");
     if (!web_api_secret)
         throw new Error("TickTrader Web API Secret should be valid!");
+};
+
+/**
+ * Sign request with HMAC-SHA256
+ * @param config Transport request config
+ * @param credentials Web API credentials `{ web_api_id, web_api_key, web_api_secret }`
+ * @param timestamp Signature timestamp (server time)
+ * @returns Promise with the signed request config
+ */
+const _signRequest = function(config, credentials, timestamp) {
+    const web_api_id = credentials.web_api_id;
+    const web_api_key = credentials.web_api_key;
+    _checkCredentials(web_api_id, web_api_key, credentials.web_api_secret);
 
-    const timestamp = Date.now();
     const signature = timestamp + web_api_id + web_api_key + config.method.toUpperCase() + config.url + (config.data ? JSON.stringify(config.data) : "");
-    const hash = createHmac('sha256', web_api_secret)
-                      .update(signature)
-                      .digest('base64');
+    return hmacSha256(credentials.web_api_secret, signature).then(function(hash) {
+        config.headers = {
+            ...config.headers,
+            'Authorization': `HMAC ${web_api_id}:${web_api_key}:${timestamp}:${hash}`
+        };
+        return config;
+    });
+};
 
-    config.headers = {
-        ...config.headers,
-        'Authorization': `HMAC ${web_api_id}:${web_api_key}:${timestamp}:${hash}`
-    };
-    return config;
+/**
+ * Send Web API request through the transport
+ * Failed requests are rejected with TickTraderError subclasses.
+ * Server clock offset is updated from the response `Date` header.
+ * @param transport HTTP transport
+ * @param config Transport request config
+ * @param clock Server clock (optional)
+ * @param syncClock Apply the estimated clock offset even if it is within the clock tolerance
+ * @returns Raw transport response
+ */
+const _send = function(transport, config, clock, syncClock) {
+    const sent = Date.now();
+    return Promise.resolve().then(function() {
+        return transport.request(config);
+    }).then(function(response) {
+        if (clock)
+            clock.update(response.headers && response.headers['date'], sent, Date.now(), syncClock);
+        if (response.status < 200 || response.status >= 300)
+            throw createTickTraderError(config.method, config.url, response.status, response.data, response.headers);
+        return response;
+    }, function(err) {
+        throw createTickTraderError(config.method, config.url, undefined, undefined, undefined, err);
+    });
 };
 
-const TickTraderWebClient = function(web_api_address, web_api_id, web_api_key, web_api_secret) {
+/**
+ * Iterate history report records page by page (trade history, daily snapshots, balance history)
+ * Next page is requested from the last received record until the last report.
+ * @param getPage Function requesting a single raw history report page
+ * @param request History request
+ * @param unwrap Yield parsed model records instead of raw ones
+ */
+const _iterateHistoryReport = async function*(getPage, request, unwrap) {
+    const pageRequest = Object.assign({}, request);
+    while (true) {
+        const report = (await getPage(pageRequest)).data;
+        const records = report.Records || [];
+        for (const record of records)
+            yield unwrap ? parseModel(record) : record;
+        if (report.IsLastReport || records.length === 0)
+            return;
+        pageRequest.RequestLastId = records[records.length - 1].Id;
+    }
+};
+
+/**
+ * Get quote history request URL
+ * @param base Quote history base URL (public or signed one)
+ * @param path List of path segments
+ * @param timestamp Request timestamp (ms or Date, optional)
+ * @param count Number of requested records, negative for the backward direction (optional)
+ * @returns Request URL
+ */
+const _quoteHistoryUrl = function(base, path, timestamp, count) {
+    const query = [];
+    if (timestamp !== undefined && timestamp !== null)
+        query.push("timestamp=" + formatRequest(timestamp));
+    if (count !== undefined && count !== null)
+        query.push("count=" + count);
+    const url = base + "/" + path.map(function(segment) { return encodeURIComponent(segment); }).join("/");
+    return query.length > 0 ? url + "?" + query.join("&") : url;
+};
+
+/**
+ * Iterate quote history bars or ticks page by page in the forward direction
+ * Next page is requested from the last received timestamp, records with that timestamp which were already
+ * yielded are skipped. Iteration starts from the first available record if `TimestampFrom` is not given.
+ * @param getInfo Function requesting raw quote history info (available range)
+ * @param getPage Function requesting a single raw quote history page (timestamp, count)
+ * @param field Report field holding the records ("Bars" or "Ticks")
+ * @param request Quote history request
+ * @param unwrap Yield parsed model records instead of raw ones
+ */
+const _iterateQuoteHistory = async function*(getInfo, getPage, field, request, unwrap) {
+    request = request || {};
+    const pageSize = Math.min(request.RequestPageSize || 1000, 1000);
+    const timestampTo = request.TimestampTo !== undefined ? formatRequest(request.TimestampTo) : Infinity;
+    let timestamp = request.TimestampFrom !== undefined ? formatRequest(request.TimestampFrom) : (await getInfo()).data.AvailableFrom;
+    // Number of records with the current timestamp which were already yielded
+    let yielded = 0;
+    while (true) {
+        const records = (await getPage(timestamp, pageSize)).data[field] || [];
+        const pageTimestamp = timestamp;
+        let skip = yielded;
+        let progress = false;
+        for (const record of records) {
+            if (record.Timestamp === pageTimestamp && skip > 0) {
+                skip--;
+                continue;
+            }
+            if (record.Timestamp > timestampTo)
+                return;
+            yield unwrap ? parseModel(record) : record;
+            progress = true;
+            if (record.Timestamp === timestamp)
+                yielded++;
+            else {
+                timestamp = record.Timestamp;
+                yielded = 1;
+            }
+        }
+        if (records.length < pageSize)
+            return;
+        // Full page of already yielded records with the same timestamp, continue after it
+        if (!progress) {
+            timestamp++;
+            yielded = 0;
+        }
+    }
+};
+
+/**
+ * TickTrader Web API public client
+ * Only public endpoints (`getPublic*()` methods) are available and the client never holds Web API credentials,
+ * so it is suitable for market data tools. Use TickTraderWebClient for account and trade endpoints.
+ * Client options:
+ * - **unwrap** (optional) - Resolve methods with parsed model objects (`Date` timestamps, decimal-safe numbers)
+ *   instead of raw responses. Raw responses remain available through `client.raw`.
+ * - **retry** (optional) - Retry policy for transient failures: `true` for defaults, RetryPolicy options or
+ *   RetryPolicy instance. Read-only requests are retried on network, server (5xx) and throttling failures;
+ *   `createTrade()` is retried only with `ClientId` after checking that the trade was not created yet.
+ *   Other trade modifications are never retried. Default is no retries.
+ * - **rateLimit** (optional) - Client-side rate limiter: `true` for defaults, RateLimiter options or RateLimiter instance.
+ *   Requests are queued by endpoint class budgets and trade requests are dispatched before feed requests.
+ *   Default is no limiter.
+ * - **transport** (optional) - HTTP transport with `request(config)` method (FetchTransport, AxiosTransport,
+ *   RecordingTransport or custom one). Default is FetchTransport.
+ * - **clock** (optional) - Server clock for signature timestamps: ServerClock options or ServerClock instance.
+ *   The offset is estimated from response `Date` headers; requests rejected for the timestamp skew are repeated once
+ *   after `syncClock()`. `false` signs requests with the local time. Default is a new ServerClock.
+ * @param web_api_address Web API address (e.g. "https://ttdemowebapi.soft-fx.com:8443")
+ * @param options Client options (optional)
+ */
+const TickTraderPublicClient = function(web_api_address, options) {
     if (!web_api_address)
         throw new Error("TickTrader Web API address should be valid!");
 
+    options = options || {};
     this.web_api_address = web_api_address;
-    this.web_api_id = web_api_id;
-    this.web_api_key = web_api_key;
-    this.web_api_secret = web_api_secret;
+    this.isAuthenticated = false;
+    this.unwrap = !!options.unwrap;
+    this.retryPolicy = options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry === true ? {} : options.retry || { retries: 0 });
+    this.rateLimiter = options.rateLimit instanceof RateLimiter ? options.rateLimit : options.rateLimit ? new RateLimiter(options.rateLimit === true ? {} : options.rateLimit) : null;
+    this.transport = options.transport || new FetchTransport();
+    this.clock = options.clock === false ? null : options.clock instanceof ServerClock ? options.clock : new ServerClock(options.clock);
+
+    // Raw view shares the client state and resolves methods with raw transport responses
+    const raw = this.unwrap ? Object.create(this, { unwrap: { value: false } }) : this;
+    Object.defineProperty(raw, 'raw', { value: raw });
+    if (raw !== this)
+        Object.defineProperty(this, 'raw', { value: raw });
+};
+
+/**
+ * Send Web API request according to the client retry policy
+ * Request options:
+ * - **signed** (optional) - Sign each request attempt with a fresh timestamp
+ * - **syncClock** (optional) - Synchronize the server clock with the response `Date` header
+ * - **idempotent** (optional) - Request can be repeated safely. Default is `true` for GET requests.
+ * - **reconcile** (optional) - Callback checking if the failed non-idempotent request was applied (see RetryPolicy)
+ * @param config Transport request config
+ * @param options Request options (optional)
+ * @returns Raw transport response or parsed response data in unwrap mode
+ */
+TickTraderPublicClient.prototype._request = function(config, options) {
+    options = options || {};
+    const self = this;
+
+    // Requests are signed when they leave the rate limiter queue, so the signature timestamp is fresh
+    const send = function() {
+        const attemptConfig = Object.assign({}, config);
+        if (!options.signed)
+            return _send(self.transport, attemptConfig, self.clock, options.syncClock);
+        if (!self.credentials)
+            return Promise.reject(new Error("TickTrader Web API client is not authenticated! Pass Web API credentials to use account and trade endpoints."));
+        return self.credentials.getCredentials().then(function(credentials) {
+            return _signRequest(attemptConfig, credentials, self.clock ? self.clock.now() : Date.now());
+        }).then(function(signed) {
+            return _send(self.transport, signed, self.clock);
+        });
+    };
+    const schedule = function() {
+        return self.rateLimiter ? self.rateLimiter.schedule(endpointClass(config.method, config.url), send) : send();
+    };
+    // Requests rejected for the timestamp skew or outdated credentials were not applied,
+    // so they are repeated once after the clock synchronization or credentials refresh
+    let resynced = false;
+    let refreshed = false;
+    const attempt = function() {
+        return schedule().catch(function(err) {
+            if (err instanceof TickTraderClockSkewError && self.clock && !resynced) {
+                resynced = true;
+                return self.syncClock().then(attempt);
+            }
+            if (err instanceof TickTraderAuthError && !(err instanceof TickTraderClockSkewError) && options.signed && !refreshed &&
+                self.credentials && typeof self.credentials.invalidate === 'function' && self.credentials.invalidate()) {
+                refreshed = true;
+                return attempt();
+            }
+            throw err;
+        });
+    };
+    const response = this.retryPolicy.execute(attempt, {
+        idempotent: options.idempotent !== undefined ? options.idempotent : config.method.toUpperCase() === 'GET',
+        reconcile: options.reconcile
+    });
+    return this.unwrap ? response.then(function(result) { return parseModel(result.data); }) : response;
+};
+
+/**
+ * Synchronize the server clock with the `Date` header of the public trade session response
+ * @returns Promise with the server time offset from the local clock (ms)
+ */
+TickTraderPublicClient.prototype.syncClock = function() {
+    const self = this;
+    if (!this.clock)
+        return Promise.reject(new Error("TickTrader Web API client clock synchronization is disabled!"));
+    return this.raw._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/tradesession" }, { syncClock: true }).then(function() {
+        return self.clock.offset;
+    });
 };
 
 /**
  * Get public trade session information
  * @returns Public trade session information
  */
-TickTraderWebClient.prototype.getPublicTradeSession = function() {
-    return axios.get(this.web_api_address + "/api/v2/public/tradesession");
+TickTraderPublicClient.prototype.getPublicTradeSession = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/tradesession" });
 };
 
 /**
  * Get list of all available public currencies
  * @returns List of all available public currencies
  */
-TickTraderWebClient.prototype.getPublicAllCurrencies = function() {
-    return axios.get(this.web_api_address + "/api/v2/public/currency");
+TickTraderPublicClient.prototype.getPublicAllCurrencies = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/currency" });
 };
 
 /**
@@ -62,16 +296,16 @@ TickTraderWebClient.prototype.getPublicAllCurrencies = function() {
  * @param currency Currency name
  * @returns Public currency with the given name
  */
-TickTraderWebClient.prototype.getPublicCurrency = function(currency) {
-    return axios.get(this.web_api_address + "/api/v2/public/currency/" + encodeURIComponent(currency));
+TickTraderPublicClient.prototype.getPublicCurrency = function(currency) {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/currency/" + encodeURIComponent(currency) });
 };
 
 /**
  * Get list of all available public symbols
  * @returns List of all available public symbols
  */
-TickTraderWebClient.prototype.getPublicAllSymbols = function() {
-    return axios.get(this.web_api_address + "/api/v2/public/symbol");
+TickTraderPublicClient.prototype.getPublicAllSymbols = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/symbol" });
 };
 
 /**
@@ -79,16 +313,16 @@ TickTraderWebClient.prototype.getPublicAllSymbols = function() {
  * @param symbol Symbol name
  * @returns Public symbol with the given name
  */
-TickTraderWebClient.prototype.getPublicSymbol = function(symbol) {
-    return axios.get(this.web_api_address + "/api/v2/public/symbol/" + encodeURIComponent(symbol));
+TickTraderPublicClient.prototype.getPublicSymbol = function(symbol) {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/symbol/" + encodeURIComponent(symbol) });
 };
 
 /**
  * Get list of all available public feed ticks
  * @returns List of all available public feed ticks
  */
-TickTraderWebClient.prototype.getPublicAllTicks = function() {
-    return axios.get(this.web_api_address + "/api/v2/public/tick");
+TickTraderPublicClient.prototype.getPublicAllTicks = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/tick" });
 };
 
 /**
@@ -96,16 +330,16 @@ TickTraderWebClient.prototype.getPublicAllTicks = function() {
  * @param symbol Symbol name
  * @returns Public feed tick with the given symbol name
  */
-TickTraderWebClient.prototype.getPublicTick = function(symbol) {
-    return axios.get(this.web_api_address + "/api/v2/public/tick/" + encodeURIComponent(symbol));
+TickTraderPublicClient.prototype.getPublicTick = function(symbol) {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/tick/" + encodeURIComponent(symbol) });
 };
 
 /**
  * Get list of all available public feed level2 ticks
  * @returns List of all available public feed level2 ticks
  */
-TickTraderWebClient.prototype.getPublicAllTicksLevel2 = function() {
-    return axios.get(this.web_api_address + "/api/v2/public/level2");
+TickTraderPublicClient.prototype.getPublicAllTicksLevel2 = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/level2" });
 };
 
 /**
@@ -113,8 +347,180 @@ TickTraderWebClient.prototype.getPublicAllTicksLevel2 = function() {
  * @param symbol Symbol name
  * @returns Public feed level2 tick with the given symbol name
  */
-TickTraderWebClient.prototype.getPublicTickLevel2 = function(symbol) {
-    return axios.get(this.web_api_address + "/api/v2/public/level2/" + encodeURIComponent(symbol));
+TickTraderPublicClient.prototype.getPublicTickLevel2 = function(symbol) {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/level2/" + encodeURIComponent(symbol) });
+};
+
+/**
+ * Get list of symbols with available public quote history
+ * @returns List of symbol names
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistorySymbols = function() {
+    return this._request({ method: 'GET', url: this.web_api_address + "/api/v2/public/quotehistory/symbols" });
+};
+
+/**
+ * Get list of public quote history bar periodicities available for the symbol
+ * @param symbol Symbol name
+ * @returns List of periodicities ("S1", "S10", "M1", "M5", "M15", "M30", "H1", "H4", "D1", "W1", "MN1")
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistoryPeriodicities = function(symbol) {
+    return this._request({ method: 'GET', url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "periodicities"]) });
+};
+
+/**
+ * Get public quote history bars info (available range)
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @returns Bars info with `AvailableFrom` and `AvailableTo` timestamps
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistoryBarsInfo = function(symbol, periodicity, priceType) {
+    return this._request({ method: 'GET', url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase(), "info"]) });
+};
+
+/**
+ * Get public quote history bars page
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @param timestamp Page start timestamp (ms or Date). Default is the current server time.
+ * @param count Number of bars (up to 1000), negative to request bars before the timestamp. Default is -100.
+ * @returns Bars report with `From`, `To` and `Bars` fields
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistoryBars = function(symbol, periodicity, priceType, timestamp, count) {
+    return this._request({ method: 'GET', url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase()], timestamp, count) });
+};
+
+/**
+ * Get public quote history ticks info (available range)
+ * @param symbol Symbol name
+ * @returns Ticks info with `AvailableFrom` and `AvailableTo` timestamps
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistoryTicksInfo = function(symbol) {
+    return this._request({ method: 'GET', url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "ticks", "info"]) });
+};
+
+/**
+ * Get public quote history ticks page
+ * @param symbol Symbol name
+ * @param timestamp Page start timestamp (ms or Date). Default is the current server time.
+ * @param count Number of ticks (up to 1000), negative to request ticks before the timestamp. Default is -100.
+ * @returns Ticks report with `From`, `To` and `Ticks` fields
+ */
+TickTraderPublicClient.prototype.getPublicQuoteHistoryTicks = function(symbol, timestamp, count) {
+    return this._request({ method: 'GET', url: _quoteHistoryUrl(this.web_api_address + "/api/v2/public/quotehistory", [symbol, "ticks"], timestamp, count) });
+};
+
+/**
+ * Iterate public quote history bars in the time range across all pages
+ * Quote history request is described by filling following fields:
+ * - **TimestampFrom** (optional) - Lower timestamp bound. Default is the first available bar.
+ * - **TimestampTo** (optional) - Upper timestamp bound. Default is the last available bar.
+ * - **RequestPageSize** (optional) - Number of bars requested per page (up to 1000). Default is 1000.
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @param request Quote history request (optional)
+ * @returns Async iterator of bars
+ */
+TickTraderPublicClient.prototype.iteratePublicQuoteHistoryBars = function(symbol, periodicity, priceType, request) {
+    const raw = this.raw;
+    return _iterateQuoteHistory(raw.getPublicQuoteHistoryBarsInfo.bind(raw, symbol, periodicity, priceType),
+        raw.getPublicQuoteHistoryBars.bind(raw, symbol, periodicity, priceType), "Bars", request, this.unwrap);
+};
+
+/**
+ * Iterate public quote history ticks in the time range across all pages
+ * @param symbol Symbol name
+ * @param request Quote history request (see `iteratePublicQuoteHistoryBars()`)
+ * @returns Async iterator of ticks
+ */
+TickTraderPublicClient.prototype.iteratePublicQuoteHistoryTicks = function(symbol, request) {
+    const raw = this.raw;
+    return _iterateQuoteHistory(raw.getPublicQuoteHistoryTicksInfo.bind(raw, symbol),
+        raw.getPublicQuoteHistoryTicks.bind(raw, symbol), "Ticks", request, this.unwrap);
+};
+
+/**
+ * Check if no usable credentials are given
+ * Empty Web API Id, Key or Secret (e.g. unset environment variables) mean an anonymous client, not a broken
+ * authenticated one.
+ */
+const _isAnonymous = function(web_api_id, web_api_key, web_api_secret) {
+    const provider = !!web_api_id && typeof web_api_id.getCredentials === 'function';
+    return !provider && (!web_api_id || !web_api_key || !web_api_secret);
+};
+
+/**
+ * TickTrader Web API client
+ * Authenticated client with account and trade endpoints in addition to the public ones (see TickTraderPublicClient
+ * for client options). `isAuthenticated` is false when Web API Id, Key or Secret is empty (`undefined`, `null`, `""`),
+ * signed methods are rejected then.
+ *
+ * Credentials are requested from the credential provider for each request, so they can be rotated without recreating
+ * the client. Cached provider credentials are invalidated and the request is repeated once when the server rejects them.
+ * Provider can be passed instead of Web API Id: `new TickTraderWebClient(web_api_address, provider, options)`.
+ * Trade client options in addition to the public client ones:
+ * - **symbols** (optional) - Symbol registry rounding or validating `createTrade()` prices and amounts by the symbol
+ *   precision and lot rules before the request is sent: `true` for defaults, SymbolRegistry options or SymbolRegistry
+ *   instance. Default is no registry.
+ * - **validate** (optional) - Validate `createTrade()` and `modifyTrade()` requests locally and reject malformed ones
+ *   with TickTraderValidationError listing the invalid fields. `"strict"` rejects unknown fields as well. Default is `true`.
+ * - **autoClientId** (optional) - Assign generated `ClientId` to `createTrade()` requests without one. When the request
+ *   outcome is unknown (network or server failure), open trades and trade history are checked for the `ClientId`
+ *   before the request is retried or rejected, so the trade is never duplicated. Default is `true`.
+ * - **risk** (optional) - Risk guard checking `createTrade()` and `modifyTrade()` requests before they are sent:
+ *   RiskGuard options or RiskGuard instance. Rejected requests fail with TickTraderRiskRejectedError. Default is no guard.
+ * @param web_api_address Web API address (e.g. "https://ttdemowebapi.soft-fx.com:8443")
+ * @param web_api_id Web API Id or credential provider (StaticCredentials, EnvCredentials, FileCredentials, CallbackCredentials)
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ * @param options Client options (optional)
+ */
+const TickTraderWebClient = function(web_api_address, web_api_id, web_api_key, web_api_secret, options) {
+    const provider = !!web_api_id && typeof web_api_id.getCredentials === 'function';
+    if (provider && options === undefined && typeof web_api_key === 'object')
+        options = web_api_key;
+
+    TickTraderPublicClient.call(this, web_api_address, options);
+    const anonymous = _isAnonymous(web_api_id, web_api_key, web_api_secret);
+    this.credentials = anonymous ? null : credentialsProvider(web_api_id, web_api_key, web_api_secret);
+    this.isAuthenticated = !anonymous;
+    options = options || {};
+    this.validate = options.validate === "strict" ? "strict" : options.validate !== false;
+    this.autoClientId = options.autoClientId !== false;
+    this.symbolRegistry = options.symbols instanceof SymbolRegistry ? options.symbols : options.symbols ? new SymbolRegistry(this, options.symbols === true ? {} : options.symbols) : null;
+    this.riskGuard = options.risk instanceof RiskGuard ? options.risk : options.risk ? new RiskGuard(this, options.risk) : null;
+};
+
+TickTraderWebClient.prototype = Object.create(TickTraderPublicClient.prototype);
+TickTraderWebClient.prototype.constructor = TickTraderWebClient;
+
+/**
+ * Sign and send Web API request
+ * @param config Transport request config
+ * @param options Request options (see `_request()`)
+ * @returns Raw transport response or parsed response data in unwrap mode
+ */
+TickTraderWebClient.prototype._signedRequest = function(config, options) {
+    if (config.data !== undefined)
+        config.data = formatRequest(config.data);
+    return this._request(config, Object.assign({}, options, { signed: true }));
+};
+
+/**
+ * Replace client credentials (e.g. after the Web API Secret rotation)
+ * @param web_api_id Web API Id or credential provider
+ * @param web_api_key Web API Key
+ * @param web_api_secret Web API Secret
+ */
+TickTraderWebClient.prototype.setCredentials = function(web_api_id, web_api_key, web_api_secret) {
+    // Raw view inherits credentials from the client
+    const client = Object.getPrototypeOf(this).raw === this ? Object.getPrototypeOf(this) : this;
+    const anonymous = _isAnonymous(web_api_id, web_api_key, web_api_secret);
+    client.credentials = anonymous ? null : credentialsProvider(web_api_id, web_api_key, web_api_secret);
+    client.isAuthenticated = !anonymous;
 };
 
 /**
@@ -126,7 +532,7 @@ TickTraderWebClient.prototype.getAccount = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/account"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -138,7 +544,7 @@ TickTraderWebClient.prototype.getTradeSession = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/tradesession"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -150,7 +556,7 @@ TickTraderWebClient.prototype.getAllCurrencies = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/currency"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -163,7 +569,7 @@ TickTraderWebClient.prototype.getCurrency = function(currency) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/currency/" + encodeURIComponent(currency)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -175,7 +581,7 @@ TickTraderWebClient.prototype.getAllSymbols = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/symbol"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -188,7 +594,7 @@ TickTraderWebClient.prototype.getSymbol = function(symbol) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/symbol/" + encodeURIComponent(symbol)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -200,7 +606,7 @@ TickTraderWebClient.prototype.getAllTicks = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/tick"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -213,7 +619,7 @@ TickTraderWebClient.prototype.getTick = function(symbol) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/tick/" + encodeURIComponent(symbol)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -225,7 +631,7 @@ TickTraderWebClient.prototype.getAllTicksLevel2 = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/level2"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -238,7 +644,118 @@ TickTraderWebClient.prototype.getTickLevel2 = function(symbol) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/level2/" + encodeURIComponent(symbol)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
+};
+
+/**
+ * Get list of symbols with available quote history
+ * @returns List of symbol names
+ */
+TickTraderWebClient.prototype.getQuoteHistorySymbols = function() {
+    const config = {
+        method: 'GET',
+        url: this.web_api_address + "/api/v2/quotehistory/symbols"
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Get list of quote history bar periodicities available for the symbol
+ * @param symbol Symbol name
+ * @returns List of periodicities ("S1", "S10", "M1", "M5", "M15", "M30", "H1", "H4", "D1", "W1", "MN1")
+ */
+TickTraderWebClient.prototype.getQuoteHistoryPeriodicities = function(symbol) {
+    const config = {
+        method: 'GET',
+        url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "periodicities"])
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Get quote history bars info (available range)
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @returns Bars info with `AvailableFrom` and `AvailableTo` timestamps
+ */
+TickTraderWebClient.prototype.getQuoteHistoryBarsInfo = function(symbol, periodicity, priceType) {
+    const config = {
+        method: 'GET',
+        url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase(), "info"])
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Get quote history bars page
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @param timestamp Page start timestamp (ms or Date). Default is the current server time.
+ * @param count Number of bars (up to 1000), negative to request bars before the timestamp. Default is -100.
+ * @returns Bars report with `From`, `To` and `Bars` fields
+ */
+TickTraderWebClient.prototype.getQuoteHistoryBars = function(symbol, periodicity, priceType, timestamp, count) {
+    const config = {
+        method: 'GET',
+        url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, periodicity, "bars", String(priceType).toLowerCase()], timestamp, count)
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Get quote history ticks info (available range)
+ * @param symbol Symbol name
+ * @returns Ticks info with `AvailableFrom` and `AvailableTo` timestamps
+ */
+TickTraderWebClient.prototype.getQuoteHistoryTicksInfo = function(symbol) {
+    const config = {
+        method: 'GET',
+        url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "ticks", "info"])
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Get quote history ticks page
+ * @param symbol Symbol name
+ * @param timestamp Page start timestamp (ms or Date). Default is the current server time.
+ * @param count Number of ticks (up to 1000), negative to request ticks before the timestamp. Default is -100.
+ * @returns Ticks report with `From`, `To` and `Ticks` fields
+ */
+TickTraderWebClient.prototype.getQuoteHistoryTicks = function(symbol, timestamp, count) {
+    const config = {
+        method: 'GET',
+        url: _quoteHistoryUrl(this.web_api_address + "/api/v2/quotehistory", [symbol, "ticks"], timestamp, count)
+    };
+    return this._signedRequest(config);
+};
+
+/**
+ * Iterate quote history bars in the time range across all pages
+ * @param symbol Symbol name
+ * @param periodicity Bar periodicity (e.g. "M1", "H1", "D1")
+ * @param priceType Bar price type ("bid" or "ask")
+ * @param request Quote history request (see `iteratePublicQuoteHistoryBars()`)
+ * @returns Async iterator of bars
+ */
+TickTraderWebClient.prototype.iterateQuoteHistoryBars = function(symbol, periodicity, priceType, request) {
+    const raw = this.raw;
+    return _iterateQuoteHistory(raw.getQuoteHistoryBarsInfo.bind(raw, symbol, periodicity, priceType),
+        raw.getQuoteHistoryBars.bind(raw, symbol, periodicity, priceType), "Bars", request, this.unwrap);
+};
+
+/**
+ * Iterate quote history ticks in the time range across all pages
+ * @param symbol Symbol name
+ * @param request Quote history request (see `iteratePublicQuoteHistoryBars()`)
+ * @returns Async iterator of ticks
+ */
+TickTraderWebClient.prototype.iterateQuoteHistoryTicks = function(symbol, request) {
+    const raw = this.raw;
+    return _iterateQuoteHistory(raw.getQuoteHistoryTicksInfo.bind(raw, symbol),
+        raw.getQuoteHistoryTicks.bind(raw, symbol), "Ticks", request, this.unwrap);
 };
 
 /**
@@ -251,7 +768,7 @@ TickTraderWebClient.prototype.getAllAssets = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/asset"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -265,7 +782,7 @@ TickTraderWebClient.prototype.getAsset = function(currency) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/asset/" + encodeURIComponent(currency)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -278,7 +795,7 @@ TickTraderWebClient.prototype.getAllPositions = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/position"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -292,7 +809,7 @@ TickTraderWebClient.prototype.getPosition = function(symbol) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/position/" + encodeURIComponent(symbol)
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -304,7 +821,7 @@ TickTraderWebClient.prototype.getAllTrades = function() {
         method: 'GET',
         url: this.web_api_address + "/api/v2/trade"
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -317,7 +834,17 @@ TickTraderWebClient.prototype.getTrade = function(tradeId) {
         method: 'GET',
         url: this.web_api_address + "/api/v2/trade/" + tradeId
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
+};
+
+/**
+ * Start building new trade with the fluent order builder
+ * `client.order("EURUSD").buy(10000).limit(1.0850).stopLoss(1.0800).expiresIn("1h").send()`
+ * @param symbol Trade symbol
+ * @returns Order builder creating the trade with `send()`
+ */
+TickTraderWebClient.prototype.order = function(symbol) {
+    return new OrderBuilder(this, symbol);
 };
 
 /**
@@ -334,19 +861,42 @@ TickTraderWebClient.prototype.getTrade = function(tradeId) {
  * - **ExpiredTimestamp** (optional) - Expiration date and time for pending trades (`"Limit"`, `"Stop"`)
  * - **ImmediateOrCancel** (optional) - "Immediate or cancel" flag (works only for `"Limit"` trades)
  * - **Comment** (optional) - Client comment
+ *
+ * `ClientId` is generated unless the client `autoClientId` option is false. Requests failed with an unknown outcome
+ * resolve with the created trade if it is found by `ClientId` in open trades or trade history.
+ * Request is validated locally before it is sent (see `validateCreateTrade()`), unless the client `validate` option is false.
+ * With the client symbol registry prices are rounded to the symbol precision and amount to the trade amount step
+ * (or rejected with TickTraderValidationError in the registry validation mode) before the request is sent.
+ * With the client risk guard the prepared request is checked against the risk limits before it is sent.
  * @param request Create trade request
  * @returns Created trade
  */
 TickTraderWebClient.prototype.createTrade = function(request) {
-    const config = {
-        method: 'POST',
-        url: this.web_api_address + "/api/v2/trade",
-        data: request,
-        headers: {
-            'Content-Type': 'application/json'
-        }
+    const self = this;
+    const send = function(request) {
+        const config = {
+            method: 'POST',
+            url: self.web_api_address + "/api/v2/trade",
+            data: request,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        };
+        const clientId = request && request.ClientId;
+        const since = self.clock ? self.clock.now() : Date.now();
+        return self._signedRequest(config, {
+            reconcile: clientId ? function() { return findCreatedTrade(self, clientId, since); } : undefined
+        });
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    const error = this.validate ? validationError("create trade", validateCreateTrade(request, { strict: this.validate === "strict" })) : undefined;
+    if (error)
+        return Promise.reject(error);
+    if (this.autoClientId && request && !request.ClientId)
+        request = Object.assign({}, request, { ClientId: generateClientId() });
+    const guard = function(request) {
+        return self.riskGuard ? self.riskGuard.checkCreateTrade(request).then(function() { return send(request); }) : send(request);
+    };
+    return this.symbolRegistry ? this.symbolRegistry.prepareTrade(request).then(guard) : guard(request);
 };
 
 /**
@@ -358,9 +908,15 @@ TickTraderWebClient.prototype.createTrade = function(request) {
  * - **TakeProfit** (optional) - Take profit price
  * - **ExpiredTimestamp** (optional) - Expiration date and time for pending trades (`Limit`, `Stop`)
  * - **Comment** (optional) - Client comment
+ *
+ * Request is validated locally before it is sent (see `validateModifyTrade()`), unless the client `validate` option
+ * is false. Modified trade is requested first to check its type when `Price` or `ExpiredTimestamp` is changed.
+ * With the client risk guard the request is checked against the risk limits before it is sent.
+ * @param request Modify trade request
  * @returns Modified trade
  */
 TickTraderWebClient.prototype.modifyTrade = function(request) {
+    const self = this;
     const config = {
         method: 'PUT',
         url: this.web_api_address + "/api/v2/trade",
@@ -369,7 +925,26 @@ TickTraderWebClient.prototype.modifyTrade = function(request) {
             'Content-Type': 'application/json'
         }
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    const send = function() {
+        return self.riskGuard ? self.riskGuard.checkModifyTrade(request).then(function() { return self._signedRequest(config); }) : self._signedRequest(config);
+    };
+    if (!this.validate)
+        return send();
+
+    const strict = { strict: this.validate === "strict" };
+    const error = validationError("modify trade", validateModifyTrade(request, undefined, strict));
+    if (error)
+        return Promise.reject(error);
+    const hasPrice = request.Price !== undefined && request.Price !== null;
+    const hasExpiration = request.ExpiredTimestamp !== undefined && request.ExpiredTimestamp !== null;
+    if (!hasPrice && !hasExpiration)
+        return send();
+    return this.raw.getTrade(request.Id).then(function(trade) {
+        const error = validationError("modify trade", validateModifyTrade(request, trade.data, strict));
+        if (error)
+            throw error;
+        return send();
+    });
 };
 
 /**
@@ -382,7 +957,7 @@ TickTraderWebClient.prototype.cancelTrade = function(tradeId) {
         method: 'DELETE',
         url: this.web_api_address + "/api/v2/trade?type=Cancel&id=" + tradeId
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -399,7 +974,7 @@ TickTraderWebClient.prototype.closeTrade = function(tradeId, amount) {
         method: 'DELETE',
         url: url
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
 };
 
 /**
@@ -413,7 +988,45 @@ TickTraderWebClient.prototype.closeByTrade = function(tradeId, byTradeId) {
         method: 'DELETE',
         url: this.web_api_address + "/api/v2/trade?type=CloseBy&id=" + tradeId + "&byid=" + byTradeId
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config);
+};
+
+/**
+ * Close all positions, optionally of the given symbol or side
+ * Request fields:
+ * - **symbol** (optional) - Close positions of the symbol only
+ * - **side** (optional) - Close positions of the side only ("Buy" or "Sell")
+ * - **concurrency** (optional) - Maximal number of concurrent requests. Default is 5.
+ * - **closeBy** (optional) - Net opposite positions of the same symbol with `closeByTrade()`. Default is true.
+ * Net account positions are offset with opposite market trades.
+ * @param request Close request (optional)
+ * @returns Report `{ Results, Succeeded, Failed }` with `{ Action, TradeId, ByTradeId, Symbol, Side, Amount, Success, Error }`
+ *   result of every request
+ */
+TickTraderWebClient.prototype.closeAllTrades = function(request) {
+    return closeAllTrades(this.raw, request);
+};
+
+/**
+ * Cancel all pending trades, optionally of the given symbol or side
+ * Request fields:
+ * - **symbol** (optional) - Cancel trades of the symbol only
+ * - **side** (optional) - Cancel trades of the side only ("Buy" or "Sell")
+ * - **concurrency** (optional) - Maximal number of concurrent requests. Default is 5.
+ * @param request Cancel request (optional)
+ * @returns Report `{ Results, Succeeded, Failed }` (see `closeAllTrades()`)
+ */
+TickTraderWebClient.prototype.cancelAllPending = function(request) {
+    return cancelAllPending(this.raw, request);
+};
+
+/**
+ * Cancel all pending trades and close all positions, optionally of the given symbol
+ * @param request Request with `symbol`, `concurrency` and `closeBy` fields (optional, see `closeAllTrades()`)
+ * @returns Report `{ Results, Succeeded, Failed }` (see `closeAllTrades()`)
+ */
+TickTraderWebClient.prototype.flattenAccount = function(request) {
+    return flattenAccount(this.raw, request);
 };
 
 /**
@@ -422,7 +1035,8 @@ TickTraderWebClient.prototype.closeByTrade = function(tradeId, byTradeId) {
  * - **TimestampFrom** (optional) - Lower timestamp bound of the trade history request
  * - **TimestampTo** (optional) - Upper timestamp bound of the trade history request
  * - **RequestDirection** (optional) - Request paging direction ("Forward" or "Backward"). Default is "Forward".
- * - **RequestFromId** (optional) - Request paging from Id
+ * - **RequestPageSize** (optional) - Number of records requested per page
+ * - **RequestLastId** (optional) - Continue from the record with the given Id (`LastId` of the previous report)
  * @param request Trade history request
  * @returns Trade history report
  */
@@ -435,7 +1049,7 @@ TickTraderWebClient.prototype.getTradeHistory = function(request) {
             'Content-Type': 'application/json'
         }
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config, { idempotent: true });
 };
 
 /**
@@ -453,7 +1067,140 @@ TickTraderWebClient.prototype.getTradeHistoryByTradeId = function(tradeId, reque
             'Content-Type': 'application/json'
         }
     };
-    return axios(_signRequest(config, this.web_api_id, this.web_api_key, this.web_api_secret));
+    return this._signedRequest(config, { idempotent: true });
+};
+
+/**
+ * Iterate account trade history records across all report pages
+ * Trade history request is described by the same fields as for `getTradeHistory()`:
+ * - **TimestampFrom** (optional) - Lower timestamp bound of the trade history request
+ * - **TimestampTo** (optional) - Upper timestamp bound of the trade history request
+ * - **RequestDirection** (optional) - Request paging direction ("Forward" or "Backward"). Default is "Forward".
+ * - **RequestPageSize** (optional) - Number of records requested per page
+ * - **RequestLastId** (optional) - Continue from the record with the given Id
+ * @param request Trade history request
+ * @returns Async iterator of trade history records
+ */
+TickTraderWebClient.prototype.iterateTradeHistory = function(request) {
+    return _iterateHistoryReport(this.raw.getTradeHistory.bind(this.raw), request, this.unwrap);
+};
+
+/**
+ * Iterate account trade history records for the given trade Id across all report pages
+ * @param tradeId Trade Id
+ * @param request Trade history request (see `iterateTradeHistory()`)
+ * @returns Async iterator of trade history records
+ */
+TickTraderWebClient.prototype.iterateTradeHistoryByTradeId = function(tradeId, request) {
+    return _iterateHistoryReport(this.raw.getTradeHistoryByTradeId.bind(this.raw, tradeId), request, this.unwrap);
+};
+
+/**
+ * Get account daily snapshots
+ * Daily snapshots request is described by filling following fields:
+ * - **TimestampFrom** (optional) - Lower timestamp bound of the daily snapshots request
+ * - **TimestampTo** (optional) - Upper timestamp bound of the daily snapshots request
+ * - **RequestDirection** (optional) - Request paging direction ("Forward" or "Backward"). Default is "Forward".
+ * - **RequestPageSize** (optional) - Number of records requested per page
+ * - **RequestLastId** (optional) - Continue from the record with the given Id
+ * @param request Daily snapshots request
+ * @returns Daily snapshots report
+ */
+TickTraderWebClient.prototype.getDailySnapshots = function(request) {
+    const config = {
+        method: 'POST',
+        url: this.web_api_address + "/api/v2/dailysnapshots",
+        data: request,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+    return this._signedRequest(config, { idempotent: true });
+};
+
+/**
+ * Iterate account daily snapshots across all report pages
+ * @param request Daily snapshots request (see `getDailySnapshots()`)
+ * @returns Async iterator of daily snapshots
+ */
+TickTraderWebClient.prototype.iterateDailySnapshots = function(request) {
+    return _iterateHistoryReport(this.raw.getDailySnapshots.bind(this.raw), request, this.unwrap);
+};
+
+/**
+ * Get account balance history (deposits, withdrawals and other balance movements)
+ * @param request Balance history request (same fields as for `getDailySnapshots()`)
+ * @returns Balance history report
+ */
+TickTraderWebClient.prototype.getBalanceHistory = function(request) {
+    const config = {
+        method: 'POST',
+        url: this.web_api_address + "/api/v2/balancehistory",
+        data: request,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    };
+    return this._signedRequest(config, { idempotent: true });
+};
+
+/**
+ * Iterate account balance history records across all report pages
+ * @param request Balance history request (see `getDailySnapshots()`)
+ * @returns Async iterator of balance history records
+ */
+TickTraderWebClient.prototype.iterateBalanceHistory = function(request) {
+    return _iterateHistoryReport(this.raw.getBalanceHistory.bind(this.raw), request, this.unwrap);
+};
+
+/**
+ * Get account equity and balance time series
+ * Daily snapshots are joined with balance movements of the trade history (see `buildEquitySeries()`).
+ * Request is described by filling following fields:
+ * - **TimestampFrom** (optional) - Lower timestamp bound of the series
+ * - **TimestampTo** (optional) - Upper timestamp bound of the series
+ * - **RequestPageSize** (optional) - Number of records requested per page
+ * @param request Equity series request (optional)
+ * @returns List of points `{ Timestamp, Balance, Equity, BalanceMovement, Source, Id }` ordered by time
+ */
+TickTraderWebClient.prototype.getEquitySeries = async function(request) {
+    const historyRequest = Object.assign({}, request, { RequestDirection: "Forward" });
+    const snapshots = [];
+    for await (const snapshot of this.raw.iterateDailySnapshots(historyRequest))
+        snapshots.push(snapshot);
+    const records = [];
+    for await (const record of this.raw.iterateTradeHistory(historyRequest))
+        records.push(record);
+    const series = buildEquitySeries(snapshots, records);
+    return this.unwrap ? parseModel(series) : series;
 };
 
-export { TickTraderWebClient };
\ No newline at end of file
+export { TickTraderPublicClient, TickTraderWebClient };
+export { TickTraderFeedStream, TickTraderTradeStream } from './ttstream.mjs';
+export { DATE_FIELDS, parseModel, formatRequest, toDecimal } from './ttmodels.mjs';
+export {
+    TickTraderError,
+    TickTraderAuthError,
+    TickTraderClockSkewError,
+    TickTraderValidationError,
+    TickTraderNotFoundError,
+    TickTraderRateLimitError,
+    TickTraderSessionClosedError,
+    TickTraderServerError,
+    TickTraderNetworkError,
+    TickTraderRiskRejectedError
+} from './tterrors.mjs';
+export { RetryPolicy } from './ttretry.mjs';
+export { RateLimiter } from './ttratelimiter.mjs';
+export { ServerClock } from './ttclock.mjs';
+export { buildEquitySeries } from './ttaccounthistory.mjs';
+export { OrderBook } from './ttorderbook.mjs';
+export { SymbolRegistry } from './ttsymbols.mjs';
+export { validateCreateTrade, validateModifyTrade } from './ttvalidation.mjs';
+export { OrderBuilder, generateClientId } from './ttorderbuilder.mjs';
+export { OrderManager, MemoryStorage, FileStorage } from './ttordermanager.mjs';
+export { TrailingStopManager } from './tttrailingstop.mjs';
+export { RiskGuard } from './ttrisk.mjs';
+export { historyTrade, findCreatedTrade } from './tttradehistory.mjs';
+export { StaticCredentials, EnvCredentials, FileCredentials, CallbackCredentials } from './ttcredentials.mjs';
+export { FetchTransport, AxiosTransport, RecordingTransport } from './tttransport.mjs';